@@ -27,6 +27,7 @@ export default [
                 HTMLCanvasElement: 'readonly',
                 performance: 'readonly',
                 requestAnimationFrame: 'readonly',
+                cancelAnimationFrame: 'readonly',
                 setTimeout: 'readonly',
                 clearTimeout: 'readonly',
                 setInterval: 'readonly',
@@ -3,13 +3,27 @@
  * Unit tests for replenishment, customer-ltv, nash-equilibrium, bayesian, statistics, risk-adjusted
  */
 import { describe, it, expect } from 'vitest';
-import { calculateEOQ, calculateReorderPoint, calculateSafetyStock, simulateReplenishment, POLICIES } from '../engine/replenishment.js';
-import { modelCohortLTV, assessChurnRisk, RETENTION_MODELS } from '../engine/customer-ltv.js';
-import { buildPayoffMatrix, findPureNashEquilibria, findDominantStrategies, analyzePricingEquilibrium } from '../engine/nash-equilibrium.js';
+import { calculateEOQ, calculateReorderPoint, calculateSafetyStock, simulateReplenishment, resolveReplenishmentPolicy, decideReorderQuantity, POLICIES } from '../engine/replenishment.js';
+import { modelCohortLTV, assessChurnRisk, RETENTION_MODELS, weeklyChurnHazard, CohortTracker } from '../engine/customer-ltv.js';
+import { CustomerAgent } from '../engine/agents-customer.js';
+import { buildPayoffMatrix, findPureNashEquilibria, findDominantStrategies, analyzePricingEquilibrium, findMixedNashEquilibria, buildPayoffTensor, fictitiousPlay } from '../engine/nash-equilibrium.js';
 import { normalNormalUpdate, betaBinomialUpdate, BeliefManager } from '../engine/bayesian.js';
+import { ConvergenceTracker, normalCriticalValue } from '../engine/convergence.js';
+import { discoverScenarios } from '../engine/scenario-discovery.js';
+import { crps, scoreBacktest, summarizeBacktest, summarizeBacktestHistory } from '../engine/backtest.js';
+import { QuantileSketch } from '../engine/quantile-sketch.js';
+import { sobolPoint, resolveSampling, SamplingPlan, estimatorVariance, pairedDifference, SOBOL_MAX_DIMENSIONS } from '../engine/variance-reduction.js';
 import { linearRegression, correlation, iqr, detectOutliers, zScore } from '../engine/statistics.js';
+import { DefectionTracker } from '../engine/defection.js';
+import { MarketingMixModel } from '../engine/marketing-funnel.js';
+import { calculateCACByChannel } from '../engine/cac-ltv.js';
+import { PRNG } from '../engine/distributions.js';
 import { sharpeRatio, sortinoRatio, maxDrawdown, calmarRatio } from '../engine/risk-adjusted.js';
 import { OnlineLinearRegression } from '../engine/online-regression.js';
+import { discretizeRLState } from '../engine/rl-features.js';
+import { ReplayBuffer } from '../engine/replay-buffer.js';
+import { learnFromReplay } from '../engine/rl-training.js';
+import { QNetwork, learnQNetworkFromReplay } from '../engine/q-network.js';
 import { parseCSV, descriptiveStats, fitDistributions } from '../engine/distribution-fitting.js';
 import { calculateSOV, analyzeSOVvsSOM, generateSOVReport } from '../engine/share-of-voice.js';
 
@@ -58,6 +72,92 @@ describe('Replenishment Engine (ECO-005)', () => {
         expect(result.policy).toBe('jit');
         expect(result.ordersPlaced).toBe(8);
     });
+
+    it('decides in-run orders on inventory position', () => {
+        const sQ = resolveReplenishmentPolicy({ policy: POLICIES.REORDER_POINT }, 1000);
+        expect(sQ.reorderPoint).toBe(250);
+        expect(sQ.orderQuantity).toBe(500);
+        expect(decideReorderQuantity(sQ, { week: 3, onHand: 200, onOrder: 0 })).toBe(500);
+        // An open order already lifts the position above s
+        expect(decideReorderQuantity(sQ, { week: 4, onHand: 150, onOrder: 500 })).toBe(0);
+
+        const review = resolveReplenishmentPolicy({ policy: POLICIES.PERIODIC_REVIEW, reviewPeriodWeeks: 2 }, 1000);
+        expect(decideReorderQuantity(review, { week: 0, onHand: 400, onOrder: 0 })).toBe(0);
+        expect(decideReorderQuantity(review, { week: 1, onHand: 400, onOrder: 100 })).toBe(500);
+
+        expect(decideReorderQuantity(resolveReplenishmentPolicy(null, 1000), { week: 1, onHand: 0, onOrder: 0 })).toBe(0);
+    });
+});
+
+// ━━━━━━━━━ Stock-out Defection ━━━━━━━━━
+describe('Stock-out Defection (SIM-003)', () => {
+    const agent = (id, brandLoyalty) => ({ id, brandLoyalty });
+
+    it('routes stock-out customers to competitors or the pending pool', () => {
+        const tracker = new DefectionTracker('electronics', 100);
+        const rng = new PRNG(3);
+        const competitors = [{ id: 'a', weight: 1 }, { id: 'b', weight: 0 }];
+        const outcomes = Array.from({ length: 200 }, (_, i) =>
+            tracker.handleStockOut(agent(i, 0.2), 0, competitors, rng));
+
+        const switched = outcomes.filter(o => o.outcome === 'switched');
+        expect(switched.length).toBeGreaterThan(0);
+        expect(switched.every(o => o.competitorId === 'a')).toBe(true);
+        expect(tracker.lostToCompetitors.a).toBe(switched.length);
+        expect(tracker.pending.size).toBe(200 - switched.length);
+        expect(tracker.unmetDemand).toBe(200);
+        expect(tracker.isEngaged(0)).toBe(true);
+    });
+
+    it('damages loyalty and never switches without competitors', () => {
+        const tracker = new DefectionTracker('food', 10);
+        const loyal = agent(1, 0.9);
+        const { outcome } = tracker.handleStockOut(loyal, 0, [], new PRNG(1));
+        expect(outcome).not.toBe('switched');
+        expect(loyal.brandLoyalty).toBeCloseTo(0.9 * 0.95);
+    });
+
+    it('returns waiting customers on restock and decays deferred returns', () => {
+        const tracker = new DefectionTracker('default', 10);
+        tracker.pending.set(1, { agent: agent(1, 0.8), since: 0, mode: 'waiting' });
+        const rng = new PRNG(9);
+        expect(tracker.takeReturningCustomers(1, false, rng)).toHaveLength(0);
+        expect(tracker.takeReturningCustomers(2, true, rng).map(a => a.id)).toEqual([1]);
+        expect(tracker.isEngaged(1)).toBe(false);
+
+        const a = agent(2, 0.5);
+        expect(tracker.returnProbability(a, 1)).toBeGreaterThan(tracker.returnProbability(a, 10));
+        expect(tracker.returnProbability(a, 100)).toBeCloseTo(0.15 * 0.75);
+    });
+});
+
+// ━━━━━━━━━ Marketing Mix ━━━━━━━━━
+describe('Marketing Mix Model (MKT-001)', () => {
+    it('builds awareness per channel and reaches agents by channel preference', () => {
+        const model = new MarketingMixModel({ retail_display: 3, social_media: 1 });
+        expect(model.mix).toEqual({ retail_display: 0.75, social_media: 0.25 });
+
+        let week;
+        for (let i = 0; i < 10; i++) week = model.step(20000);
+        expect(week.byChannel.retail_display).toBeGreaterThan(0.01);
+        expect(week.byPreference.retail).toBeGreaterThan(week.byPreference.online);
+
+        // Without spend awareness decays
+        const before = week.byChannel.social_media;
+        for (let i = 0; i < 10; i++) week = model.step(0);
+        expect(week.byChannel.social_media).toBeLessThan(before);
+    });
+
+    it('attributes acquisitions and feeds calculateCACByChannel', () => {
+        const model = new MarketingMixModel({ retail_display: 1, search_ads: 1 });
+        model.step(10000);
+        for (let i = 0; i < 4; i++) model.attributeAcquisition('retail');
+        const cac = calculateCACByChannel(model.getFunnelResults());
+        expect(cac.retail_display.acquisitions + cac.search_ads.acquisitions).toBeCloseTo(4);
+        expect(cac.retail_display.acquisitions).toBeGreaterThan(cac.search_ads.acquisitions);
+        expect(cac.retail_display.spend).toBe(5000);
+        expect(cac.retail_display.cac).toBeCloseTo(5000 / cac.retail_display.acquisitions);
+    });
 });
 
 // ━━━━━━━━━ Customer LTV ━━━━━━━━━
@@ -89,6 +189,60 @@ describe('Customer LTV (ECO-006)', () => {
         expect(RETENTION_MODELS.exponential(0.1, 5)).toBeCloseTo(Math.exp(-0.5), 5);
         expect(RETENTION_MODELS.power(1, 0)).toBe(1);
     });
+
+    it('derives weekly churn hazards from retention curves', () => {
+        // Exponential → constant hazard
+        const h0 = weeklyChurnHazard({ type: 'exponential', params: [0.1] }, 0);
+        expect(h0).toBeCloseTo(1 - Math.exp(-0.1 / 4.33), 6);
+        expect(weeklyChurnHazard({ type: 'exponential', params: [0.1] }, 20)).toBeCloseTo(h0, 6);
+        // Power law → hazard falls as subscribers age
+        const power = { type: 'power', params: [1] };
+        expect(weeklyChurnHazard(power, 20)).toBeLessThan(weeklyChurnHazard(power, 0));
+    });
+
+    it('schedules repurchases and blends satisfaction across purchases', () => {
+        const rng = new PRNG(3);
+        const agent = new CustomerAgent({ id: 1, budget: 1000, priceSensitivity: 0.2 });
+        const offer = { currentPrice: 100, allowRepeat: true, repeatCycleWeeks: 6 };
+
+        agent.commitPurchase(rng, { week: 0, repeatCycleWeeks: 6 });
+        expect(agent.purchases).toBe(1);
+        expect(agent.nextPurchaseWeek).toBeGreaterThanOrEqual(1);
+
+        // Nothing happens before the cycle elapses
+        const early = agent.evaluatePurchase(offer, { week: agent.nextPurchaseWeek - 1 }, rng);
+        expect(early.probability).toBe(0);
+
+        let week = agent.nextPurchaseWeek;
+        while (agent.purchases === 1 && week < 200) {
+            agent.evaluatePurchase(offer, { week }, rng);
+            week++;
+        }
+        expect(agent.purchases).toBe(2);
+        expect(agent.satisfaction).toBeGreaterThanOrEqual(0.5);
+
+        // Single-purchase offers never repurchase
+        expect(agent.evaluatePurchase({ ...offer, allowRepeat: false }, { week: 500 }, rng).willBuy).toBe(false);
+    });
+
+    it('tracks realized value and retention per cohort', () => {
+        const cohorts = new CohortTracker();
+        cohorts.recordPurchase(1, 0, 100, 40);
+        cohorts.recordPurchase(2, 0, 100, 40);
+        cohorts.recordPurchase(3, 2, 100, 40);
+        cohorts.recordPurchase(1, 5, 100, 40);
+        cohorts.recordSubscriptionStart(1, 0);
+        cohorts.recordSubscriptionStart(2, 0);
+        cohorts.recordValue(1, 10, 8);
+        cohorts.recordSubscriptionCancel(2, 2);
+
+        const [w0, w2] = cohorts.getCohorts();
+        expect(w0).toMatchObject({ cohortWeek: 0, customers: 2, purchases: 3, revenue: 310, margin: 128, ltvPerCustomer: 64 });
+        expect(w2).toMatchObject({ cohortWeek: 2, customers: 1, margin: 40 });
+        expect(cohorts.getRealizedLTV()).toBe(Math.round(168 / 3));
+        // Both active for weeks 0-1, one left at week 2
+        expect(cohorts.getRetentionCurve(4)).toEqual([1, 1, 0.5, 0.5]);
+    });
 });
 
 // ━━━━━━━━━ Nash Equilibrium ━━━━━━━━━
@@ -123,6 +277,48 @@ describe('Nash Equilibrium (AI-005)', () => {
         expect(result.playerPrices.length).toBeGreaterThan(0);
         expect(typeof result.hasEquilibrium).toBe('boolean');
     });
+
+    it('finds mixed equilibria by support enumeration', () => {
+        // Matching pennies: no pure equilibrium, both players mix 50/50
+        const pennies = buildPayoffMatrix([0, 1], [0, 1], (a, b) => ({ myPayoff: a === b ? 1 : -1, opPayoff: a === b ? -1 : 1 }));
+        const [eq] = findMixedNashEquilibria(pennies);
+        expect(findMixedNashEquilibria(pennies)).toHaveLength(1);
+        expect(eq.playerMix[0]).toBeCloseTo(0.5, 10);
+        expect(eq.opponentMix[0]).toBeCloseTo(0.5, 10);
+        expect(eq.playerPayoff).toBeCloseTo(0, 10);
+        expect(eq.pure).toBe(false);
+
+        // Battle of the sexes: two pure equilibria and one mixed
+        const bos = buildPayoffMatrix([0, 1], [0, 1], (a, b) => (a !== b
+            ? { myPayoff: 0, opPayoff: 0 }
+            : { myPayoff: a === 0 ? 2 : 1, opPayoff: a === 0 ? 1 : 2 }));
+        const all = findMixedNashEquilibria(bos);
+        expect(all.filter(e => e.pure)).toHaveLength(2);
+        const mixed = all.find(e => !e.pure);
+        expect(mixed.playerMix[0]).toBeCloseTo(2 / 3, 10);
+        expect(mixed.opponentMix[0]).toBeCloseTo(1 / 3, 10);
+        expect(mixed.playerPayoff).toBeCloseTo(2 / 3, 10);
+    });
+
+    it('approximates equilibria of N-player games by fictitious play', () => {
+        // Rock-paper-scissors: the empirical mixes approach 1/3 each
+        const rps = [[0, -1, 1], [1, 0, -1], [-1, 1, 0]];
+        const rpsGame = buildPayoffTensor([[0, 1, 2], [0, 1, 2]], ([a, b]) => [rps[a][b], -rps[a][b]]);
+        const rpsPlay = fictitiousPlay(rpsGame, { iterations: 2000 });
+        for (const mix of rpsPlay.mixes) mix.forEach(p => expect(p).toBeCloseTo(1 / 3, 1));
+        expect(rpsPlay.epsilon).toBeLessThan(0.02);
+
+        // Three sellers with linear demand: everyone settles on price 3
+        const prices = [2, 3, 4, 5, 6];
+        const game = buildPayoffTensor([prices, prices, prices], (profile) => {
+            const p = profile.map(i => prices[i]);
+            return p.map(x => x * Math.max(0, 10 - 2 * x + (p.reduce((s, v) => s + v, 0) - x) / 2));
+        });
+        const play = fictitiousPlay(game, { iterations: 500 });
+        for (const mix of play.mixes) expect(mix[1]).toBeGreaterThan(0.98);
+        expect(play.payoffs[0]).toBeCloseTo(21, 0);
+        expect(play.epsilon).toBeLessThan(0.1);
+    });
 });
 
 // ━━━━━━━━━ Bayesian ━━━━━━━━━
@@ -150,6 +346,184 @@ describe('Bayesian Updating (DS-007)', () => {
     });
 });
 
+// ━━━━━━━━━ Convergence ━━━━━━━━━
+describe('Convergence Tracking (DS-002)', () => {
+    it('approximates normal critical values', () => {
+        expect(normalCriticalValue(0.95)).toBeCloseTo(1.96, 2);
+        expect(normalCriticalValue(0.99)).toBeCloseTo(2.576, 2);
+    });
+
+    it('converges once the CI half-width reaches the target precision', () => {
+        const tracker = new ConvergenceTracker(['netProfit'], 10, 1.0, { targets: { netProfit: 0.01 }, minSamples: 50 });
+        const rng = new PRNG(3);
+        let snapshot = null;
+        for (let i = 0; i < 2000 && !tracker.converged; i++) {
+            snapshot = tracker.record({ netProfit: 1000 + (rng.next() - 0.5) * 200 }) ?? snapshot;
+        }
+        expect(tracker.converged).toBe(true);
+        expect(tracker.convergedAt).toBeGreaterThanOrEqual(50);
+        expect(snapshot.kpis.netProfit.relativePrecision).toBeLessThanOrEqual(0.01);
+        expect(snapshot.kpis.netProfit.halfWidth).toBeCloseTo(normalCriticalValue(0.95) * snapshot.kpis.netProfit.sem, 8);
+    });
+});
+
+// ━━━━━━━━━ Variance Reduction ━━━━━━━━━
+describe('Variance Reduction (DS-002)', () => {
+    it('generates Sobol points with one point per elementary interval', () => {
+        const n = 64;
+        for (let dim = 0; dim < SOBOL_MAX_DIMENSIONS; dim++) {
+            const cells = new Set(Array.from({ length: n }, (_, i) => Math.floor(sobolPoint(i, dim) * n)));
+            expect(cells.size).toBe(n);
+        }
+        // Dimensions 1 and 2 form a (0, 2)-sequence: 8×8 grid fully covered
+        const boxes = new Set(Array.from({ length: n }, (_, i) => `${Math.floor(sobolPoint(i, 0) * 8)}:${Math.floor(sobolPoint(i, 1) * 8)}`));
+        expect(boxes.size).toBe(n);
+    });
+
+    it('stratifies every LHS replicate column', () => {
+        const spec = resolveSampling({ method: 'lhs', replicates: 4 }, 7, 40);
+        expect(spec.blockSize).toBe(10);
+        const plan = new SamplingPlan(spec);
+        for (let block = 0; block < 4; block++) {
+            const strata = Array.from({ length: 10 }, (_, j) => Math.floor(plan.uniform(block * 10 + j, 3) * 10));
+            expect(new Set(strata).size).toBe(10);
+        }
+        expect(resolveSampling('random', 7, 40)).toBeNull();
+        expect(() => resolveSampling('halton', 7, 40)).toThrow();
+    });
+
+    it('mirrors the odd member of an antithetic pair', () => {
+        const plan = new SamplingPlan(resolveSampling('antithetic', 1, 4));
+        expect(plan.pairSeeds([11, 22, 33, 44])).toEqual([11, 11, 33, 33]);
+        const even = plan.iterationRng(0, new PRNG(5));
+        const odd = plan.iterationRng(1, new PRNG(5));
+        for (let i = 0; i < 5; i++) expect(even.next() + odd.next()).toBeCloseTo(1, 9);
+    });
+
+    it('measures variance reduction from antithetic pair means', () => {
+        // Perfectly negatively correlated pairs: the mean has no variance left
+        const values = [1, 3, 5, -1, 2, 2, 4, 0];
+        const naive = estimatorVariance(values, null);
+        expect(naive.varianceReduction).toBe(1);
+        expect(naive.effectiveSampleSize).toBe(8);
+        const paired = estimatorVariance([1, 3, 0, 4, 2, 2, 5, -1], { method: 'antithetic' });
+        expect(paired.estimatorVariance).toBe(0);
+        expect(paired.varianceReduction).toBe(Infinity);
+        const mixed = estimatorVariance([1, 3, 1, 5, 2, 2, 5, -1], { method: 'antithetic' });
+        expect(mixed.varianceReduction).toBeGreaterThan(1);
+    });
+
+    it('pairs differences on common random numbers', () => {
+        const a = [10, 20, 30, 40, 50];
+        const d = pairedDifference(a, a.map(v => v + 2 + (v % 20 === 0 ? 0.5 : 0)));
+        expect(d.meanDifference).toBeCloseTo(2.2, 9);
+        expect(d.correlation).toBeGreaterThan(0.99);
+        expect(d.stdError).toBeLessThan(d.independentStdError);
+        expect(d.ci[0]).toBeLessThan(2.2);
+        expect(d.ci[1]).toBeGreaterThan(2.2);
+    });
+});
+
+// ━━━━━━━━━ Quantile Sketch ━━━━━━━━━
+describe('Streaming Quantile Sketch (DS-002)', () => {
+    it('is exact on small samples and stays bounded and accurate on long streams', () => {
+        const small = new QuantileSketch();
+        [5, 1, 4, 2, 3].forEach(x => small.add(x));
+        expect(small.band()).toEqual({ p5: 1, p25: 1.75, p50: 3, p75: 4.25, p95: 5 });
+        small.add(NaN);
+        expect(small.count).toBe(5);
+        expect(new QuantileSketch().quantile(0.5)).toBeNaN();
+
+        const rng = new PRNG(1);
+        const sketch = new QuantileSketch(100);
+        const values = [];
+        for (let i = 0; i < 50000; i++) {
+            const x = -Math.log(1 - rng.next());
+            values.push(x);
+            sketch.add(x);
+        }
+        values.sort((a, b) => a - b);
+        expect(sketch.size).toBeLessThanOrEqual(100);
+        for (const q of [0.05, 0.25, 0.5, 0.75, 0.95]) {
+            const exact = values[Math.floor(q * values.length)];
+            expect(Math.abs(sketch.quantile(q) - exact)).toBeLessThan(0.01);
+        }
+        expect(sketch.quantile(0)).toBe(values[0]);
+        expect(sketch.quantile(1)).toBe(values[values.length - 1]);
+    });
+});
+
+// ━━━━━━━━━ Scenario Discovery ━━━━━━━━━
+describe('Scenario Discovery (DS-001)', () => {
+    it('finds the input box where losses concentrate', () => {
+        const rng = new PRNG(17);
+        const rawResults = Array.from({ length: 600 }, () => {
+            const cut = rng.next() * 0.3;
+            const demand = 0.5 + rng.next();
+            const noise = rng.next();
+            const loss = (cut > 0.18 && demand < 0.9) ? noise < 0.9 : noise < 0.05;
+            return { netProfit: loss ? -1000 : 1000, scenarioInputs: { cut, demand, unused: 1 } };
+        });
+
+        const result = discoverScenarios(rawResults, {
+            labels: { cut: 'Recorte de precio B', demand: 'Multiplicador de demanda' },
+        });
+        const box = result.boxes[0];
+        const byInput = Object.fromEntries(box.restrictions.map(r => [r.input, r]));
+
+        expect(Object.keys(byInput).sort()).toEqual(['cut', 'demand']);
+        expect(byInput.cut.lower).toBeGreaterThan(0.15);
+        expect(byInput.demand.upper).toBeLessThan(0.95);
+        expect(box.density).toBeGreaterThan(0.75);
+        expect(box.coverage).toBeGreaterThan(0.5);
+        expect(box.lift).toBeGreaterThan(2);
+        expect(box.rule).toMatch(/^Recorte de precio B > .* Y Multiplicador de demanda < .* → \d+% tasa de pérdida$/);
+    });
+
+    it('returns no boxes when the outcome never or always happens', () => {
+        const rawResults = [1, 2, 3].map(v => ({ netProfit: v, unsoldPct: 50, scenarioInputs: { x: v } }));
+        expect(discoverScenarios(rawResults).boxes).toEqual([]);
+        expect(discoverScenarios(rawResults, { outcome: { kpi: 'unsoldPct', op: '>', value: 25 } }).baseRate).toBe(1);
+    });
+});
+
+// ━━━━━━━━━ Backtesting ━━━━━━━━━
+describe('Backtesting (DS-007)', () => {
+    it('CRPS matches the closed forms for a point forecast and a two-point ensemble', () => {
+        expect(crps([5, 5, 5], 8)).toBeCloseTo(3, 10);
+        // E|X − 0| = 1, ½E|X − X'| = ½ · ½ · 2
+        expect(crps([0, 2], 0)).toBeCloseTo(0.5, 10);
+    });
+
+    it('scores coverage, MAPE and bias of an over-forecasting model', () => {
+        const rng = new PRNG(3);
+        // Forecast ~ U(90, 130) each week; actual sales sit around 100, one week well below
+        const rawResults = Array.from({ length: 400 }, () => ({
+            weeklyMetrics: Array.from({ length: 6 }, () => ({ unitsSold: 90 + 40 * rng.next(), inventory: 500 })),
+        }));
+        const actuals = { weeks: [1, 2, 3, 4, 5, 6], unitsSold: [103, 85, 105, 108, 96, 102], inventory: [500, null, 500, 500, 500, 500] };
+
+        const score = scoreBacktest(rawResults, actuals);
+        const sales = score.series.unitsSold;
+        expect(sales.perWeek).toHaveLength(6);
+        expect(sales.mape).toBeGreaterThan(8);
+        expect(sales.bias.relativeBias).toBeGreaterThan(5);
+        expect(sales.bias.overForecastShare).toBe(1);
+        expect(sales.bias.meanPIT).toBeLessThan(0.5);
+        // 90% interval ≈ [92, 128] misses week 2; 50% ≈ [100, 120] also misses week 5
+        expect(sales.coverage.find(c => c.level === 0.9).rate).toBeCloseTo(5 / 6, 10);
+        expect(sales.coverage.find(c => c.level === 0.5).rate).toBeCloseTo(4 / 6, 10);
+        // Empty inventory cells are skipped
+        expect(score.series.inventory.perWeek).toHaveLength(5);
+        expect(score.series.price).toBeUndefined();
+
+        const history = summarizeBacktestHistory([{ summary: summarizeBacktest(score) }, { summary: summarizeBacktest(score) }]);
+        expect(history.launches).toBe(2);
+        expect(history.coverage.map(c => c.level)).toEqual([0.5, 0.8, 0.9]);
+        expect(history.meanMAPE).toBeCloseTo(sales.mape, 10);
+    });
+});
+
 // ━━━━━━━━━ Statistics ━━━━━━━━━
 describe('Statistics (SCOUT-006)', () => {
     it('computes linear regression', () => {
@@ -229,6 +603,81 @@ describe('Online Linear Regression (AI-004)', () => {
     });
 });
 
+// ━━━━━━━━━ RL Replay Learning ━━━━━━━━━
+describe('RL Replay Learning (AI-002)', () => {
+    it('buckets feature vectors into tabular state keys', () => {
+        const features = [0.1, 0.5, 0.99, 0.2, 0.75, 0, 0, 0, 0, 0, 0, 1];
+        expect(discretizeRLState(features)).toBe('0|2|3|3|3');
+        expect(discretizeRLState(features, 2)).toBe('0|1|1|1|1');
+    });
+
+    it('moves Q toward the reward and reprioritizes replayed transitions', () => {
+        const actions = [{ id: 'hold' }, { id: 'cut' }];
+        const replay = new ReplayBuffer(10, true);
+        const state = Array(12).fill(0.5);
+        replay.push(state, 1, 2, state, true);
+        const qTable = new Map();
+        const rng = new PRNG(3);
+
+        const td = learnFromReplay(qTable, replay, actions, { batchSize: 1, alpha: 0.5, rng });
+        expect(td).toBe(2);
+        expect(qTable.get('2|2|2|2|2:cut')).toBe(1);
+        expect(replay.priorities[0]).toBeCloseTo(Math.pow(2, 0.6), 5);
+
+        learnFromReplay(qTable, replay, actions, { batchSize: 1, alpha: 0.5, rng });
+        expect(qTable.get('2|2|2|2|2:cut')).toBe(1.5);
+        expect(qTable.has('2|2|2|2|2:hold')).toBe(false);
+    });
+});
+
+// ━━━━━━━━━ Q-Network ━━━━━━━━━
+describe('Q-Network (AI-002)', () => {
+    it('fits a nonlinear Q-function of a continuous state', () => {
+        const net = new QNetwork({ inputSize: 2, outputSize: 2, hiddenSize: 16, learningRate: 0.05, seed: 1 });
+        const rng = new PRNG(5);
+        // Action 0 pays |x₀ − x₁|, action 1 pays x₀ + x₁ − 1
+        const sample = () => {
+            const input = [rng.next(), rng.next()];
+            const action = rng.next() < 0.5 ? 0 : 1;
+            const target = action === 0 ? Math.abs(input[0] - input[1]) : input[0] + input[1] - 1;
+            return { input, action, target };
+        };
+        const mse = (samples) => samples.reduce((s, t) => s + (net.predict(t.input)[t.action] - t.target) ** 2, 0) / samples.length;
+        const holdout = Array.from({ length: 200 }, sample);
+        const before = mse(holdout);
+        for (let step = 0; step < 3000; step++) net.train(Array.from({ length: 16 }, sample));
+        expect(mse(holdout)).toBeLessThan(before / 5);
+        expect(mse(holdout)).toBeLessThan(0.01);
+        expect(net.steps).toBe(3000);
+    });
+
+    it('learns from replay minibatches and round-trips through JSON', () => {
+        const net = new QNetwork({ inputSize: 12, outputSize: 3, hiddenSize: 8, learningRate: 0.1, seed: 2 });
+        const target = net.clone();
+        const replay = new ReplayBuffer(10, true);
+        const state = Array(12).fill(0.5);
+        replay.push(state, 1, 0.8, state, true);
+        const rng = new PRNG(3);
+
+        const firstTD = learnQNetworkFromReplay(net, target, replay, { batchSize: 4, rng });
+        expect(replay.priorities[0]).toBeCloseTo(Math.pow(firstTD, 0.6), 5);
+        for (let i = 0; i < 300; i++) learnQNetworkFromReplay(net, target, replay, { batchSize: 4, rng });
+        expect(net.predict(state)[1]).toBeCloseTo(0.8, 2);
+        // Target network only moves when synced
+        expect(target.predict(state)[1]).not.toBeCloseTo(0.8, 2);
+        target.copyFrom(net);
+        expect(target.predict(state)).toEqual(net.predict(state));
+
+        const restored = QNetwork.fromJSON(JSON.parse(JSON.stringify(net)));
+        expect(restored.predict(state)).toEqual(net.predict(state));
+        expect(restored.parameterCount).toBe(12 * 8 + 8 + 8 * 3 + 3);
+
+        const linear = new QNetwork({ inputSize: 12, outputSize: 3, hiddenSize: 0 });
+        expect(linear.parameterCount).toBe(12 * 3 + 3);
+        expect(learnQNetworkFromReplay(linear, linear.clone(), new ReplayBuffer(4), {})).toBe(0);
+    });
+});
+
 // ━━━━━━━━━ Distribution Fitting ━━━━━━━━━
 describe('Distribution Fitting (DS-006)', () => {
     it('parses CSV', () => {
@@ -5,8 +5,20 @@
 import { describe, it, expect } from 'vitest';
 import { NGC, CompetitorProfile, ExpertBelief } from '../engine/ngc.js';
 import { MonteCarloEngine } from '../engine/montecarlo.js';
+import { WorkerPool } from '../engine/worker-pool.js';
+import { createBatchRunner } from '../engine/mc-worker.js';
 import { RiskEngine } from '../engine/risk.js';
 import { Optimizer } from '../engine/optimizer.js';
+import { runSobolAnalysis } from '../engine/sensitivity.js';
+import { generateTornadoData } from '../engine/tornado.js';
+import { discoverScenarios, describeScenarioInputs } from '../engine/scenario-discovery.js';
+import { parseActuals, calibrateFromActuals, applyCalibration } from '../engine/calibration.js';
+import { runBacktest } from '../engine/backtest.js';
+import { applyStress, runStressTests, reverseStressTest, STRESS_SCENARIOS } from '../engine/stress-test.js';
+import { trainCompetitorPolicies, policyAgentConfig } from '../engine/rl-training.js';
+import { DEFAULT_SEGMENTS } from '../engine/agents-customer.js';
+import { createCompetitorAgent, DQNCompetitor, CommittedPriceCompetitor } from '../engine/agents-competitor.js';
+import { estimatePricingEquilibrium } from '../engine/pricing-game.js';
 import {
     NormalDistribution,
     TriangularDistribution,
@@ -124,6 +136,28 @@ describe('Full Simulation Pipeline (QA-004)', () => {
         expect(results.weeklyAvg[0]).toHaveProperty('unitsSold');
         expect(results.weeklyAvg[0]).toHaveProperty('inventory');
         expect(results.weeklyAvg[0]).toHaveProperty('revenue');
+        expect(results.weeklyAvg[0].competitorPrices).toHaveLength(1);
+        expect(results.weeklyAvg[0].effectiveCOGS).toBeGreaterThan(0);
+
+        // Percentile bands of every weekly metric, nested ones keeping their shape
+        expect(results.weeklyBands).toHaveLength(8);
+        for (const week of results.weeklyBands) {
+            for (const key of ['unitsSold', 'inventory', 'revenue', 'ourPrice', 'effectiveCOGS', 'subscribers']) {
+                const b = week[key];
+                expect(b.p5).toBeLessThanOrEqual(b.p25);
+                expect(b.p25).toBeLessThanOrEqual(b.p50);
+                expect(b.p50).toBeLessThanOrEqual(b.p75);
+                expect(b.p75).toBeLessThanOrEqual(b.p95);
+            }
+            expect(week.competitorPrices).toHaveLength(1);
+            expect(week.competitorPrices[0]).toHaveProperty('p95');
+        }
+        // Ten runs: the sketch is exact, so the median is an order statistic midpoint
+        const lastWeek = results.rawResults.map(r => r.weeklyMetrics[7].inventory).sort((a, b) => a - b);
+        expect(results.weeklyBands[7].inventory.p50).toBeCloseTo((lastWeek[4] + lastWeek[5]) / 2, 6);
+        // The sketches were fed as runs came in: bands survive dropping the stored weekly metrics
+        for (const r of mc.results) r.weeklyMetrics = [];
+        expect(mc._weeklyBands()).toEqual(results.weeklyBands);
     });
 
     it('risk analysis produces valid VaR/CVaR', async () => {
@@ -176,6 +210,528 @@ describe('Full Simulation Pipeline (QA-004)', () => {
         expect(contingency.length).toBeGreaterThan(0);
     });
 
+    it('searches stock levels by simulation with common random numbers', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'], vertical: 'electronics' },
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 5000,
+            iterations: 8,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const pilotResults = await new MonteCarloEngine().run(config);
+        const opt = await Optimizer.optimizeInventory(config, { pilotResults, gridSize: 6 });
+
+        expect(opt.curve.length).toBeGreaterThanOrEqual(6);
+        const profits = opt.curve.map(p => p.expectedProfit);
+        expect(opt.profitMaximizing.expectedProfit).toBe(Math.max(...profits));
+        expect(opt.cvarConstrained.cvar).toBeLessThanOrEqual(opt.cvarConstrained.expectedProfit);
+        // Overstocking past demand only adds unsold units and holding cost
+        const top = opt.curve[opt.curve.length - 1];
+        expect(top.unsoldUnits).toBeGreaterThan(opt.curve[0].unsoldUnits);
+        expect(top.expectedProfit).toBeLessThan(opt.profitMaximizing.expectedProfit);
+        expect(opt.curve[0].fillRate).toBeLessThan(top.fillRate);
+
+        // Same seed for every candidate → re-evaluating a level reproduces it exactly
+        const again = await Optimizer.optimizeInventory(config, { pilotResults, candidates: [opt.profitMaximizing.stock], refine: false });
+        expect(again.curve[0].expectedProfit).toBe(opt.profitMaximizing.expectedProfit);
+
+        // A cancelled runner (null results) ends the search with an error, not a TypeError
+        await expect(Optimizer.optimizeInventory(config, { pilotResults, candidates: [100], runner: async () => null }))
+            .rejects.toThrow('Inventory search stopped');
+    });
+
+    it('builds a Pareto front of launch plans on common random numbers', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 20000, qualityIndex: 0.7, channels: ['online'], vertical: 'electronics' },
+            populationConfig: { totalCustomers: 200 },
+            initialInventory: 1500,
+            iterations: 4,
+            timeHorizonWeeks: 6,
+            seed: 42,
+        };
+        const progress = [];
+        const opt = await Optimizer.optimizeLaunchPlan(config, {
+            populationSize: 6,
+            generations: 2,
+            onProgress: (p) => progress.push(p),
+        });
+
+        expect(opt.front.length).toBeGreaterThan(0);
+        expect(opt.history.map(h => h.generation)).toEqual([1, 2]);
+        expect(progress[progress.length - 1].evaluated).toBe(opt.evaluated);
+        const { bounds } = opt.settings;
+        for (const plan of opt.front) {
+            expect(plan.basePrice).toBeGreaterThanOrEqual(bounds.basePrice[0]);
+            expect(plan.basePrice).toBeLessThanOrEqual(bounds.basePrice[1]);
+            expect(Number.isInteger(plan.initialInventory)).toBe(true);
+            expect(plan.channels.length).toBeGreaterThan(0);
+            expect(Object.values(plan.marketingMix).reduce((s, v) => s + v, 0)).toBeCloseTo(1, 2);
+            // No plan on the front is beaten on all three objectives by another
+            for (const other of opt.front) {
+                const better = other.expectedProfit >= plan.expectedProfit && other.cvarLoss <= plan.cvarLoss && other.unsoldPct <= plan.unsoldPct;
+                const strictly = other.expectedProfit > plan.expectedProfit || other.cvarLoss < plan.cvarLoss || other.unsoldPct < plan.unsoldPct;
+                expect(better && strictly).toBe(false);
+            }
+        }
+        // The current plan seeds the search, so the front reaches at least its profit
+        expect(opt.front[0].expectedProfit).toBeGreaterThanOrEqual(opt.current.expectedProfit);
+
+        // Same seeds → re-running a front plan reproduces its score
+        const plan = opt.front[0];
+        const rerun = await new MonteCarloEngine().run({
+            ...config,
+            offerConfig: { ...config.offerConfig, basePrice: plan.basePrice, marketingBudget: plan.marketingBudget, marketingMix: plan.marketingMix, channels: plan.channels },
+            initialInventory: plan.initialInventory,
+        });
+        expect(rerun.netProfit.mean).toBeCloseTo(plan.expectedProfit, 6);
+    });
+
+    it('calibrates purchase probabilities to observed weekly sales (ABC)', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 3000 },
+            initialInventory: 5000,
+            iterations: 4,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        };
+        // "Actuals" from the same market with 2.5× the assumed purchase probabilities
+        const truth = await new MonteCarloEngine().run({
+            ...config,
+            seed: 7,
+            iterations: 1,
+            populationConfig: {
+                totalCustomers: 3000,
+                segments: DEFAULT_SEGMENTS.map(s => ({ ...s, purchaseProb: s.purchaseProb.map(p => p * 2.5) })),
+            },
+        });
+        // Rows out of order, Spanish headers
+        const rows = truth.rawResults[0].weeklyMetrics.slice(0, 6).map((m, i) => `${i + 1},${m.unitsSold}`);
+        const actuals = parseActuals('Semana,Ventas\n' + rows.reverse().join('\n'));
+        expect(actuals.weeks).toEqual([1, 2, 3, 4, 5, 6]);
+
+        const calibration = await calibrateFromActuals(config, actuals, { particles: 24, rounds: 2, iterations: 1, validationIterations: 8 });
+
+        const scale = calibration.parameters.find(p => p.key === 'segments.purchaseProb');
+        expect(scale.posterior.p50).toBeGreaterThan(1.5);
+        expect(calibration.fit.posteriorDistance).toBeLessThan(calibration.fit.priorDistance);
+        expect(calibration.rounds[1].epsilon).toBeLessThanOrEqual(calibration.rounds[0].epsilon);
+        expect(calibration.particles.reduce((s, p) => s + p.weight, 0)).toBeCloseTo(1, 10);
+        expect(calibration.segments[0].purchaseProb[0]).toBeCloseTo(DEFAULT_SEGMENTS[0].purchaseProb[0] * scale.posterior.p50, 10);
+
+        // Posteriors become truncated normals on a copy of the NGC
+        const cogs = calibration.parameters.find(p => p.key === 'competitor.comp-1.cogs');
+        expect(cogs.distribution.type).toBe('truncated_normal');
+        const calibrated = applyCalibration(config, calibration);
+        expect(calibrated.ngc.getCompetitor('comp-1').cogsDistribution.type).toBe('truncated_normal');
+        expect(config.ngc.getCompetitor('comp-1').cogsDistribution.type).toBe('triangular');
+        expect(calibrated.populationConfig.segments).toBe(calibration.segments);
+
+        expect(() => parseActuals('week,price\n1,10')).toThrow(/sales column/);
+        // Weeks numbered from 0 line up with the simulated weeks 1…n
+        expect(parseActuals('week,units\n0,5\n1,7').weeks).toEqual([1, 2]);
+        expect(() => parseActuals('week,units\n1.5,5')).toThrow(/whole numbers/);
+    });
+
+    it('backtests a saved scenario against actual sales, inventory and prices', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 1000 },
+            initialInventory: 5000,
+            iterations: 20,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        };
+        const csv = 'week,units,inventory,price\n'
+            + [[1, 6, 4994, 120], [2, 4, 4990, 120], [3, 3, 4987, 99], [4, 5, 4982, 99], [5, 2, 4980, '']]
+                .map(r => r.join(',')).join('\n');
+        const actuals = parseActuals(csv);
+        expect(actuals.price).toEqual([120, 120, 99, 99, null]);
+
+        let rawResults = null;
+        const backtest = await runBacktest(config, actuals, {
+            runner: async (c) => {
+                const results = await new MonteCarloEngine().run(c);
+                rawResults = results.rawResults;
+                return results;
+            },
+        });
+
+        expect(backtest.pricesReplayed).toBe(true);
+        expect(rawResults.every(r => r.weeklyMetrics[2].ourPrice === 99 && r.weeklyMetrics[4].ourPrice === 99)).toBe(true);
+        expect(Object.keys(backtest.series).sort()).toEqual(['inventory', 'unitsSold']);
+        const sales = backtest.series.unitsSold;
+        expect(sales.perWeek.map(w => w.week)).toEqual([1, 2, 3, 4, 5]);
+        expect(sales.coverage.map(c => c.level)).toEqual([0.5, 0.8, 0.9]);
+        expect(sales.crps).toBeGreaterThanOrEqual(0);
+        expect(Number.isFinite(sales.mape)).toBe(true);
+
+        // Without replay, the scenario's own price path is scored too
+        const open = await runBacktest(config, actuals, { replayPrices: false, iterations: 5 });
+        expect(open.series.price.perWeek[0].mean).toBe(120);
+        expect(open.series.price.perWeek).toHaveLength(4);
+    });
+
+    it('ranks stress scenarios and finds the severity that breaks P50 profit', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 3000,
+            iterations: 40,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        };
+        const byId = (id) => STRESS_SCENARIOS.find(s => s.id === id);
+
+        // Levers land on a copy of the config
+        const stressed = applyStress(config, byId('perfect_storm'), 2);
+        expect(stressed.offerConfig.cogs).toBeCloseTo(52);
+        expect(stressed.shocks).toEqual([{ type: 'ECONOMIC_CRISIS', startWeek: 0, severity: 2 }]);
+        expect(stressed.scenarioOverrides.competitorMultipliers.sampledCOGS).toBeCloseTo(0.7);
+        expect(stressed.scenarioOverrides.competitorMultipliers.sampledMarketingBudget).toBeCloseTo(1.5);
+        expect(config.offerConfig.cogs).toBe(40);
+        expect(config.shocks).toBeUndefined();
+
+        // A price war lowers competitors' cost basis, and with it their prices
+        const quick = { ...config, iterations: 2, precision: null };
+        const calm = await new MonteCarloEngine().run(quick);
+        const war = await new MonteCarloEngine().run(applyStress(quick, byId('price_war')));
+        expect(war.rawResults[0].weeklyMetrics[0].competitorPrices[0]).toBeLessThan(calm.rawResults[0].weeklyMetrics[0].competitorPrices[0]);
+
+        const seen = [];
+        const report = await runStressTests(config, {
+            scenarios: [byId('price_war'), byId('cogs_spike')],
+            reverse: false,
+            runner: async (c) => {
+                seen.push(c);
+                return new MonteCarloEngine().run(c);
+            },
+        });
+
+        expect(report.settings.iterations).toBe(40);
+        expect(seen.every(c => c.iterations === 40 && c.precision === null)).toBe(true);
+        expect(report.results.map(r => r.rank)).toEqual([1, 2]);
+        expect(report.results[0].deltas.netProfitP50.abs).toBeLessThanOrEqual(report.results[1].deltas.netProfitP50.abs);
+        const cogs = report.results.find(r => r.id === 'cogs_spike');
+        expect(cogs.kpis.netProfitP50).toBeLessThan(report.baseline.netProfitP50);
+        expect(cogs.levers).toEqual(['COGS +35%']);
+
+        expect(report.reverse).toBeNull();
+
+        // Reverse stress: P50 profit falls linearly with the combined shock's COGS lever, crossing zero at severity 1.45
+        const fakeRun = async (c) => {
+            const severity = (c.offerConfig.cogs / 40 - 1) / 0.2;
+            const profit = 1000 * (1.45 - severity);
+            return {
+                netProfit: { p50: profit, mean: profit, p5: profit },
+                revenue: { mean: 0 }, sales: { mean: 0 }, roi: { mean: 0 }, unsoldPct: { mean: 0 },
+                rawResults: [{ netProfit: profit }],
+            };
+        };
+        const reverse = await reverseStressTest(config, { maxSeverity: 4, tolerance: 0.01, runner: fakeRun });
+        expect(reverse.found).toBe(true);
+        expect(reverse.alreadyNegative).toBe(false);
+        expect(reverse.severity).toBeGreaterThan(1.45);
+        expect(reverse.severity).toBeLessThan(1.47);
+        expect(reverse.kpis.netProfitP50).toBeLessThan(0);
+        expect(reverse.levers).toContain('COGS +29%');
+
+        const unbroken = await reverseStressTest(config, { maxSeverity: 1, runner: fakeRun });
+        expect(unbroken.found).toBe(false);
+        expect(unbroken.steps.map(st => st.severity)).toEqual([0, 1]);
+    });
+
+    it('competitors react to our price late and fight price wars reported per iteration', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: {
+                basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'], vertical: 'electronics',
+                // We drop below every rival's base price in week 6
+                repricing: { type: 'schedule', prices: [...Array(6).fill(120), ...Array(6).fill(40)] },
+            },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 4,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const rivalPrices = async (competitorBehavior) => (await new MonteCarloEngine().run({ ...config, competitorBehavior }))
+            .rawResults.map(r => r.weeklyMetrics.map(m => m.competitorPrices[0]));
+
+        const calm = { observationNoise: 0, priceWarProbability: 0 };
+        const instant = await rivalPrices({ ...calm, reactionSpeed: 0 });
+        const lagged = await rivalPrices({ ...calm, reactionSpeed: 3 });
+        for (let i = 0; i < 4; i++) {
+            expect(instant[i][6]).toBeLessThan(instant[i][5]);
+            expect(lagged[i][6]).toBe(lagged[i][5]);
+            expect(lagged[i][8]).toBe(lagged[i][5]);
+            expect(lagged[i][9]).toBeLessThan(lagged[i][8]);
+        }
+
+        // Priced under every rival, the market is provoked every week: back-to-back 4-week wars
+        const undercut = { ...config, offerConfig: { ...config.offerConfig, basePrice: 40, repricing: null } };
+        const peace = await new MonteCarloEngine().run({ ...undercut, competitorBehavior: { priceWarProbability: 0 } });
+        const war = await new MonteCarloEngine().run({ ...undercut, competitorBehavior: { priceWarProbability: 1, priceWarWeeks: [4, 4] } });
+        for (const r of war.rawResults) {
+            expect(r.priceWars.map(e => [e.startWeek, e.weeks, e.trigger])).toEqual([[0, 4, 'our_undercut'], [4, 4, 'our_undercut'], [8, 4, 'our_undercut']]);
+            expect(r.priceWars[0].maxDepth).toBeCloseTo(0.16, 10);
+            expect(r.priceWarWeeks).toBe(12);
+            expect(r.weeklyMetrics.slice(0, 4).map(m => m.priceWarDepth)).toEqual([0.04, 0.08, 0.12, 0.16]);
+        }
+        // Same sampled rival before any reaction: the war cuts its base price
+        war.rawResults.forEach((r, i) => {
+            expect(r.weeklyMetrics[0].competitorPrices[0]).toBeCloseTo(peace.rawResults[i].weeklyMetrics[0].competitorPrices[0] * 0.96, 6);
+        });
+        expect(war.priceWars.probability).toBe(1);
+        expect(war.priceWars.episodes.mean).toBe(3);
+        expect(war.priceWars.byTrigger).toEqual({ our_undercut: 12 });
+        expect(peace.priceWars.probability).toBe(0);
+        expect(peace.priceWars.maxDepth).toBeNull();
+        expect(peace.rawResults.every(r => r.priceWars.length === 0 && r.priceWarWeeks === 0)).toBe(true);
+    });
+
+    it('spawns entrants and retires competitors inside the weekly loop', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'], vertical: 'electronics' },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 6,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const fixed = await new MonteCarloEngine().run(config);
+        expect(fixed.competitorTurnover).toBeNull();
+        expect(fixed.rawResults.every(r => r.competitorTurnover === null && r.competitorEvents.length === 0)).toBe(true);
+
+        // Every share counts as too low: the rival leaves once past its first weeks
+        const shakeOut = await new MonteCarloEngine().run({ ...config, competitorDynamics: { entry: false, minShareThreshold: 1 } });
+        for (const r of shakeOut.rawResults) {
+            const [exit] = r.competitorEvents;
+            expect(r.competitorEvents).toHaveLength(1);
+            expect(exit).toMatchObject({ type: 'exit', id: 'comp-1', name: 'Rival Corp' });
+            expect(exit.week).toBeGreaterThanOrEqual(4);
+            const atExit = r.weeklyMetrics[exit.week];
+            expect(atExit).toMatchObject({ competitorExits: 1, activeCompetitors: 0, customersReleased: exit.customersReleased });
+            expect(atExit.competitorEvents).toEqual([exit]);
+            for (const m of r.weeklyMetrics.slice(exit.week)) {
+                expect(m.competitorPrices).toEqual([null]);
+                expect(m.competitorSales).toEqual({});
+            }
+            expect(r.weeklyMetrics[exit.week - 1].activeCompetitors).toBe(1);
+            // The rival's sales up to its exit stay in the results
+            expect(r.competitorResults['comp-1'].unitsSold).toBeGreaterThan(0);
+            expect(r.competitorTurnover).toMatchObject({ entries: 0, exits: 1, activeAtEnd: 0, customersReleased: exit.customersReleased });
+        }
+        expect(shakeOut.rawResults.some(r => r.competitorTurnover.customersReleased > 0)).toBe(true);
+        expect(shakeOut.competitorTurnover).toMatchObject({ entryProbability: 0, exitProbability: 1, exitReasons: { participación_baja: 6 } });
+        expect(shakeOut.weeklyAvg[11].activeCompetitors).toBe(0);
+
+        // Fat margins draw entrants that play as real agents from their entry week
+        const open = await new MonteCarloEngine().run({ ...config, iterations: 10, timeHorizonWeeks: 26, competitorDynamics: { exit: false } });
+        const entries = open.rawResults.flatMap(r => r.competitorEvents);
+        expect(entries.length).toBeGreaterThan(0);
+        for (const r of open.rawResults) {
+            r.competitorEvents.forEach((e, i) => {
+                expect(e).toMatchObject({ type: 'entry', id: `entrant-${i + 1}`, agentType: 'ml', reason: 'márgenes_atractivos' });
+                expect(r.weeklyMetrics[e.week].activeCompetitors).toBe(2 + i);
+                expect(r.weeklyMetrics[e.week - 1].activeCompetitors).toBe(1 + i);
+                expect(r.competitorResults[e.id]).toBeDefined();
+            });
+            expect(r.competitorEvents.length).toBeLessThanOrEqual(3);
+        }
+        expect(open.competitorTurnover.entries.mean).toBeCloseTo(entries.length / 10, 10);
+        expect(open.competitorTurnover.names['entrant-1']).toBe('Entrante 1');
+        expect(open.competitors['entrant-1'].unitsSold.max).toBeGreaterThan(0);
+    });
+
+    it('solves the pricing game over simulated payoffs', async () => {
+        const config = {
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'], vertical: 'electronics' },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 4,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+
+        // A committed rival holds one price all launch long, whatever we do
+        const committed = createCompetitorAgent(config.ngc.getCompetitor('comp-1'), { basePrice: 100, priceCommitment: 0.9 });
+        expect(committed).toBeInstanceOf(CommittedPriceCompetitor);
+        expect(committed.currentPrice).toBeCloseTo(90, 10);
+        const held = await new MonteCarloEngine().run({
+            ...config,
+            offerConfig: { ...config.offerConfig, basePrice: 40 },
+            competitorAgentConfig: { 'comp-1': { priceCommitment: 1 } },
+            competitorBehavior: { priceWarProbability: 0 },
+        });
+        for (const r of held.rawResults) {
+            expect(new Set(r.weeklyMetrics.map(m => m.competitorPrices[0])).size).toBe(1);
+        }
+
+        const calls = [];
+        const progress = [];
+        const runner = (c) => { calls.push(c); return new MonteCarloEngine().run(c); };
+        const game = await estimatePricingEquilibrium(config, { numOptions: 3, priceRange: 0.25, runner, onProgress: p => progress.push(p) });
+        expect(calls).toHaveLength(9);
+        expect(progress.at(-1)).toMatchObject({ completed: 9, total: 9 });
+        expect(calls.every(c => c.seed === 42 && c.iterations === 4 && c.offerConfig.repricing === null && c.competitorBehavior.priceWarProbability === 0)).toBe(true);
+        expect(calls.map(c => c.offerConfig.basePrice)).toEqual([90, 90, 90, 120, 120, 120, 150, 150, 150]);
+        expect(calls.slice(0, 3).map(c => c.competitorAgentConfig['comp-1'].priceCommitment)).toEqual([0.75, 1, 1.25]);
+
+        expect(game.method).toBe('support_enumeration');
+        expect(game.ourPriceDistribution.map(d => d.price)).toEqual([90, 120, 150]);
+        expect(game.ourPriceDistribution.reduce((s, d) => s + d.probability, 0)).toBeCloseTo(1, 10);
+        expect(game.competitorPriceDistributions['comp-1'].reduce((s, d) => s + d.probability, 0)).toBeCloseTo(1, 10);
+        // A Nash equilibrium of the simulated payoffs: no single price beats the mix for either player
+        const [ours, rival] = game.players;
+        const payoff = (i, j) => game.game.payoffs[i * 3 + j];
+        for (let i = 0; i < 3; i++) {
+            expect(rival.mix.reduce((s, q, j) => s + q * payoff(i, j)[0], 0)).toBeLessThanOrEqual(game.equilibriumProfit + 1e-6);
+            expect(ours.mix.reduce((s, p, k) => s + p * payoff(k, i)[1], 0)).toBeLessThanOrEqual(rival.expectedProfit + 1e-6);
+        }
+        expect(game.currentPlan.price).toBe(120);
+        expect(game.currentPlan.profit).toBeCloseTo(rival.mix.reduce((s, q, j) => s + q * payoff(1, j)[0], 0), 6);
+        expect(game.profitGap).toBeCloseTo(game.equilibriumProfit - game.currentPlan.profit, 6);
+        expect(game.profitGap).toBeGreaterThanOrEqual(-1e-6);
+
+        // A second rival makes it a three-player game for fictitious play
+        const ngc = buildTestNGC();
+        const second = new CompetitorProfile({ id: 'comp-2', name: 'Second Corp', type: 'equilibrium', marketShare: 0.1, constraints: { minMargin: 0.2 } });
+        second.cogsDistribution = new TriangularDistribution(35, 50, 60);
+        ngc.addCompetitor(second);
+        const three = await estimatePricingEquilibrium({ ...config, ngc, iterations: 2 }, { numOptions: 3, fictitiousPlayIterations: 300 });
+        expect(three.method).toBe('fictitious_play');
+        expect(three.game.payoffs).toHaveLength(27);
+        expect(three.players.map(p => p.id)).toEqual(['ours', 'comp-1', 'comp-2']);
+        expect(three.epsilon).toBeGreaterThanOrEqual(0);
+        expect(three.players.every(p => Math.abs(p.mix.reduce((s, v) => s + v, 0) - 1) < 1e-9)).toBe(true);
+    });
+
+    it('trains RL competitors by self-play and loads them as frozen policies', async () => {
+        const ngc = buildTestNGC();
+        ngc.addCompetitor(new CompetitorProfile({
+            id: 'rl-1',
+            name: 'Adaptive Rival',
+            type: 'rl',
+            aggressiveness: 0.8,
+            marketShare: 0.3,
+            constraints: { minMargin: 0.1, maxMarketingBudget: 200000, maxPriceReduction: 0.3 },
+        }));
+        ngc.getCompetitor('rl-1').cogsDistribution = new TriangularDistribution(35, 45, 55);
+        const config = {
+            ngc,
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 6,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        };
+
+        const progress = [];
+        const training = await trainCompetitorPolicies(config, {
+            episodes: 12,
+            batchSize: 16,
+            onProgress: (p) => progress.push(p),
+        });
+
+        // Only the RL competitor is trained; it learns from replay over extractRLState keys
+        expect(Object.keys(training.policies)).toEqual(['rl-1']);
+        const policy = training.policies['rl-1'];
+        expect(policy.stateMode).toBe('features');
+        expect(policy.states).toBeGreaterThan(1);
+        expect(policy.qTable.length).toBeGreaterThan(policy.states);
+        expect(policy.qTable.every(([key]) => /^(\d\|){4}\d:\w+$/.test(key))).toBe(true);
+        expect(training.curve).toHaveLength(12);
+        expect(training.curve[0].epsilon).toBeCloseTo(0.5);
+        expect(training.curve[11].epsilon).toBeCloseTo(0.05);
+        expect(training.summary.competitors[0].replaySize).toBe(12 * 8);
+        expect(progress.map(p => p.completed)).toEqual([...Array(12)].map((_, i) => i + 1));
+
+        // Persisted as plain JSON (IndexedDB) and loaded into normal runs, frozen
+        const stored = JSON.parse(JSON.stringify(training.policies));
+        const agentConfig = policyAgentConfig(stored, ngc);
+        expect(Object.keys(agentConfig)).toEqual(['rl-1']);
+        const tableBefore = JSON.stringify(stored['rl-1'].qTable);
+        const hardened = await new MonteCarloEngine().run({ ...config, competitorAgentConfig: agentConfig });
+        const again = await new MonteCarloEngine().run({ ...config, competitorAgentConfig: policyAgentConfig(training.policies, ngc) });
+        expect(JSON.stringify(stored['rl-1'].qTable)).toBe(tableBefore);
+        expect(hardened.rawResults.map(r => r.netProfit)).toEqual(again.rawResults.map(r => r.netProfit));
+
+        // A trained policy plays greedily: no exploration, so prices follow the Q-table
+        const untrained = await new MonteCarloEngine().run(config);
+        expect(hardened.rawResults.map(r => r.weeklyMetrics.map(m => m.competitorPrices[1])))
+            .not.toEqual(untrained.rawResults.map(r => r.weeklyMetrics.map(m => m.competitorPrices[1])));
+
+        // Policies for competitors that are no longer RL agents are ignored
+        ngc.getCompetitor('rl-1').type = 'rule_based';
+        expect(policyAgentConfig(stored, ngc)).toBeNull();
+        await expect(trainCompetitorPolicies(config, { episodes: 2 })).rejects.toThrow(/No RL competitors/);
+    });
+
+    it('runs a DQN competitor on the feature vector and trains its network by self-play', async () => {
+        const ngc = buildTestNGC();
+        ngc.addCompetitor(new CompetitorProfile({
+            id: 'dqn-1',
+            name: 'Neural Rival',
+            type: 'dqn',
+            aggressiveness: 0.8,
+            marketShare: 0.3,
+            constraints: { minMargin: 0.1, maxMarketingBudget: 200000, maxPriceReduction: 0.3 },
+        }));
+        ngc.getCompetitor('dqn-1').cogsDistribution = new TriangularDistribution(35, 45, 55);
+        const config = {
+            ngc,
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 4,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        };
+
+        // Selectable by type; learns online within a run, deterministically
+        const agent = createCompetitorAgent(ngc.getCompetitor('dqn-1'), { basePrice: 130 });
+        expect(agent).toBeInstanceOf(DQNCompetitor);
+        const first = await new MonteCarloEngine().run(config);
+        const second = await new MonteCarloEngine().run(config);
+        expect(first.rawResults.map(r => r.netProfit)).toEqual(second.rawResults.map(r => r.netProfit));
+
+        const training = await trainCompetitorPolicies(config, { episodes: 10, updatesPerEpisode: 4, targetUpdateEvery: 8 });
+        const policy = training.policies['dqn-1'];
+        expect(policy.kind).toBe('dqn');
+        expect(policy.qTable).toBeUndefined();
+        expect(policy.network.inputSize).toBe(12);
+        expect(policy.network.outputSize).toBe(agent.actions.length);
+        expect(policy.network.steps).toBe(40);
+        expect(training.summary.competitors[0].parameters).toBe(policy.parameters);
+        expect(training.summary.competitors[0].replaySize).toBe(10 * 8);
+
+        // Loaded frozen from plain JSON: greedy on the network, identical across loads
+        const stored = JSON.parse(JSON.stringify(training.policies));
+        const agentConfig = policyAgentConfig(stored, ngc);
+        expect(Object.keys(agentConfig)).toEqual(['dqn-1']);
+        const frozen = createCompetitorAgent(ngc.getCompetitor('dqn-1'), agentConfig['dqn-1']);
+        expect(frozen.frozen).toBe(true);
+        expect(frozen.epsilon).toBe(0);
+        const hardened = await new MonteCarloEngine().run({ ...config, competitorAgentConfig: agentConfig });
+        const again = await new MonteCarloEngine().run({ ...config, competitorAgentConfig: policyAgentConfig(training.policies, ngc) });
+        expect(hardened.rawResults.map(r => r.netProfit)).toEqual(again.rawResults.map(r => r.netProfit));
+        expect(JSON.stringify(stored['dqn-1'].network)).toBe(JSON.stringify(training.policies['dqn-1'].network));
+
+        // A network policy only drives a DQN competitor
+        ngc.getCompetitor('dqn-1').type = 'rl';
+        expect(policyAgentConfig(stored, ngc)).toBeNull();
+    });
+
     it('deterministic: same seed → same results', async () => {
         const config = {
             ngc: buildTestNGC(),
@@ -219,4 +775,547 @@ describe('Full Simulation Pipeline (QA-004)', () => {
         // Should have completed fewer than all 1000 iterations
         expect(result.iterations).toBeLessThan(1000);
     });
+
+    it('routes sales to offer channels and deducts channel fees', async () => {
+        const mc = new MonteCarloEngine();
+
+        const results = await mc.run({
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online', 'marketplace'], vertical: 'electronics' },
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 5000,
+            iterations: 10,
+            timeHorizonWeeks: 8,
+            seed: 42,
+        });
+
+        // Only the offer's channels receive sales
+        expect(Object.keys(results.channels).sort()).toEqual(['marketplace', 'online']);
+        const channelUnits = results.channels.online.unitsSold.mean + results.channels.marketplace.unitsSold.mean;
+        expect(channelUnits).toBeCloseTo(results.sales.mean, 6);
+
+        // Fees (and returns) reduce gross profit below revenue − COGS
+        for (const r of results.rawResults) {
+            expect(r.totalChannelFees > 0).toBe(r.totalUnitsSold > 0);
+            expect(r.grossProfit).toBeCloseTo(r.netRevenue - r.totalCost - r.totalChannelFees - r.reverseLogisticsCost, 6);
+        }
+        // Marketplace commission makes it the lower-margin channel
+        expect(results.channels.marketplace.netMarginPct).toBeLessThan(results.channels.online.netMarginPct);
+
+        expect(results.weeklyAvg[0].channels).toHaveProperty('online');
+        expect(results.weeklyAvg[0].channels.online).toHaveProperty('netProfit');
+    });
+
+    it('parallel worker run is bit-identical to the sequential run', async () => {
+        // In-process stand-in for a module worker: same message protocol, cloned payloads
+        class InProcessWorker {
+            constructor() {
+                this.onmessage = null;
+                this.runner = createBatchRunner((msg) => {
+                    setTimeout(() => this.onmessage?.({ data: structuredClone(msg) }), 0);
+                });
+            }
+            postMessage(msg) { this.runner.handle(structuredClone(msg)); }
+            terminate() { }
+        }
+
+        const config = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online', 'marketplace'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 23,
+            timeHorizonWeeks: 6,
+            seed: 99,
+        };
+
+        const sequential = new MonteCarloEngine();
+        const seqResults = await sequential.run({ ...config, ngc: buildTestNGC() });
+
+        const parallel = new MonteCarloEngine();
+        parallel.pool = new WorkerPool(3, { createWorker: () => new InProcessWorker(), batchSize: 5 });
+        parallel.pool.init();
+        const progress = [];
+        const parResults = await parallel.runParallel({ ...config, ngc: buildTestNGC() }, (p) => progress.push(p.iteration));
+
+        expect(parResults.iterations).toBe(23);
+        expect(parallel.results.map(r => r.netProfit)).toEqual(sequential.results.map(r => r.netProfit));
+        expect(parallel.results.map(r => r.totalUnitsSold)).toEqual(sequential.results.map(r => r.totalUnitsSold));
+        expect(parResults.netProfit).toEqual(seqResults.netProfit);
+        // Batches finish out of order, but the band sketches are fed in iteration order
+        expect(parResults.weeklyBands).toEqual(seqResults.weeklyBands);
+        expect(progress[progress.length - 1]).toBe(23);
+    });
+
+    it('stops adaptively at the target precision, sequentially and across workers', async () => {
+        class InProcessWorker {
+            constructor() {
+                this.onmessage = null;
+                this.runner = createBatchRunner((msg) => {
+                    setTimeout(() => this.onmessage?.({ data: structuredClone(msg) }), 0);
+                });
+            }
+            postMessage(msg) { this.runner.handle(structuredClone(msg)); }
+            terminate() { }
+        }
+
+        const config = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 60,
+            timeHorizonWeeks: 6,
+            seed: 11,
+        };
+        const precision = { targets: { netProfit: 0.05 }, confidence: 0.95, minIterations: 10, checkInterval: 5 };
+
+        const fixed = new MonteCarloEngine();
+        const fixedResults = await fixed.run({ ...config, ngc: buildTestNGC() });
+        expect(fixedResults.convergence).toBeNull();
+
+        const adaptive = new MonteCarloEngine();
+        const snapshots = [];
+        const results = await adaptive.run({ ...config, ngc: buildTestNGC(), precision }, () => { }, (s) => snapshots.push(s));
+
+        const conv = results.convergence;
+        expect(conv.converged).toBe(true);
+        expect(conv.iterations).toBe(results.iterations);
+        expect(conv.iterations).toBeLessThan(60);
+        expect(conv.iterations % 5).toBe(0);
+        expect(conv.precision.netProfit.relativePrecision).toBeLessThanOrEqual(0.05);
+        expect(snapshots[snapshots.length - 1].iteration).toBe(conv.iterations);
+        expect(snapshots[snapshots.length - 1].allConverged).toBe(true);
+        // Same seed sequence: the adaptive run is a prefix of the fixed run
+        expect(adaptive.results.map(r => r.netProfit)).toEqual(fixed.results.slice(0, conv.iterations).map(r => r.netProfit));
+
+        const parallel = new MonteCarloEngine();
+        parallel.pool = new WorkerPool(2, { createWorker: () => new InProcessWorker(), batchSize: 4 });
+        parallel.pool.init();
+        const parResults = await parallel.runParallel({ ...config, ngc: buildTestNGC(), precision });
+        expect(parResults.iterations).toBe(conv.iterations);
+        expect(parResults.netProfit).toEqual(results.netProfit);
+    });
+
+    it('applies variance reduction designs identically in workers and compares configs on CRN', async () => {
+        class InProcessWorker {
+            constructor() {
+                this.onmessage = null;
+                this.runner = createBatchRunner((msg) => {
+                    setTimeout(() => this.onmessage?.({ data: structuredClone(msg) }), 0);
+                });
+            }
+            postMessage(msg) { this.runner.handle(structuredClone(msg)); }
+            terminate() { }
+        }
+
+        const config = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 20,
+            timeHorizonWeeks: 6,
+            seed: 21,
+        };
+
+        const plain = await new MonteCarloEngine().run({ ...config, ngc: buildTestNGC() });
+        expect(plain.sampling.method).toBe('random');
+        expect(plain.sampling.kpis.netProfit.effectiveSampleSize).toBe(20);
+
+        for (const sampling of ['antithetic', 'lhs', 'sobol']) {
+            const sequential = new MonteCarloEngine();
+            const seqResults = await sequential.run({ ...config, ngc: buildTestNGC(), sampling: { method: sampling, replicates: 4 } });
+            expect(seqResults.sampling.method).toBe(sampling);
+            expect(seqResults.sampling.kpis.netProfit.effectiveSampleSize).toBeGreaterThan(0);
+            expect(sequential.results.map(r => r.netProfit)).not.toEqual(plain.rawResults.map(r => r.netProfit));
+
+            const parallel = new MonteCarloEngine();
+            parallel.pool = new WorkerPool(3, { createWorker: () => new InProcessWorker(), batchSize: 3 });
+            parallel.pool.init();
+            await parallel.runParallel({ ...config, ngc: buildTestNGC(), sampling: { method: sampling, replicates: 4 } });
+            expect(parallel.results.map(r => r.netProfit)).toEqual(sequential.results.map(r => r.netProfit));
+        }
+
+        // Common random numbers: a small price change is measured far more precisely than with independent runs
+        const comparison = await new MonteCarloEngine().compare(
+            { ...config, ngc: buildTestNGC() },
+            { ...config, ngc: buildTestNGC(), offerConfig: { ...config.offerConfig, basePrice: 122 } },
+        );
+        expect(comparison.a.netProfit.mean).toBe(plain.netProfit.mean);
+        const diff = comparison.differences.netProfit;
+        expect(diff.meanDifference).toBeCloseTo(comparison.b.netProfit.mean - comparison.a.netProfit.mean, 6);
+        expect(diff.correlation).toBeGreaterThan(0.9);
+        expect(diff.varianceReduction).toBeGreaterThan(1);
+    });
+
+    it('keeps each iteration\'s sampled inputs for scenario discovery', async () => {
+        const ngc = buildTestNGC();
+        const results = await new MonteCarloEngine().run({
+            ngc,
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 20000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 60,
+            timeHorizonWeeks: 6,
+            seed: 13,
+            shocks: [{ type: 'RECESSION', riskEventId: 'supply-disruption' }],
+        });
+
+        const inputs = results.rawResults[0].scenarioInputs;
+        expect(Object.keys(inputs).sort()).toEqual([
+            'competitor.comp-1.belief.b1', 'competitor.comp-1.cogs', 'competitor.comp-1.marketingBudget',
+            'risk.supply-disruption', 'shock.demandMultiplier',
+        ]);
+        // Shocks only fire with their risk event
+        for (const r of results.rawResults) {
+            expect(r.scenarioInputs['shock.demandMultiplier'] < 1).toBe(r.scenarioInputs['risk.supply-disruption'] !== 0);
+        }
+
+        const labels = describeScenarioInputs(ngc);
+        expect(labels['competitor.comp-1.cogs']).toBe('COGS Rival Corp');
+        const discovery = discoverScenarios(results.rawResults, {
+            outcome: { kpi: 'netProfit', op: '<', value: results.netProfit.p50, caseLabel: 'bajo la mediana' },
+            labels,
+            minSupport: 0.1,
+        });
+        expect(discovery.iterations).toBe(60);
+        expect(discovery.baseRate).toBeCloseTo(results.rawResults.filter(r => r.netProfit < results.netProfit.p50).length / 60, 10);
+        for (const box of discovery.boxes) {
+            expect(box.density).toBeGreaterThan(discovery.baseRate);
+            expect(box.coverage).toBeGreaterThan(0);
+            expect(box.rule).toContain('bajo la mediana');
+        }
+    });
+
+    it('ranks uncertainties by Sobol indices with bootstrap intervals', async () => {
+        const ngc = buildTestNGC();
+        ngc.setMacroUncertain('unusedIndex', new UniformDistribution(0, 1));
+        const config = {
+            ngc,
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 10,
+            timeHorizonWeeks: 6,
+            seed: 5,
+        };
+
+        const progress = [];
+        const sobol = await runSobolAnalysis(config, {
+            params: ['totalCustomers'],
+            samples: 16,
+            bootstrap: 50,
+            onProgress: (p) => progress.push(p.completed),
+        });
+
+        const keys = sobol.factors.map(f => f.key);
+        expect(keys).toEqual(expect.arrayContaining([
+            'macro.unusedIndex', 'competitor.comp-1.cogs', 'competitor.comp-1.marketingBudget', 'risk.supply-disruption', 'totalCustomers',
+        ]));
+        expect(sobol.runs).toBe(16 * (keys.length + 2));
+        expect(progress[progress.length - 1]).toBe(sobol.runs);
+
+        const indices = Object.fromEntries(sobol.kpis.netProfit.indices.map(ix => [ix.key, ix]));
+        // Common random numbers: a factor the model never reads has exactly zero effect
+        expect(indices['macro.unusedIndex'].first).toBe(0);
+        expect(indices['macro.unusedIndex'].total).toBe(0);
+        // ±30% market size dominates units sold
+        expect(sobol.kpis.totalUnitsSold.indices[0].key).toBe('totalCustomers');
+        for (const ix of sobol.kpis.netProfit.indices) {
+            expect(ix.totalCI[0]).toBeLessThanOrEqual(ix.totalCI[1]);
+            expect(ix.total).toBeGreaterThanOrEqual(0);
+        }
+
+        const tornado = generateTornadoData(sobol, 'netProfit');
+        expect(tornado.method).toBe('sobol');
+        expect(tornado.bars.map(b => b.key)).toEqual(sobol.kpis.netProfit.indices.map(ix => ix.key));
+        expect(tornado.bars.every(b => b.total >= b.first && b.interaction >= 0)).toBe(true);
+
+        // The chosen config factors are recorded so the view can re-select them
+        expect(sobol.settings.params).toEqual(['totalCustomers']);
+        // Same seed, same indices
+        const again = await runSobolAnalysis(config, { params: ['totalCustomers'], samples: 16, bootstrap: 50 });
+        expect(again.kpis.netProfit.indices).toEqual(sobol.kpis.netProfit.indices);
+        // Factors copy what they change: the caller's config is untouched
+        expect(config.populationConfig.totalCustomers).toBe(300);
+
+        // Shared out across a worker pool: same indices; a cancelled runner yields none
+        class InProcessWorker {
+            constructor() {
+                this.onmessage = null;
+                this.runner = createBatchRunner((msg) => {
+                    setTimeout(() => this.onmessage?.({ data: structuredClone(msg) }), 0);
+                });
+            }
+            postMessage(msg) { this.runner.handle(structuredClone(msg)); }
+            terminate() { }
+        }
+        const pooled = new MonteCarloEngine();
+        pooled.pool = new WorkerPool(3, { createWorker: () => new InProcessWorker(), batchSize: 7 });
+        pooled.pool.init();
+        const parallel = await runSobolAnalysis(config, {
+            params: ['totalCustomers'],
+            samples: 16,
+            bootstrap: 50,
+            runner: (c, variants, onProgress) => pooled.runVariants(c, variants, onProgress),
+        });
+        expect(parallel.kpis.netProfit.indices).toEqual(sobol.kpis.netProfit.indices);
+        expect(await runSobolAnalysis(config, { params: ['totalCustomers'], samples: 4, runner: async () => null })).toBeNull();
+    });
+
+    it('records in-loop repricing and leaves the fixed-price run untouched', async () => {
+        const base = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 300 },
+            initialInventory: 3000,
+            iterations: 5,
+            timeHorizonWeeks: 10,
+            seed: 7,
+        };
+
+        const fixed = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC() });
+        const adaptive = await new MonteCarloEngine().run({
+            ...base,
+            ngc: buildTestNGC(),
+            offerConfig: { ...base.offerConfig, repricing: { type: 'clearance', step: 0.05, maxDiscount: 0.3 } },
+        });
+
+        expect(fixed.pricing.priceChanges.max).toBe(0);
+        expect(fixed.weeklyAvg.every(w => w.ourPrice === 120)).toBe(true);
+
+        // 3000 units for 300 customers is far ahead of plan → clearance cuts kick in from week 2
+        expect(adaptive.pricing.priceChanges.mean).toBeGreaterThan(0);
+        expect(adaptive.pricing.finalPrice.max).toBeGreaterThanOrEqual(120 * 0.7 - 1e-9);
+        const run = adaptive.rawResults[0];
+        const firstChange = run.priceChanges[0];
+        expect(firstChange.week).toBe(2);
+        expect(run.weeklyMetrics[2].priceChange).toEqual(firstChange);
+        expect(run.weeklyMetrics[2].ourPrice).toBeCloseTo(114);
+
+        // Identical seeds: weeks before the first price change match the fixed run
+        expect(run.weeklyMetrics[0].unitsSold).toBe(fixed.rawResults[0].weeklyMetrics[0].unitsSold);
+    });
+
+    it('replenishes mid-horizon and tracks lost sales on stockouts', async () => {
+        const base = {
+            ngc: new NGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 2000 },
+            initialInventory: 4,
+            iterations: 5,
+            timeHorizonWeeks: 12,
+            seed: 11,
+        };
+        base.ngc.supplyChain.set('leadTimeDays', 7);
+
+        const noReorder = await new MonteCarloEngine().run(base);
+        const reorder = await new MonteCarloEngine().run({
+            ...base,
+            replenishment: { policy: 'reorder_point', reorderPoint: 2, orderQuantity: 8, orderCost: 50 },
+        });
+
+        // Launch stock only (plus refurbished returns): the rest is lost demand
+        for (const r of noReorder.rawResults) expect(r.totalUnitsSold).toBeLessThanOrEqual(4 + r.unitsRefurbished);
+        expect(noReorder.replenishment.ordersPlaced.max).toBe(0);
+        expect(noReorder.replenishment.lostSales.mean).toBeGreaterThan(0);
+
+        expect(reorder.replenishment.ordersPlaced.mean).toBeGreaterThan(0);
+        expect(reorder.sales.mean).toBeGreaterThan(noReorder.sales.mean);
+        expect(reorder.replenishment.fillRate.mean).toBeGreaterThan(noReorder.replenishment.fillRate.mean);
+
+        for (const r of reorder.rawResults) {
+            // 7-day lead time → every order lands one week later
+            for (const po of r.purchaseOrders) expect(po.arrivalWeek).toBe(po.orderWeek + 1);
+            const received = r.weeklyMetrics.reduce((s, m) => s + m.unitsReceived, 0);
+            expect(received).toBe(r.totalUnitsReceived);
+            expect(r.totalUnitsSold + r.inventoryRemaining).toBe(4 + r.totalUnitsReceived + r.unitsRefurbished);
+            expect(r.totalOrderCost).toBe(50 * r.ordersPlaced);
+        }
+    });
+
+    it('nets returns and refurbishment into the results', async () => {
+        const base = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online', 'retail'], vertical: 'fashion', returnLagWeeks: 2 },
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 5000,
+            iterations: 5,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const results = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC() });
+        const gross = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC(), offerConfig: { ...base.offerConfig, returns: false } });
+
+        expect(results.returns.unitsReturned.mean).toBeGreaterThan(0);
+        expect(results.netRevenue.mean).toBeLessThan(results.revenue.mean);
+        expect(gross.returns.unitsReturned.max).toBe(0);
+        expect(gross.netRevenue.mean).toBe(gross.revenue.mean);
+
+        for (const r of results.rawResults) {
+            // Nothing comes back before the return lag
+            expect(r.weeklyMetrics[0].unitsReturned + r.weeklyMetrics[1].unitsReturned).toBe(0);
+            expect(r.netUnitsSold).toBe(r.totalUnitsSold - r.unitsReturned);
+            // Returns of the last lag weeks land after the horizon and are accrued into the totals
+            expect(r.weeklyMetrics.reduce((s, m) => s + m.unitsReturned, 0) + r.pendingReturns).toBe(r.unitsReturned);
+            expect(r.unitsRefurbished + r.unitsWrittenOff).toBe(r.unitsReturned);
+            expect(r.totalUnitsSold + r.inventoryRemaining).toBe(5000 + r.unitsRefurbished);
+            expect(r.netRevenue).toBeCloseTo(r.totalRevenue - r.totalRefunds, 6);
+            expect(r.reverseLogisticsCost > 0).toBe(r.unitsReturned > 0);
+            // Refurbished units resell at the fashion refurb discount (20%)
+            expect(r.refurbishedUnitsSold).toBeLessThanOrEqual(r.unitsRefurbished);
+            expect(r.refurbishedRevenue).toBeCloseTo(r.refurbishedUnitsSold * 120 * 0.8, 6);
+            expect(r.totalRevenue).toBeCloseTo((r.totalUnitsSold - r.refurbishedUnitsSold) * 120 + r.refurbishedRevenue, 6);
+        }
+        expect(results.rawResults.some(r => r.refurbishedUnitsSold > 0)).toBe(true);
+        expect(results.rawResults.some(r => r.pendingReturns > 0)).toBe(true);
+
+        const profitRisk = RiskEngine.analyzeProfitabilityRisk(results);
+        expect(profitRisk.netRevenueStats.mean).toBeCloseTo(results.netRevenue.mean, 6);
+        expect(profitRisk.returnCostVaR95).toBeGreaterThan(0);
+    });
+
+    it('applies shock schedules inside the run and splits results by shock', async () => {
+        const base = {
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 5000,
+            iterations: 20,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const calm = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC() });
+        const viral = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC(), shocks: [{ type: 'VIRAL_TREND', startWeek: 2 }] });
+
+        expect(calm.shocks.probability).toBe(0);
+        expect(viral.shocks.probability).toBe(1);
+        expect(viral.shocks.withoutShock).toBeNull();
+        expect(viral.sales.mean).toBeGreaterThan(calm.sales.mean);
+        const run = viral.rawResults[0];
+        expect(run.shockTimeline).toEqual([expect.objectContaining({ type: 'VIRAL_TREND', startWeek: 2 })]);
+        expect(run.weeklyMetrics[4].shock.demandFactor).toBeGreaterThan(1);
+        // Same seed, no shock yet: the first weeks are untouched
+        expect(run.weeklyMetrics[0].unitsSold).toBe(calm.rawResults[0].weeklyMetrics[0].unitsSold);
+
+        // Risk-linked shock: fires only in iterations where the NGC event triggers
+        const linked = await new MonteCarloEngine().run({
+            ...base,
+            ngc: buildTestNGC(),
+            shocks: [{ type: 'SUPPLY_DISRUPTION', riskEventId: 'supply-disruption' }],
+        });
+        const hit = linked.rawResults.filter(r => r.shockOccurred);
+        expect(hit.length).toBeGreaterThan(0);
+        expect(linked.shocks.probability).toBe(hit.length / 20);
+        expect(linked.shocks.byType.SUPPLY_DISRUPTION ?? 0).toBe(linked.shocks.probability);
+        for (const r of hit) {
+            const peak = r.weeklyMetrics.find(m => m.week > r.shockTimeline[0].startWeek);
+            if (peak) expect(peak.effectiveCOGS).toBeGreaterThan(40);
+        }
+    });
+
+    it('drives awareness from the marketing mix and reports CAC per channel', async () => {
+        const base = {
+            populationConfig: { totalCustomers: 500 },
+            initialInventory: 5000,
+            iterations: 5,
+            timeHorizonWeeks: 12,
+            seed: 42,
+        };
+        const offerConfig = { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online', 'retail'] };
+        const social = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC(), offerConfig: { ...offerConfig, marketingMix: { social_media: 1 } } });
+        const silent = await new MonteCarloEngine().run({ ...base, ngc: buildTestNGC(), offerConfig: { ...offerConfig, marketingBudget: 0 } });
+
+        expect(Object.keys(social.marketing)).toEqual(['social_media']);
+        expect(social.marketing.social_media.acquisitions.mean).toBeCloseTo(social.sales.mean, 6);
+        expect(social.marketing.social_media.cac).toBeCloseTo(social.marketing.social_media.spend.mean / social.sales.mean, 6);
+        // Awareness builds week over week while spending
+        const curve = social.weeklyAvg.map(w => w.awareness.social_media);
+        expect(curve[11]).toBeGreaterThan(curve[0]);
+        // No budget → no marketing-driven awareness → far fewer buyers
+        expect(silent.sales.mean).toBeLessThan(social.sales.mean);
+    });
+
+    it('simulates repeat purchases, subscription churn and realized cohort LTV', async () => {
+        const results = await new MonteCarloEngine().run({
+            ngc: buildTestNGC(),
+            offerConfig: {
+                basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'],
+                allowRepeat: true, repeatCycleWeeks: 4, subscriptionPrice: 20, subscriptionCost: 5,
+                retentionModel: { type: 'exponential', params: [0.5] },
+            },
+            populationConfig: { totalCustomers: 1000 },
+            initialInventory: 5000,
+            iterations: 5,
+            timeHorizonWeeks: 26,
+            seed: 9,
+        });
+
+        expect(results.ltv.repeatPurchases.mean).toBeGreaterThan(0);
+        expect(results.ltv.subscriptionCancels.mean).toBeGreaterThan(0);
+        expect(results.ltv.realizedLTV.mean).toBeGreaterThan(0);
+        expect(results.ltv.retentionCurve[0]).toBe(1);
+
+        for (const r of results.rawResults) {
+            const weekly = (key) => r.weeklyMetrics.reduce((s, m) => s + m[key], 0);
+            expect(weekly('repeatPurchases')).toBe(r.repeatPurchases);
+            expect(r.activeSubscribers).toBe(r.totalSubscribers - r.subscriptionCancels);
+            expect(r.subscriptionRevenue).toBeCloseTo(weekly('subscriptionRevenue'), 6);
+            // Every unit is a first purchase or a repeat
+            const cohortCustomers = r.cohortLTV.reduce((s, c) => s + c.customers, 0);
+            expect(cohortCustomers).toBe(r.customersAcquired);
+            expect(cohortCustomers + r.repeatPurchases).toBe(r.totalUnitsSold);
+            // Marketing is credited with new customers only, not repeat units
+            const acquisitions = Object.values(r.marketingByChannel).reduce((s, c) => s + c.acquisitions, 0);
+            expect(acquisitions).toBeCloseTo(r.customersAcquired, 6);
+        }
+    });
+
+    it('derives competitor sales from the same customer choices', async () => {
+        const run = (offerConfig) => new MonteCarloEngine().run({
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'], ...offerConfig },
+            populationConfig: { totalCustomers: 1000 },
+            initialInventory: 5000,
+            iterations: 5,
+            timeHorizonWeeks: 12,
+            seed: 21,
+        });
+        const results = await run({});
+        const premium = await run({ basePrice: 400 });
+
+        expect(results.competitors['comp-1'].unitsSold.mean).toBeGreaterThan(0);
+        for (const r of results.rawResults) {
+            const comp = r.competitorResults['comp-1'];
+            const weeklyUnits = r.weeklyMetrics.reduce((s, m) => s + (m.competitorSales['comp-1'] ?? 0), 0);
+            expect(weeklyUnits).toBe(comp.unitsSold);
+            expect(r.marketShare).toBeCloseTo(r.totalUnitsSold / (r.totalUnitsSold + comp.unitsSold), 10);
+        }
+        // Pricing ourselves out of the market hands share to the competitor
+        expect(premium.marketShare.mean).toBeLessThan(results.marketShare.mean);
+        expect(premium.competitors['comp-1'].unitsSold.mean).toBeGreaterThan(results.competitors['comp-1'].unitsSold.mean);
+    });
+
+    it('hands stock-out demand to the defection model', async () => {
+        const results = await new MonteCarloEngine().run({
+            ngc: buildTestNGC(),
+            offerConfig: { basePrice: 120, cogs: 40, marketingBudget: 150000, qualityIndex: 0.7, channels: ['online'] },
+            populationConfig: { totalCustomers: 2000 },
+            initialInventory: 4,
+            iterations: 5,
+            timeHorizonWeeks: 12,
+            seed: 11,
+            replenishment: { policy: 'reorder_point', reorderPoint: 1, orderQuantity: 4 },
+        });
+
+        expect(results.defection.unmetDemand.mean).toBeGreaterThan(0);
+        expect(results.defection.recaptured.mean).toBeGreaterThan(0);
+        expect(results.defection.lostToCompetitors['comp-1'].mean).toBeGreaterThan(0);
+
+        for (const r of results.rawResults) {
+            const weekly = (key) => r.weeklyMetrics.reduce((s, m) => s + m[key], 0);
+            expect(weekly('unmetDemand')).toBe(r.unmetDemand);
+            expect(weekly('recaptured')).toBe(r.recapturedDemand);
+            expect(weekly('lostSales')).toBe(r.lostToCompetitors['comp-1'] ?? 0);
+            expect(r.lostSales).toBe(weekly('lostSales') + r.pendingDemand);
+            // Recaptured customers are real sales out of real stock
+            expect(r.recapturedDemand).toBeLessThanOrEqual(r.totalUnitsSold);
+            expect(r.totalUnitsSold + r.inventoryRemaining).toBe(4 + r.totalUnitsReceived + r.unitsRefurbished);
+        }
+    });
 });
@@ -51,7 +51,9 @@ describe('Multi-Period Simulation (SIM-006)', () => {
 });
 
 // ━━━ Supply Chain (SIM-007) ━━━
-import { simulateSupplyChain, LEAD_TIME_MODELS } from '../engine/supply-chain.js';
+import { simulateSupplyChain, LEAD_TIME_MODELS, createLeadTimeSampler } from '../engine/supply-chain.js';
+import { MarketData } from '../engine/ngc.js';
+import { PRNG, UniformDistribution } from '../engine/distributions.js';
 
 describe('Supply Chain Simulation (SIM-007)', () => {
     it('simulates with default config', () => {
@@ -72,10 +74,29 @@ describe('Supply Chain Simulation (SIM-007)', () => {
         expect(LEAD_TIME_MODELS.triangular).toBeDefined();
         expect(LEAD_TIME_MODELS.lognormal).toBeDefined();
     });
+
+    it('samples lead times in weeks from NGC supply chain data', () => {
+        const known = new MarketData().set('leadTimeDays', 21);
+        expect(createLeadTimeSampler(known)(new PRNG(1))).toBe(3);
+
+        const uncertain = new MarketData().setDistribution('leadTimeDays', new UniformDistribution(7, 28));
+        const sampler = createLeadTimeSampler(uncertain);
+        const draw = (seed) => {
+            const rng = new PRNG(seed);
+            return Array.from({ length: 20 }, () => sampler(rng));
+        };
+        const a = draw(5);
+        expect(a).toEqual(draw(5));
+        expect(a.every(w => Number.isInteger(w) && w >= 1 && w <= 4)).toBe(true);
+
+        // No supply chain data → fallback model, still works without an rng
+        expect(createLeadTimeSampler(undefined, { leadTimeModel: 'fixed', leadTimeParams: [14] })()).toBe(2);
+        expect(LEAD_TIME_MODELS.uniform(5, 10)()).toBeGreaterThanOrEqual(5);
+    });
 });
 
 // ━━━ Market Shocks (SIM-008) ━━━
-import { createShockEvent, getShockEffects, simulateWithShocks, SHOCK_TYPES } from '../engine/market-shocks.js';
+import { createShockEvent, getShockEffects, simulateWithShocks, realizeShockSchedule, SHOCK_TYPES } from '../engine/market-shocks.js';
 
 describe('Market Shocks (SIM-008)', () => {
     it('creates a shock event', () => {
@@ -106,8 +127,32 @@ describe('Market Shocks (SIM-008)', () => {
         expect(viralWeek.demandFactor).toBeGreaterThan(1);
     });
 
-    it('catalogs 6 shock types', () => {
-        expect(Object.keys(SHOCK_TYPES).length).toBe(6);
+    it('catalogs 7 shock types', () => {
+        expect(Object.keys(SHOCK_TYPES).length).toBe(7);
+    });
+
+    it('demand collapse halves peak demand without touching supply or costs', () => {
+        const shock = createShockEvent({ type: 'DEMAND_COLLAPSE', startWeek: 0 });
+        const effects = getShockEffects(shock.endWeek, [shock]);
+        expect(effects.demandFactor).toBeCloseTo(0.5);
+        expect(effects.supplyFactor).toBe(1);
+        expect(effects.costFactor).toBe(1);
+    });
+
+    it('realizes fixed and risk-linked shock schedules', () => {
+        const scenario = { riskResults: [{ id: 'port-strike', triggered: true, value: 0.2 }, { id: 'ban', triggered: false, value: 0 }] };
+        const schedule = [
+            { type: 'VIRAL_TREND', startWeek: 3 },
+            { type: 'SUPPLY_DISRUPTION', riskEventId: 'port-strike', startWindow: [4, 6], severity: 0.5 },
+            { type: 'REGULATION', riskEventId: 'ban' },
+        ];
+        const events = realizeShockSchedule(schedule, scenario, 26, new PRNG(2));
+        expect(events.map(e => e.type)).toEqual(['VIRAL_TREND', 'SUPPLY_DISRUPTION']);
+        expect(events[0].startWeek).toBe(3);
+        expect(events[1].startWeek).toBeGreaterThanOrEqual(4);
+        expect(events[1].startWeek).toBeLessThanOrEqual(6);
+        expect(events[1].riskEventId).toBe('port-strike');
+        expect(events[1].costIncrease).toBeCloseTo(0.2);
     });
 });
 
@@ -197,7 +242,7 @@ describe('Multi-Armed Bandit (AI-006)', () => {
 });
 
 // ━━━ Genetic Optimizer (AI-007) ━━━
-import { evolveMarketingMix } from '../engine/genetic-optimizer.js';
+import { evolveMarketingMix, evolveParetoFront, nonDominatedSort, crowdingDistance } from '../engine/genetic-optimizer.js';
 
 describe('Genetic Optimizer (AI-007)', () => {
     it('optimizes marketing mix', () => {
@@ -213,6 +258,33 @@ describe('Genetic Optimizer (AI-007)', () => {
         expect(Object.keys(result.bestAllocation).length).toBe(4);
         expect(result.fitnessHistory.length).toBe(20);
     });
+
+    it('sorts objective vectors into Pareto fronts', () => {
+        const objectives = [[1, 4], [2, 2], [4, 1], [3, 3], [5, 5]];
+        expect(nonDominatedSort(objectives)).toEqual([[0, 1, 2], [3], [4]]);
+        const crowding = crowdingDistance([0, 1, 2], objectives);
+        expect(crowding[0]).toBe(Infinity);
+        expect(crowding[2]).toBe(Infinity);
+        expect(crowding[1]).toBeCloseTo(2, 10);
+    });
+
+    it('approximates a two-objective Pareto front with NSGA-II', async () => {
+        // Schaffer-style trade-off: f1 = x², f2 = (x − 1)², optimal for x ∈ [0, 1]
+        const evaluate = async ([g]) => {
+            const x = g * 4 - 2;
+            return [x * x, (x - 1) ** 2];
+        };
+        const result = await evolveParetoFront({ geneCount: 1, evaluate, populationSize: 12, generations: 15, seed: 7 });
+        expect(result.front.length).toBeGreaterThan(5);
+        for (const ind of result.front) {
+            const x = ind.genes[0] * 4 - 2;
+            expect(x).toBeGreaterThanOrEqual(-0.05);
+            expect(x).toBeLessThanOrEqual(1.05);
+        }
+        expect(result.history.length).toBe(15);
+        const again = await evolveParetoFront({ geneCount: 1, evaluate, populationSize: 12, generations: 15, seed: 7 });
+        expect(again.front.map(i => i.genes)).toEqual(result.front.map(i => i.genes));
+    });
 });
 
 // ━━━ Multi-Player (SIM-009) ━━━
@@ -242,6 +314,174 @@ describe('Multi-Player Simulation (SIM-009)', () => {
     });
 });
 
+// ━━━ Customer Choice Model (SIM-009) ━━━
+import { choiceProbabilities, sampleChoice, competitorAwareness } from '../engine/choice-model.js';
+
+describe('Customer Choice Model (SIM-009)', () => {
+    const agent = { priceSensitivity: 0.8, qualityPreference: 0.5, brandLoyalty: 0.6, budget: 500, lastBrand: null };
+    const ours = { id: 'own', price: 150, quality: 0.7, awareness: 0.5 };
+    const rival = { id: 'rival', price: 150, quality: 0.7, awareness: 0.5 };
+
+    it('splits identical offers evenly and leaves room for no purchase', () => {
+        const { shares, noPurchase } = choiceProbabilities(agent, [ours, rival]);
+        expect(shares[0]).toBeCloseTo(shares[1], 10);
+        expect(shares[0] + shares[1] + noPurchase).toBeCloseTo(1, 10);
+    });
+
+    it('responds to price, promotion, loyalty and awareness', () => {
+        const base = choiceProbabilities(agent, [ours, rival]).shares[1];
+        expect(choiceProbabilities(agent, [ours, { ...rival, price: 100 }]).shares[1]).toBeGreaterThan(base);
+        expect(choiceProbabilities(agent, [ours, { ...rival, discount: 0.2 }]).shares[1]).toBeGreaterThan(base);
+        expect(choiceProbabilities({ ...agent, lastBrand: 'rival' }, [ours, rival]).shares[1]).toBeGreaterThan(base);
+        // Unaware customers never pick the brand
+        expect(choiceProbabilities(agent, [ours, { ...rival, awareness: 0 }]).shares[1]).toBe(0);
+    });
+
+    it('samples a choice with one uniform draw', () => {
+        expect(sampleChoice([0.2, 0.3], 0.1)).toBe(0);
+        expect(sampleChoice([0.2, 0.3], 0.4)).toBe(1);
+        expect(sampleChoice([0.2, 0.3], 0.9)).toBe(-1);
+        expect(competitorAwareness(0.3, 100, 0)).toBeCloseTo(0.6, 10);
+    });
+});
+
+// ━━━ Competitor Intelligence & Price Wars (SIM-009) ━━━
+import { resolveCompetitorBehavior, MarketObserver, PriceWarRegime, detectProvocation, perceivedMarketState } from '../engine/competitor-behavior.js';
+import { RuleBasedCompetitor } from '../engine/agents-competitor.js';
+
+describe('Competitor Intelligence & Price Wars (SIM-009)', () => {
+    it('reads reaction speed and price-war odds from the vertical', () => {
+        const food = resolveCompetitorBehavior('food');
+        expect(food.priceWarProbability).toBe(0.3);
+        expect(food.reactionSpeed).toBe(1);
+        expect(resolveCompetitorBehavior('electronics', { reactionSpeed: 3 }).reactionSpeed).toBe(3);
+        expect(resolveCompetitorBehavior(undefined).priceWarProbability).toBe(0.2);
+    });
+
+    it('shows competitors our price and sales late and with noise', () => {
+        const observer = new MarketObserver({ reactionSpeed: 2, observationNoise: 0 });
+        [100, 90, 80, 70].forEach((price, week) => {
+            observer.recordPrice(week, price);
+            observer.recordOutcome(week, (week + 1) * 10, 0.01 * (week + 1));
+        });
+        expect(observer.observe(1, new PRNG(1))).toMatchObject({ ourPrice: 100, ourTotalSales: 0, ourConversionRate: 0 });
+        expect(observer.observe(3, new PRNG(1))).toMatchObject({ ourPrice: 90, ourTotalSales: 10, ourConversionRate: 0.01 });
+
+        const noisy = new MarketObserver({ reactionSpeed: 0, observationNoise: 0.1 });
+        noisy.recordPrice(0, 100);
+        const rng = new PRNG(4);
+        const seen = Array.from({ length: 2000 }, () => noisy.observe(0, rng).ourPrice);
+        const mean = seen.reduce((s, v) => s + v, 0) / seen.length;
+        const sd = Math.sqrt(seen.reduce((s, v) => s + (v - mean) ** 2, 0) / seen.length);
+        expect(mean).toBeCloseTo(100, 0);
+        expect(sd).toBeCloseTo(10, 0);
+        expect(Math.max(...seen)).toBeLessThanOrEqual(100 * (1 + 0.1 * Math.sqrt(3)));
+
+        // Agents only see the perceived state
+        const state = perceivedMarketState({ week: 3, ourOffer: { currentPrice: 70, cogs: 40 }, ourTotalSales: 40 }, { ourPrice: 90, ourTotalSales: 10, ourConversionRate: 0 });
+        expect(state.ourOffer).toEqual({ currentPrice: 90, cogs: 40 });
+        expect(state.ourTotalSales).toBe(10);
+    });
+
+    it('keeps a promotion running for its duration', () => {
+        const profile = { id: 'c', aggressiveness: 0.5, constraints: { minMargin: 0.1, maxMarketingBudget: 1e6, maxPriceReduction: 0.3 } };
+        const agent = new RuleBasedCompetitor(profile);
+        const promo = { type: 'discount', discount: 0.1, duration: 3 };
+        let running = agent.carryPromotion(promo, null);
+        const weeks = [running];
+        for (let w = 0; w < 3; w++) {
+            running = agent.carryPromotion(null, running);
+            weeks.push(running);
+        }
+        expect(weeks).toEqual([promo, promo, promo, null]);
+        // A new promotion replaces the running one
+        const flash = { type: 'discount', discount: 0.2, duration: 1 };
+        agent.carryPromotion(promo, null);
+        expect(agent.carryPromotion(flash, promo)).toBe(flash);
+        expect(agent.carryPromotion(null, flash)).toBeNull();
+    });
+
+    it('escalates a provoked market into a multi-week price war', () => {
+        const behavior = resolveCompetitorBehavior('electronics', { priceWarProbability: 1, priceWarWeeks: [3, 3] });
+        const regime = new PriceWarRegime(behavior, 10);
+        const rng = new PRNG(9);
+        const depths = [null, null, 'competitor_cut', null, null, null, null, null, 'our_undercut', 'our_undercut']
+            .map((provocation, week) => regime.step(week, provocation, rng));
+        expect(depths.slice(0, 6)).toEqual([0, 0, 0.04, 0.08, 0.12, 0]);
+        // A second war starts at week 8 and is cut at the horizon
+        expect(regime.getEpisodes()).toEqual([
+            { startWeek: 2, endWeek: 4, weeks: 3, trigger: 'competitor_cut', maxDepth: 0.12 },
+            { startWeek: 8, endWeek: 9, weeks: 2, trigger: 'our_undercut', maxDepth: 0.08 },
+        ]);
+
+        const never = new PriceWarRegime({ ...behavior, priceWarProbability: 0 }, 10);
+        expect([0, 1, 2].map(w => never.step(w, 'our_undercut', rng))).toEqual([0, 0, 0]);
+        // The weekly hazard compounds to the launch-level probability
+        expect(1 - Math.pow(1 - new PriceWarRegime({ ...behavior, priceWarProbability: 0.25 }, 26).hazard, 26)).toBeCloseTo(0.25, 10);
+    });
+
+    it('detects what provokes a price war', () => {
+        const rivals = [{ basePrice: 100, price: 100 }, { basePrice: 120, price: 120 }];
+        expect(detectProvocation(110, rivals, 0.05)).toBeNull();
+        expect(detectProvocation(100, rivals, 0.05)).toBe('our_undercut');
+        expect(detectProvocation(110, [rivals[0], { basePrice: 120, price: 110 }], 0.05)).toBe('competitor_cut');
+        expect(detectProvocation(100, [], 0.05)).toBeNull();
+    });
+});
+
+// ━━━ Competitor Entry & Exit (SIM-005) ━━━
+import { evaluateExit, generateCompetitor, resolveCompetitorDynamics, entrantProfile, DEFAULT_COMPETITOR_DYNAMICS } from '../engine/competitor-dynamics.js';
+import { DefectionTracker } from '../engine/defection.js';
+
+describe('Competitor Entry & Exit (SIM-005)', () => {
+    const fixed = (u) => ({ next: () => u });
+
+    it('retires competitors whose own losses outlast their runway, sooner when financially weak', () => {
+        // Losing money for as long as a weak balance sheet allows; no peer reading (every rival losing too)
+        const struggling = { entryWeek: 0, marketShare: 0.1, profit: -800, lossWeeks: 4, financialHealth: 0 };
+        expect(evaluateExit(struggling, { week: 5 }, fixed(0.1))).toEqual({ shouldExit: true, reason: 'pérdidas_acumuladas' });
+        // A healthy balance sheet absorbs the same losses
+        expect(evaluateExit({ ...struggling, financialHealth: 1 }, { week: 5 }, fixed(0.1)).shouldExit).toBe(false);
+        // Trailing the peers' profit halves the runway
+        expect(evaluateExit({ ...struggling, lossWeeks: 2 }, { week: 5 }, fixed(0.1)).shouldExit).toBe(false);
+        expect(evaluateExit({ ...struggling, lossWeeks: 2, profitRatio: 0.1 }, { week: 5 }, fixed(0.1)).shouldExit).toBe(true);
+        // A profitable firm far behind its peers is not losing money
+        expect(evaluateExit({ ...struggling, profit: 300, profitRatio: 0.1 }, { week: 5 }, fixed(0.1)).shouldExit).toBe(false);
+        // Without a profit reading only share and tenure count
+        const shareOnly = { entryWeek: 0, marketShare: 0.1, financialHealth: 0 };
+        expect(evaluateExit(shareOnly, { week: 5 }, fixed(0.1)).shouldExit).toBe(false);
+    });
+
+    it('types entrants by what drew them in and prices their agents from the market', () => {
+        const cheap = generateCompetitor(fixed(0), { avgPrice: 100, avgQuality: 70, week: 6, reason: 'márgenes_atractivos' });
+        expect(cheap).toMatchObject({ price: 70, entryWeek: 6, type: 'ml', aggressiveness: 0.9 });
+        const dear = generateCompetitor(fixed(0.999), { avgPrice: 100, avgQuality: 70, week: 6, reason: 'oportunidad_de_mercado' });
+        expect(dear.type).toBe('rule_based');
+        expect(dear.aggressiveness).toBe(0.1);
+
+        const profile = entrantProfile({ ...cheap, quality: 80 }, { ...DEFAULT_COMPETITOR_DYNAMICS, id: 'entrant-1', name: 'Entrante 1' });
+        expect(profile).toMatchObject({ id: 'entrant-1', type: 'ml', marketShare: 0.03, financialHealth: 0.5, qualityIndex: 0.8 });
+        expect(profile.constraints.baseCOGS).toBeCloseTo(70 / 1.4, 10);
+
+        expect(resolveCompetitorDynamics(null)).toBeNull();
+        expect(resolveCompetitorDynamics(true)).toEqual(DEFAULT_COMPETITOR_DYNAMICS);
+        expect(resolveCompetitorDynamics({ maxEntrants: 1 }).maxEntrants).toBe(1);
+    });
+
+    it('lets customers who switched to a departing competitor back into our market', () => {
+        const defection = new DefectionTracker('electronics', 10);
+        const rng = new PRNG(3);
+        for (let id = 0; id < 40 && defection.switched.size < 3; id++) {
+            defection.handleStockOut({ id, brandLoyalty: 0 }, 0, [{ id: 'gone', weight: 1 }], rng);
+        }
+        const switched = [...defection.switched.keys()];
+        expect(switched.length).toBe(3);
+        expect(defection.releaseCompetitor('other')).toBe(0);
+        expect(defection.releaseCompetitor('gone')).toBe(3);
+        expect(switched.some(id => defection.isEngaged(id))).toBe(false);
+    });
+});
+
 // ━━━ Ecosystem (SIM-010) ━━━
 import { createSupplier, createDistributor, createRetailer, simulateEcosystem } from '../engine/ecosystem.js';
 
@@ -260,7 +500,7 @@ describe('Market Ecosystem (SIM-010)', () => {
 });
 
 // ━━━ Dynamic Pricing (ECO-007) ━━━
-import { calculateDynamicPrice, simulateDynamicPricing } from '../engine/dynamic-pricing.js';
+import { calculateDynamicPrice, simulateDynamicPricing, applyRepricingPolicy, REPRICING_POLICIES } from '../engine/dynamic-pricing.js';
 
 describe('Dynamic Pricing (ECO-007)', () => {
     it('adjusts price based on demand', () => {
@@ -282,6 +522,38 @@ describe('Dynamic Pricing (ECO-007)', () => {
         expect(result.results.length).toBe(10);
         expect(result.avgPrice).toBeGreaterThan(0);
     });
+
+    const ctx = {
+        week: 10, totalWeeks: 20, basePrice: 100, currentPrice: 100, cogs: 40,
+        inventory: 900, initialInventory: 1000, lastWeekSales: 10, competitorPrices: [95, 105],
+    };
+
+    it('clearance policy steps price down only when stock runs ahead of plan', () => {
+        const policy = { type: REPRICING_POLICIES.CLEARANCE, step: 0.1, maxDiscount: 0.25 };
+        expect(applyRepricingPolicy(policy, ctx).price).toBeCloseTo(90);
+        expect(applyRepricingPolicy(policy, { ...ctx, currentPrice: 76 }).price).toBe(75);
+        expect(applyRepricingPolicy(policy, { ...ctx, inventory: 500 }).price).toBe(100);
+    });
+
+    it('rule-based policy marks down on weak demand and excess stock', () => {
+        const result = applyRepricingPolicy({ type: REPRICING_POLICIES.RULE_BASED }, ctx);
+        expect(result.price).toBeLessThan(100);
+        expect(result.price).toBeGreaterThanOrEqual(70);
+    });
+
+    it('markdown policy follows the vertical calendar', () => {
+        const early = applyRepricingPolicy({ type: REPRICING_POLICIES.MARKDOWN, vertical: 'electronics' }, { ...ctx, week: 0 });
+        expect(early.price).toBeCloseTo(90);
+        expect(applyRepricingPolicy({ type: REPRICING_POLICIES.FIXED }, ctx).price).toBe(100);
+    });
+
+    it('schedule policy charges the given weekly prices and keeps the price in gaps', () => {
+        const policy = { type: REPRICING_POLICIES.SCHEDULE, prices: [120, null, 99] };
+        expect(applyRepricingPolicy(policy, { ...ctx, week: 0 }).price).toBe(120);
+        expect(applyRepricingPolicy(policy, { ...ctx, week: 1, currentPrice: 120 }).price).toBe(120);
+        expect(applyRepricingPolicy(policy, { ...ctx, week: 2 }).price).toBe(99);
+        expect(applyRepricingPolicy(policy, { ...ctx, week: 7 }).price).toBe(100);
+    });
 });
 
 // ━━━ Promotions (ECO-008) ━━━
@@ -1,10 +1,11 @@
 /**
  * Prometheus - Dexie Database Definition (SCOUT-004)
- * Client-side IndexedDB persistence for scenarios and simulation runs.
+ * Client-side IndexedDB persistence for scenarios, simulation runs, backtests
+ * and trained RL competitor policies.
  */
 import Dexie from 'dexie';
 
-/** @ts-ignore - scenarios and runs are created dynamically by Dexie.version().stores() */
+/** @ts-ignore - tables are created dynamically by Dexie.version().stores() */
 const db = new Dexie('PrometheusDB');
 
 // ━━━ Schema v1 ━━━
@@ -15,5 +16,17 @@ db.version(1).stores({
     runs: '++id, scenarioId, timestamp',
 });
 
+// ━━━ Schema v2 ━━━
+db.version(2).stores({
+    // Past launches replayed against their actual weekly sales (DS-007)
+    backtests: '++id, scenarioId, timestamp',
+});
+
+// ━━━ Schema v3 ━━━
+db.version(3).stores({
+    // RL competitor policies trained by self-play (AI-002)
+    rlPolicies: '++id, name, timestamp',
+});
+
 export { db };
 
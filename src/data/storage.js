@@ -1,8 +1,10 @@
 /**
  * Prometheus - Storage Service (SCOUT-004)
- * CRUD operations for scenarios and simulation runs via Dexie/IndexedDB.
+ * CRUD operations for scenarios, simulation runs, backtests and trained RL
+ * policies via Dexie/IndexedDB.
  */
 import { db } from './db.js';
+import { summarizeBacktest } from '../engine/backtest.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Scenarios
@@ -28,6 +30,7 @@ export async function saveScenario(name, state) {
             population: { ...state.population },
             competitors: JSON.parse(JSON.stringify(state.competitors || [])),
             riskEvents: JSON.parse(JSON.stringify(state.riskEvents || [])),
+            companyAssumptions: JSON.parse(JSON.stringify(state.companyAssumptions || {})),
             macroAssumptions: JSON.parse(JSON.stringify(state.macroAssumptions || {})),
         },
     };
@@ -48,6 +51,7 @@ export async function updateScenario(id, state) {
             population: { ...state.population },
             competitors: JSON.parse(JSON.stringify(state.competitors || [])),
             riskEvents: JSON.parse(JSON.stringify(state.riskEvents || [])),
+            companyAssumptions: JSON.parse(JSON.stringify(state.companyAssumptions || {})),
             macroAssumptions: JSON.parse(JSON.stringify(state.macroAssumptions || {})),
         },
     });
@@ -84,11 +88,12 @@ export async function loadScenario(id) {
 }
 
 /**
- * Delete a scenario and all its associated runs.
+ * Delete a scenario and all its associated runs and backtests.
  * @param {number} id
  */
 export async function deleteScenario(id) {
     await db.runs.where('scenarioId').equals(id).delete();
+    await db.backtests.where('scenarioId').equals(id).delete();
     await db.scenarios.delete(id);
 }
 
@@ -159,6 +164,97 @@ export async function deleteRun(id) {
     return db.runs.delete(id);
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Backtests (DS-007)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Save a backtest of a saved scenario against its actual weekly sales.
+ * @param {number} scenarioId
+ * @param {object} backtest - from runBacktest()
+ * @param {object} [meta] - { scenarioName, actuals }
+ * @returns {Promise<number>} backtest id
+ */
+export async function saveBacktest(scenarioId, backtest, meta = {}) {
+    return db.backtests.add({
+        scenarioId,
+        scenarioName: meta.scenarioName ?? null,
+        timestamp: new Date().toISOString(),
+        summary: summarizeBacktest(backtest),
+        actuals: meta.actuals ?? null,
+        backtest,
+    });
+}
+
+/**
+ * List backtests, newest first.
+ * @param {number|null} [scenarioId] - only this scenario's, or all launches when null
+ * @returns {Promise<Array>}
+ */
+export async function listBacktests(scenarioId = null) {
+    const collection = scenarioId == null
+        ? db.backtests.toCollection()
+        : db.backtests.where('scenarioId').equals(scenarioId);
+    return collection.reverse().sortBy('timestamp');
+}
+
+/**
+ * Delete a single backtest.
+ * @param {number} id
+ */
+export async function deleteBacktest(id) {
+    return db.backtests.delete(id);
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  RL Policies (AI-002)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Save the policies of a self-play training run.
+ * @param {string} name - user-facing name of the policy set
+ * @param {object} training - from trainCompetitorPolicies()
+ * @returns {Promise<number>} policy set id
+ */
+export async function saveRLPolicies(name, training) {
+    return db.rlPolicies.add({
+        name,
+        timestamp: new Date().toISOString(),
+        summary: training.summary,
+        settings: training.settings,
+        policies: training.policies,
+    });
+}
+
+/**
+ * List saved policy sets, newest first (without the Q-tables).
+ * @returns {Promise<Array>}
+ */
+export async function listRLPolicies() {
+    const all = await db.rlPolicies.orderBy('timestamp').reverse().toArray();
+    return all.map(({ policies, ...rest }) => ({
+        ...rest,
+        competitorIds: Object.keys(policies ?? {}),
+    }));
+}
+
+/**
+ * Load a policy set with its Q-tables.
+ * @param {number} id
+ * @returns {Promise<object|undefined>}
+ */
+export async function loadRLPolicies(id) {
+    return db.rlPolicies.get(id);
+}
+
+/**
+ * Delete a policy set.
+ * @param {number} id
+ */
+export async function deleteRLPolicies(id) {
+    return db.rlPolicies.delete(id);
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Import / Export
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
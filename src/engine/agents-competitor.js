@@ -1,7 +1,12 @@
 /**
  * Prometheus Engine – Competitor Agents
- * Rule-based, ML-prediction, and RL adversarial competitor agents.
+ * Rule-based, ML-prediction, RL adversarial and DQN competitor agents, plus
+ * committed-price agents for the pricing game.
  */
+import { extractRLState, discretizeRLState, RL_FEATURE_NAMES } from './rl-features.js';
+import { computeReward, REWARD_PRESETS } from './reward.js';
+import { ReplayBuffer } from './replay-buffer.js';
+import { QNetwork, learnQNetworkFromReplay } from './q-network.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Base Competitor Agent
@@ -12,6 +17,8 @@ export class CompetitorAgent {
         this.currentPrice = 0;
         this.currentMarketingSpend = 0;
         this.currentPromotion = null; // { type, discount, duration }
+        /** Weeks the running promotion has left after the current one */
+        this.promotionWeeksLeft = 0;
         this.revenue = 0;
         this.profit = 0;
         this.unitsSold = 0;
@@ -49,11 +56,35 @@ export class CompetitorAgent {
         this.unitsSold = 0;
         this.history = [];
         this.currentPromotion = null;
+        this.promotionWeeksLeft = 0;
+    }
+
+    /**
+     * Promotion in force this week: a newly decided one replaces the running
+     * promotion, otherwise the running one continues until its duration is spent.
+     * @param {object|null} promotion – from this week's decision
+     * @param {object|null} running – promotion in force last week
+     * @returns {object|null}
+     */
+    carryPromotion(promotion, running) {
+        if (promotion) {
+            this.promotionWeeksLeft = Math.max(1, promotion.duration ?? 1) - 1;
+            return promotion;
+        }
+        if (running && this.promotionWeeksLeft > 0) {
+            this.promotionWeeksLeft--;
+            return running;
+        }
+        this.promotionWeeksLeft = 0;
+        return null;
     }
 
     recordStep(step) {
         this.history.push({ ...step, price: this.currentPrice, marketing: this.currentMarketingSpend });
     }
+
+    /** Called once after the last week of a run. Override in learning agents. */
+    endEpisode() { }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -220,6 +251,59 @@ export class RLCompetitor extends CompetitorAgent {
 
         this.lastState = null;
         this.lastAction = null;
+
+        // Self-play training (AI-002): a Q-table shared across episodes,
+        // keyed on the extractRLState features, learning from a replay buffer
+        this.stateMode = config.stateMode ?? 'basic';  // 'basic' | 'features'
+        this.stateBins = config.stateBins ?? 4;
+        /** Reward weights for computeReward (REWARD_PRESETS); null = built-in adversarial reward */
+        this.rewardWeights = config.rewardWeights ?? null;
+        /** @type {import('./replay-buffer.js').ReplayBuffer|null} transitions go here instead of online updates */
+        this.replay = config.replay ?? null;
+        if (config.qTable) this.qTable = config.qTable;
+        this.frozen = false;
+        this.lastFeatures = null;
+        this.lastWeek = 0;
+        this.totalWeeks = 26;
+        /** Unit cost from the sampled scenario, for the profit target of the reward */
+        this.unitCost = null;
+
+        // Trained policy: greedy on its Q-table, no further learning
+        if (config.policy) {
+            this.qTable = policyTable(config.policy);
+            this.stateMode = config.policy.stateMode ?? 'features';
+            this.stateBins = config.policy.stateBins ?? this.stateBins;
+            this.epsilon = 0;
+            this.frozen = true;
+        }
+    }
+
+    /**
+     * Feature vector of the market from this competitor's point of view:
+     * its own price and sales against our offer and the other competitors.
+     */
+    _features(marketState) {
+        const cpId = this.profile.id;
+        const ourPrice = marketState.ourOffer?.currentPrice ?? 149;
+        const rivals = Object.entries(marketState.competitorPricesById ?? {})
+            .filter(([id]) => id !== cpId)
+            .map(([, price]) => price);
+        const last = this.history[this.history.length - 1];
+        const lastTotal = (last?.sales ?? 0) + (last?.ourSales ?? 0);
+        return extractRLState({
+            week: marketState.week ?? 0,
+            totalWeeks: marketState.totalWeeks ?? 26,
+            ownPrice: this.currentPrice,
+            competitorPrices: [ourPrice, ...rivals],
+            ownMarketShare: lastTotal > 0 ? last.sales / lastTotal : this.profile.marketShare ?? 0.2,
+            salesHistory: this.history.map(h => h.sales ?? 0),
+            priceHistory: this.history.map(h => h.price),
+            lifecycle: { stage: marketState.lifecycleStage, noveltyFactor: marketState.noveltyFactor },
+            macroSentiment: marketState.macroSentiment ?? 0,
+            brandStrength: this.profile.qualityIndex ?? 0.5,
+            competitorAggression: this.profile.aggressiveness ?? 0.5,
+            demandTrend: (marketState.demandMultiplier ?? 1) * (marketState.seasonalMultiplier ?? 1) - 1,
+        });
     }
 
     _stateKey(marketState) {
@@ -239,7 +323,8 @@ export class RLCompetitor extends CompetitorAgent {
     }
 
     decide(marketState, rng) {
-        const state = this._stateKey(marketState);
+        const features = this.stateMode === 'features' ? this._features(marketState) : null;
+        const state = features ? discretizeRLState(features, this.stateBins) : this._stateKey(marketState);
 
         // ε-greedy action selection
         let action;
@@ -255,19 +340,31 @@ export class RLCompetitor extends CompetitorAgent {
             }
         }
 
-        // Q-learning update from last step
-        if (this.lastState !== null && this.lastAction !== null) {
-            const reward = this._computeReward(marketState);
-            const maxFutureQ = Math.max(...this.actions.map(a => this._getQ(state, a.id)));
-            const oldQ = this._getQ(this.lastState, this.lastAction.id);
-            const newQ = oldQ + this.alpha * (reward + this.gamma * maxFutureQ - oldQ);
-            this._setQ(this.lastState, this.lastAction.id, newQ);
+        // Q-learning update from last step (or a stored transition when training from replay)
+        if (!this.frozen && this.lastState !== null && this.lastAction !== null) {
+            const reward = this._reward(marketState.week ?? 0, marketState.totalWeeks);
+            if (this.replay) {
+                this.replay.push(this.lastFeatures, this.actions.indexOf(this.lastAction), reward, features, false);
+            } else {
+                const maxFutureQ = Math.max(...this.actions.map(a => this._getQ(state, a.id)));
+                const oldQ = this._getQ(this.lastState, this.lastAction.id);
+                const newQ = oldQ + this.alpha * (reward + this.gamma * maxFutureQ - oldQ);
+                this._setQ(this.lastState, this.lastAction.id, newQ);
+            }
         }
 
         this.lastState = state;
         this.lastAction = action;
+        this.lastFeatures = features;
+        this.lastWeek = marketState.week ?? 0;
+        this.totalWeeks = marketState.totalWeeks;
+        this.unitCost = marketState.competitorScenario?.sampledCOGS ?? this.unitCost;
+
+        return this._applyAction(action, marketState);
+    }
 
-        // Apply action to current state
+    /** Turn an action into this week's price, marketing and promotion. */
+    _applyAction(action, marketState) {
         const newPrice = this.basePrice * (1 + action.priceChange);
         const newMarketing = this.baseMarketing * action.marketingMult;
         let promotion = null;
@@ -287,31 +384,202 @@ export class RLCompetitor extends CompetitorAgent {
         return result;
     }
 
-    _computeReward(marketState) {
-        // Reward = own profit increase - penalty for opponent success
-        const ownProfit = this.profit;
-        const ourSales = marketState.ourTotalSales ?? 0;
+    /** Reward for the step just completed: multi-objective (AI-003) when weights are set. */
+    _reward(week, totalWeeks = 26) {
+        if (!this.rewardWeights) return this._computeReward();
+        const last = this.history[this.history.length - 1];
+        const sales = last?.sales ?? 0;
+        const total = sales + (last?.ourSales ?? 0);
+        // Profit is judged against the margin at base price on the sales pace so far
+        const cogs = this.unitCost ?? 50;
+        const avgSales = this.history.reduce((s, h) => s + (h.sales ?? 0), 0) / Math.max(1, this.history.length);
+        const { total: reward } = computeReward({
+            weeklyProfit: last?.profit ?? 0,
+            targetProfit: Math.max(1, (this.basePrice - cogs) * Math.max(1, avgSales)),
+            marketShare: total > 0 ? sales / total : 0,
+            targetShare: this.profile.marketShare || 0.2,
+            currentWeek: week,
+            totalWeeks,
+            cashFlow: last?.profit ?? 0,
+            // Competitors hold no stock in the simulation: never stocked out, no efficiency term
+            inventory: 1,
+            initialInventory: 1,
+        }, { ...this.rewardWeights, efficiency: 0 });
+        return reward;
+    }
+
+    /** Store the final transition of a training episode. */
+    endEpisode() {
+        if (this.frozen || !this.replay || this.lastAction === null) return;
+        const reward = this._reward(this.lastWeek + 1, this.totalWeeks);
+        this.replay.push(this.lastFeatures, this.actions.indexOf(this.lastAction), reward, this.lastFeatures, true);
+    }
+
+    _computeReward() {
+        // Reward = profit earned last step - penalty for opponent success,
+        // both realized from the customers' choices in that step (SIM-009)
+        const last = this.history[this.history.length - 1];
+        const ownProfit = last?.profit ?? 0;
+        const ourSales = last?.ourSales ?? 0;
         const agg = this.profile.aggressiveness;
 
         // Maximize own benefit, minimize opponent's success (adversarial)
-        return ownProfit * 0.001 - ourSales * 0.0001 * agg;
+        return ownProfit * 0.001 - ourSales * 0.01 * agg;
     }
 
     reset() {
         super.reset();
         this.lastState = null;
         this.lastAction = null;
+        this.lastFeatures = null;
         // Keep Q-table across resets to accumulate learning
     }
 }
 
+/** Q-tables rebuilt from trained policies, shared by every iteration of a run */
+const policyTables = new WeakMap();
+
+/** Frozen Q-table of a trained policy ({ qTable: [key, value][] }). */
+function policyTable(policy) {
+    let table = policyTables.get(policy);
+    if (!table) {
+        table = new Map(policy.qTable);
+        policyTables.set(policy, table);
+    }
+    return table;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  DQN Competitor Agent (Function Approximation)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * RL competitor whose Q-function is a small neural network over the full
+ * extractRLState vector instead of a table of bucketed states. Learns by
+ * Double DQN from replay minibatches, with a target network synced every
+ * `targetUpdateEvery` updates. Same action space and reward as RLCompetitor.
+ */
+export class DQNCompetitor extends RLCompetitor {
+    constructor(profile, config = {}) {
+        super(profile, { ...config, policy: null, qTable: null, replay: null });
+        this.stateMode = 'features';
+        this.rewardWeights = config.rewardWeights ?? REWARD_PRESETS.aggressive;
+        this.batchSize = config.batchSize ?? 16;
+        /** Transitions stored before the first update */
+        this.learnStarts = config.learnStarts ?? 8;
+        this.targetUpdateEvery = config.targetUpdateEvery ?? 10;
+        this.updates = 0;
+
+        /** @type {QNetwork} online network; shared across episodes when training */
+        this.network = config.network ?? new QNetwork({
+            inputSize: RL_FEATURE_NAMES.length,
+            outputSize: this.actions.length,
+            hiddenSize: config.hiddenSize ?? 16,
+            learningRate: config.learningRate ?? 0.01,
+            seed: config.seed ?? 7,
+        });
+        /** @type {QNetwork} */
+        this.targetNetwork = config.targetNetwork ?? this.network.clone();
+        this.replay = config.replay ?? new ReplayBuffer(config.replayCapacity ?? 1000, true);
+        /** Learn after every step; off when a trainer updates between episodes */
+        this.onlineUpdates = config.onlineUpdates ?? !config.replay;
+
+        // Trained policy: greedy on its network, no further learning
+        if (config.policy) {
+            this.network = policyNetwork(config.policy);
+            this.targetNetwork = this.network;
+            this.epsilon = 0;
+            this.frozen = true;
+        }
+    }
+
+    decide(marketState, rng) {
+        const features = this._features(marketState);
+
+        // ε-greedy on the network's Q-values
+        let action;
+        if (rng.next() < this.epsilon) {
+            action = this.actions[Math.floor(rng.next() * this.actions.length)];
+        } else {
+            const q = this.network.predict(features);
+            action = this.actions[q.indexOf(Math.max(...q))];
+        }
+
+        if (!this.frozen && this.lastFeatures !== null && this.lastAction !== null) {
+            const reward = this._reward(marketState.week ?? 0, marketState.totalWeeks);
+            this.replay.push(this.lastFeatures, this.actions.indexOf(this.lastAction), reward, features, false);
+            if (this.onlineUpdates && this.replay.size >= this.learnStarts) this._learn(rng);
+        }
+
+        this.lastAction = action;
+        this.lastFeatures = features;
+        this.lastWeek = marketState.week ?? 0;
+        this.totalWeeks = marketState.totalWeeks;
+        this.unitCost = marketState.competitorScenario?.sampledCOGS ?? this.unitCost;
+
+        return this._applyAction(action, marketState);
+    }
+
+    /** One minibatch update, syncing the target network on schedule. */
+    _learn(rng) {
+        learnQNetworkFromReplay(this.network, this.targetNetwork, this.replay, {
+            batchSize: this.batchSize,
+            gamma: this.gamma,
+            rng,
+        });
+        this.updates++;
+        if (this.updates % this.targetUpdateEvery === 0) this.targetNetwork.copyFrom(this.network);
+    }
+}
+
+/** Networks rebuilt from trained policies, shared by every iteration of a run */
+const policyNetworks = new WeakMap();
+
+/** Frozen network of a trained DQN policy ({ network: QNetwork#toJSON() }). */
+function policyNetwork(policy) {
+    let network = policyNetworks.get(policy);
+    if (!network) {
+        network = QNetwork.fromJSON(policy.network);
+        policyNetworks.set(policy, network);
+    }
+    return network;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Committed-Price Competitor (Pricing Game)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Holds one price (a multiple of its base price) and its base marketing for
+ * the whole run, whatever its profile type: a pure strategy of the pricing
+ * game whose payoffs the equilibrium solver estimates (AI-005).
+ */
+export class CommittedPriceCompetitor extends CompetitorAgent {
+    constructor(profile, config = {}) {
+        super(profile);
+        this.basePrice = (config.basePrice ?? 140) * config.priceCommitment;
+        this.currentPrice = this.basePrice;
+        this.baseMarketing = config.baseMarketing ?? 80000;
+        this.currentMarketingSpend = this.baseMarketing;
+    }
+
+    decide(marketState) {
+        return this.applyConstraints({ price: this.basePrice, marketingSpend: this.baseMarketing, promotion: null }, marketState.competitorScenario);
+    }
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Factory
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+/**
+ * Agent for a competitor profile. `config.priceCommitment` pins the agent to
+ * that multiple of its base price (see CommittedPriceCompetitor).
+ */
 export function createCompetitorAgent(profile, config = {}) {
+    if (config.priceCommitment != null) return new CommittedPriceCompetitor(profile, config);
     switch (profile.type) {
         case 'ml': return new MLCompetitor(profile, config);
         case 'rl': return new RLCompetitor(profile, config);
+        case 'dqn': return new DQNCompetitor(profile, config);
         case 'rule_based':
         default: return new RuleBasedCompetitor(profile, config);
     }
@@ -2,6 +2,7 @@
  * Prometheus Engine – Customer ABM Agents
  * Agent-Based Model for heterogeneous customer simulation.
  */
+import { OWN_BRAND, choiceProbabilities, sampleChoice } from './choice-model.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Customer Agent
@@ -35,25 +36,32 @@ export class CustomerAgent {
         // State
         this.hasPurchased = false;
         this.awareness = 0;        // 0-1 awareness of the product
+        this.wordOfMouth = 0;      // awareness picked up from the social network
         this.satisfaction = 0;     // post-purchase satisfaction
         this.subscribed = false;   // for subscription products
+        this.subscribedSince = null; // week the current subscription started
+        this.purchases = 0;        // units bought in this run
+        this.nextPurchaseWeek = Infinity; // earliest week of the next repurchase (ECO-006)
+        this.lastBrand = null;     // brand bought last (OWN_BRAND or a competitor id)
+        this.outOfMarketUntil = 0; // after buying a competitor, back in the category at this week
     }
 
     /**
      * Evaluate purchase decision for a product offering.
-     * Returns { willBuy, probability }
+     * The customer shops the category with a base weekly probability and then
+     * picks our offer, a competitor's current offer (`marketState.competitorOffers`)
+     * or nothing through a multinomial logit (SIM-009). One uniform draw decides.
+     * When the offer is out of stock the decision is still drawn (so unmet
+     * demand can be measured) but the purchase is not committed.
+     * Returns { willBuy, probability, choice } — choice is OWN_BRAND, a competitor id or null
      */
-    evaluatePurchase(offer, marketState, rng) {
-        if (this.hasPurchased && !offer.allowRepeat) {
-            return { willBuy: false, probability: 0 };
+    evaluatePurchase(offer, marketState, rng, { inStock = true } = {}) {
+        if (this.hasPurchased) {
+            if (!offer.allowRepeat) return { willBuy: false, probability: 0, choice: null };
+            return this._evaluateRepurchase(offer, marketState, rng, inStock);
         }
-
-        // Price attractiveness (higher is better for cheap products)
-        const priceRatio = offer.currentPrice / this.budget;
-        const priceScore = Math.max(0, 1 - priceRatio * this.priceSensitivity * 2);
-
-        // Brand/quality score
-        const qualityScore = offer.qualityIndex * this.qualityPreference;
+        const week = marketState.week ?? 0;
+        if (week < this.outOfMarketUntil) return { willBuy: false, probability: 0, choice: null };
 
         // Innovation bonus (early adopters more likely to buy new products)
         const noveltyBonus = offer.isNew ? this.innovationAdoption * 0.3 : 0;
@@ -67,15 +75,14 @@ export class CustomerAgent {
             ? (networkBuyers / this.connected.length) * this.socialInfluence
             : 0;
 
-        // Marketing reach effect
-        const marketingEffect = Math.min(1, (marketState.marketingSpend || 0) / 200000) * 0.2;
+        // Awareness: brand awareness of the marketing channels that reach this
+        // agent's preferred sales channel (MKT-001/003), plus word of mouth
+        this.wordOfMouth = Math.min(1, this.wordOfMouth + socialScore * 0.1);
+        const brandAwareness = marketState.awarenessByChannel?.[this.channelPreference] ?? 0;
+        this.awareness = Math.min(1, brandAwareness + this.wordOfMouth);
 
-        // Awareness grows over time with marketing spend and social influence
-        this.awareness = Math.min(1, this.awareness + marketingEffect + socialScore * 0.1);
-
-        // Competitor attractiveness dampens our probability
-        const competitorPressure = marketState.competitorAttractiveness || 0;
-        const competitorDampening = 1 - competitorPressure * 0.5;
+        // Lower-funnel lift (interest → intent) from the marketing mix
+        const funnelLift = marketState.funnelLiftByChannel?.[this.channelPreference] ?? 1.0;
 
         // Product lifecycle novelty factor (SIM-001)
         const noveltyFactor = marketState.noveltyFactor ?? 1.0;
@@ -83,40 +90,126 @@ export class CustomerAgent {
         // Demand seasonality (SIM-002)
         const seasonalMultiplier = marketState.seasonalMultiplier ?? 1.0;
 
-        // Combined probability
-        let prob = this.purchaseProbBase
-            * (0.3 + 0.7 * priceScore)
-            * (0.5 + 0.5 * qualityScore)
-            * (1 + noveltyBonus)
-            * (1 + socialScore)
-            * competitorDampening
-            * this.awareness
-            * noveltyFactor
-            * seasonalMultiplier;
+        // Market shock demand effect (SIM-008)
+        const demandMultiplier = marketState.demandMultiplier ?? 1.0;
+
+        // Category demand this week, then the logit choice among brands
+        const inMarket = Math.min(0.95, this.purchaseProbBase * seasonalMultiplier * demandMultiplier);
+        const ours = {
+            id: OWN_BRAND,
+            price: offer.currentPrice,
+            quality: offer.qualityIndex,
+            awareness: this.awareness,
+            boost: Math.log(funnelLift * noveltyFactor * (1 + noveltyBonus) * (1 + socialScore)),
+        };
+        const competitors = marketState.competitorOffers ?? [];
+        const { shares } = choiceProbabilities(this, [ours, ...competitors]);
+        const probabilities = shares.map(share => share * inMarket);
+
+        const pick = sampleChoice(probabilities, rng.next());
+        const willBuy = pick === 0;
+        if (willBuy && inStock) this.commitPurchase(rng, this._cycleOptions(offer, marketState));
+
+        let choice = willBuy ? OWN_BRAND : null;
+        if (pick > 0) {
+            choice = competitors[pick - 1].id;
+            this.buyFromCompetitor(choice, week, offer.repeatCycleWeeks ?? 8);
+        }
+
+        return { willBuy, probability: probabilities[0], choice };
+    }
+
+    /**
+     * Record a purchase from a competitor: the customer leaves the category
+     * for one purchase cycle and carries loyalty to that brand afterwards.
+     */
+    buyFromCompetitor(competitorId, week, cycleWeeks) {
+        this.lastBrand = competitorId;
+        this.outOfMarketUntil = week + Math.max(1, Math.round(cycleWeeks));
+    }
+
+    /**
+     * Repurchase decision for an existing customer (ECO-006).
+     * Nothing happens before the agent's inter-purchase interval elapses;
+     * after that, the chance of buying again is driven by satisfaction with
+     * previous purchases and by the current price. A declined repurchase
+     * pushes the next check out by another cycle.
+     */
+    _evaluateRepurchase(offer, marketState, rng, inStock) {
+        const week = marketState.week ?? 0;
+        if (week < this.nextPurchaseWeek) return { willBuy: false, probability: 0 };
 
-        prob = Math.min(prob, 0.95); // cap
+        const priceRatio = offer.currentPrice / this.budget;
+        const priceScore = Math.max(0, 1 - priceRatio * this.priceSensitivity * 2);
+        const demandMultiplier = marketState.demandMultiplier ?? 1.0;
+        const prob = Math.min(0.95, this.satisfaction * (0.3 + 0.7 * priceScore) * demandMultiplier);
 
         const willBuy = rng.next() < prob;
-        if (willBuy) {
-            this.hasPurchased = true;
-            this.satisfaction = 0.5 + 0.5 * rng.next(); // random initial satisfaction
+        if (!willBuy) {
+            this.nextPurchaseWeek = week + Math.max(1, Math.round(offer.repeatCycleWeeks ?? 8));
+        } else if (inStock) {
+            this.commitPurchase(rng, this._cycleOptions(offer, marketState));
         }
+        return { willBuy, probability: prob, repeat: true };
+    }
 
-        return { willBuy, probability: prob };
+    /** Repurchase-cycle options for commitPurchase; undefined when repeats are off */
+    _cycleOptions(offer, marketState) {
+        return offer.allowRepeat
+            ? { week: marketState.week ?? 0, repeatCycleWeeks: offer.repeatCycleWeeks ?? 8 }
+            : undefined;
+    }
+
+    /**
+     * Record a completed purchase (also used for demand recaptured after a stock-out).
+     * Satisfaction is drawn on the first purchase and blended with each new
+     * experience afterwards. When a repeat cycle is given, the next purchase
+     * is scheduled around it — sooner for satisfied customers.
+     * @param {{ next: () => number }} rng
+     * @param {{ week: number, repeatCycleWeeks: number }} [cycle]
+     */
+    commitPurchase(rng, cycle) {
+        const experience = 0.5 + 0.5 * rng.next();
+        this.satisfaction = this.purchases === 0
+            ? experience
+            : 0.6 * this.satisfaction + 0.4 * experience;
+        this.hasPurchased = true;
+        this.lastBrand = OWN_BRAND;
+        this.purchases++;
+        if (cycle) {
+            const interval = cycle.repeatCycleWeeks * (1.5 - this.satisfaction) * (0.5 + rng.next());
+            this.nextPurchaseWeek = cycle.week + Math.max(1, Math.round(interval));
+        }
     }
 
     /** Reset agent state for a new simulation run */
     reset() {
         this.hasPurchased = false;
         this.awareness = 0;
+        this.wordOfMouth = 0;
         this.satisfaction = 0;
         this.subscribed = false;
+        this.subscribedSince = null;
+        this.purchases = 0;
+        this.nextPurchaseWeek = Infinity;
+        this.lastBrand = null;
+        this.outOfMarketUntil = 0;
     }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Customer Population Generator
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Segments used when the population config (or its vertical pack) defines none. */
+export const DEFAULT_SEGMENTS = [
+    { name: 'price_hunters', weight: 0.30, priceSens: [0.7, 0.95], brandLoyalty: [0.1, 0.3], quality: [0.2, 0.5], budget: [200, 600], innovation: [0.2, 0.5], purchaseProb: [0.01, 0.03] },
+    { name: 'brand_loyalists', weight: 0.20, priceSens: [0.1, 0.4], brandLoyalty: [0.7, 0.95], quality: [0.5, 0.9], budget: [400, 1200], innovation: [0.3, 0.6], purchaseProb: [0.015, 0.04] },
+    { name: 'early_adopters', weight: 0.15, priceSens: [0.2, 0.5], brandLoyalty: [0.3, 0.6], quality: [0.6, 0.9], budget: [500, 1500], innovation: [0.7, 0.95], purchaseProb: [0.02, 0.05] },
+    { name: 'mainstream', weight: 0.25, priceSens: [0.4, 0.6], brandLoyalty: [0.3, 0.6], quality: [0.3, 0.7], budget: [300, 800], innovation: [0.3, 0.6], purchaseProb: [0.01, 0.025] },
+    { name: 'bargain_seekers', weight: 0.10, priceSens: [0.8, 0.99], brandLoyalty: [0.05, 0.2], quality: [0.1, 0.4], budget: [100, 400], innovation: [0.1, 0.3], purchaseProb: [0.005, 0.02] },
+];
+
 export class CustomerPopulation {
     constructor() {
         /** @type {CustomerAgent[]} */
@@ -142,13 +235,7 @@ export class CustomerPopulation {
         this.agentMap.clear();
 
         // Default segments if none provided
-        const segs = segments.length > 0 ? segments : [
-            { name: 'price_hunters', weight: 0.30, priceSens: [0.7, 0.95], brandLoyalty: [0.1, 0.3], quality: [0.2, 0.5], budget: [200, 600], innovation: [0.2, 0.5], purchaseProb: [0.01, 0.03] },
-            { name: 'brand_loyalists', weight: 0.20, priceSens: [0.1, 0.4], brandLoyalty: [0.7, 0.95], quality: [0.5, 0.9], budget: [400, 1200], innovation: [0.3, 0.6], purchaseProb: [0.015, 0.04] },
-            { name: 'early_adopters', weight: 0.15, priceSens: [0.2, 0.5], brandLoyalty: [0.3, 0.6], quality: [0.6, 0.9], budget: [500, 1500], innovation: [0.7, 0.95], purchaseProb: [0.02, 0.05] },
-            { name: 'mainstream', weight: 0.25, priceSens: [0.4, 0.6], brandLoyalty: [0.3, 0.6], quality: [0.3, 0.7], budget: [300, 800], innovation: [0.3, 0.6], purchaseProb: [0.01, 0.025] },
-            { name: 'bargain_seekers', weight: 0.10, priceSens: [0.8, 0.99], brandLoyalty: [0.05, 0.2], quality: [0.1, 0.4], budget: [100, 400], innovation: [0.1, 0.3], purchaseProb: [0.005, 0.02] },
-        ];
+        const segs = segments.length > 0 ? segments : DEFAULT_SEGMENTS;
 
         let id = 0;
         for (const seg of segs) {
@@ -0,0 +1,245 @@
+/**
+ * Prometheus Engine – Backtesting (DS-007)
+ * Replay a past launch from its saved scenario and score the Monte Carlo
+ * forecast against what actually happened: interval coverage, CRPS, MAPE and bias.
+ */
+import { MonteCarloEngine } from './montecarlo.js';
+import { REPRICING_POLICIES } from './dynamic-pricing.js';
+
+/** Series that can be scored, with the weekly metric they are read from. */
+export const BACKTEST_SERIES = [
+    { key: 'unitsSold', metric: 'unitsSold', label: 'Ventas semanales' },
+    { key: 'inventory', metric: 'inventory', label: 'Inventario' },
+    { key: 'price', metric: 'ourPrice', label: 'Precio' },
+];
+
+/** Central prediction intervals whose coverage is reported. */
+export const COVERAGE_LEVELS = [0.5, 0.8, 0.9];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Scoring Rules
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Nearest-rank percentile of sorted samples (same rule as computeStats). */
+function percentile(sorted, p) {
+    return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+/**
+ * Continuous ranked probability score of an ensemble forecast:
+ * E|X − y| − ½ E|X − X'|, in the units of the observation (lower is better).
+ * @param {number[]} samples – forecast draws
+ * @param {number} observed
+ * @returns {number}
+ */
+export function crps(samples, observed) {
+    const n = samples.length;
+    if (n === 0) return NaN;
+    const sorted = Array.from(samples).sort((a, b) => a - b);
+    let absError = 0;
+    let spread = 0;
+    for (let i = 0; i < n; i++) {
+        absError += Math.abs(sorted[i] - observed);
+        // Σ (2i − n − 1)·x₍ᵢ₎ over 1-based ranks equals n²·½E|X − X'|
+        spread += (2 * (i + 1) - n - 1) * sorted[i];
+    }
+    return absError / n - spread / (n * n);
+}
+
+/**
+ * Score the weekly forecast of one series against its actuals.
+ * Weeks without an actual value are skipped; MAPE skips weeks with zero actuals.
+ * @param {number[][]} samplesByWeek – forecast draws for each observed week
+ * @param {Array<number|null>} actual
+ * @param {number[]} weeks
+ * @param {number[]} levels – central interval levels
+ */
+function scoreSeries(samplesByWeek, actual, weeks, levels) {
+    const perWeek = [];
+    for (let i = 0; i < weeks.length; i++) {
+        const y = actual[i];
+        const draws = samplesByWeek[i];
+        if (y == null || draws.length === 0) continue;
+        const sorted = Array.from(draws).sort((a, b) => a - b);
+        const mean = sorted.reduce((s, v) => s + v, 0) / sorted.length;
+        const intervals = levels.map(level => {
+            const lo = percentile(sorted, (1 - level) / 2);
+            const hi = percentile(sorted, 1 - (1 - level) / 2);
+            return { level, lo, hi, hit: y >= lo && y <= hi };
+        });
+        perWeek.push({
+            week: weeks[i],
+            actual: y,
+            mean,
+            p50: percentile(sorted, 0.5),
+            intervals,
+            crps: crps(sorted, y),
+            // Share of draws at or below the actual (PIT): ≈ 0.5 on average when unbiased
+            pit: sorted.filter(v => v <= y).length / sorted.length,
+        });
+    }
+    const n = perWeek.length;
+    if (n === 0) return null;
+
+    const coverage = levels.map((level, li) => {
+        const hits = perWeek.filter(w => w.intervals[li].hit).length;
+        return { level, hits, weeks: n, rate: hits / n, gap: hits / n - level };
+    });
+    const nonZero = perWeek.filter(w => w.actual !== 0);
+    const mape = nonZero.length > 0
+        ? nonZero.reduce((s, w) => s + Math.abs(w.mean - w.actual) / Math.abs(w.actual), 0) / nonZero.length * 100
+        : null;
+
+    const errors = perWeek.map(w => w.mean - w.actual);
+    const forecastTotal = perWeek.reduce((s, w) => s + w.mean, 0);
+    const actualTotal = perWeek.reduce((s, w) => s + w.actual, 0);
+    const relativeBias = actualTotal !== 0 ? (forecastTotal - actualTotal) / Math.abs(actualTotal) * 100 : null;
+    const overForecastShare = errors.filter(e => e > 0).length / n;
+    const meanPIT = perWeek.reduce((s, w) => s + w.pit, 0) / n;
+
+    return {
+        perWeek,
+        coverage,
+        crps: perWeek.reduce((s, w) => s + w.crps, 0) / n,
+        mape,
+        bias: {
+            meanError: errors.reduce((s, e) => s + e, 0) / n,
+            relativeBias,
+            forecastTotal,
+            actualTotal,
+            overForecastShare,
+            meanPIT,
+            // Mean forecast more than 10% off the actual total, in one direction
+            direction: relativeBias == null || Math.abs(relativeBias) <= 10 ? 'neutral'
+                : relativeBias > 0 ? 'over' : 'under',
+        },
+    };
+}
+
+/**
+ * Score Monte Carlo iterations against a launch's weekly actuals.
+ * Actual week w is compared with weeklyMetrics[w − 1] of every iteration.
+ * @param {object[]} rawResults – per-iteration results carrying `weeklyMetrics`
+ * @param {{ weeks: number[], unitsSold: number[], inventory?: Array<number|null>, price?: Array<number|null> }} actuals
+ *        – see parseActuals
+ * @param {object} [options]
+ * @param {number[]} [options.levels=COVERAGE_LEVELS]
+ * @param {string[]} [options.series] – series keys to score (default: every series present in the actuals)
+ * @returns {{ weeks: number[], iterations: number, levels: number[], series: Object<string, object> }}
+ */
+export function scoreBacktest(rawResults, actuals, options = {}) {
+    const { levels = COVERAGE_LEVELS } = options;
+    const keys = options.series ?? BACKTEST_SERIES.map(s => s.key).filter(k => Array.isArray(actuals[k]));
+    const series = {};
+    for (const def of BACKTEST_SERIES) {
+        if (!keys.includes(def.key) || !Array.isArray(actuals[def.key])) continue;
+        const samplesByWeek = actuals.weeks.map(w => rawResults
+            .map(r => r.weeklyMetrics?.[w - 1]?.[def.metric])
+            .filter(Number.isFinite));
+        const scored = scoreSeries(samplesByWeek, actuals[def.key], actuals.weeks, levels);
+        if (scored) series[def.key] = { label: def.label, ...scored };
+    }
+    return { weeks: actuals.weeks, iterations: rawResults.length, levels, series };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Replay
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Replay a past launch and score the forecast against its actuals.
+ * The scenario is simulated as it was saved; when the actuals carry prices and
+ * `replayPrices` is on, the offer charges those prices week by week (a
+ * schedule repricing policy), so sales are judged under the prices really charged.
+ *
+ * @param {object} mcConfig – config built from the saved scenario, same shape as MonteCarloEngine.run()
+ * @param {object} actuals – see parseActuals
+ * @param {object} [options]
+ * @param {number} [options.iterations] – defaults to the scenario's own
+ * @param {boolean} [options.replayPrices=true]
+ * @param {number[]} [options.levels=COVERAGE_LEVELS]
+ * @param {(config: object) => Promise<object|null>} [options.runner] – Monte Carlo runner (default: sequential engine)
+ * @returns {Promise<object>} scoreBacktest() output plus { pricesReplayed, horizonWeeks }
+ */
+export async function runBacktest(mcConfig, actuals, options = {}) {
+    const {
+        iterations = mcConfig.iterations,
+        replayPrices = true,
+        levels = COVERAGE_LEVELS,
+        runner = (config) => new MonteCarloEngine().run(config),
+    } = options;
+
+    const lastWeek = Math.max(...actuals.weeks);
+    const pricesReplayed = replayPrices && Array.isArray(actuals.price) && actuals.price.some(p => p != null);
+    const offerConfig = { ...mcConfig.offerConfig };
+    if (pricesReplayed) {
+        const prices = [];
+        actuals.weeks.forEach((w, i) => { prices[w - 1] = actuals.price[i]; });
+        offerConfig.repricing = { type: REPRICING_POLICIES.SCHEDULE, prices };
+    }
+    const horizonWeeks = Math.max(mcConfig.timeHorizonWeeks ?? 26, lastWeek);
+
+    const results = await runner({
+        ...mcConfig,
+        offerConfig,
+        iterations,
+        timeHorizonWeeks: horizonWeeks,
+        // Fixed iteration count: the backtest is repeatable for a given scenario
+        precision: null,
+    });
+    if (!results) throw new Error('Backtest stopped: the simulation returned no results');
+
+    const score = scoreBacktest(results.rawResults, actuals, {
+        levels,
+        // A replayed price matches its actual by construction
+        series: BACKTEST_SERIES.map(s => s.key).filter(k => !(pricesReplayed && k === 'price')),
+    });
+    return { ...score, pricesReplayed, horizonWeeks };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Track Record
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Compact per-launch summary of a backtest, as stored with the backtest record.
+ * @param {object} backtest – from runBacktest / scoreBacktest
+ * @returns {{ weeks: number, coverage: Object<string, number>, crps: number|null, mape: number|null, relativeBias: number|null, direction: string|null }}
+ */
+export function summarizeBacktest(backtest) {
+    const sales = backtest.series.unitsSold;
+    return {
+        weeks: backtest.weeks.length,
+        coverage: Object.fromEntries((sales?.coverage ?? []).map(c => [c.level, c.rate])),
+        crps: sales?.crps ?? null,
+        mape: sales?.mape ?? null,
+        relativeBias: sales?.bias.relativeBias ?? null,
+        direction: sales?.bias.direction ?? null,
+    };
+}
+
+/**
+ * Forecast calibration across many backtested launches: average interval
+ * coverage against its nominal level, and how often sales were over-forecast.
+ * @param {Array<{ summary: ReturnType<typeof summarizeBacktest> }>} records – stored backtests
+ * @returns {{ launches: number, coverage: Array<{ level: number, rate: number, gap: number }>, meanMAPE: number|null, meanRelativeBias: number|null, overForecastLaunches: number, underForecastLaunches: number }}
+ */
+export function summarizeBacktestHistory(records) {
+    const summaries = records.map(r => r.summary).filter(Boolean);
+    const mean = (values) => {
+        const finite = values.filter(Number.isFinite);
+        return finite.length > 0 ? finite.reduce((s, v) => s + v, 0) / finite.length : null;
+    };
+    const levels = [...new Set(summaries.flatMap(s => Object.keys(s.coverage)))].map(Number).sort((a, b) => a - b);
+    return {
+        launches: summaries.length,
+        coverage: levels.map(level => {
+            const rate = mean(summaries.map(s => s.coverage[level]));
+            return { level, rate, gap: rate - level };
+        }),
+        meanMAPE: mean(summaries.map(s => s.mape)),
+        meanRelativeBias: mean(summaries.map(s => s.relativeBias)),
+        overForecastLaunches: summaries.filter(s => s.direction === 'over').length,
+        underForecastLaunches: summaries.filter(s => s.direction === 'under').length,
+    };
+}
@@ -0,0 +1,406 @@
+/**
+ * Prometheus Engine – Calibration from Actuals (DS-007)
+ * Approximate Bayesian computation (ABC-PMC) of the NGC uncertain parameters
+ * and the segment purchase probabilities against observed weekly sales.
+ */
+import { PRNG, NormalDistribution, TruncatedNormalDistribution, computeStats } from './distributions.js';
+import { parseCSV } from './distribution-fitting.js';
+import { NGC } from './ngc.js';
+import { DEFAULT_SEGMENTS } from './agents-customer.js';
+import { MonteCarloEngine } from './montecarlo.js';
+
+const WEEK_COLUMNS = ['week', 'semana', 'wk'];
+const SALES_COLUMNS = ['unitssold', 'units', 'sales', 'ventas', 'unidades'];
+const INVENTORY_COLUMNS = ['inventory', 'inventario', 'stock'];
+const PRICE_COLUMNS = ['price', 'precio', 'ourprice'];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Observed Data
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Read weekly actuals from CSV. Column names are matched case-insensitively
+ * (week/semana, unitsSold/units/sales/ventas/unidades, and the optional
+ * inventory/inventario/stock and price/precio) unless given. Weeks are
+ * 1-based like the simulated weeks; a CSV numbered from week 0 is shifted by
+ * one, and fractional or negative weeks are rejected.
+ * @param {string} csvText
+ * @param {object} [options]
+ * @param {string} [options.weekColumn]
+ * @param {string} [options.salesColumn]
+ * @param {string} [options.inventoryColumn]
+ * @param {string} [options.priceColumn]
+ * @returns {{ weeks: number[], unitsSold: number[], inventory?: Array<number|null>, price?: Array<number|null> }}
+ *          sorted by week; inventory and price only when the CSV has them (null where a cell is empty)
+ */
+export function parseActuals(csvText, options = {}) {
+    const { headers, rows } = parseCSV(csvText);
+    const find = (given, candidates) => given
+        ?? headers.find(h => candidates.includes(h.toLowerCase().replace(/[\s_-]/g, '')));
+    const weekColumn = find(options.weekColumn, WEEK_COLUMNS);
+    const salesColumn = find(options.salesColumn, SALES_COLUMNS);
+    const inventoryColumn = find(options.inventoryColumn, INVENTORY_COLUMNS);
+    const priceColumn = find(options.priceColumn, PRICE_COLUMNS);
+    if (!salesColumn) throw new Error('No weekly sales column found (expected unitsSold, units, sales or ventas)');
+
+    const optional = (r, column) => {
+        const v = column && r[column] !== '' ? Number(r[column]) : NaN;
+        return Number.isFinite(v) ? v : null;
+    };
+    const points = rows
+        .map((r, i) => ({
+            week: weekColumn ? Number(r[weekColumn]) : i + 1,
+            units: Number(r[salesColumn]),
+            inventory: optional(r, inventoryColumn),
+            price: optional(r, priceColumn),
+        }))
+        .filter(p => Number.isFinite(p.week) && Number.isFinite(p.units))
+        .sort((a, b) => a.week - b.week);
+    if (points.length === 0) throw new Error('The actuals contain no numeric weekly sales');
+    if (points.some(p => !Number.isInteger(p.week) || p.week < 0)) {
+        throw new Error('Weeks must be whole numbers counted from 1 (or from 0)');
+    }
+    if (points[0].week === 0) for (const p of points) p.week++;
+
+    const actuals = {
+        weeks: points.map(p => p.week),
+        unitsSold: points.map(p => p.units),
+    };
+    if (inventoryColumn) actuals.inventory = points.map(p => p.inventory);
+    if (priceColumn) actuals.price = points.map(p => p.price);
+    return actuals;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Calibrated Parameters
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Log-uniform prior for purchase probability multipliers. */
+function logUniformPrior(lo, hi) {
+    const logRange = Math.log(hi / lo);
+    return {
+        sample: (rng) => lo * Math.exp(rng.next() * logRange),
+        pdf: (x) => (x >= lo && x <= hi ? 1 / (x * logRange) : 0),
+    };
+}
+
+/**
+ * Parameters calibrated for a config: every uncertain company and macro
+ * parameter, each competitor's COGS and marketing budget distributions, and a
+ * purchase probability multiplier (shared, or one per segment).
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {object} [options]
+ * @param {boolean} [options.segmentScales=false] – one multiplier per segment instead of a shared one
+ * @param {[number, number]} [options.scaleRange=[0.25, 4]] – prior range of the multipliers
+ * @returns {Array<{ key: string, label: string, source: string, prior: { sample: Function, pdf: Function } }>}
+ */
+export function collectCalibrationParameters(mcConfig, options = {}) {
+    const { segmentScales = false, scaleRange = [0.25, 4] } = options;
+    const { ngc } = mcConfig;
+    const params = [];
+
+    for (const [k, dist] of ngc.companyData.uncertain) params.push({ key: `company.${k}`, label: k, source: 'company', prior: dist });
+    for (const [k, dist] of ngc.macroData.uncertain) params.push({ key: `macro.${k}`, label: k, source: 'macro', prior: dist });
+    for (const [id, cp] of ngc.competitors) {
+        const name = cp.name ?? id;
+        if (cp.cogsDistribution) {
+            params.push({ key: `competitor.${id}.cogs`, label: `COGS ${name}`, source: 'competitor', prior: cp.cogsDistribution });
+        }
+        if (cp.marketingBudgetDistribution) {
+            params.push({ key: `competitor.${id}.marketingBudget`, label: `Presupuesto MKT ${name}`, source: 'competitor', prior: cp.marketingBudgetDistribution });
+        }
+    }
+
+    const prior = logUniformPrior(...scaleRange);
+    if (segmentScales) {
+        for (const seg of baseSegments(mcConfig)) {
+            params.push({ key: `segment.${seg.name}.purchaseProb`, label: `Prob. compra ${seg.name}`, source: 'segment', prior });
+        }
+    } else {
+        params.push({ key: 'segments.purchaseProb', label: 'Prob. compra (todos los segmentos)', source: 'segment', prior });
+    }
+    return params;
+}
+
+function baseSegments(mcConfig) {
+    const segments = mcConfig.populationConfig?.segments;
+    return segments?.length > 0 ? segments : DEFAULT_SEGMENTS;
+}
+
+/** Segments with purchase probability ranges scaled (capped at 1). */
+function scaleSegments(segments, scaleFor) {
+    return segments.map(seg => ({
+        ...seg,
+        purchaseProb: seg.purchaseProb.map(p => Math.min(1, p * scaleFor(seg.name))),
+    }));
+}
+
+/**
+ * MC config for one particle: NGC parameters fixed through scenario
+ * overrides, purchase probabilities scaled in the population config.
+ */
+function particleConfig(mcConfig, params, theta) {
+    const overrides = { company: {}, macro: {}, competitors: {} };
+    const scales = {};
+    params.forEach((p, i) => {
+        const [head, ...rest] = p.key.split('.');
+        if (head === 'company' || head === 'macro') {
+            overrides[head][rest.join('.')] = theta[i];
+        } else if (head === 'competitor') {
+            const field = rest[rest.length - 1] === 'cogs' ? 'sampledCOGS' : 'sampledMarketingBudget';
+            const id = rest.slice(0, -1).join('.');
+            (overrides.competitors[id] = overrides.competitors[id] ?? {})[field] = theta[i];
+        } else if (head === 'segment') {
+            scales[rest.slice(0, -1).join('.')] = theta[i];
+        } else {
+            scales['*'] = theta[i];
+        }
+    });
+
+    return {
+        ...mcConfig,
+        populationConfig: {
+            ...mcConfig.populationConfig,
+            segments: scaleSegments(baseSegments(mcConfig), name => scales[name] ?? scales['*'] ?? 1),
+        },
+        scenarioOverrides: overrides,
+    };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Weighted Summaries
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function weightedQuantile(values, weights, q) {
+    const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+    const total = weights.reduce((s, w) => s + w, 0);
+    let cum = 0;
+    for (const i of order) {
+        cum += weights[i] / total;
+        if (cum >= q) return values[i];
+    }
+    return values[order[order.length - 1]];
+}
+
+function weightedSummary(values, weights) {
+    const total = weights.reduce((s, w) => s + w, 0);
+    const mean = values.reduce((s, v, i) => s + v * weights[i], 0) / total;
+    const variance = values.reduce((s, v, i) => s + weights[i] * (v - mean) ** 2, 0) / total;
+    return {
+        mean,
+        std: Math.sqrt(variance),
+        p5: weightedQuantile(values, weights, 0.05),
+        p50: weightedQuantile(values, weights, 0.5),
+        p95: weightedQuantile(values, weights, 0.95),
+        min: Math.min(...values),
+        max: Math.max(...values),
+    };
+}
+
+/** Mean and P10–P90 band of weekly units sold over the observed weeks. */
+function weeklyBand(rawResults, weeks) {
+    const perWeek = weeks.map(w => computeStats(rawResults.map(r => r.weeklyMetrics[w - 1]?.unitsSold ?? 0)));
+    return {
+        mean: perWeek.map(s => s.mean),
+        p10: perWeek.map(s => s.p10),
+        p90: perWeek.map(s => s.p90),
+    };
+}
+
+/** Root mean squared error relative to mean observed sales. */
+function fitDistance(simulated, observed) {
+    const mse = observed.reduce((s, v, i) => s + (simulated[i] - v) ** 2, 0) / observed.length;
+    const scale = Math.max(1, observed.reduce((s, v) => s + v, 0) / observed.length);
+    return Math.sqrt(mse) / scale;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  ABC Population Monte Carlo
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Calibrate a config to observed weekly sales with ABC population Monte Carlo
+ * (Beaumont et al., 2009). Each round proposes `particles` parameter sets,
+ * simulates them on common random numbers and keeps the closest
+ * `acceptRate` share; later rounds perturb the survivors and reweight them
+ * by prior / proposal density.
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {{ weeks: number[], unitsSold: number[] }} actuals – from parseActuals
+ * @param {object} [options]
+ * @param {number} [options.particles=100] – proposals per round
+ * @param {number} [options.rounds=3]
+ * @param {number} [options.acceptRate=0.25]
+ * @param {number} [options.iterations=2] – MC iterations per particle
+ * @param {number} [options.validationIterations=30] – iterations of the before/after fit runs
+ * @param {boolean} [options.segmentScales=false] – see collectCalibrationParameters
+ * @param {[number, number]} [options.scaleRange=[0.25, 4]]
+ * @param {number} [options.seed] – default mcConfig.seed
+ * @param {Function} [options.runner] – (config) => Promise<MonteCarloResults>
+ * @param {Function} [options.onProgress] – ({ round, rounds, evaluated, total, epsilon })
+ * @returns {Promise<object>} posteriors, calibrated segments, ABC rounds and the before/after fit
+ */
+export async function calibrateFromActuals(mcConfig, actuals, options = {}) {
+    const {
+        particles = 100,
+        rounds = 3,
+        acceptRate = 0.25,
+        iterations = 2,
+        validationIterations = 30,
+        segmentScales = false,
+        scaleRange = [0.25, 4],
+        seed = mcConfig.seed ?? 42,
+        runner = (config) => new MonteCarloEngine().run(config),
+        onProgress = () => { },
+    } = options;
+    const { weeks, unitsSold } = actuals;
+    const horizon = Math.max(...weeks);
+    const params = collectCalibrationParameters(mcConfig, { segmentScales, scaleRange });
+    const rng = new PRNG(seed ^ 0x5bd1e995);
+    const keep = Math.max(2, Math.ceil(particles * acceptRate));
+    const total = particles * rounds;
+    // Only the observed weeks are simulated; every particle shares the seeds
+    const base = { ...mcConfig, timeHorizonWeeks: horizon, precision: null };
+
+    const priorDensity = (theta) => params.reduce((d, p, i) => d * p.prior.pdf(theta[i]), 1);
+    let evaluated = 0;
+    const simulate = async (theta) => {
+        const mc = await runner({ ...particleConfig(base, params, theta), iterations });
+        if (!mc?.rawResults?.length) throw new Error('Calibration stopped: a particle returned no results');
+        evaluated++;
+        return fitDistance(weeklyBand(mc.rawResults, weeks).mean, unitsSold);
+    };
+
+    let population = null;
+    const history = [];
+    for (let round = 0; round < rounds; round++) {
+        const proposals = [];
+        // Perturbation kernel: twice the weighted variance of the survivors
+        const kernelStd = population
+            ? params.map((_, d) => Math.max(1e-12, Math.sqrt(2) * weightedSummary(population.map(p => p.theta[d]), population.map(p => p.weight)).std))
+            : null;
+
+        for (let i = 0; i < particles; i++) {
+            let theta;
+            if (!population) {
+                theta = params.map(p => p.prior.sample(rng));
+            } else {
+                for (let attempt = 0; attempt < 100; attempt++) {
+                    const parent = population[pickWeighted(population, rng)];
+                    theta = parent.theta.map((v, d) => new NormalDistribution(v, kernelStd[d]).sample(rng));
+                    if (priorDensity(theta) > 0) break;
+                    theta = parent.theta;
+                }
+            }
+            proposals.push({ theta, distance: await simulate(theta) });
+            onProgress({ round: round + 1, rounds, evaluated, total, epsilon: history[history.length - 1]?.epsilon ?? null });
+        }
+
+        proposals.sort((a, b) => a.distance - b.distance);
+        const accepted = proposals.slice(0, keep);
+        for (const p of accepted) {
+            if (!population) {
+                p.weight = 1;
+            } else {
+                const proposal = population.reduce((s, q) => s + q.weight * q.theta.reduce((k, v, d) =>
+                    k * new NormalDistribution(v, kernelStd[d]).pdf(p.theta[d]), 1), 0);
+                p.weight = proposal > 0 ? priorDensity(p.theta) / proposal : 0;
+            }
+        }
+        const weightSum = accepted.reduce((s, p) => s + p.weight, 0);
+        for (const p of accepted) p.weight = weightSum > 0 ? p.weight / weightSum : 1 / accepted.length;
+        population = accepted;
+
+        history.push({
+            round: round + 1,
+            epsilon: accepted[accepted.length - 1].distance,
+            bestDistance: accepted[0].distance,
+            effectiveParticles: 1 / accepted.reduce((s, p) => s + p.weight ** 2, 0),
+        });
+    }
+
+    // ── Posterior summaries and distributions to write back ──
+    const weights = population.map(p => p.weight);
+    const priorDraws = new PRNG(seed);
+    const parameters = params.map((p, d) => {
+        const posterior = weightedSummary(population.map(q => q.theta[d]), weights);
+        const priorSamples = Array.from({ length: 500 }, () => p.prior.sample(priorDraws));
+        return {
+            key: p.key,
+            label: p.label,
+            source: p.source,
+            prior: computeStats(priorSamples),
+            posterior,
+            distribution: p.source === 'segment'
+                ? null
+                : new TruncatedNormalDistribution(posterior.mean, Math.max(posterior.std, Math.abs(posterior.mean) * 1e-3, 1e-9), posterior.min, posterior.max).toJSON(),
+        };
+    });
+
+    const scaleOf = (name) => parameters.find(p => p.key === `segment.${name}.purchaseProb`)?.posterior.p50
+        ?? parameters.find(p => p.key === 'segments.purchaseProb')?.posterior.p50
+        ?? 1;
+    const calibration = {
+        parameters,
+        segments: scaleSegments(baseSegments(mcConfig), scaleOf),
+        rounds: history,
+        particles: population.map(p => ({
+            theta: Object.fromEntries(params.map((q, d) => [q.key, p.theta[d]])),
+            weight: p.weight,
+            distance: p.distance,
+        })),
+        settings: { particles, rounds, acceptRate, iterations, validationIterations, segmentScales, scaleRange },
+    };
+
+    // ── Before/after fit: prior and posterior predictive weekly sales ──
+    const before = await runner({ ...base, iterations: validationIterations });
+    const after = await runner({ ...applyCalibration(base, calibration), iterations: validationIterations });
+    const prior = weeklyBand(before.rawResults, weeks);
+    const posterior = weeklyBand(after.rawResults, weeks);
+    calibration.fit = {
+        weeks,
+        actual: unitsSold,
+        prior,
+        posterior,
+        priorDistance: fitDistance(prior.mean, unitsSold),
+        posteriorDistance: fitDistance(posterior.mean, unitsSold),
+    };
+    return calibration;
+}
+
+function pickWeighted(population, rng) {
+    let u = rng.next();
+    for (let i = 0; i < population.length; i++) {
+        u -= population[i].weight;
+        if (u < 0) return i;
+    }
+    return population.length - 1;
+}
+
+/**
+ * Config with the calibrated posteriors in place: a copy of the NGC with the
+ * posterior distributions and the population with the calibrated segments.
+ * @param {object} mcConfig
+ * @param {object} calibration – from calibrateFromActuals
+ * @returns {object} new config (the input is not modified)
+ */
+export function applyCalibration(mcConfig, calibration) {
+    const ngc = NGC.fromJSON(mcConfig.ngc.toJSON());
+    for (const p of calibration.parameters) {
+        if (!p.distribution) continue;
+        const dist = new TruncatedNormalDistribution(p.distribution.params.mu, p.distribution.params.sigma, p.distribution.params.lo, p.distribution.params.hi);
+        const [head, ...rest] = p.key.split('.');
+        if (head === 'company') ngc.setCompanyUncertain(rest.join('.'), dist);
+        else if (head === 'macro') ngc.setMacroUncertain(rest.join('.'), dist);
+        else if (head === 'competitor') {
+            const cp = ngc.getCompetitor(rest.slice(0, -1).join('.'));
+            if (!cp) continue;
+            if (rest[rest.length - 1] === 'cogs') cp.cogsDistribution = dist;
+            else cp.marketingBudgetDistribution = dist;
+        }
+    }
+    return {
+        ...mcConfig,
+        ngc,
+        populationConfig: { ...mcConfig.populationConfig, segments: calibration.segments },
+    };
+}
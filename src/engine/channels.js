@@ -39,6 +39,16 @@ export const CHANNEL_FEES = {
         returnProcessingFee: 4.00,
         marketingAllocationPct: 0.10,
     },
+    /** Generic third-party marketplace (channel key used by offers & customer agents) */
+    marketplace: {
+        label: 'Marketplace',
+        commissionPct: 0.12,
+        paymentProcessingPct: 0.0, // settled by the marketplace
+        paymentFixedFee: 0.0,
+        shippingCostPerUnit: 4.50,
+        returnProcessingFee: 3.50,
+        marketingAllocationPct: 0.08,
+    },
     /** Retail / physical stores */
     retail: {
         label: 'Retail',
@@ -134,3 +144,20 @@ export function calculateBlendedMargin(salePrice, cogs, channelMix) {
         channelBreakdown: breakdown,
     };
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sale Routing
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Resolve the channel a customer buys through.
+ * Uses the customer's preferred channel when the offer is sold there,
+ * otherwise falls back to the offer's primary (first) channel.
+ * @param {string} preferredChannel - customer's channel preference
+ * @param {string[]} offerChannels - channels the offer is listed on
+ * @returns {string} channel key
+ */
+export function resolveSaleChannel(preferredChannel, offerChannels) {
+    if (!offerChannels || offerChannels.length === 0) return preferredChannel;
+    return offerChannels.includes(preferredChannel) ? preferredChannel : offerChannels[0];
+}
@@ -0,0 +1,114 @@
+/**
+ * Prometheus Engine – Customer Choice Model (SIM-009)
+ * Multinomial logit over our offer, each competitor and "no purchase",
+ * so our sales and competitor sales come from the same agent decisions.
+ */
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Utility Coefficients
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Part-worths of the logit utility. */
+export const DEFAULT_CHOICE_COEFFICIENTS = {
+    price: -2.0,      // × price sensitivity × effective price / budget
+    quality: 1.0,     // × quality preference × quality index
+    loyalty: 1.5,     // × brand loyalty, for the brand the customer bought last
+    awareness: 1.0,   // × ln(awareness): brands the customer never heard of are not considered
+    promotion: 2.0,   // × promotional discount (salience beyond the price cut)
+    noPurchase: 0,    // utility of the outside option
+};
+
+/** Brand id used for our own offer in choice sets and `lastBrand`. */
+export const OWN_BRAND = 'own';
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Choice Probabilities
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Deterministic utility of one alternative for one customer.
+ * @param {import('./agents-customer.js').CustomerAgent} agent
+ * @param {{ id: string, price: number, quality: number, awareness: number, discount?: number, boost?: number }} alt
+ *        `boost` is the log of any offer-specific multiplier (novelty, funnel lift, social proof)
+ * @param {object} [coef]
+ * @returns {number} utility (-Infinity when the customer is unaware of the brand)
+ */
+export function alternativeUtility(agent, alt, coef = DEFAULT_CHOICE_COEFFICIENTS) {
+    if (!(alt.awareness > 0)) return -Infinity;
+    const discount = alt.discount ?? 0;
+    const effectivePrice = alt.price * (1 - discount);
+    return coef.price * agent.priceSensitivity * (effectivePrice / agent.budget)
+        + coef.quality * agent.qualityPreference * alt.quality
+        + coef.loyalty * agent.brandLoyalty * (agent.lastBrand === alt.id ? 1 : 0)
+        + coef.awareness * Math.log(alt.awareness)
+        + coef.promotion * discount
+        + (alt.boost ?? 0);
+}
+
+/**
+ * Logit choice probabilities, conditional on the customer shopping the category.
+ * @param {import('./agents-customer.js').CustomerAgent} agent
+ * @param {object[]} alternatives – see alternativeUtility
+ * @param {object} [coef]
+ * @returns {{ shares: number[], noPurchase: number }} shares in the order given
+ */
+export function choiceProbabilities(agent, alternatives, coef = DEFAULT_CHOICE_COEFFICIENTS) {
+    const utilities = alternatives.map(alt => alternativeUtility(agent, alt, coef));
+    // Subtract the max utility for numerical stability
+    const maxU = Math.max(coef.noPurchase, ...utilities);
+    const weights = utilities.map(u => Math.exp(u - maxU));
+    const noneWeight = Math.exp(coef.noPurchase - maxU);
+    const total = noneWeight + weights.reduce((s, w) => s + w, 0);
+    return {
+        shares: weights.map(w => w / total),
+        noPurchase: noneWeight / total,
+    };
+}
+
+/**
+ * Pick an alternative from a probability vector with a single uniform draw.
+ * @param {number[]} probabilities – need not sum to 1; the remainder is "no choice"
+ * @param {number} u – uniform draw in [0, 1)
+ * @returns {number} index of the chosen alternative, or -1
+ */
+export function sampleChoice(probabilities, u) {
+    let cum = 0;
+    for (let i = 0; i < probabilities.length; i++) {
+        cum += probabilities[i];
+        if (u < cum) return i;
+    }
+    return -1;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Competitor Alternatives
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Awareness of an incumbent competitor: established share plus its share of
+ * voice against our weekly marketing spend.
+ * @param {number} marketShare – 0-1
+ * @param {number} marketingSpend – competitor's weekly spend
+ * @param {number} ourSpend – our weekly spend
+ * @returns {number} 0-1
+ */
+export function competitorAwareness(marketShare, marketingSpend, ourSpend) {
+    const totalSpend = marketingSpend + ourSpend;
+    const shareOfVoice = totalSpend > 0 ? marketingSpend / totalSpend : 0;
+    return Math.min(1, 0.1 + marketShare + 0.2 * shareOfVoice);
+}
+
+/**
+ * Build the choice-set entry for a competitor agent's current action.
+ * @param {import('./agents-competitor.js').CompetitorAgent} ca
+ * @param {number} ourSpend – our weekly marketing spend
+ */
+export function competitorAlternative(ca, ourSpend) {
+    return {
+        id: ca.profile.id,
+        price: ca.currentPrice,
+        discount: ca.currentPromotion?.discount ?? 0,
+        quality: ca.profile.qualityIndex ?? 0.6,
+        awareness: competitorAwareness(ca.profile.marketShare, ca.currentMarketingSpend, ourSpend),
+    };
+}
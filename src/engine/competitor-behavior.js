@@ -0,0 +1,175 @@
+/**
+ * Prometheus Engine – Competitor Intelligence & Price Wars (SIM-009)
+ * Competitors see our moves late and imperfectly (vertical reaction speed and
+ * observation noise), and a provoked market can tip into a multi-week price
+ * war whose odds depend on the vertical.
+ */
+import { VERTICALS } from './verticals.js';
+
+/**
+ * Behavior used when the vertical does not set a value. Vertical
+ * `competitorModifiers` and explicit overrides take precedence.
+ */
+export const DEFAULT_COMPETITOR_BEHAVIOR = {
+    /** Weeks before competitors see our price and sales */
+    reactionSpeed: 1,
+    /** Relative error (std dev) of what competitors observe */
+    observationNoise: 0.05,
+    /** Chance of a price war over a launch where competitors are provoked every week */
+    priceWarProbability: 0.2,
+    /** Min / max length of a price war, in weeks */
+    priceWarWeeks: [3, 6],
+    /** Extra price cut below base price per week of war */
+    priceWarStep: 0.04,
+    /** Price gap (share of base price) that counts as a provocation */
+    priceWarTrigger: 0.05,
+};
+
+/**
+ * Competitor behavior for a vertical.
+ * @param {string} [vertical] – key of VERTICALS
+ * @param {object} [overrides] – any DEFAULT_COMPETITOR_BEHAVIOR fields
+ * @returns {typeof DEFAULT_COMPETITOR_BEHAVIOR}
+ */
+export function resolveCompetitorBehavior(vertical, overrides = null) {
+    return { ...DEFAULT_COMPETITOR_BEHAVIOR, ...VERTICALS[vertical]?.competitorModifiers, ...overrides };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Imperfect Market Intelligence
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Keeps the history of our price and sales and serves each competitor a
+ * delayed, noisy reading of it.
+ */
+export class MarketObserver {
+    /** @param {{ reactionSpeed: number, observationNoise: number }} behavior */
+    constructor(behavior) {
+        this.lag = Math.max(0, Math.round(behavior.reactionSpeed ?? 0));
+        this.noise = Math.max(0, behavior.observationNoise ?? 0);
+        this.prices = [];
+        this.totalSales = [];
+        this.conversions = [];
+    }
+
+    /** Our price as set for `week`, before competitors decide. */
+    recordPrice(week, price) {
+        this.prices[week] = price;
+    }
+
+    /** Our cumulative sales and conversion rate at the close of `week`. */
+    recordOutcome(week, totalSales, conversionRate) {
+        this.totalSales[week] = totalSales;
+        this.conversions[week] = conversionRate;
+    }
+
+    /**
+     * What a competitor knows at `week`: our price `lag` weeks ago and our
+     * sales as they stood `lag` weeks before last week's close, each read with
+     * a uniform relative error of standard deviation `observationNoise`.
+     * @param {number} week
+     * @param {import('./distributions.js').PRNG} rng
+     * @returns {{ ourPrice: number, ourTotalSales: number, ourConversionRate: number, asOfWeek: number }}
+     */
+    observe(week, rng) {
+        const priceWeek = Math.max(0, week - this.lag);
+        const outcomeWeek = week - 1 - this.lag;
+        const noisy = (v) => (this.noise > 0 ? Math.max(0, v * (1 + this.noise * Math.sqrt(3) * (2 * rng.next() - 1))) : v);
+        return {
+            ourPrice: noisy(this.prices[priceWeek]),
+            ourTotalSales: outcomeWeek >= 0 ? noisy(this.totalSales[outcomeWeek]) : 0,
+            ourConversionRate: outcomeWeek >= 0 ? noisy(this.conversions[outcomeWeek]) : 0,
+            asOfWeek: outcomeWeek,
+        };
+    }
+}
+
+/**
+ * The market state as one competitor perceives it.
+ * @param {object} marketState – the simulation's shared market state
+ * @param {ReturnType<MarketObserver['observe']>} seen
+ * @returns {object}
+ */
+export function perceivedMarketState(marketState, seen) {
+    return {
+        ...marketState,
+        ourOffer: { ...marketState.ourOffer, currentPrice: seen.ourPrice },
+        ourTotalSales: seen.ourTotalSales,
+        ourConversionRate: seen.ourConversionRate,
+    };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Price-War Regimes
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Weekly price-war regime switching. While competitors are provoked, each
+ * week a war may break out; once started it runs for a sampled number of
+ * weeks, cutting prices deeper every week.
+ */
+export class PriceWarRegime {
+    /**
+     * @param {typeof DEFAULT_COMPETITOR_BEHAVIOR} behavior
+     * @param {number} totalWeeks – launch horizon
+     */
+    constructor(behavior, totalWeeks) {
+        this.behavior = behavior;
+        this.totalWeeks = totalWeeks;
+        // Weekly hazard so that a launch provoked every week sees a war with priceWarProbability
+        const p = Math.min(1, Math.max(0, behavior.priceWarProbability ?? 0));
+        this.hazard = 1 - Math.pow(1 - p, 1 / Math.max(1, totalWeeks));
+        /** @type {{ startWeek: number, endWeek: number, trigger: string, maxDepth: number }|null} */
+        this.active = null;
+        this.episodes = [];
+    }
+
+    /**
+     * Advance the regime by one week.
+     * @param {number} week
+     * @param {string|null} provocation – what provoked the market this week, null when calm
+     * @param {import('./distributions.js').PRNG} rng
+     * @returns {number} price cut below base price this week (0 = no war)
+     */
+    step(week, provocation, rng) {
+        if (this.active && week > this.active.endWeek) this.active = null;
+        if (!this.active && provocation && this.hazard > 0 && rng.next() < this.hazard) {
+            const [minWeeks, maxWeeks] = this.behavior.priceWarWeeks;
+            const weeks = minWeeks + Math.floor(rng.next() * (maxWeeks - minWeeks + 1));
+            this.active = { startWeek: week, endWeek: week + weeks - 1, trigger: provocation, maxDepth: 0 };
+            this.episodes.push(this.active);
+        }
+        if (!this.active) return 0;
+        const depth = this.behavior.priceWarStep * (week - this.active.startWeek + 1);
+        this.active.maxDepth = Math.max(this.active.maxDepth, depth);
+        return depth;
+    }
+
+    /**
+     * Price-war episodes of the run, cut at the horizon.
+     * @returns {Array<{ startWeek: number, endWeek: number, weeks: number, trigger: string, maxDepth: number }>}
+     */
+    getEpisodes() {
+        return this.episodes.map(e => {
+            const endWeek = Math.min(e.endWeek, this.totalWeeks - 1);
+            return { ...e, endWeek, weeks: endWeek - e.startWeek + 1 };
+        });
+    }
+}
+
+/**
+ * What provokes a price war this week, if anything: our price undercutting
+ * the competitors' base prices, or a competitor cutting its own price.
+ * @param {number} ourPrice
+ * @param {Array<{ basePrice: number, price: number }>} competitors – base price and this week's decided price
+ * @param {number} trigger – price gap as a share of base price
+ * @returns {'our_undercut'|'competitor_cut'|null}
+ */
+export function detectProvocation(ourPrice, competitors, trigger) {
+    if (competitors.length === 0) return null;
+    const meanBase = competitors.reduce((s, c) => s + c.basePrice, 0) / competitors.length;
+    if (ourPrice < meanBase * (1 - trigger)) return 'our_undercut';
+    if (competitors.some(c => c.price < c.basePrice * (1 - trigger))) return 'competitor_cut';
+    return null;
+}
@@ -2,6 +2,7 @@
  * Prometheus Engine – Competitor Exit/Entry Dynamics (SIM-005)
  * Models competitor market entry and exit during simulation runs.
  */
+import { CompetitorProfile as AgentProfile } from './ngc.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Competitor Dynamics
@@ -16,14 +17,27 @@
  * @property {number} marketShare
  * @property {boolean} active
  * @property {number} entryWeek
+ * @property {string} [type] - agent type the entrant plays as ('rule_based' | 'ml')
+ * @property {number} [aggressiveness] - 0-1, higher for entrants pricing below the market
+ * @property {number} [profit] - the competitor's own accumulated profit
+ * @property {number} [lossWeeks] - consecutive weeks its accumulated profit has been negative
+ * @property {number|null} [profitRatio] - profit per week relative to the average active competitor (null when peers are not profitable)
+ * @property {number} [financialHealth] - 0-1, runway to absorb poor results
  * @property {number} [exitWeek]
  * @property {string} [exitReason]
  */
 
+/** Agent type of an entrant, by what drew it into the market */
+const ENTRANT_TYPES = {
+    márgenes_atractivos: 'ml',      // margin-chasers price from market data
+    oportunidad_de_mercado: 'rule_based',
+};
+
 /**
  * Generate a random competitor profile.
+ * Entrants that price below the market play more aggressively.
  * @param {object} rng - { next: () => number }
- * @param {object} market - { avgPrice, avgQuality, week }
+ * @param {object} market - { avgPrice, avgQuality, week, reason } (reason from evaluateEntry)
  * @returns {CompetitorProfile}
  */
 export function generateCompetitor(rng, market) {
@@ -39,6 +53,8 @@ export function generateCompetitor(rng, market) {
         marketShare: 0,
         active: true,
         entryWeek: market.week,
+        type: ENTRANT_TYPES[market.reason] ?? 'rule_based',
+        aggressiveness: Math.min(0.9, Math.max(0.1, (1.3 - priceMultiplier) / 0.6)),
     };
 }
 
@@ -48,12 +64,13 @@ export function generateCompetitor(rng, market) {
  * @param {object} context
  * @param {number} context.week
  * @param {number} context.minShareThreshold - below this, risk of exit
- * @param {number} context.maxLossWeeks - consecutive weeks of low share before exit
+ * @param {number} context.maxLossWeeks - consecutive weeks of low share before exit, and the loss runway of an average balance sheet
+ * @param {number} [context.lossRatio] - profitRatio below which a loss-making competitor trails its peers and runs out of runway sooner
  * @param {object} rng
  * @returns {{ shouldExit: boolean, reason: string }}
  */
 export function evaluateExit(competitor, context, rng) {
-    const { week, minShareThreshold = 0.02, maxLossWeeks = 8 } = context;
+    const { week, minShareThreshold = 0.02, maxLossWeeks = 8, lossRatio = 0.5 } = context;
     const weeksActive = week - competitor.entryWeek;
 
     // Too early to exit
@@ -74,6 +91,17 @@ export function evaluateExit(competitor, context, rng) {
         }
     }
 
+    // Accumulated losses outlast a runway set by financial health; trailing
+    // the peers' profit halves it. Profitable firms never exit on losses.
+    if (competitor.profit != null && competitor.profit < 0) {
+        const health = competitor.financialHealth ?? 0.7;
+        const trailing = competitor.profitRatio != null && competitor.profitRatio < lossRatio;
+        const runway = maxLossWeeks * (0.5 + health) * (trailing ? 0.5 : 1);
+        if ((competitor.lossWeeks ?? 0) >= runway && rng.next() < 0.1 + 0.2 * (1 - health)) {
+            return { shouldExit: true, reason: 'pérdidas_acumuladas' };
+        }
+    }
+
     // Random strategic exit (e.g., pivot, acquisition)
     if (rng.next() < 0.005) {
         return { shouldExit: true, reason: 'decisión_estratégica' };
@@ -130,9 +158,13 @@ export class CompetitorDynamicsTracker {
         this.events = [];
     }
 
-    addCompetitor(competitor) {
+    /**
+     * @param {CompetitorProfile} competitor
+     * @param {{ incumbent?: boolean }} [options] - incumbents are tracked without an entry event
+     */
+    addCompetitor(competitor, { incumbent = false } = {}) {
         this.competitors.set(competitor.id, competitor);
-        this.events.push({ type: 'entry', week: competitor.entryWeek, ...competitor });
+        if (!incumbent) this.events.push({ type: 'entry', week: competitor.entryWeek, ...competitor });
     }
 
     removeCompetitor(id, week, reason) {
@@ -164,3 +196,62 @@ export class CompetitorDynamicsTracker {
         };
     }
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  In-Run Dynamics
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Entry/exit settings for SimulationRun. Off unless a run asks for
+ * `competitorDynamics`; any field can be overridden.
+ */
+export const DEFAULT_COMPETITOR_DYNAMICS = {
+    entry: true,
+    exit: true,
+    /** Most new competitors in one run */
+    maxEntrants: 3,
+    minShareThreshold: 0.02,
+    maxLossWeeks: 8,
+    /** profitRatio below which a loss-making competitor trails its peers (halves its loss runway) */
+    lossRatio: 0.5,
+    /** Weeks of category sales behind a competitor's current share */
+    shareWindowWeeks: 4,
+    /** Installed-base share an entrant starts from */
+    entrantShare: 0.03,
+    entrantFinancialHealth: 0.5,
+};
+
+/**
+ * Dynamics settings for a run.
+ * @param {boolean|object|null} config - true for the defaults, an object of overrides, or null / false for none
+ * @returns {typeof DEFAULT_COMPETITOR_DYNAMICS|null}
+ */
+export function resolveCompetitorDynamics(config) {
+    if (!config) return null;
+    return { ...DEFAULT_COMPETITOR_DYNAMICS, ...(config === true ? null : config) };
+}
+
+/**
+ * Profile for an entrant's competitor agent. Its COGS is implied by its
+ * price at the same markup Monte Carlo gives incumbents over sampled COGS.
+ * @param {CompetitorProfile} entrant - from generateCompetitor
+ * @param {object} options
+ * @param {string} options.id
+ * @param {string} options.name
+ * @param {number} options.entrantShare
+ * @param {number} options.entrantFinancialHealth
+ * @returns {import('./ngc.js').CompetitorProfile}
+ */
+export function entrantProfile(entrant, { id, name, entrantShare, entrantFinancialHealth }) {
+    const profile = new AgentProfile({
+        id,
+        name,
+        type: entrant.type,
+        aggressiveness: entrant.aggressiveness,
+        financialHealth: entrantFinancialHealth,
+        marketShare: entrantShare,
+        qualityIndex: Math.min(1, Math.max(0.05, entrant.quality / 100)),
+    });
+    profile.constraints.baseCOGS = entrant.price / (1 + profile.constraints.minMargin + 0.3);
+    return profile;
+}
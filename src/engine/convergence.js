@@ -51,6 +51,19 @@ export class RunningStats {
     }
 }
 
+/**
+ * Two-sided standard normal critical value for a confidence level
+ * (Abramowitz & Stegun 26.2.23, |error| < 4.5e-4).
+ * @param {number} confidence - e.g. 0.95 → 1.96
+ * @returns {number}
+ */
+export function normalCriticalValue(confidence) {
+    const p = (1 - confidence) / 2;
+    const t = Math.sqrt(-2 * Math.log(p));
+    return t - (2.515517 + 0.802853 * t + 0.010328 * t * t)
+        / (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Convergence Tracker
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -63,11 +76,20 @@ export class ConvergenceTracker {
      * @param {string[]} kpiNames - KPIs to track
      * @param {number} [checkInterval=10] - check convergence every N iterations
      * @param {number} [threshold=1.0] - convergence threshold (% CV of mean)
+     * @param {object} [options]
+     * @param {Object<string, number>} [options.targets] - per-KPI target relative
+     *        half-width of the confidence interval (0.01 = mean ±1%); overrides `threshold`
+     * @param {number} [options.confidence=0.95] - confidence level of the interval
+     * @param {number} [options.minSamples=20] - samples required before a KPI can converge
      */
-    constructor(kpiNames = ['netProfit', 'roi', 'unitsSold'], checkInterval = 10, threshold = 1.0) {
+    constructor(kpiNames = ['netProfit', 'roi', 'unitsSold'], checkInterval = 10, threshold = 1.0, { targets = {}, confidence = 0.95, minSamples = 20 } = {}) {
         this.kpiNames = kpiNames;
         this.checkInterval = checkInterval;
         this.threshold = threshold;
+        this.targets = targets;
+        this.confidence = confidence;
+        this.z = normalCriticalValue(confidence);
+        this.minSamples = minSamples;
         this.stats = {};
         this.history = [];
         this.converged = false;
@@ -109,18 +131,33 @@ export class ConvergenceTracker {
         return null;
     }
 
+    /**
+     * Current state of every KPI, whether or not this is a check iteration.
+     * @returns {{ iteration: number, kpis: object, allConverged: boolean }}
+     */
+    snapshot() {
+        return this._createSnapshot(this.stats[this.kpiNames[0]].n);
+    }
+
     _createSnapshot(iteration) {
         const kpis = {};
         let allConverged = true;
 
         for (const kpi of this.kpiNames) {
             const s = this.stats[kpi];
-            const isConverged = s.cvMean <= this.threshold && s.n >= 20;
+            const halfWidth = this.z * s.sem;
+            const relativePrecision = Math.abs(s.mean) > 1e-10 ? halfWidth / Math.abs(s.mean) : Infinity;
+            const target = this.targets[kpi];
+            const withinTarget = target != null ? relativePrecision <= target : s.cvMean <= this.threshold;
+            const isConverged = withinTarget && s.n >= this.minSamples;
             kpis[kpi] = {
                 mean: s.mean,
                 std: s.std,
                 sem: s.sem,
                 cvMean: s.cvMean,
+                halfWidth,
+                relativePrecision,
+                target: target ?? null,
                 n: s.n,
                 converged: isConverged,
             };
@@ -145,8 +182,8 @@ export class ConvergenceTracker {
         for (const kpi of this.kpiNames) {
             series[kpi] = {
                 mean: this.history.map(h => h.kpis[kpi].mean),
-                upperCI: this.history.map(h => h.kpis[kpi].mean + 1.96 * h.kpis[kpi].sem),
-                lowerCI: this.history.map(h => h.kpis[kpi].mean - 1.96 * h.kpis[kpi].sem),
+                upperCI: this.history.map(h => h.kpis[kpi].mean + h.kpis[kpi].halfWidth),
+                lowerCI: this.history.map(h => h.kpis[kpi].mean - h.kpis[kpi].halfWidth),
                 cvMean: this.history.map(h => h.kpis[kpi].cvMean),
             };
         }
@@ -165,3 +165,139 @@ export const RETENTION_MODELS = {
     /** BG/NBD inspired shifted beta geometric */
     shifted: (a, b, month) => (b + month > 0) ? b / (a + b + month) : 1,
 };
+
+/** Default retention curve for simulated subscriptions (5% monthly churn). */
+export const DEFAULT_RETENTION_MODEL = { type: 'exponential', params: [0.05] };
+
+const WEEKS_PER_MONTH = 4.33;
+
+/**
+ * Weekly cancellation hazard implied by a retention curve.
+ * h(w) = 1 - R(w+1) / R(w), with w measured in weeks since subscription start.
+ * @param {{ type: string, params: number[] }} model - key of RETENTION_MODELS + its parameters
+ * @param {number} weeksActive - weeks the subscription has been active
+ * @returns {number} probability of cancelling this week (0-1)
+ */
+export function weeklyChurnHazard(model, weeksActive) {
+    const { type, params } = model ?? DEFAULT_RETENTION_MODEL;
+    const curve = RETENTION_MODELS[type] ?? RETENTION_MODELS.exponential;
+    const now = curve(...params, weeksActive / WEEKS_PER_MONTH);
+    const next = curve(...params, (weeksActive + 1) / WEEKS_PER_MONTH);
+    if (!(now > 0)) return 1;
+    return Math.max(0, Math.min(1, 1 - next / now));
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Realized Cohort LTV
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Accumulates realized revenue and margin per customer, grouped into
+ * acquisition cohorts by the week of first purchase. Fed by the simulation
+ * run instead of extrapolating LTV from aggregate sales after the fact.
+ */
+export class CohortTracker {
+    constructor() {
+        /** @type {Map<number, { cohortWeek: number, revenue: number, margin: number, purchases: number }>} */
+        this.customers = new Map();
+        /** @type {Array<{ customerId: number, start: number, end: number|null }>} subscription spells */
+        this.subscriptions = [];
+        /** @type {Map<number, { customerId: number, start: number, end: number|null }>} open spell per customer */
+        this.openSubscriptions = new Map();
+    }
+
+    /**
+     * Record a unit sale. The first sale for a customer fixes its cohort.
+     * @param {number} customerId
+     * @param {number} week
+     * @param {number} revenue
+     * @param {number} margin
+     */
+    recordPurchase(customerId, week, revenue, margin) {
+        let entry = this.customers.get(customerId);
+        if (!entry) {
+            entry = { cohortWeek: week, revenue: 0, margin: 0, purchases: 0 };
+            this.customers.set(customerId, entry);
+        }
+        entry.revenue += revenue;
+        entry.margin += margin;
+        entry.purchases++;
+    }
+
+    /** Add non-purchase value (e.g. a subscription fee) to an acquired customer. */
+    recordValue(customerId, revenue, margin) {
+        const entry = this.customers.get(customerId);
+        if (!entry) return;
+        entry.revenue += revenue;
+        entry.margin += margin;
+    }
+
+    recordSubscriptionStart(customerId, week) {
+        const spell = { customerId, start: week, end: null };
+        this.subscriptions.push(spell);
+        this.openSubscriptions.set(customerId, spell);
+    }
+
+    recordSubscriptionCancel(customerId, week) {
+        const spell = this.openSubscriptions.get(customerId);
+        if (!spell) return;
+        spell.end = week;
+        this.openSubscriptions.delete(customerId);
+    }
+
+    /**
+     * Realized value per acquisition cohort.
+     * @returns {{ cohortWeek: number, customers: number, purchases: number, revenue: number, margin: number, ltvPerCustomer: number }[]}
+     */
+    getCohorts() {
+        const byWeek = new Map();
+        for (const c of this.customers.values()) {
+            let cohort = byWeek.get(c.cohortWeek);
+            if (!cohort) {
+                cohort = { cohortWeek: c.cohortWeek, customers: 0, purchases: 0, revenue: 0, margin: 0 };
+                byWeek.set(c.cohortWeek, cohort);
+            }
+            cohort.customers++;
+            cohort.purchases += c.purchases;
+            cohort.revenue += c.revenue;
+            cohort.margin += c.margin;
+        }
+        return [...byWeek.values()]
+            .sort((a, b) => a.cohortWeek - b.cohortWeek)
+            .map(c => ({
+                ...c,
+                revenue: Math.round(c.revenue),
+                margin: Math.round(c.margin),
+                ltvPerCustomer: Math.round(c.margin / c.customers),
+            }));
+    }
+
+    /**
+     * Realized subscription retention: share of subscribers still active
+     * k weeks after starting, among those observed for at least k weeks.
+     * @param {number} horizonWeeks - weeks simulated (censoring point)
+     * @returns {number[]} retention[k], k = 0..horizonWeeks-1
+     */
+    getRetentionCurve(horizonWeeks) {
+        const curve = [];
+        for (let k = 0; k < horizonWeeks; k++) {
+            let observed = 0, active = 0;
+            for (const { start, end } of this.subscriptions) {
+                if (horizonWeeks - start <= k) continue;
+                observed++;
+                if (end === null || end - start > k) active++;
+            }
+            if (observed === 0) break;
+            curve.push(Math.round((active / observed) * 1000) / 1000);
+        }
+        return curve;
+    }
+
+    /** Realized margin per acquired customer across all cohorts. */
+    getRealizedLTV() {
+        if (this.customers.size === 0) return 0;
+        let margin = 0;
+        for (const c of this.customers.values()) margin += c.margin;
+        return Math.round(margin / this.customers.size);
+    }
+}
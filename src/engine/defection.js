@@ -81,6 +81,16 @@ export class DefectionTracker {
         this.loyaltyMultiplier = 1.0;
         this.weeksSinceLastStockOut = Infinity;
         this.history = [];
+
+        // Agent-level state (see handleStockOut / takeReturningCustomers)
+        /** @type {Map<number, string>} agent id → competitor id they switched to */
+        this.switched = new Map();
+        /** @type {Map<number, { agent: object, since: number, mode: 'waiting'|'deferred' }>} */
+        this.pending = new Map();
+        this.unmetDemand = 0;
+        this.recaptured = 0;
+        /** @type {Object<string, number>} competitor id → customers lost */
+        this.lostToCompetitors = {};
     }
 
     /**
@@ -142,6 +152,105 @@ export class DefectionTracker {
         return result;
     }
 
+    // ── Agent-level mode (used by SimulationRun) ──
+
+    /**
+     * True while a customer is out of our market because of a stock-out:
+     * switched to a competitor, or waiting / deferring their purchase.
+     * @param {number} agentId
+     * @returns {boolean}
+     */
+    isEngaged(agentId) {
+        return this.switched.has(agentId) || this.pending.has(agentId);
+    }
+
+    /**
+     * Route a customer who wanted to buy while we were out of stock.
+     * Loyal customers are less likely to switch; those who stay either wait
+     * for the restock (probability = brandLoyalty) or defer and may come back
+     * later with a decaying probability. Each stock-out also chips away at
+     * the agent's brand loyalty.
+     * @param {object} agent - CustomerAgent
+     * @param {number} week
+     * @param {Array<{ id: string, weight: number }>} competitors - switch targets, weighted by attractiveness
+     * @param {object} rng - PRNG instance
+     * @returns {{ outcome: 'switched'|'waiting'|'deferred', competitorId: string|null }}
+     */
+    handleStockOut(agent, week, competitors, rng) {
+        this.unmetDemand++;
+        const loyalty = agent.brandLoyalty;
+        agent.brandLoyalty = loyalty * (1 - this.profile.loyaltyDamage);
+
+        const switchProb = this.profile.switchProbability * (1 - 0.6 * loyalty);
+        if (competitors.length > 0 && rng.next() < switchProb) {
+            const competitorId = pickWeighted(competitors, rng);
+            this.switched.set(agent.id, competitorId);
+            this.lostToCompetitors[competitorId] = (this.lostToCompetitors[competitorId] ?? 0) + 1;
+            return { outcome: 'switched', competitorId };
+        }
+
+        const mode = rng.next() < loyalty ? 'waiting' : 'deferred';
+        this.pending.set(agent.id, { agent, since: week, mode });
+        return { outcome: mode, competitorId: null };
+    }
+
+    /**
+     * Probability that a deferred customer comes back this week.
+     * @param {object} agent - CustomerAgent
+     * @param {number} weeksAway
+     * @returns {number}
+     */
+    returnProbability(agent, weeksAway) {
+        const decayed = Math.exp(-this.profile.returnDecayRate * weeksAway);
+        return Math.max(this.profile.returnFloor, decayed) * (0.5 + 0.5 * agent.brandLoyalty);
+    }
+
+    /**
+     * Customers coming back to the shelf this week. Waiting customers return
+     * as soon as there is stock; deferred ones return with a decaying
+     * probability. Returning customers leave the pending pool — the caller
+     * either records the sale (`recordRecapture`) or hands them back to
+     * `handleStockOut`.
+     * @param {number} week
+     * @param {boolean} inStock
+     * @param {object} rng - PRNG instance
+     * @returns {object[]} returning agents
+     */
+    takeReturningCustomers(week, inStock, rng) {
+        const returning = [];
+        for (const [id, entry] of this.pending) {
+            const comesBack = entry.mode === 'waiting'
+                ? inStock
+                : rng.next() < this.returnProbability(entry.agent, week - entry.since);
+            if (comesBack) {
+                this.pending.delete(id);
+                returning.push(entry.agent);
+            }
+        }
+        return returning;
+    }
+
+    /**
+     * Let the customers who switched to a competitor back into our market,
+     * as when that competitor leaves it (SIM-005).
+     * @param {string} competitorId
+     * @returns {number} customers released
+     */
+    releaseCompetitor(competitorId) {
+        let released = 0;
+        for (const [agentId, id] of this.switched) {
+            if (id !== competitorId) continue;
+            this.switched.delete(agentId);
+            released++;
+        }
+        return released;
+    }
+
+    /** Record a returning customer who bought from us. */
+    recordRecapture() {
+        this.recaptured++;
+    }
+
     /**
      * Get summary statistics for the entire simulation.
      * @returns {object}
@@ -161,3 +270,21 @@ export class DefectionTracker {
         };
     }
 }
+
+/**
+ * Pick an id with probability proportional to its weight.
+ * Falls back to a uniform pick when all weights are zero.
+ * @param {Array<{ id: string, weight: number }>} items
+ * @param {object} rng
+ * @returns {string}
+ */
+function pickWeighted(items, rng) {
+    const total = items.reduce((s, it) => s + Math.max(0, it.weight), 0);
+    if (total <= 0) return items[Math.floor(rng.next() * items.length)].id;
+    let u = rng.next() * total;
+    for (const it of items) {
+        u -= Math.max(0, it.weight);
+        if (u < 0) return it.id;
+    }
+    return items[items.length - 1].id;
+}
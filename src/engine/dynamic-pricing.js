@@ -2,6 +2,7 @@
  * Prometheus Engine – Dynamic Pricing Engine (ECO-007)
  * Automated repricing rules based on demand, competition, and inventory signals.
  */
+import { calculateEffectivePrice } from './pricing.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Pricing Rules
@@ -128,3 +129,108 @@ export function simulateDynamicPricing(config) {
 
     return { results, avgPrice: Math.round(avgPrice), maxAdjustment: maxAdj, minAdjustment: minAdj };
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  In-Simulation Repricing Policies
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+export const REPRICING_POLICIES = {
+    /** Launch price held for the whole horizon */
+    FIXED: 'fixed',
+    /** calculateDynamicPrice() fed with live demand, competitor and inventory signals */
+    RULE_BASED: 'rule_based',
+    /** Vertical markdown calendar from pricing.js */
+    MARKDOWN: 'markdown',
+    /** Step-down price cuts while inventory runs ahead of plan */
+    CLEARANCE: 'clearance',
+    /** Given price per week, e.g. the prices actually charged in a past launch */
+    SCHEDULE: 'schedule',
+};
+
+/**
+ * Decide this week's price for an offer under a repricing policy.
+ * Signals are measured against a straight-line sell-through plan
+ * (initial inventory spread evenly over the horizon).
+ * The policy must be plain data so it can be sent to Monte Carlo workers.
+ *
+ * @param {object} policy
+ * @param {string} policy.type - one of REPRICING_POLICIES
+ * @param {string} [policy.rule='combined'] - PRICING_RULES value (rule_based)
+ * @param {object} [policy.bounds] - { floor, ceiling } (rule_based)
+ * @param {string} [policy.vertical] - markdown calendar vertical (markdown)
+ * @param {number} [policy.excessThreshold=0.2] - inventory excess over plan that triggers a cut (clearance)
+ * @param {number} [policy.step=0.1] - price cut per triggered week (clearance)
+ * @param {number} [policy.maxDiscount=0.5] - deepest discount from base price (clearance)
+ * @param {number} [policy.startWeek=2] - first week clearance may act (clearance)
+ * @param {Array<number|null>} [policy.prices] - price per week from week 0; gaps keep the current price (schedule)
+ * @param {object} ctx
+ * @param {number} ctx.week
+ * @param {number} ctx.totalWeeks
+ * @param {number} ctx.basePrice
+ * @param {number} ctx.currentPrice
+ * @param {number} ctx.cogs
+ * @param {number} ctx.inventory
+ * @param {number} ctx.initialInventory
+ * @param {number} ctx.lastWeekSales
+ * @param {number[]} [ctx.competitorPrices]
+ * @param {number} [ctx.launchMonth=0]
+ * @param {string} [ctx.vertical]
+ * @returns {{ price: number, reasoning: string[] }}
+ */
+export function applyRepricingPolicy(policy, ctx) {
+    const { week, totalWeeks, basePrice, currentPrice, cogs, inventory, initialInventory } = ctx;
+    const plannedWeekly = initialInventory / Math.max(1, totalWeeks);
+    const plannedRemaining = Math.max(1, initialInventory * (1 - week / Math.max(1, totalWeeks)));
+
+    switch (policy?.type) {
+        case REPRICING_POLICIES.RULE_BASED: {
+            const prices = (ctx.competitorPrices || []).filter(p => p > 0);
+            const result = calculateDynamicPrice({
+                basePrice,
+                demandIndex: week === 0 || plannedWeekly <= 0 ? 1 : ctx.lastWeekSales / plannedWeekly,
+                competitorPrice: prices.length > 0 ? prices.reduce((s, p) => s + p, 0) / prices.length : undefined,
+                // On-plan stock maps to the neutral 0.5 level, 2× plan to "full"
+                inventoryLevel: Math.min(1, Math.max(0, 0.5 * inventory / plannedRemaining)),
+                weekOfYear: (Math.floor((ctx.launchMonth ?? 0) * 4.33) + week) % 52 + 1,
+                rule: policy.rule ?? PRICING_RULES.COMBINED,
+                bounds: {
+                    floor: policy.bounds?.floor ?? Math.max(basePrice * 0.7, cogs),
+                    ceiling: policy.bounds?.ceiling,
+                },
+            });
+            return { price: result.adjustedPrice, reasoning: result.reasoning };
+        }
+
+        case REPRICING_POLICIES.MARKDOWN: {
+            const result = calculateEffectivePrice(basePrice, policy.vertical ?? ctx.vertical, week, totalWeeks, { minPrice: cogs });
+            return {
+                price: result.effectivePrice,
+                reasoning: result.activeStrategies.length > 0 ? result.activeStrategies : ['Precio base'],
+            };
+        }
+
+        case REPRICING_POLICIES.CLEARANCE: {
+            const { excessThreshold = 0.2, step = 0.1, maxDiscount = 0.5, startWeek = 2 } = policy;
+            const excess = inventory / plannedRemaining - 1;
+            if (week >= startWeek && excess > excessThreshold) {
+                const floor = basePrice * (1 - maxDiscount);
+                return {
+                    price: Math.max(floor, currentPrice * (1 - step)),
+                    reasoning: [`Exceso inventario vs plan (+${(excess * 100).toFixed(0)}%)`],
+                };
+            }
+            // Clearance never marks back up
+            return { price: currentPrice, reasoning: ['Sin ajustes'] };
+        }
+
+        case REPRICING_POLICIES.SCHEDULE: {
+            const price = policy.prices?.[week];
+            if (Number.isFinite(price) && price > 0) return { price, reasoning: ['Precio programado'] };
+            return { price: currentPrice, reasoning: ['Sin ajustes'] };
+        }
+
+        case REPRICING_POLICIES.FIXED:
+        default:
+            return { price: currentPrice, reasoning: ['Sin ajustes'] };
+    }
+}
@@ -12,15 +12,17 @@
  * @param {object} mcResults - aggregated MC results
  * @param {object} config - simulation config
  * @param {object} [riskResults] - risk analysis results
+ * @param {object} [stressReport] - from runStressTests() (stress-test.js)
  * @returns {object} structured summary
  */
-export function generateExecutiveSummary(mcResults, config, riskResults = null) {
+export function generateExecutiveSummary(mcResults, config, riskResults = null, stressReport = null) {
     if (!mcResults) return null;
 
     const profitability = assessProfitability(mcResults);
     const risk = assessRisk(mcResults, riskResults);
     const inventory = assessInventory(mcResults);
-    const recommendation = generateRecommendation(profitability, risk, inventory);
+    const stress = stressReport ? assessStress(stressReport) : null;
+    const recommendation = generateRecommendation(profitability, risk, inventory, stress);
 
     return {
         title: `Resumen Ejecutivo – ${config.offerConfig?.vertical || 'Producto'}`,
@@ -31,9 +33,11 @@ export function generateExecutiveSummary(mcResults, config, riskResults = null)
             profitability,
             risk,
             inventory,
+            ...(stress ? [stress] : []),
             recommendation,
         ],
-        narrative: buildNarrative(profitability, risk, inventory, config),
+        narrative: buildNarrative(profitability, risk, inventory, config)
+            + (stress ? ` ${stress.insight}` : ''),
     };
 }
 
@@ -100,7 +104,45 @@ function assessInventory(mc) {
     };
 }
 
-function generateRecommendation(profitability, risk, inventory) {
+function assessStress(report) {
+    const worst = report.worst;
+    const reverse = report.reverse;
+    const fmtProfit = (v) => `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString('es-MX', { maximumFractionDigits: 0 })}`;
+
+    let resilience;
+    if (reverse?.alreadyNegative) resilience = 'nula';
+    else if (report.breaking.length === 0 && (!reverse || !reverse.found)) resilience = 'alta';
+    else if (reverse?.found && reverse.severity < 1) resilience = 'baja';
+    else resilience = 'media';
+
+    const parts = [];
+    if (worst) {
+        parts.push(`El peor escenario de estrés es ${worst.name}: beneficio neto P50 de ${fmtProfit(worst.kpis.netProfitP50)} `
+            + `(${worst.deltas.netProfitP50.abs >= 0 ? '+' : ''}${fmtProfit(worst.deltas.netProfitP50.abs)} frente a la base).`);
+    }
+    if (reverse?.alreadyNegative) {
+        parts.push('El beneficio neto P50 ya es negativo sin estrés.');
+    } else if (reverse?.found) {
+        parts.push(`El beneficio neto P50 pasa a pérdidas con un shock combinado de severidad ${reverse.severity.toFixed(2)} (${reverse.levers.join(', ')}).`);
+    } else if (reverse) {
+        parts.push(`Ni un shock combinado de severidad ${reverse.maxSeverity} lleva el beneficio neto P50 a pérdidas.`);
+    }
+
+    return {
+        title: '🧨 Pruebas de Estrés',
+        resilience,
+        metrics: {
+            worstScenario: worst?.id ?? null,
+            worstProfitP50: worst?.kpis.netProfitP50 ?? null,
+            scenariosBreakingProfit: report.breaking.length,
+            breakingSeverity: reverse?.found ? reverse.severity : null,
+        },
+        ranking: report.results.map(r => ({ rank: r.rank, name: r.name, deltaProfitP50: r.deltas.netProfitP50.abs })),
+        insight: parts.join(' '),
+    };
+}
+
+function generateRecommendation(profitability, risk, inventory, stress = null) {
     const actions = [];
 
     if (profitability.verdict === 'negativa') {
@@ -118,6 +160,9 @@ function generateRecommendation(profitability, risk, inventory) {
     if (risk.level === 'medio') {
         actions.push('🟡 Implementar cobertura de riesgo (seguros, contratos flexibles)');
     }
+    if (stress?.resilience === 'baja' || stress?.resilience === 'nula') {
+        actions.push('🔴 Preparar plan de contingencia: el beneficio P50 no resiste un shock adverso moderado');
+    }
 
     if (actions.length === 0) {
         actions.push('🟢 Métricas dentro de rangos aceptables. Proceder con monitoreo continuo.');
@@ -1,7 +1,9 @@
 /**
  * Prometheus Engine – Genetic Algorithm Optimizer (AI-007)
- * Evolves marketing mix allocations using tournament selection, crossover, and mutation.
+ * Evolves marketing mix allocations using tournament selection, crossover, and mutation,
+ * and approximates Pareto fronts of several objectives with NSGA-II.
  */
+import { PRNG } from './distributions.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Genetic Algorithm
@@ -156,3 +158,226 @@ function mutate(genes, total) {
         genes[k] = Math.round((genes[k] / sum) * total);
     }
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Multi-Objective Search (NSGA-II)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Pareto dominance with every objective minimized.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean} true when a is no worse than b everywhere and better somewhere
+ */
+export function dominates(a, b) {
+    let better = false;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] > b[i]) return false;
+        if (a[i] < b[i]) better = true;
+    }
+    return better;
+}
+
+/**
+ * Fast non-dominated sort (Deb et al., 2002).
+ * @param {number[][]} objectives - one vector per individual, every objective minimized
+ * @returns {number[][]} fronts of indices, best first
+ */
+export function nonDominatedSort(objectives) {
+    const n = objectives.length;
+    const dominated = Array.from({ length: n }, () => []);
+    const dominationCount = new Array(n).fill(0);
+    const fronts = [[]];
+
+    for (let p = 0; p < n; p++) {
+        for (let q = 0; q < n; q++) {
+            if (p === q) continue;
+            if (dominates(objectives[p], objectives[q])) dominated[p].push(q);
+            else if (dominates(objectives[q], objectives[p])) dominationCount[p]++;
+        }
+        if (dominationCount[p] === 0) fronts[0].push(p);
+    }
+
+    while (fronts[fronts.length - 1].length > 0) {
+        const next = [];
+        for (const p of fronts[fronts.length - 1]) {
+            for (const q of dominated[p]) {
+                if (--dominationCount[q] === 0) next.push(q);
+            }
+        }
+        fronts.push(next);
+    }
+    fronts.pop();
+    return fronts;
+}
+
+/**
+ * Crowding distance of each member of one front; the extremes of every
+ * objective get Infinity so they are always kept.
+ * @param {number[]} front - indices into objectives
+ * @param {number[][]} objectives
+ * @returns {number[]} distance per front member, in front order
+ */
+export function crowdingDistance(front, objectives) {
+    const distance = new Array(front.length).fill(0);
+    if (front.length <= 2) return distance.fill(Infinity);
+
+    const m = objectives[front[0]].length;
+    for (let k = 0; k < m; k++) {
+        const order = front.map((_, i) => i).sort((a, b) => objectives[front[a]][k] - objectives[front[b]][k]);
+        const lo = objectives[front[order[0]]][k];
+        const hi = objectives[front[order[order.length - 1]]][k];
+        distance[order[0]] = Infinity;
+        distance[order[order.length - 1]] = Infinity;
+        if (hi === lo) continue;
+        for (let i = 1; i < order.length - 1; i++) {
+            distance[order[i]] += (objectives[front[order[i + 1]]][k] - objectives[front[order[i - 1]]][k]) / (hi - lo);
+        }
+    }
+    return distance;
+}
+
+/**
+ * @typedef {object} NSGA2Config
+ * @property {number} geneCount - decision variables, each encoded in [0, 1]
+ * @property {Function} evaluate - async (genes: number[]) => number[] objectives, all minimized
+ * @property {number} [populationSize=20]
+ * @property {number} [generations=10]
+ * @property {number} [crossoverRate=0.9]
+ * @property {number} [mutationRate] - per gene (default 1 / geneCount)
+ * @property {number[][]} [initial] - individuals placed in the first population (e.g. the current plan)
+ * @property {number} [seed=42]
+ * @property {Function} [onGeneration] - ({ generation, front, evaluations })
+ */
+
+/**
+ * Approximate the Pareto front of an expensive objective function with NSGA-II:
+ * binary tournaments on (rank, crowding), simulated binary crossover and
+ * polynomial mutation, and elitist (μ + λ) survival.
+ * Evaluations run one at a time, in a seeded order, so a simulation-based
+ * objective on common random numbers gives reproducible fronts.
+ * @param {NSGA2Config} config
+ * @returns {Promise<{ front: object[], population: object[], history: object[], evaluations: number }>}
+ *          individuals are { genes, objectives, rank, crowding }
+ */
+export async function evolveParetoFront(config) {
+    const {
+        geneCount,
+        evaluate,
+        populationSize = 20,
+        generations = 10,
+        crossoverRate = 0.9,
+        mutationRate = 1 / geneCount,
+        initial = [],
+        seed = 42,
+        onGeneration = () => { },
+    } = config;
+
+    const rng = new PRNG(seed);
+    let evaluations = 0;
+    const evaluateAll = async (genomes) => {
+        const individuals = [];
+        for (const genes of genomes) {
+            individuals.push({ genes, objectives: await evaluate(genes) });
+            evaluations++;
+        }
+        return individuals;
+    };
+
+    const seeds = initial.slice(0, populationSize).map(g => g.map(clamp01));
+    while (seeds.length < populationSize) {
+        seeds.push(Array.from({ length: geneCount }, () => rng.next()));
+    }
+    let population = selectSurvivors(await evaluateAll(seeds), populationSize);
+    const history = [];
+
+    for (let gen = 0; gen < generations; gen++) {
+        // Offspring that copy an existing genome would only waste a simulation
+        const seen = new Set(population.map(p => p.genes.join(',')));
+        const children = [];
+        for (let attempt = 0; children.length < populationSize && attempt < populationSize * 10; attempt++) {
+            const p1 = binaryTournament(population, rng);
+            const p2 = binaryTournament(population, rng);
+            const pair = rng.next() < crossoverRate
+                ? sbxCrossover(p1.genes, p2.genes, rng)
+                : [[...p1.genes], [...p2.genes]];
+            for (const child of pair) {
+                polynomialMutation(child, mutationRate, rng);
+                const key = child.join(',');
+                if (children.length < populationSize && !seen.has(key)) {
+                    seen.add(key);
+                    children.push(child);
+                }
+            }
+        }
+
+        population = selectSurvivors([...population, ...await evaluateAll(children)], populationSize);
+        const front = population.filter(p => p.rank === 0);
+        history.push({ generation: gen + 1, frontSize: front.length, evaluations });
+        onGeneration({ generation: gen + 1, front, evaluations });
+    }
+
+    return {
+        front: population.filter(p => p.rank === 0),
+        population,
+        history,
+        evaluations,
+    };
+}
+
+// ━━━━━━━━━━ NSGA-II Operators ━━━━━━━━━━
+
+function clamp01(v) {
+    return Math.min(1, Math.max(0, v));
+}
+
+/** Rank the pool, then fill by whole fronts and break the last one by crowding. */
+function selectSurvivors(pool, size) {
+    const objectives = pool.map(p => p.objectives);
+    const survivors = [];
+    for (const [rank, front] of nonDominatedSort(objectives).entries()) {
+        const crowding = crowdingDistance(front, objectives);
+        const members = front.map((idx, i) => ({ ...pool[idx], rank, crowding: crowding[i] }));
+        if (survivors.length + members.length <= size) {
+            survivors.push(...members);
+        } else {
+            members.sort((a, b) => b.crowding - a.crowding);
+            survivors.push(...members.slice(0, size - survivors.length));
+        }
+        if (survivors.length >= size) break;
+    }
+    return survivors;
+}
+
+function binaryTournament(population, rng) {
+    const a = population[Math.floor(rng.next() * population.length)];
+    const b = population[Math.floor(rng.next() * population.length)];
+    if (a.rank !== b.rank) return a.rank < b.rank ? a : b;
+    return a.crowding >= b.crowding ? a : b;
+}
+
+/** Simulated binary crossover on [0, 1] genes (distribution index eta). */
+function sbxCrossover(p1, p2, rng, eta = 15) {
+    const c1 = [...p1];
+    const c2 = [...p2];
+    for (let i = 0; i < p1.length; i++) {
+        if (rng.next() < 0.5 || p1[i] === p2[i]) continue;
+        const u = rng.next();
+        const beta = u <= 0.5 ? (2 * u) ** (1 / (eta + 1)) : (1 / (2 * (1 - u))) ** (1 / (eta + 1));
+        const mid = (p1[i] + p2[i]) / 2;
+        const half = Math.abs(p1[i] - p2[i]) / 2;
+        c1[i] = clamp01(mid - beta * half);
+        c2[i] = clamp01(mid + beta * half);
+    }
+    return [c1, c2];
+}
+
+/** Polynomial mutation on [0, 1] genes (distribution index eta). */
+function polynomialMutation(genes, rate, rng, eta = 20) {
+    for (let i = 0; i < genes.length; i++) {
+        if (rng.next() >= rate) continue;
+        const u = rng.next();
+        const delta = u < 0.5 ? (2 * u) ** (1 / (eta + 1)) - 1 : 1 - (2 * (1 - u)) ** (1 / (eta + 1));
+        genes[i] = clamp01(genes[i] + delta);
+    }
+}
@@ -53,6 +53,15 @@ export const SHOCK_TYPES = {
         recoveryWeeks: 20,
         costIncrease: 0.10,
     },
+    DEMAND_COLLAPSE: {
+        name: 'Colapso de Demanda',
+        icon: '🕳️',
+        demandMultiplier: 0.5,
+        supplyMultiplier: 1.0,
+        durationWeeks: 16,
+        recoveryWeeks: 8,
+        costIncrease: 0.0,
+    },
     COMPETITOR_EXIT: {
         name: 'Salida de Competidor',
         icon: '🏳️',
@@ -141,6 +150,42 @@ export function getShockEffects(week, shockEvents) {
     };
 }
 
+/**
+ * Realize a shock schedule for one simulation run.
+ * Each entry either starts at a fixed week or is tied to an NGC risk event:
+ * the shock fires only when that event triggers in the sampled scenario, at a
+ * start week drawn uniformly from `startWindow` (defaults to the whole horizon).
+ *
+ * @param {object[]} schedule - plain-data entries
+ * @param {string} schedule[].type - key from SHOCK_TYPES
+ * @param {number} [schedule[].startWeek] - fixed start week (0-indexed)
+ * @param {string} [schedule[].riskEventId] - NGC risk event that triggers the shock
+ * @param {number[]} [schedule[].startWindow] - [first, last] candidate start weeks
+ * @param {number} [schedule[].severity=1.0]
+ * @param {object} scenario - from NGC.sampleFullScenario()
+ * @param {number} horizonWeeks
+ * @param {import('./distributions.js').PRNG} rng
+ * @returns {object[]} shock events (createShockEvent output + `riskEventId`)
+ */
+export function realizeShockSchedule(schedule = [], scenario, horizonWeeks, rng) {
+    const events = [];
+    for (const entry of schedule) {
+        let startWeek = entry.startWeek;
+        if (entry.riskEventId) {
+            const risk = scenario?.riskResults?.find(r => r.id === entry.riskEventId);
+            if (!risk?.triggered) continue;
+            const [first, last] = entry.startWindow ?? [0, horizonWeeks - 1];
+            startWeek = first + Math.floor(rng.next() * (last - first + 1));
+        }
+        if (startWeek == null) continue;
+        events.push({
+            ...createShockEvent({ type: entry.type, startWeek, severity: entry.severity ?? 1.0 }),
+            riskEventId: entry.riskEventId ?? null,
+        });
+    }
+    return events;
+}
+
 /**
  * Simulate revenue under shock scenarios.
  * @param {object} baseConfig
@@ -3,6 +3,7 @@
  * Models the marketing funnel: Awareness → Interest → Consideration → Intent → Purchase
  * with channel-specific conversion rates and budget allocation.
  */
+import { BrandAwareness } from './brand-awareness.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Funnel Stage Definitions
@@ -176,3 +177,126 @@ export function recommendAllocation(strategy = 'balanced') {
     };
     return allocations[strategy] || allocations.balanced;
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  In-Simulation Marketing Mix (agent-based run)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * How well each marketing channel reaches customers by their preferred
+ * sales channel (CustomerAgent.channelPreference), 0-1.
+ */
+export const CHANNEL_REACH = {
+    social_media: { online: 1.0, marketplace: 0.8, retail: 0.5 },
+    search_ads: { online: 1.0, marketplace: 0.9, retail: 0.3 },
+    email: { online: 0.9, marketplace: 0.6, retail: 0.4 },
+    influencer: { online: 0.9, marketplace: 0.8, retail: 0.6 },
+    retail_display: { online: 0.1, marketplace: 0.1, retail: 1.0 },
+};
+
+/** Awareness conversion rate that maps to BrandAwareness' default growth rate */
+const REFERENCE_AWARENESS_RATE = 0.10;
+
+/**
+ * Weekly marketing mix for SimulationRun.
+ * Each marketing channel builds (and loses) its own awareness through a
+ * BrandAwareness tracker whose growth scales with the channel's top-of-funnel
+ * conversion rate. Agents see the combined awareness of the channels that
+ * reach their preferred sales channel, plus a lower-funnel lift from the
+ * channels' intent conversion rates.
+ */
+export class MarketingMixModel {
+    /**
+     * @param {Object<string, number>} [mix] - { channelKey: share of marketing budget }, defaults to the balanced allocation
+     * @param {object} [opts]
+     * @param {number} [opts.qualityIndex=0.7] - product quality (0-1)
+     * @param {number} [opts.initialAwareness=0.01] - starting awareness per channel
+     */
+    constructor(mix, { qualityIndex = 0.7, initialAwareness = 0.01 } = {}) {
+        const entries = Object.entries(mix ?? recommendAllocation('balanced'))
+            .filter(([key, share]) => MARKETING_CHANNELS[key] && share > 0);
+        const total = entries.reduce((s, [, share]) => s + share, 0);
+
+        /** @type {Object<string, number>} normalized budget shares */
+        this.mix = Object.fromEntries(entries.map(([key, share]) => [key, share / total]));
+        this.qualityMultiplier = 0.5 + qualityIndex;
+        this.trackers = {};
+        this.spend = {};
+        this.acquisitions = {};
+        for (const key of Object.keys(this.mix)) {
+            this.trackers[key] = new BrandAwareness({
+                initialAwareness,
+                growthRate: 0.03 * MARKETING_CHANNELS[key].conversionRates.awareness / REFERENCE_AWARENESS_RATE,
+            });
+            this.spend[key] = 0;
+            this.acquisitions[key] = 0;
+        }
+        /** Latest per-channel awareness (0-1) */
+        this.awareness = Object.fromEntries(Object.keys(this.mix).map(k => [k, initialAwareness]));
+    }
+
+    /**
+     * Spend one week of budget across the mix.
+     * @param {number} weeklySpend
+     * @returns {{ byChannel: Object<string, number>, byPreference: Object<string, number>, liftByPreference: Object<string, number> }}
+     */
+    step(weeklySpend) {
+        for (const [key, share] of Object.entries(this.mix)) {
+            const spend = weeklySpend * share;
+            this.spend[key] += spend;
+            this.awareness[key] = this.trackers[key].update(spend, this.qualityMultiplier);
+        }
+
+        const byPreference = {};
+        const liftByPreference = {};
+        for (const pref of ['online', 'marketplace', 'retail']) {
+            let unaware = 1;
+            let intentWeight = 0;
+            let reachWeight = 0;
+            for (const key of Object.keys(this.mix)) {
+                const reached = this.awareness[key] * (CHANNEL_REACH[key]?.[pref] ?? 0.5);
+                unaware *= 1 - reached;
+                const rates = MARKETING_CHANNELS[key].conversionRates;
+                intentWeight += reached * rates.intent / (rates.intent + rates.awareness);
+                reachWeight += reached;
+            }
+            byPreference[pref] = 1 - unaware;
+            liftByPreference[pref] = 1 + 0.5 * (reachWeight > 0 ? intentWeight / reachWeight : 0);
+        }
+
+        return { byChannel: { ...this.awareness }, byPreference, liftByPreference };
+    }
+
+    /**
+     * Credit one acquisition to the marketing channels, in proportion to how
+     * much each contributes to the buyer's awareness.
+     * @param {string} preference - buyer's preferred sales channel
+     */
+    attributeAcquisition(preference) {
+        const keys = Object.keys(this.mix);
+        const weights = keys.map(key => this.awareness[key] * (CHANNEL_REACH[key]?.[preference] ?? 0.5));
+        const total = weights.reduce((s, w) => s + w, 0);
+        keys.forEach((key, i) => {
+            this.acquisitions[key] += total > 0 ? weights[i] / total : this.mix[key];
+        });
+    }
+
+    /**
+     * Funnel-shaped summary of realized spend and acquisitions
+     * (input for calculateCACByChannel).
+     * @returns {{ channelResults: object }}
+     */
+    getFunnelResults() {
+        const channelResults = {};
+        for (const key of Object.keys(this.mix)) {
+            const purchases = this.acquisitions[key];
+            channelResults[key] = {
+                label: MARKETING_CHANNELS[key].label,
+                budget: this.spend[key],
+                funnel: { awareness: this.awareness[key], purchase: purchases },
+                costPerPurchase: purchases > 0 ? this.spend[key] / purchases : Infinity,
+            };
+        }
+        return { channelResults };
+    }
+}
@@ -0,0 +1,78 @@
+/**
+ * Prometheus Engine – Monte Carlo Worker (PERF-001)
+ * Module worker that runs batches of real SimulationRun iterations.
+ * Spawned by WorkerPool; also usable in-process through createBatchRunner().
+ *
+ * Messages in:
+ *   { type: 'init', ngcJSON, config }          – rebuild NGC + offer config
+ *   { type: 'batch', batchId, startIndex, iterationIndex, seeds, patches? } – run one iteration per seed
+ *                                              (patches: per-seed config fields over the init config)
+ *   { type: 'cancel' }                         – stop after the current chunk
+ * Messages out:
+ *   { type: 'progress', batchId, completed }
+ *   { type: 'done', batchId, startIndex, results, cancelled }
+ *   { type: 'error', batchId, message }
+ */
+import { NGC } from './ngc.js';
+import { runIteration } from './montecarlo.js';
+import { SamplingPlan } from './variance-reduction.js';
+
+/** Iterations between progress messages / cancellation checks */
+const CHUNK_SIZE = 10;
+
+/**
+ * Create a message handler bound to a `post` function.
+ * @param {Function} post – (message) => void
+ * @returns {{ handle: (msg: object) => Promise<void> }}
+ */
+export function createBatchRunner(post) {
+    let iterConfig = null;
+    let cancelled = false;
+
+    async function runBatch({ batchId, startIndex, iterationIndex = startIndex, seeds, patches = null }) {
+        cancelled = false;
+        const results = [];
+        for (let i = 0; i < seeds.length; i++) {
+            if (cancelled) break;
+            const config = patches?.[i] ? { ...iterConfig, ...patches[i] } : iterConfig;
+            results.push(runIteration(config, seeds[i], iterationIndex + i));
+
+            if ((i + 1) % CHUNK_SIZE === 0 && i < seeds.length - 1) {
+                post({ type: 'progress', batchId, completed: i + 1 });
+                // Yield so a pending 'cancel' message can be delivered
+                await new Promise(r => setTimeout(r, 0));
+            }
+        }
+        post({ type: 'done', batchId, startIndex, results, cancelled });
+    }
+
+    return {
+        async handle(msg) {
+            try {
+                switch (msg.type) {
+                    case 'init':
+                        iterConfig = {
+                            ...msg.config,
+                            ngc: NGC.fromJSON(msg.ngcJSON),
+                            samplingPlan: msg.config.sampling ? new SamplingPlan(msg.config.sampling) : null,
+                        };
+                        break;
+                    case 'batch':
+                        await runBatch(msg);
+                        break;
+                    case 'cancel':
+                        cancelled = true;
+                        break;
+                }
+            } catch (err) {
+                post({ type: 'error', batchId: msg.batchId, message: err.message });
+            }
+        },
+    };
+}
+
+// ---- Worker bootstrap ----
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function' && typeof window === 'undefined') {
+    const runner = createBatchRunner((msg) => self.postMessage(msg));
+    self.onmessage = (e) => runner.handle(e.data);
+}
@@ -6,6 +6,171 @@ import { PRNG, computeStats } from './distributions.js';
 import { CustomerPopulation } from './agents-customer.js';
 import { createCompetitorAgent } from './agents-competitor.js';
 import { SimulationRun, OfferState } from './simulation.js';
+import { WorkerPool } from './worker-pool.js';
+import { createLeadTimeSampler } from './supply-chain.js';
+import { realizeShockSchedule } from './market-shocks.js';
+import { ConvergenceTracker } from './convergence.js';
+import { extractScenarioInputs } from './scenario-discovery.js';
+import { resolveSampling, SamplingPlan, estimatorVariance, pairedDifference } from './variance-reduction.js';
+import { QuantileSketch } from './quantile-sketch.js';
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Single Iteration (shared by main thread & workers)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Derive the per-iteration seeds from the master seed.
+ * Every execution mode uses this sequence so that results stay reproducible.
+ * @param {number} seed – master seed
+ * @param {number} iterations
+ * @returns {number[]}
+ */
+export function deriveIterationSeeds(seed, iterations) {
+    const masterRng = new PRNG(seed);
+    const seeds = new Array(iterations);
+    for (let i = 0; i < iterations; i++) {
+        seeds[i] = masterRng.next() * 2147483647 | 0;
+    }
+    return seeds;
+}
+
+/**
+ * Normalize an adaptive-stopping spec (DS-002).
+ * @param {object|null} precision – { targets, confidence, minIterations, maxIterations, checkInterval }
+ *        `targets` maps result fields to the relative CI half-width to reach (0.01 = mean ±1%)
+ * @param {number} iterations – fixed iteration count, used as the default upper bound
+ * @returns {object|null}
+ */
+export function resolvePrecision(precision, iterations) {
+    if (!precision) return null;
+    const maxIterations = precision.maxIterations ?? iterations;
+    return {
+        targets: precision.targets ?? { netProfit: 0.01 },
+        confidence: precision.confidence ?? 0.95,
+        minIterations: Math.min(precision.minIterations ?? 100, maxIterations),
+        maxIterations,
+        checkInterval: precision.checkInterval ?? 25,
+    };
+}
+
+/**
+ * Pin sampled NGC values to fixed ones (DS-001 Sobol analysis), or scale the
+ * sampled competitor values (stress tests). Sampling still consumes the same
+ * draws, so the rest of the iteration is unchanged.
+ * @param {object} scenario – from NGC.sampleFullScenario
+ * @param {object} overrides – { company?, macro?, competitors?: { [id]: fields }, competitorMultipliers?: { [field]: factor }, riskResults?: { [id]: { triggered, value } } }
+ */
+function applyScenarioOverrides(scenario, overrides) {
+    Object.assign(scenario.company, overrides.company);
+    Object.assign(scenario.macro, overrides.macro);
+    for (const [id, fields] of Object.entries(overrides.competitors ?? {})) {
+        if (scenario.competitors[id]) Object.assign(scenario.competitors[id], fields);
+    }
+    // Scale every competitor's sampled values, e.g. { sampledCOGS: 0.8 } for a price war
+    for (const [field, factor] of Object.entries(overrides.competitorMultipliers ?? {})) {
+        for (const cp of Object.values(scenario.competitors)) {
+            if (cp[field] != null) cp[field] *= factor;
+        }
+    }
+    for (const risk of scenario.riskResults) {
+        const fixed = overrides.riskResults?.[risk.id];
+        if (fixed) Object.assign(risk, fixed);
+    }
+}
+
+/**
+ * Execute one Monte Carlo iteration from its seed.
+ * @param {object} config – { ngc, offerConfig, populationConfig, initialInventory, timeHorizonWeeks, replenishment?, shocks?, scenarioOverrides?, competitorAgentConfig?, competitorBehavior?, competitorDynamics?, samplingPlan? }
+ *        competitorAgentConfig: { [competitorId]: extra agent config }, e.g. { policy } for a trained RL competitor (see rl-training.js)
+ *        competitorBehavior: overrides of the vertical's competitor reaction lag, noise and price-war odds (see competitor-behavior.js)
+ * @param {number} iterSeed
+ * @param {number} [iterIndex=0] – position in the run; selects the design point of a sampling plan
+ * @returns {SimulationResult}
+ */
+export function runIteration(config, iterSeed, iterIndex = 0) {
+    const { ngc, offerConfig, populationConfig, initialInventory, timeHorizonWeeks, replenishment = null, shocks = [], scenarioOverrides = null, competitorAgentConfig = null, competitorBehavior = null, competitorDynamics = null, samplingPlan = null } = config;
+    const rng = samplingPlan ? samplingPlan.iterationRng(iterIndex, new PRNG(iterSeed)) : new PRNG(iterSeed);
+
+    // Sample scenario from NGC (stratified / quasi-random under a sampling plan)
+    const scenario = ngc.sampleFullScenario(samplingPlan ? samplingPlan.scenarioRng(iterIndex, rng) : rng);
+    if (scenarioOverrides) applyScenarioOverrides(scenario, scenarioOverrides);
+
+    // Generate customer population
+    const population = new CustomerPopulation();
+    population.generate(populationConfig, rng);
+
+    // Create competitor agents
+    const competitorAgents = [];
+    for (const [id, profile] of ngc.competitors) {
+        competitorAgents.push(createCompetitorAgent(profile, {
+            basePrice: scenario.competitors[id]?.sampledCOGS
+                ? scenario.competitors[id].sampledCOGS * (1 + profile.constraints.minMargin + 0.3)
+                : 140,
+            baseMarketing: scenario.competitors[id]?.sampledMarketingBudget ?? 80000,
+            ...competitorAgentConfig?.[id],
+        }));
+    }
+
+    // Realize the shock schedule (only draws when a risk-linked shock fires)
+    const shockEvents = realizeShockSchedule(shocks, scenario, timeHorizonWeeks, rng);
+
+    // Create offer state (with optional price variation)
+    const offer = new OfferState({
+        ...offerConfig,
+        basePrice: offerConfig.basePrice + (scenario.company.priceAdjustment ?? 0),
+    });
+    offer.currentPrice = offer.basePrice;
+
+    // Execute simulation
+    const sim = new SimulationRun({
+        offer,
+        population,
+        ngcScenario: scenario,
+        competitorAgents,
+        timeHorizonWeeks,
+        replenishment,
+        leadTimeSampler: replenishment ? createLeadTimeSampler(ngc.supplyChain, replenishment) : null,
+        shocks: shockEvents,
+        competitorBehavior,
+        competitorDynamics,
+    });
+
+    const result = sim.execute(initialInventory, rng);
+    // Keep the sampled inputs next to the outcome for scenario discovery
+    result.scenarioInputs = extractScenarioInputs(ngc, scenario, shocks.length > 0 ? shockEvents : null);
+    return result;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Weekly Percentile Bands
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Weekly metric fields that are labels or event lists, not quantities */
+const NON_BAND_FIELDS = new Set(['week', 'priceChange', 'activeShocks', 'competitorEvents']);
+
+/**
+ * Feed every numeric leaf of a weekly metric record into a matching tree of
+ * sketches (nested objects and arrays such as competitorPrices keep their shape).
+ */
+function sketchWeeklyMetrics(sketches, record) {
+    for (const [key, value] of Object.entries(record)) {
+        if (NON_BAND_FIELDS.has(key)) continue;
+        if (typeof value === 'number') {
+            if (!(sketches[key] instanceof QuantileSketch)) sketches[key] = new QuantileSketch();
+            sketches[key].add(value);
+        } else if (value && typeof value === 'object') {
+            if (!sketches[key] || sketches[key] instanceof QuantileSketch) sketches[key] = Array.isArray(value) ? [] : {};
+            sketchWeeklyMetrics(sketches[key], value);
+        }
+    }
+}
+
+/** Replace each sketch in the tree with its { p5, p25, p50, p75, p95 } band. */
+function sketchBands(sketches) {
+    if (sketches instanceof QuantileSketch) return sketches.band();
+    if (Array.isArray(sketches)) return Array.from(sketches, s => (s ? sketchBands(s) : null));
+    return Object.fromEntries(Object.entries(sketches).map(([k, s]) => [k, sketchBands(s)]));
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Monte Carlo Engine
@@ -15,15 +180,81 @@ export class MonteCarloEngine {
         this.results = [];
         this.isRunning = false;
         this.cancelled = false;
+        /** @type {WorkerPool|null} created lazily by runParallel() */
+        this.pool = null;
+        /** @type {ConvergenceTracker|null} set by adaptive runs */
+        this.tracker = null;
+        /** @type {object|null} resolved precision spec of the last run */
+        this.precision = null;
+        /** @type {object|null} resolved sampling spec of the last run (null = pseudo-random) */
+        this.sampling = null;
+        /** @type {Array<object>} per-week sketch trees fed as results arrive (see _sketchWeeks) */
+        this.weeklySketches = [];
+    }
+
+    /**
+     * Resolve the sampling option (DS-002) and derive the iteration seeds.
+     * @returns {{ seeds: number[], plan: SamplingPlan|null }}
+     */
+    _prepareSampling(sampling, seed, iterations) {
+        this.sampling = resolveSampling(sampling, seed, iterations);
+        const plan = this.sampling ? new SamplingPlan(this.sampling) : null;
+        const seeds = deriveIterationSeeds(seed, iterations);
+        return { seeds: plan ? plan.pairSeeds(seeds) : seeds, plan };
+    }
+
+    /**
+     * Start adaptive stopping for a run, or clear it for a fixed-size run.
+     * @returns {number} upper bound on iterations
+     */
+    _startConvergence(precision, iterations) {
+        this.precision = resolvePrecision(precision, iterations);
+        if (!this.precision) {
+            this.tracker = null;
+            return iterations;
+        }
+        const { targets, confidence, checkInterval, minIterations } = this.precision;
+        this.tracker = new ConvergenceTracker(Object.keys(targets), checkInterval, 1.0, {
+            targets,
+            confidence,
+            minSamples: minIterations,
+        });
+        return this.precision.maxIterations;
+    }
+
+    /**
+     * Feed one result to the convergence tracker.
+     * @returns {boolean} true once every tracked KPI has reached its target
+     */
+    _recordConvergence(result, onConvergence) {
+        if (!this.tracker) return false;
+        const snapshot = this.tracker.record(result);
+        if (snapshot) onConvergence?.(snapshot);
+        return this.tracker.converged;
+    }
+
+    /**
+     * Stream one run's weekly metrics into the per-week sketches behind
+     * weeklyBands, in iteration order, as soon as the run is accepted.
+     */
+    _sketchWeeks(result) {
+        result.weeklyMetrics.forEach((record, w) => {
+            sketchWeeklyMetrics(this.weeklySketches[w] ??= {}, record);
+        });
     }
 
     /**
      * Run N Monte Carlo simulations.
+     * With `config.precision` the run stops as soon as every tracked KPI's
+     * mean is known to the target precision (bounded by min/max iterations).
      * @param {object} config
+     * @param {object} [config.precision] – adaptive stopping (see resolvePrecision)
+     * @param {string|object} [config.sampling] – 'random' | 'antithetic' | 'lhs' | 'sobol' (see resolveSampling)
      * @param {Function} onProgress – callback ({ iteration, total, pct })
+     * @param {Function} [onConvergence] – callback (snapshot) at every convergence check
      * @returns {MonteCarloResults}
      */
-    async run(config, onProgress = () => { }) {
+    async run(config, onProgress = () => { }, onConvergence = null) {
         const {
             ngc,
             offerConfig,
@@ -32,70 +263,225 @@ export class MonteCarloEngine {
             iterations = 1000,
             timeHorizonWeeks = 26,
             seed = 42,
+            replenishment = null,
+            shocks = [],
+            scenarioOverrides = null,
+            competitorAgentConfig = null,
+            competitorBehavior = null,
+            competitorDynamics = null,
+            precision = null,
+            sampling = null,
         } = config;
 
         this.results = [];
+        this.weeklySketches = [];
         this.isRunning = true;
         this.cancelled = false;
 
-        const masterRng = new PRNG(seed);
+        const maxIterations = this._startConvergence(precision, iterations);
+        const { seeds, plan } = this._prepareSampling(sampling, seed, maxIterations);
+        const iterConfig = { ngc, offerConfig, populationConfig, initialInventory, timeHorizonWeeks, replenishment, shocks, scenarioOverrides, competitorAgentConfig, competitorBehavior, competitorDynamics, samplingPlan: plan };
 
-        for (let i = 0; i < iterations; i++) {
+        for (let i = 0; i < maxIterations; i++) {
             if (this.cancelled) break;
 
-            const iterSeed = masterRng.next() * 2147483647 | 0;
-            const rng = new PRNG(iterSeed);
-
-            // Sample scenario from NGC
-            const scenario = ngc.sampleFullScenario(rng);
-
-            // Generate customer population
-            const population = new CustomerPopulation();
-            population.generate(populationConfig, rng);
-
-            // Create competitor agents
-            const competitorAgents = [];
-            for (const [id, profile] of ngc.competitors) {
-                competitorAgents.push(createCompetitorAgent(profile, {
-                    basePrice: scenario.competitors[id]?.sampledCOGS
-                        ? scenario.competitors[id].sampledCOGS * (1 + profile.constraints.minMargin + 0.3)
-                        : 140,
-                    baseMarketing: scenario.competitors[id]?.sampledMarketingBudget ?? 80000,
-                }));
-            }
-
-            // Create offer state (with optional price variation)
-            const offer = new OfferState({
-                ...offerConfig,
-                basePrice: offerConfig.basePrice + (scenario.company.priceAdjustment ?? 0),
-            });
-            offer.currentPrice = offer.basePrice;
-
-            // Execute simulation
-            const sim = new SimulationRun({
-                offer,
-                population,
-                ngcScenario: scenario,
-                competitorAgents,
-                timeHorizonWeeks,
-            });
-
-            const result = sim.execute(initialInventory, rng);
+            const result = runIteration(iterConfig, seeds[i], i);
             this.results.push(result);
+            this._sketchWeeks(result);
+            const converged = this._recordConvergence(result, onConvergence);
 
             // Progress callback (yield to event loop every 10 iterations)
-            if (i % 10 === 0 || i === iterations - 1) {
-                onProgress({ iteration: i + 1, total: iterations, pct: ((i + 1) / iterations) * 100 });
+            if (i % 10 === 0 || i === maxIterations - 1 || converged) {
+                onProgress({ iteration: i + 1, total: maxIterations, pct: converged ? 100 : ((i + 1) / maxIterations) * 100 });
                 await new Promise(r => setTimeout(r, 0));
             }
+            if (converged) break;
         }
 
         this.isRunning = false;
         return this.aggregate();
     }
 
+    /**
+     * Run N Monte Carlo simulations across a Web Worker pool (PERF-001).
+     * Each worker rebuilds the NGC from `ngc.toJSON()` and runs batches of
+     * iterations from the same seed sequence as `run()`, so results are
+     * bit-identical to a sequential run. Falls back to `run()` when Web
+     * Workers are not available.
+     * Adaptive runs dispatch the seed sequence in rounds and cut the results
+     * at the exact iteration where a sequential run would have stopped.
+     * @param {object} config – same shape as `run()`
+     * @param {Function} onProgress – callback ({ iteration, total, pct })
+     * @param {Function} [onConvergence] – callback (snapshot) at every convergence check
+     * @returns {MonteCarloResults}
+     */
+    async runParallel(config, onProgress = () => { }, onConvergence = null) {
+        if (!this.pool) {
+            this.pool = new WorkerPool();
+            this.pool.init();
+        }
+        if (!this.pool.isSupported || this.pool.workers.length === 0) {
+            return this.run(config, onProgress, onConvergence);
+        }
+
+        const {
+            ngc,
+            offerConfig,
+            populationConfig,
+            initialInventory = 45000,
+            iterations = 1000,
+            timeHorizonWeeks = 26,
+            seed = 42,
+            replenishment = null,
+            shocks = [],
+            scenarioOverrides = null,
+            competitorAgentConfig = null,
+            competitorBehavior = null,
+            competitorDynamics = null,
+            precision = null,
+            sampling = null,
+        } = config;
+
+        this.results = [];
+        this.weeklySketches = [];
+        this.isRunning = true;
+        this.cancelled = false;
+
+        const maxIterations = this._startConvergence(precision, iterations);
+        const { seeds } = this._prepareSampling(sampling, seed, maxIterations);
+        const job = {
+            ngcJSON: ngc.toJSON(),
+            // Workers rebuild the sampling plan from the resolved spec
+            config: { offerConfig, populationConfig, initialInventory, timeHorizonWeeks, replenishment, shocks, scenarioOverrides, competitorAgentConfig, competitorBehavior, competitorDynamics, sampling: this.sampling },
+        };
+
+        try {
+            if (!this.tracker) {
+                this.results = await this.pool.runIterations({ ...job, seeds }, onProgress, (result) => this._sketchWeeks(result));
+            } else {
+                // One round keeps every worker busy for at least one convergence check
+                const roundSize = Math.max(this.precision.checkInterval, this.pool.batchSize * this.pool.workers.length);
+                let converged = false;
+                while (!converged && !this.cancelled && this.results.length < maxIterations) {
+                    const offset = this.results.length;
+                    const round = await this.pool.runIterations(
+                        { ...job, seeds: seeds.slice(offset, offset + roundSize), firstIndex: offset },
+                        ({ iteration }) => onProgress({
+                            iteration: offset + iteration,
+                            total: maxIterations,
+                            pct: ((offset + iteration) / maxIterations) * 100,
+                        }),
+                    );
+                    for (const result of round) {
+                        this.results.push(result);
+                        this._sketchWeeks(result);
+                        if (this._recordConvergence(result, onConvergence)) {
+                            converged = true;
+                            break;
+                        }
+                    }
+                    if (round.length === 0) break;
+                }
+                if (converged) onProgress({ iteration: this.results.length, total: maxIterations, pct: 100 });
+            }
+        } finally {
+            this.isRunning = false;
+        }
+        return this.aggregate();
+    }
+
+    /**
+     * Run one iteration per variant of a shared config. Each variant brings
+     * its own seed and the top-level config fields it replaces (an
+     * `offerConfig` with another price, its own `scenarioOverrides`…), for
+     * analyses where every evaluation is a different input point, such as
+     * Sobol indices. Uses the worker pool like `runParallel()`, falling back
+     * to the main thread with a yield every 10 iterations. No sampling plan.
+     * @param {object} config – same shape as `run()`; iterations, seed, precision and sampling are ignored
+     * @param {Array<{ seed: number, patch?: object }>} variants
+     * @param {Function} [onProgress] – callback ({ iteration, total, pct })
+     * @returns {Promise<SimulationResult[]|null>} one result per variant, in order; null when cancelled
+     */
+    async runVariants(config, variants, onProgress = () => { }) {
+        const {
+            ngc,
+            offerConfig,
+            populationConfig,
+            initialInventory = 45000,
+            timeHorizonWeeks = 26,
+            replenishment = null,
+            shocks = [],
+            scenarioOverrides = null,
+            competitorAgentConfig = null,
+            competitorBehavior = null,
+            competitorDynamics = null,
+        } = config;
+        const shared = { offerConfig, populationConfig, initialInventory, timeHorizonWeeks, replenishment, shocks, scenarioOverrides, competitorAgentConfig, competitorBehavior, competitorDynamics };
+        const seeds = variants.map(v => v.seed);
+        const patches = variants.map(v => v.patch ?? null);
+        const total = variants.length;
+
+        if (!this.pool) {
+            this.pool = new WorkerPool();
+            this.pool.init();
+        }
+        this.isRunning = true;
+        this.cancelled = false;
+        let results = [];
+        try {
+            if (this.pool.isSupported && this.pool.workers.length > 0) {
+                results = await this.pool.runIterations({ ngcJSON: ngc.toJSON(), config: shared, seeds, patches }, onProgress);
+            } else {
+                const iterConfig = { ...shared, ngc };
+                for (let i = 0; i < total; i++) {
+                    if (this.cancelled) break;
+                    results.push(runIteration({ ...iterConfig, ...patches[i] }, seeds[i], i));
+                    if (i % 10 === 0 || i === total - 1) {
+                        onProgress({ iteration: i + 1, total, pct: ((i + 1) / total) * 100 });
+                        await new Promise(r => setTimeout(r, 0));
+                    }
+                }
+            }
+        } finally {
+            this.isRunning = false;
+        }
+        return this.cancelled || results.length < total ? null : results;
+    }
+
+    /**
+     * Compare two configs on common random numbers (DS-002): both run the
+     * same seeds and sampling design, so each iteration of B is paired with
+     * the iteration of A that saw the same draws.
+     * @param {object} configA – baseline; its seed, iterations and sampling are used for both
+     * @param {object} configB
+     * @param {object} [options]
+     * @param {string[]} [options.kpis] – result fields to compare
+     * @param {number} [options.confidence=0.95]
+     * @param {Function} [options.onProgress] – callback ({ iteration, total, pct })
+     * @returns {Promise<{ a: MonteCarloResults, b: MonteCarloResults, differences: object }|null>}
+     */
+    async compare(configA, configB, options = {}) {
+        const { kpis = ['netProfit', 'totalRevenue', 'totalUnitsSold', 'roi'], confidence = 0.95, onProgress = () => { } } = options;
+        const shared = { seed: configA.seed ?? 42, iterations: configA.iterations ?? 1000, sampling: configA.sampling ?? null, precision: null };
+        const half = (offset) => (p) => onProgress({ ...p, pct: offset + p.pct / 2 });
+
+        const a = await this.run({ ...configA, ...shared }, half(0));
+        const rawA = this.results;
+        if (this.cancelled || !a) return null;
+        const b = await this.run({ ...configB, ...shared }, half(50));
+        const rawB = this.results;
+        if (this.cancelled || !b) return null;
+
+        const differences = {};
+        for (const kpi of kpis) {
+            differences[kpi] = pairedDifference(rawA.map(r => r[kpi]), rawB.map(r => r[kpi]), confidence);
+        }
+        return { a, b, differences };
+    }
+
     cancel() {
         this.cancelled = true;
+        this.pool?.cancel();
     }
 
     /**
@@ -109,6 +495,8 @@ export class MonteCarloEngine {
 
         const unitsSold = extract('totalUnitsSold');
         const revenue = extract('totalRevenue');
+        const netUnitsSold = extract('netUnitsSold');
+        const netRevenue = extract('netRevenue');
         const grossProfit = extract('grossProfit');
         const netProfit = extract('netProfit');
         const roi = extract('roi');
@@ -122,6 +510,8 @@ export class MonteCarloEngine {
             iterations: n,
             sales: computeStats(unitsSold),
             revenue: computeStats(revenue),
+            netSales: computeStats(netUnitsSold),
+            netRevenue: computeStats(netRevenue),
             grossProfit: computeStats(grossProfit),
             netProfit: computeStats(netProfit),
             roi: computeStats(roi),
@@ -130,21 +520,381 @@ export class MonteCarloEngine {
             inventoryValue: computeStats(inventoryValue),
             unsoldPct: computeStats(unsoldPct),
             breakEvenWeek: breakEvenWeek.length > 0 ? computeStats(breakEvenWeek) : null,
+            channelFees: computeStats(extract('totalChannelFees')),
+
+            // Realized pricing under the repricing policy (ECO-007)
+            pricing: {
+                avgSellingPrice: computeStats(extract('avgSellingPrice')),
+                finalPrice: computeStats(extract('finalPrice')),
+                priceChanges: computeStats(this.results.map(r => r.priceChanges?.length ?? 0)),
+            },
+
+            // Mid-horizon replenishment & stockouts (ECO-005 / SIM-007)
+            replenishment: {
+                ordersPlaced: computeStats(extract('ordersPlaced')),
+                unitsReceived: computeStats(extract('totalUnitsReceived')),
+                orderCost: computeStats(extract('totalOrderCost')),
+                lostSales: computeStats(extract('lostSales')),
+                lostRevenue: computeStats(extract('lostRevenue')),
+                stockoutWeeks: computeStats(extract('stockoutWeeks')),
+                fillRate: computeStats(extract('fillRate')),
+            },
+
+            // Marketing mix: acquisitions and CAC per marketing channel (MKT-001)
+            marketing: this._aggregateMarketing(),
+
+            // Market shocks: how often they fire and outcomes split by shock vs no shock (SIM-008)
+            shocks: this._aggregateShocks(),
+
+            // Price wars among competitors: how often, how long, and what they cost us (SIM-009)
+            priceWars: this._aggregatePriceWars(),
+
+            // Competitor entry & exit during the run, null when not simulated (SIM-005)
+            competitorTurnover: this._aggregateCompetitorTurnover(),
+
+            // Returns, refurbishment and write-offs (ECO-001)
+            returns: {
+                unitsReturned: computeStats(extract('unitsReturned')),
+                unitsRefurbished: computeStats(extract('unitsRefurbished')),
+                refurbishedUnitsSold: computeStats(extract('refurbishedUnitsSold')),
+                refurbishedRevenue: computeStats(extract('refurbishedRevenue')),
+                unitsWrittenOff: computeStats(extract('unitsWrittenOff')),
+                returnRate: computeStats(extract('returnRate')),
+                refunds: computeStats(extract('totalRefunds')),
+                reverseLogisticsCost: computeStats(extract('reverseLogisticsCost')),
+                writeOffValue: computeStats(extract('writeOffValue')),
+            },
+
+            // Stock-out defection: unmet, recaptured and lost demand (SIM-003)
+            defection: {
+                unmetDemand: computeStats(extract('unmetDemand')),
+                recaptured: computeStats(extract('recapturedDemand')),
+                pendingDemand: computeStats(extract('pendingDemand')),
+                lostToCompetitors: this._aggregateLostToCompetitors(),
+            },
+
+            // Per-channel units, revenue and net margin (ECO-003)
+            channels: this._aggregateChannels(),
+
+            // Competitor sales from the shared customer choice model (SIM-009)
+            marketShare: computeStats(extract('marketShare')),
+            competitors: this._aggregateCompetitors(),
+
+            // Repeat purchases, subscription churn and realized cohort LTV (ECO-006)
+            ltv: this._aggregateLTV(),
 
             // Distribution data for charts
             distributions: {
                 unitsSold, revenue, grossProfit, netProfit,
                 roi, marginPct, inventoryRemaining, unsoldPct,
+                netUnitsSold, netRevenue,
             },
 
+            // Adaptive stopping: iterations used and precision reached (DS-002)
+            convergence: this._summarizeConvergence(),
+
+            // Sampling method, effective sample size and variance reduction (DS-002)
+            sampling: this._summarizeSampling(),
+
             // Weekly time series (averaged across all runs)
             weeklyAvg: this._averageWeekly(),
 
+            // Weekly P5/P25/P50/P75/P95 of every weekly metric, for fan charts (DS-010)
+            weeklyBands: this._weeklyBands(),
+
             // Raw results for VaR/CVaR calculation
             rawResults: this.results,
         };
     }
 
+    /**
+     * Per marketing channel spend, acquisitions and CAC across runs (MKT-001).
+     * CAC is pooled (total spend / total acquisitions) so runs with no sales don't blow it up.
+     * @returns {Object<string, object>}
+     */
+    _aggregateMarketing() {
+        const keys = new Set();
+        for (const r of this.results) {
+            for (const key of Object.keys(r.marketingByChannel ?? {})) keys.add(key);
+        }
+
+        const marketing = {};
+        for (const key of keys) {
+            const pick = (field) => this.results.map(r => r.marketingByChannel?.[key]?.[field] ?? 0);
+            const spend = pick('spend');
+            const acquisitions = pick('acquisitions');
+            const totalAcq = acquisitions.reduce((s, v) => s + v, 0);
+            marketing[key] = {
+                label: this.results.find(r => r.marketingByChannel?.[key])?.marketingByChannel[key].label ?? key,
+                spend: computeStats(spend),
+                acquisitions: computeStats(acquisitions),
+                cac: totalAcq > 0 ? spend.reduce((s, v) => s + v, 0) / totalAcq : Infinity,
+            };
+        }
+        return marketing;
+    }
+
+    /**
+     * Split outcomes by whether a market shock hit the run (SIM-008).
+     * @returns {object} probability, per-type frequency and KPI stats per group
+     */
+    _aggregateShocks() {
+        const n = this.results.length;
+        const hit = this.results.filter(r => r.shockOccurred);
+        const clear = this.results.filter(r => !r.shockOccurred);
+
+        const byType = {};
+        for (const r of hit) {
+            for (const type of new Set(r.shockTimeline.map(sh => sh.type))) {
+                byType[type] = (byType[type] ?? 0) + 1;
+            }
+        }
+        for (const type of Object.keys(byType)) byType[type] /= n;
+
+        const summarize = (group) => group.length === 0 ? null : {
+            iterations: group.length,
+            sales: computeStats(group.map(r => r.totalUnitsSold)),
+            revenue: computeStats(group.map(r => r.totalRevenue)),
+            netProfit: computeStats(group.map(r => r.netProfit)),
+            roi: computeStats(group.map(r => r.roi)),
+            unsoldPct: computeStats(group.map(r => r.unsoldPct)),
+        };
+
+        return {
+            probability: n > 0 ? hit.length / n : 0,
+            byType,
+            withShock: summarize(hit),
+            withoutShock: summarize(clear),
+        };
+    }
+
+    /**
+     * Price-war frequency, length and depth across runs, with our profit
+     * split by iterations with and without a war (SIM-009).
+     */
+    _aggregatePriceWars() {
+        const n = this.results.length;
+        const hit = this.results.filter(r => r.priceWars?.length > 0);
+        const clear = this.results.filter(r => !(r.priceWars?.length > 0));
+        const episodes = hit.flatMap(r => r.priceWars);
+        const byTrigger = {};
+        for (const e of episodes) byTrigger[e.trigger] = (byTrigger[e.trigger] ?? 0) + 1;
+
+        return {
+            probability: n > 0 ? hit.length / n : 0,
+            episodes: computeStats(this.results.map(r => r.priceWars?.length ?? 0)),
+            weeks: computeStats(this.results.map(r => r.priceWarWeeks ?? 0)),
+            maxDepth: episodes.length > 0 ? computeStats(episodes.map(e => e.maxDepth)) : null,
+            byTrigger,
+            netProfitWithWar: hit.length > 0 ? computeStats(hit.map(r => r.netProfit)) : null,
+            netProfitWithoutWar: clear.length > 0 ? computeStats(clear.map(r => r.netProfit)) : null,
+        };
+    }
+
+    /**
+     * How often competitors enter and leave the market, why, and how many
+     * customers leaving competitors release (SIM-005).
+     * @returns {object|null} null when the runs did not simulate entry and exit
+     */
+    _aggregateCompetitorTurnover() {
+        const runs = this.results.filter(r => r.competitorTurnover);
+        if (runs.length === 0) return null;
+        const events = runs.flatMap(r => r.competitorEvents ?? []);
+        const exitReasons = {};
+        const entrantTypes = {};
+        const names = {};
+        for (const e of events) {
+            names[e.id] = e.name;
+            if (e.type === 'exit') exitReasons[e.reason] = (exitReasons[e.reason] ?? 0) + 1;
+            else entrantTypes[e.agentType] = (entrantTypes[e.agentType] ?? 0) + 1;
+        }
+        const pick = (field) => runs.map(r => r.competitorTurnover[field]);
+
+        return {
+            entryProbability: runs.filter(r => r.competitorTurnover.entries > 0).length / runs.length,
+            exitProbability: runs.filter(r => r.competitorTurnover.exits > 0).length / runs.length,
+            entries: computeStats(pick('entries')),
+            exits: computeStats(pick('exits')),
+            activeAtEnd: computeStats(pick('activeAtEnd')),
+            customersReleased: computeStats(pick('customersReleased')),
+            exitReasons,
+            entrantTypes,
+            names,
+        };
+    }
+
+    /**
+     * Effective sample size and variance reduction of the mean estimators
+     * against naive independent sampling (DS-002).
+     */
+    _summarizeSampling() {
+        const kpis = {};
+        for (const kpi of ['netProfit', 'totalRevenue', 'totalUnitsSold', 'roi']) {
+            kpis[kpi] = estimatorVariance(this.results.map(r => r[kpi]), this.sampling);
+        }
+        return {
+            method: this.sampling?.method ?? 'random',
+            replicates: this.sampling?.replicates ?? null,
+            kpis,
+        };
+    }
+
+    /**
+     * Precision reached by an adaptive run (DS-002); null for fixed-size runs.
+     */
+    _summarizeConvergence() {
+        if (!this.tracker) return null;
+        const { kpis } = this.tracker.snapshot();
+        const precision = {};
+        for (const [kpi, s] of Object.entries(kpis)) {
+            precision[kpi] = {
+                mean: s.mean,
+                halfWidth: s.halfWidth,
+                relativePrecision: s.relativePrecision,
+                target: s.target,
+                converged: s.converged,
+            };
+        }
+        return {
+            mode: 'adaptive',
+            converged: this.tracker.converged,
+            iterations: this.results.length,
+            minIterations: this.precision.minIterations,
+            maxIterations: this.precision.maxIterations,
+            confidence: this.precision.confidence,
+            precision,
+            history: this.tracker.history,
+        };
+    }
+
+    /**
+     * Realized customer value across runs (ECO-006).
+     * Cohort LTV is pooled per acquisition week (total margin / total customers);
+     * the retention curve averages each week-since-start over the runs that observed it.
+     * @returns {object}
+     */
+    _aggregateLTV() {
+        const cohorts = new Map();
+        const retention = [];
+        for (const r of this.results) {
+            for (const c of r.cohortLTV ?? []) {
+                const acc = cohorts.get(c.cohortWeek) ?? { cohortWeek: c.cohortWeek, customers: 0, revenue: 0, margin: 0 };
+                acc.customers += c.customers;
+                acc.revenue += c.revenue;
+                acc.margin += c.margin;
+                cohorts.set(c.cohortWeek, acc);
+            }
+            (r.subscriptionRetention ?? []).forEach((v, k) => {
+                const acc = retention[k] ?? (retention[k] = { sum: 0, runs: 0 });
+                acc.sum += v;
+                acc.runs++;
+            });
+        }
+
+        const n = this.results.length;
+        return {
+            realizedLTV: computeStats(this.results.map(r => r.realizedLTV ?? 0)),
+            customersAcquired: computeStats(this.results.map(r => r.customersAcquired ?? 0)),
+            repeatPurchases: computeStats(this.results.map(r => r.repeatPurchases ?? 0)),
+            subscriptionStarts: computeStats(this.results.map(r => r.totalSubscribers ?? 0)),
+            subscriptionCancels: computeStats(this.results.map(r => r.subscriptionCancels ?? 0)),
+            activeSubscribers: computeStats(this.results.map(r => r.activeSubscribers ?? 0)),
+            subscriptionRevenue: computeStats(this.results.map(r => r.subscriptionRevenue ?? 0)),
+            cohorts: [...cohorts.values()]
+                .sort((a, b) => a.cohortWeek - b.cohortWeek)
+                .map(c => ({
+                    cohortWeek: c.cohortWeek,
+                    customers: c.customers / n,
+                    revenue: c.revenue / n,
+                    margin: c.margin / n,
+                    ltvPerCustomer: c.customers > 0 ? c.margin / c.customers : 0,
+                })),
+            retentionCurve: retention.map(acc => acc.sum / acc.runs),
+        };
+    }
+
+    /**
+     * Per competitor units, revenue and profit across runs (SIM-009).
+     * @returns {Object<string, object>} competitor id → stats
+     */
+    _aggregateCompetitors() {
+        const ids = new Set();
+        for (const r of this.results) {
+            for (const id of Object.keys(r.competitorResults ?? {})) ids.add(id);
+        }
+
+        const categoryUnits = this.results.reduce((s, r) =>
+            s + r.totalUnitsSold + Object.values(r.competitorResults ?? {}).reduce((t, c) => t + c.unitsSold, 0), 0);
+
+        const competitors = {};
+        for (const id of ids) {
+            const pick = (field) => this.results.map(r => r.competitorResults?.[id]?.[field] ?? 0);
+            const unitsSold = pick('unitsSold');
+            competitors[id] = {
+                unitsSold: computeStats(unitsSold),
+                revenue: computeStats(pick('revenue')),
+                profit: computeStats(pick('profit')),
+                marketShare: categoryUnits > 0 ? unitsSold.reduce((s, v) => s + v, 0) / categoryUnits : 0,
+            };
+        }
+        return competitors;
+    }
+
+    /**
+     * Customers lost to each competitor after a stock-out, across iterations (SIM-003).
+     * @returns {Object<string, object>} competitor id → stats
+     */
+    _aggregateLostToCompetitors() {
+        const ids = new Set();
+        for (const r of this.results) {
+            for (const id of Object.keys(r.lostToCompetitors ?? {})) ids.add(id);
+        }
+
+        const lost = {};
+        for (const id of ids) {
+            lost[id] = computeStats(this.results.map(r => r.lostToCompetitors?.[id] ?? 0));
+        }
+        return lost;
+    }
+
+    /** Mean awareness per marketing channel for one week across runs */
+    _averageWeekAwareness(weekData) {
+        const avg = {};
+        for (const d of weekData) {
+            for (const [key, a] of Object.entries(d.awareness ?? {})) {
+                avg[key] = (avg[key] ?? 0) + a / weekData.length;
+            }
+        }
+        return avg;
+    }
+
+    /** Per-channel statistics across all runs */
+    _aggregateChannels() {
+        const keys = new Set();
+        for (const r of this.results) {
+            for (const ch of Object.keys(r.channelBreakdown ?? {})) keys.add(ch);
+        }
+
+        const channels = {};
+        for (const ch of keys) {
+            const pick = (field) => this.results.map(r => r.channelBreakdown?.[ch]?.[field] ?? 0);
+            const unitsSold = pick('unitsSold');
+            const revenue = pick('revenue');
+            const fees = pick('fees');
+            const netProfit = pick('netProfit');
+            const totalRevenue = revenue.reduce((s, v) => s + v, 0);
+            const totalNet = netProfit.reduce((s, v) => s + v, 0);
+            channels[ch] = {
+                unitsSold: computeStats(unitsSold),
+                revenue: computeStats(revenue),
+                fees: computeStats(fees),
+                netProfit: computeStats(netProfit),
+                netMarginPct: totalRevenue > 0 ? (totalNet / totalRevenue) * 100 : 0,
+            };
+        }
+        return channels;
+    }
+
     /** Average weekly metrics across all runs */
     _averageWeekly() {
         if (this.results.length === 0) return [];
@@ -161,11 +911,75 @@ export class MonteCarloEngine {
                 cumulativeSold: weekData.reduce((s, d) => s + d.cumulativeSold, 0) / weekData.length,
                 inventory: weekData.reduce((s, d) => s + d.inventory, 0) / weekData.length,
                 revenue: weekData.reduce((s, d) => s + d.revenue, 0) / weekData.length,
+                netRevenue: weekData.reduce((s, d) => s + (d.netRevenue ?? d.revenue), 0) / weekData.length,
+                unitsReturned: weekData.reduce((s, d) => s + (d.unitsReturned ?? 0), 0) / weekData.length,
+                demandFactor: weekData.reduce((s, d) => s + (d.shock?.demandFactor ?? 1), 0) / weekData.length,
+                awareness: this._averageWeekAwareness(weekData),
                 avgConversion: weekData.reduce((s, d) => s + d.avgConversion, 0) / weekData.length,
+                ourPrice: weekData.reduce((s, d) => s + d.ourPrice, 0) / weekData.length,
+                competitorPrices: this._averageWeekArray(weekData, 'competitorPrices'),
+                activeCompetitors: weekData.reduce((s, d) => s + (d.activeCompetitors ?? 0), 0) / weekData.length,
+                competitorEntries: weekData.reduce((s, d) => s + (d.competitorEntries ?? 0), 0) / weekData.length,
+                competitorExits: weekData.reduce((s, d) => s + (d.competitorExits ?? 0), 0) / weekData.length,
+                effectiveCOGS: weekData.reduce((s, d) => s + (d.effectiveCOGS ?? 0), 0) / weekData.length,
                 competitorAttractiveness: weekData.reduce((s, d) => s + d.competitorAttractiveness, 0) / weekData.length,
+                marketShare: weekData.reduce((s, d) => s + (d.marketShare ?? 0), 0) / weekData.length,
+                channelFees: weekData.reduce((s, d) => s + (d.channelFees ?? 0), 0) / weekData.length,
+                unitsReceived: weekData.reduce((s, d) => s + (d.unitsReceived ?? 0), 0) / weekData.length,
+                lostSales: weekData.reduce((s, d) => s + (d.lostSales ?? 0), 0) / weekData.length,
+                unmetDemand: weekData.reduce((s, d) => s + (d.unmetDemand ?? 0), 0) / weekData.length,
+                recaptured: weekData.reduce((s, d) => s + (d.recaptured ?? 0), 0) / weekData.length,
+                subscribers: weekData.reduce((s, d) => s + (d.subscribers ?? 0), 0) / weekData.length,
+                repeatPurchases: weekData.reduce((s, d) => s + (d.repeatPurchases ?? 0), 0) / weekData.length,
+                channels: this._averageWeekChannels(weekData),
             });
         }
 
         return avgMetrics;
     }
+
+    /** Element-wise mean of one week's array metric (e.g. competitorPrices) across the runs that have a value */
+    _averageWeekArray(weekData, key) {
+        const sums = [];
+        const counts = [];
+        for (const d of weekData) {
+            (d[key] ?? []).forEach((v, i) => {
+                if (v == null) return;
+                sums[i] = (sums[i] ?? 0) + v;
+                counts[i] = (counts[i] ?? 0) + 1;
+            });
+        }
+        return sums.map((s, i) => s / counts[i]);
+    }
+
+    /**
+     * Per-week percentile bands of every numeric weekly metric across runs,
+     * read from the t-digests fed while the runs came in (nested metrics
+     * keep their shape).
+     * @returns {Array<object>} one entry per week: { week, unitsSold: { p5, p25, p50, p75, p95 }, … }
+     */
+    _weeklyBands() {
+        return Array.from(this.weeklySketches, (sketches, w) => ({ week: w, ...sketchBands(sketches ?? {}) }));
+    }
+
+    /** Average one week's per-channel metrics across runs */
+    _averageWeekChannels(weekData) {
+        const channels = {};
+        for (const d of weekData) {
+            for (const [ch, m] of Object.entries(d.channels ?? {})) {
+                const acc = channels[ch] ?? (channels[ch] = { unitsSold: 0, revenue: 0, fees: 0, netProfit: 0 });
+                acc.unitsSold += m.unitsSold;
+                acc.revenue += m.revenue;
+                acc.fees += m.fees;
+                acc.netProfit += m.netProfit;
+            }
+        }
+        for (const acc of Object.values(channels)) {
+            acc.unitsSold /= weekData.length;
+            acc.revenue /= weekData.length;
+            acc.fees /= weekData.length;
+            acc.netProfit /= weekData.length;
+        }
+        return channels;
+    }
 }
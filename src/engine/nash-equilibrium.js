@@ -1,6 +1,8 @@
 /**
  * Prometheus Engine – Nash Equilibrium Detection (AI-005)
- * Detects and analyzes Nash equilibria in the competitive pricing game.
+ * Detects and analyzes Nash equilibria in the competitive pricing game:
+ * pure and mixed equilibria of two-player games, and approximate equilibria
+ * of N-player games by fictitious play.
  */
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -143,6 +145,197 @@ export function findDominantStrategies(matrix) {
     return { playerDominant, opponentDominant };
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Mixed Strategies (Two Players)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Solve A·x = b by Gaussian elimination with partial pivoting.
+ * @param {number[][]} A – square matrix (not modified)
+ * @param {number[]} b
+ * @returns {number[]|null} null when the system is singular
+ */
+function solveLinearSystem(A, b) {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+        }
+        if (Math.abs(m[pivot][col]) < 1e-12) return null;
+        [m[col], m[pivot]] = [m[pivot], m[col]];
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const f = m[r][col] / m[col][col];
+            for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+        }
+    }
+    return m.map((row, i) => row[n] / row[i]);
+}
+
+/** Every k-element subset of 0 … n−1, in lexicographic order. */
+function subsets(n, k) {
+    const out = [];
+    const pick = (start, chosen) => {
+        if (chosen.length === k) { out.push([...chosen]); return; }
+        for (let i = start; i < n; i++) pick(i + 1, [...chosen, i]);
+    };
+    pick(0, []);
+    return out;
+}
+
+/**
+ * Mix over `support` that makes the other player indifferent between its
+ * strategies in `otherSupport`: Σ payoff(other, s)·p_s = value for each of them.
+ * @returns {{ mix: number[], value: number }|null}
+ */
+function indifferenceMix(support, otherSupport, payoff, size) {
+    const k = support.length;
+    const A = otherSupport.map(o => [...support.map(sIdx => payoff(o, sIdx)), -1]);
+    A.push([...support.map(() => 1), 0]);
+    const solution = solveLinearSystem(A, [...otherSupport.map(() => 0), 1]);
+    if (!solution) return null;
+    const mix = new Array(size).fill(0);
+    support.forEach((sIdx, i) => { mix[sIdx] = solution[i]; });
+    return { mix, value: solution[k] };
+}
+
+/**
+ * Mixed-strategy Nash equilibria of a two-player game by support enumeration.
+ * For every pair of equal-size supports, each player's mix is solved to make
+ * the other indifferent across its support; the pair is an equilibrium when
+ * both mixes are probabilities and no strategy outside a support pays more.
+ * Pure equilibria come out as supports of size one. Finds every equilibrium
+ * of a nondegenerate game.
+ * @param {object} matrix – from buildPayoffMatrix
+ * @param {number} [tolerance=1e-9] – slack for ties, relative to the largest payoff
+ * @returns {Array<{ playerMix: number[], opponentMix: number[], playerPayoff: number, opponentPayoff: number, pure: boolean }>}
+ */
+export function findMixedNashEquilibria(matrix, tolerance = 1e-9) {
+    const { playerPrices, opponentPrices, payoffs } = matrix;
+    const n = playerPrices.length;
+    const m = opponentPrices.length;
+    const scale = Math.max(1, ...payoffs.flat().map(p => Math.max(Math.abs(p.player), Math.abs(p.opponent))));
+    const tol = tolerance * scale;
+    const equilibria = [];
+
+    for (let k = 1; k <= Math.min(n, m); k++) {
+        const rowSupports = subsets(n, k);
+        const colSupports = subsets(m, k);
+        for (const I of rowSupports) {
+            for (const J of colSupports) {
+                // Opponent mix on J keeps the player indifferent on I, and vice versa
+                const opp = indifferenceMix(J, I, (i, j) => payoffs[i][j].player, m);
+                const own = opp && indifferenceMix(I, J, (j, i) => payoffs[i][j].opponent, n);
+                if (!own) continue;
+                if (opp.mix.some(p => p < -1e-9) || own.mix.some(p => p < -1e-9)) continue;
+                const playerMix = own.mix.map(p => Math.max(0, p));
+                const opponentMix = opp.mix.map(p => Math.max(0, p));
+
+                // No profitable deviation outside the supports
+                const rowValues = payoffs.map(row => row.reduce((s, c, j) => s + c.player * opponentMix[j], 0));
+                const colValues = opponentPrices.map((_, j) => playerMix.reduce((s, x, i) => s + x * payoffs[i][j].opponent, 0));
+                if (rowValues.some(v => v > opp.value + tol) || colValues.some(v => v > own.value + tol)) continue;
+
+                const duplicate = equilibria.some(e =>
+                    e.playerMix.every((p, i) => Math.abs(p - playerMix[i]) < 1e-6)
+                    && e.opponentMix.every((q, j) => Math.abs(q - opponentMix[j]) < 1e-6));
+                if (duplicate) continue;
+                equilibria.push({ playerMix, opponentMix, playerPayoff: opp.value, opponentPayoff: own.value, pure: k === 1 });
+            }
+        }
+    }
+    return equilibria;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  N-Player Games
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Payoff tensor of an N-player game. Profiles are indexed in mixed radix
+ * with the first player most significant.
+ * @param {Array<number[]>} strategies – each player's strategies (e.g. prices)
+ * @param {Function} payoffFn – (profile: number[] of strategy indices) => number[] payoff per player
+ * @returns {{ strategies: Array<number[]>, payoffs: Array<number[]> }}
+ */
+export function buildPayoffTensor(strategies, payoffFn) {
+    const payoffs = [];
+    for (const profile of enumerateProfiles(strategies.map(s => s.length))) payoffs.push(payoffFn(profile));
+    return { strategies, payoffs };
+}
+
+/**
+ * Every strategy profile of a game with the given number of strategies per
+ * player, in tensor order.
+ * @param {number[]} sizes
+ * @returns {Array<number[]>}
+ */
+export function enumerateProfiles(sizes) {
+    let profiles = [[]];
+    for (const size of sizes) {
+        profiles = profiles.flatMap(p => Array.from({ length: size }, (_, a) => [...p, a]));
+    }
+    return profiles;
+}
+
+/**
+ * Expected payoff of every strategy of every player when the others play
+ * their mixes, and each player's expected payoff under the full profile.
+ * @param {{ strategies: Array<number[]>, payoffs: Array<number[]> }} game
+ * @param {Array<number[]>} mixes – one probability vector per player
+ * @returns {{ byStrategy: Array<number[]>, expected: number[] }}
+ */
+export function expectedPayoffs(game, mixes) {
+    const sizes = game.strategies.map(s => s.length);
+    const byStrategy = sizes.map(n => new Array(n).fill(0));
+    enumerateProfiles(sizes).forEach((profile, k) => {
+        for (let p = 0; p < sizes.length; p++) {
+            let weight = 1;
+            for (let q = 0; q < sizes.length; q++) {
+                if (q !== p) weight *= mixes[q][profile[q]];
+            }
+            if (weight > 0) byStrategy[p][profile[p]] += weight * game.payoffs[k][p];
+        }
+    });
+    const expected = byStrategy.map((values, p) => values.reduce((s, v, a) => s + v * mixes[p][a], 0));
+    return { byStrategy, expected };
+}
+
+/**
+ * Approximate Nash equilibrium of an N-player game by fictitious play: every
+ * round each player best-responds to the others' empirical mix of past play.
+ * Converges in two-player zero-sum and potential games; elsewhere the
+ * empirical mixes are an approximation whose quality `epsilon` reports (the
+ * most any player could gain by deviating, 0 at an exact equilibrium).
+ * @param {{ strategies: Array<number[]>, payoffs: Array<number[]> }} game – from buildPayoffTensor
+ * @param {object} [options]
+ * @param {number} [options.iterations=2000]
+ * @returns {{ mixes: Array<number[]>, payoffs: number[], epsilon: number, iterations: number }}
+ */
+export function fictitiousPlay(game, { iterations = 2000 } = {}) {
+    const sizes = game.strategies.map(s => s.length);
+    // Uniform prior: one imagined play of every strategy
+    const counts = sizes.map(n => new Array(n).fill(1));
+    const mixesOf = () => counts.map(c => {
+        const total = c.reduce((s, v) => s + v, 0);
+        return c.map(v => v / total);
+    });
+
+    for (let t = 0; t < iterations; t++) {
+        const { byStrategy } = expectedPayoffs(game, mixesOf());
+        byStrategy.forEach((values, p) => {
+            counts[p][values.indexOf(Math.max(...values))]++;
+        });
+    }
+
+    const mixes = mixesOf();
+    const { byStrategy, expected } = expectedPayoffs(game, mixes);
+    const epsilon = Math.max(...byStrategy.map((values, p) => Math.max(...values) - expected[p]));
+    return { mixes, payoffs: expected, epsilon, iterations };
+}
+
 /**
  * Analyze pricing equilibrium from simulation data.
  * @param {object} params
@@ -186,17 +379,24 @@ export function analyzePricingEquilibrium(params) {
 
     const matrix = buildPayoffMatrix(playerPrices, opponentPrices, payoffFn);
     const equilibria = findPureNashEquilibria(matrix);
+    const mixedEquilibria = findMixedNashEquilibria(matrix).filter(e => !e.pure);
     const dominant = findDominantStrategies(matrix);
+    const mixedPrice = mixedEquilibria.length > 0
+        ? mixedEquilibria[0].playerMix.reduce((s, p, i) => s + p * playerPrices[i], 0)
+        : null;
 
     return {
         playerPrices,
         opponentPrices,
         matrix,
         equilibria,
+        mixedEquilibria,
         dominantStrategies: dominant,
         hasEquilibrium: equilibria.length > 0,
         recommendation: equilibria.length > 0
             ? `Equilibrio encontrado: precio óptimo $${equilibria[0].playerPrice} vs competidor $${equilibria[0].opponentPrice}`
-            : 'No se encontró equilibrio puro. Considerar estrategia mixta.',
+            : mixedPrice != null
+                ? `Sin equilibrio puro: estrategia mixta con precio esperado $${Math.round(mixedPrice)}`
+                : 'No se encontró equilibrio puro. Considerar estrategia mixta.',
     };
 }
@@ -31,6 +31,12 @@ export class MarketData {
         for (const [k, d] of this.uncertain) uncertain[k] = d.toJSON();
         return { known, uncertain };
     }
+    static fromJSON(json = {}) {
+        const md = new MarketData();
+        for (const [k, v] of Object.entries(json.known ?? {})) md.set(k, v);
+        for (const [k, d] of Object.entries(json.uncertain ?? {})) md.setDistribution(k, distributionFromJSON(d));
+        return md;
+    }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -61,6 +67,9 @@ export class ExpertBelief {
             category: this.category,
         };
     }
+    static fromJSON(json) {
+        return new ExpertBelief({ ...json, distribution: distributionFromJSON(json.distribution) });
+    }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -70,10 +79,11 @@ export class CompetitorProfile {
     constructor({
         id,
         name,
-        type = 'rule_based', // 'rule_based' | 'ml' | 'rl'
+        type = 'rule_based', // 'rule_based' | 'ml' | 'rl' | 'dqn'
         aggressiveness = 0.5,
         financialHealth = 0.7,
         marketShare = 0.1,
+        qualityIndex = 0.6,
         beliefs = [],
         constraints = {},
     }) {
@@ -83,6 +93,7 @@ export class CompetitorProfile {
         this.aggressiveness = aggressiveness; // 0-1
         this.financialHealth = financialHealth; // 0-1
         this.marketShare = marketShare; // 0-1
+        this.qualityIndex = qualityIndex; // 0-1, perceived quality in the customer choice model
         this.beliefs = beliefs.map(b => b instanceof ExpertBelief ? b : new ExpertBelief(b));
 
         // Business constraints for RL/ML agents
@@ -104,10 +115,24 @@ export class CompetitorProfile {
             aggressiveness: this.aggressiveness,
             financialHealth: this.financialHealth,
             marketShare: this.marketShare,
+            qualityIndex: this.qualityIndex,
             beliefs: this.beliefs.map(b => b.toJSON()),
             constraints: { ...this.constraints },
+            cogsDistribution: this.cogsDistribution?.toJSON() ?? null,
+            marketingBudgetDistribution: this.marketingBudgetDistribution?.toJSON() ?? null,
+            marginDistribution: this.marginDistribution?.toJSON() ?? null,
         };
     }
+    static fromJSON(json) {
+        const cp = new CompetitorProfile({
+            ...json,
+            beliefs: (json.beliefs ?? []).map(b => ExpertBelief.fromJSON(b)),
+        });
+        if (json.cogsDistribution) cp.cogsDistribution = distributionFromJSON(json.cogsDistribution);
+        if (json.marketingBudgetDistribution) cp.marketingBudgetDistribution = distributionFromJSON(json.marketingBudgetDistribution);
+        if (json.marginDistribution) cp.marginDistribution = distributionFromJSON(json.marginDistribution);
+        return cp;
+    }
 }
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -185,4 +210,17 @@ export class NGC {
             supplyChain: this.supplyChain.toJSON(),
         };
     }
+
+    /** Rebuild an NGC from `toJSON()` output (e.g. inside a Web Worker). */
+    static fromJSON(json) {
+        const ngc = new NGC();
+        ngc.companyData = MarketData.fromJSON(json.companyData);
+        ngc.macroData = MarketData.fromJSON(json.macroData);
+        ngc.supplyChain = MarketData.fromJSON(json.supplyChain);
+        for (const cp of Object.values(json.competitors ?? {})) {
+            ngc.addCompetitor(CompetitorProfile.fromJSON(cp));
+        }
+        ngc.riskEvents = (json.riskEvents ?? []).map(r => ExpertBelief.fromJSON(r));
+        return ngc;
+    }
 }
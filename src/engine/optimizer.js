@@ -4,6 +4,85 @@
  */
 import { computeStats } from './distributions.js';
 import { RiskEngine } from './risk.js';
+import { MonteCarloEngine } from './montecarlo.js';
+import { computeCumulativeHoldingCost } from './holding-costs.js';
+import { evolveParetoFront } from './genetic-optimizer.js';
+import { MARKETING_CHANNELS, recommendAllocation } from './marketing-funnel.js';
+
+/** Sales channels a launch plan can switch on or off. */
+const LAUNCH_SALES_CHANNELS = ['online', 'marketplace', 'retail'];
+
+/**
+ * Uncensored demand of one run: units sold plus customers lost to the
+ * stock-out (switched to a competitor or still waiting at the horizon).
+ */
+function uncensoredDemand(result) {
+    return result.totalUnitsSold + (result.lostSales ?? 0);
+}
+
+/**
+ * Profit of one run as a stocking decision: every stocked unit is paid for,
+ * leftovers are salvaged and the weekly inventory path accrues holding cost.
+ */
+function stockingProfit(result, unitCost, vertical, salvageRate) {
+    const unsold = result.inventoryRemaining;
+    const holding = computeCumulativeHoldingCost(result.weeklyMetrics, unitCost, vertical).totalHoldingCost;
+    const salvage = unsold * unitCost * salvageRate;
+    return {
+        profit: result.netProfit - unsold * unitCost + salvage - holding,
+        holding,
+        salvage,
+    };
+}
+
+
+/**
+ * Decision space of a launch plan, encoded as genes in [0, 1]:
+ * price, initial stock, marketing budget, one weight per marketing channel
+ * and one on/off gene per sales channel.
+ */
+function launchPlanCodec(bounds, marketingChannels, salesChannels) {
+    const scale = ([lo, hi], g) => lo + (hi - lo) * g;
+    const unscale = ([lo, hi], v) => (hi > lo ? Math.min(1, Math.max(0, (v - lo) / (hi - lo))) : 0.5);
+    const mixStart = 3;
+    const channelStart = mixStart + marketingChannels.length;
+
+    return {
+        geneCount: channelStart + salesChannels.length,
+        decode(genes) {
+            const weights = marketingChannels.map((_, i) => genes[mixStart + i]);
+            const totalWeight = weights.reduce((s, w) => s + w, 0);
+            const marketingMix = Object.fromEntries(marketingChannels.map((key, i) => [
+                key,
+                Math.round((totalWeight > 0 ? weights[i] / totalWeight : 1 / weights.length) * 1000) / 1000,
+            ]));
+            let channels = salesChannels.filter((_, i) => genes[channelStart + i] >= 0.5);
+            // At least one sales channel: keep the strongest gene
+            if (channels.length === 0) {
+                const on = salesChannels.map((_, i) => genes[channelStart + i]);
+                channels = [salesChannels[on.indexOf(Math.max(...on))]];
+            }
+            return {
+                basePrice: Math.round(scale(bounds.basePrice, genes[0]) * 100) / 100,
+                initialInventory: Math.round(scale(bounds.initialInventory, genes[1])),
+                marketingBudget: Math.round(scale(bounds.marketingBudget, genes[2]) / 100) * 100,
+                marketingMix,
+                channels,
+            };
+        },
+        encode(plan) {
+            const mix = plan.marketingMix ?? {};
+            const maxShare = Math.max(...marketingChannels.map(k => mix[k] ?? 0));
+            return [
+                unscale(bounds.basePrice, plan.basePrice),
+                unscale(bounds.initialInventory, plan.initialInventory),
+                unscale(bounds.marketingBudget, plan.marketingBudget),
+                ...marketingChannels.map(k => (maxShare > 0 ? (mix[k] ?? 0) / maxShare : 1)),
+                ...salesChannels.map(ch => (plan.channels?.includes(ch) ? 1 : 0)),
+            ];
+        },
+    };
+}
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Optimizer
@@ -12,6 +91,8 @@ export class Optimizer {
     /**
      * Recommend optimal initial stock level.
      * Balances overstock cost vs lost-sales opportunity cost.
+     * Quick heuristic on a single run's (stock-censored) sales; see
+     * optimizeInventory() for the simulation-based search.
      */
     static recommendSafeStock(mcResults, offerCOGS, confidenceLevel = 0.99) {
         const results = mcResults.rawResults;
@@ -61,6 +142,230 @@ export class Optimizer {
         };
     }
 
+    /**
+     * Simulation-based newsvendor: search initial inventory levels over the
+     * full Monte Carlo model. Every candidate runs from the same seed, so all
+     * candidates see common random numbers and differences in profit come from
+     * the stock level, not from sampling noise.
+     * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+     * @param {object} [options]
+     * @param {number[]} [options.candidates] – stock levels to evaluate (default: grid over uncensored demand)
+     * @param {number} [options.gridSize=10] – grid points when candidates are not given
+     * @param {boolean} [options.refine=true] – evaluate midpoints around the best grid point
+     * @param {number} [options.iterations] – iterations per candidate (default: mcConfig.iterations, capped at 200)
+     * @param {number} [options.salvageRate=0.3] – fraction of COGS recovered per unsold unit
+     * @param {number} [options.cvarConfidence=0.95] – tail used for CVaR of profit
+     * @param {number} [options.minCVaR=0] – floor on the mean profit of the worst tail
+     * @param {object} [options.pilotResults] – MC results used to estimate demand (default: a pilot run)
+     * @param {Function} [options.runner] – (config) => Promise<MonteCarloResults|null>; null (cancelled) ends the search with an error
+     * @param {Function} [options.onProgress] – ({ evaluated, total, stock })
+     * @returns {Promise<object|null>} profit-maximizing and CVaR-constrained levels plus the profit curve
+     */
+    static async optimizeInventory(mcConfig, options = {}) {
+        const {
+            gridSize = 10,
+            refine = true,
+            iterations = Math.min(mcConfig.iterations ?? 200, 200),
+            salvageRate = 0.3,
+            cvarConfidence = 0.95,
+            minCVaR = 0,
+            runner = (config) => new MonteCarloEngine().run(config),
+            onProgress = () => { },
+        } = options;
+        const unitCost = mcConfig.offerConfig?.cogs ?? 50;
+        const vertical = mcConfig.offerConfig?.vertical;
+
+        // Uncensored demand from the pilot sets the search range
+        // Every candidate runs the same fixed seeds, so adaptive stopping is off
+        const pilot = options.pilotResults ?? await runner({ ...mcConfig, iterations, precision: null });
+        if (!pilot?.rawResults?.length) return null;
+        const demand = computeStats(pilot.rawResults.map(uncensoredDemand));
+
+        let candidates = options.candidates;
+        if (!candidates) {
+            const lo = Math.max(0, Math.floor(demand.p5 * 0.8));
+            const hi = Math.max(lo + 1, Math.ceil(demand.p99 * 1.2));
+            candidates = Array.from({ length: gridSize }, (_, i) =>
+                Math.round(lo + (hi - lo) * i / Math.max(1, gridSize - 1)));
+        }
+        candidates = [...new Set(candidates)].sort((a, b) => a - b);
+
+        const evaluated = new Map();
+        const evaluate = async (stock) => {
+            if (evaluated.has(stock)) return;
+            const mc = await runner({ ...mcConfig, initialInventory: stock, iterations, precision: null });
+            if (!mc?.rawResults?.length) throw new Error('Inventory search stopped: a candidate returned no results');
+            const runs = mc.rawResults.map(r => stockingProfit(r, unitCost, vertical, salvageRate));
+            const profits = runs.map(r => r.profit);
+            const profitStats = computeStats(profits);
+            evaluated.set(stock, {
+                stock,
+                expectedProfit: profitStats.mean,
+                profitP5: profitStats.p5,
+                profitP95: profitStats.p95,
+                cvar: -RiskEngine.CVaR(profits.map(p => -p), cvarConfidence),
+                fillRate: computeStats(mc.rawResults.map(r => r.fillRate ?? 1)).mean,
+                unsoldUnits: computeStats(mc.rawResults.map(r => r.inventoryRemaining)).mean,
+                holdingCost: computeStats(runs.map(r => r.holding)).mean,
+                salvageValue: computeStats(runs.map(r => r.salvage)).mean,
+            });
+            onProgress({ evaluated: evaluated.size, total: candidates.length, stock });
+        };
+
+        for (const stock of candidates) await evaluate(stock);
+
+        // One refinement pass between the best grid point and its neighbours
+        if (refine && candidates.length > 2) {
+            const best = candidates.reduce((b, c) =>
+                evaluated.get(c).expectedProfit > evaluated.get(b).expectedProfit ? c : b, candidates[0]);
+            const idx = candidates.indexOf(best);
+            const neighbours = [candidates[idx - 1], candidates[idx + 1]].filter(c => c !== undefined);
+            for (const n of neighbours) {
+                const mid = Math.round((best + n) / 2);
+                if (mid !== best && mid !== n) await evaluate(mid);
+            }
+        }
+
+        const curve = [...evaluated.values()].sort((a, b) => a.stock - b.stock);
+        const argmax = (points, key) => points.reduce((b, p) => p[key] > b[key] ? p : b, points[0]);
+        const profitMaximizing = argmax(curve, 'expectedProfit');
+        const feasible = curve.filter(p => p.cvar >= minCVaR);
+        const cvarConstrained = feasible.length > 0 ? argmax(feasible, 'expectedProfit') : argmax(curve, 'cvar');
+
+        return {
+            profitMaximizing,
+            cvarConstrained,
+            cvarFeasible: feasible.length > 0,
+            curve,
+            demand,
+            settings: { iterations, salvageRate, cvarConfidence, minCVaR, unitCost },
+        };
+    }
+
+    /**
+     * Multi-objective launch plan search (NSGA-II) over price, initial stock,
+     * marketing budget, marketing mix and sales channels. Every candidate runs
+     * a reduced Monte Carlo from the same seed (common random numbers) and is
+     * scored on expected net profit (max), CVaR of the loss (min) and unsold
+     * inventory % (min).
+     * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+     * @param {object} [options]
+     * @param {object} [options.bounds] – { basePrice, initialInventory, marketingBudget }: [lo, hi] each (default: around the current plan)
+     * @param {string[]} [options.marketingChannels] – MARKETING_CHANNELS keys in the mix
+     * @param {string[]} [options.salesChannels] – sales channels that can be switched on or off
+     * @param {number} [options.iterations] – iterations per candidate (default: mcConfig.iterations, capped at 100)
+     * @param {number} [options.populationSize=16]
+     * @param {number} [options.generations=6]
+     * @param {number} [options.cvarConfidence=0.95]
+     * @param {number} [options.seed] – search seed (default: mcConfig.seed)
+     * @param {Function} [options.runner] – (config) => Promise<MonteCarloResults>
+     * @param {Function} [options.onProgress] – ({ evaluated, total, generation })
+     * @returns {Promise<object>} Pareto front (by expected profit, descending), the current plan and search history
+     */
+    static async optimizeLaunchPlan(mcConfig, options = {}) {
+        const {
+            iterations = Math.min(mcConfig.iterations ?? 100, 100),
+            populationSize = 16,
+            generations = 6,
+            cvarConfidence = 0.95,
+            marketingChannels = Object.keys(MARKETING_CHANNELS),
+            salesChannels = LAUNCH_SALES_CHANNELS,
+            seed = mcConfig.seed ?? 42,
+            runner = (config) => new MonteCarloEngine().run(config),
+            onProgress = () => { },
+        } = options;
+        const offer = mcConfig.offerConfig ?? {};
+        const price = offer.basePrice ?? 149;
+        const cogs = offer.cogs ?? 50;
+        const stock = mcConfig.initialInventory ?? 10000;
+        const budget = offer.marketingBudget ?? 200000;
+        const bounds = {
+            basePrice: [Math.max(cogs * 1.05, price * 0.6), Math.max(cogs * 1.1, price * 1.4)],
+            initialInventory: [Math.round(stock * 0.2), Math.round(stock * 1.5)],
+            marketingBudget: [budget * 0.25, budget * 2],
+            ...options.bounds,
+        };
+        const codec = launchPlanCodec(bounds, marketingChannels, salesChannels);
+        const total = populationSize * (generations + 1);
+
+        // Genomes that decode to the same plan share one simulation
+        const plans = new Map();
+        const history = [];
+        let generation = 0;
+        const simulate = async (plan) => {
+            const key = JSON.stringify(plan);
+            if (plans.has(key)) return plans.get(key);
+            const { initialInventory, ...offerChanges } = plan;
+            // Every candidate runs the same fixed seeds, so adaptive stopping is off
+            const mc = await runner({
+                ...mcConfig,
+                offerConfig: { ...offer, ...offerChanges },
+                initialInventory,
+                iterations,
+                precision: null,
+            });
+            // A cancelled run has nothing to score, and neither has the search
+            if (!mc?.rawResults?.length) throw new Error('Launch plan search stopped: a candidate returned no results');
+            const profits = mc.rawResults.map(r => r.netProfit);
+            const profitStats = computeStats(profits);
+            const evaluated = {
+                ...plan,
+                expectedProfit: profitStats.mean,
+                profitP5: profitStats.p5,
+                cvarLoss: RiskEngine.CVaR(profits.map(p => -p), cvarConfidence),
+                unsoldPct: computeStats(mc.rawResults.map(r => r.unsoldPct)).mean,
+                probLoss: profits.filter(p => p < 0).length / profits.length,
+                fillRate: computeStats(mc.rawResults.map(r => r.fillRate ?? 1)).mean,
+            };
+            plans.set(key, evaluated);
+            onProgress({ evaluated: plans.size, total, generation });
+            return evaluated;
+        };
+
+        // The current plan seeds the search, so the front never loses to it
+        const currentPlan = codec.decode(codec.encode({
+            basePrice: price,
+            initialInventory: stock,
+            marketingBudget: budget,
+            marketingMix: offer.marketingMix ?? recommendAllocation('balanced'),
+            channels: offer.channels ?? ['online', 'marketplace'],
+        }));
+        const search = await evolveParetoFront({
+            geneCount: codec.geneCount,
+            populationSize,
+            generations,
+            initial: [codec.encode(currentPlan)],
+            seed,
+            evaluate: async (genes) => {
+                const p = await simulate(codec.decode(genes));
+                return [-p.expectedProfit, p.cvarLoss, p.unsoldPct];
+            },
+            onGeneration: (g) => {
+                generation = g.generation;
+                history.push({
+                    generation,
+                    frontSize: g.front.length,
+                    bestProfit: Math.max(...g.front.map(ind => -ind.objectives[0])),
+                    lowestCVaRLoss: Math.min(...g.front.map(ind => ind.objectives[1])),
+                    lowestUnsoldPct: Math.min(...g.front.map(ind => ind.objectives[2])),
+                });
+            },
+        });
+
+        const front = [...new Map(search.front.map(ind => {
+            const plan = codec.decode(ind.genes);
+            return [JSON.stringify(plan), plans.get(JSON.stringify(plan))];
+        })).values()].sort((a, b) => b.expectedProfit - a.expectedProfit);
+
+        return {
+            front,
+            current: await simulate(currentPlan),
+            evaluated: plans.size,
+            history,
+            settings: { iterations, populationSize, generations, cvarConfidence, bounds, marketingChannels, salesChannels },
+        };
+    }
+
     /**
      * Generate contingency playbooks ("If X then Y").
      */
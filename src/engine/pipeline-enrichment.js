@@ -32,7 +32,7 @@ class SeededRNG {
 export function enrichSimulationResults(mcResults, config = {}) {
     const enriched = { ...mcResults };
 
-    // 1. Competitor Dynamics Analysis
+    // 1. Competitor Dynamics Analysis (simulated entry and exit, when run, stay under competitorTurnover)
     enriched.competitorDynamics = runCompetitorDynamicsAnalysis(config);
 
     // 2. Replenishment Planning
@@ -117,21 +117,40 @@ function runReplenishmentAnalysis(mcResults, config) {
 }
 
 /**
- * Project customer LTV from simulation results.
+ * Customer LTV from simulation results. Uses the realized cohort value
+ * tracked per agent (ECO-006) when the run acquired customers, otherwise
+ * projects it from average order value.
  */
 function runLTVAnalysis(mcResults, config) {
+    const realized = mcResults?.ltv;
+    if (realized && realized.customersAcquired.mean > 0) {
+        return {
+            source: 'simulated',
+            ltvPerCustomer: Math.round(realized.realizedLTV.mean),
+            initialCohort: Math.round(realized.customersAcquired.mean),
+            repeatPurchases: realized.repeatPurchases.mean,
+            subscriptionStarts: realized.subscriptionStarts.mean,
+            subscriptionCancels: realized.subscriptionCancels.mean,
+            cohorts: realized.cohorts,
+            retentionCurve: realized.retentionCurve,
+        };
+    }
+
     const avgRevenue = mcResults?.revenue?.mean || 100000;
     const avgSales = mcResults?.sales?.mean || 1000;
     const aov = avgSales > 0 ? avgRevenue / avgSales : 200;
 
-    return modelCohortLTV({
-        initialCohort: config.customerCohort || 500,
-        avgOrderValue: Math.round(aov),
-        ordersPerYear: config.ordersPerYear || 3,
-        grossMarginPct: config.marginPct || 35,
-        monthlyChurnRate: config.churnRate || 0.06,
-        horizonMonths: 24,
-    });
+    return {
+        source: 'projected',
+        ...modelCohortLTV({
+            initialCohort: config.customerCohort || 500,
+            avgOrderValue: Math.round(aov),
+            ordersPerYear: config.ordersPerYear || 3,
+            grossMarginPct: config.marginPct || 35,
+            monthlyChurnRate: config.churnRate || 0.06,
+            horizonMonths: 24,
+        }),
+    };
 }
 
 /**
@@ -0,0 +1,156 @@
+/**
+ * Prometheus Engine – Simulated Pricing Game (AI-005)
+ * Payoffs of the pricing game estimated by short Monte Carlo runs over a grid
+ * of our price × each competitor's price, solved for mixed equilibria (support
+ * enumeration for two players, fictitious play for more), and compared with
+ * the profit of our current plan.
+ */
+import { MonteCarloEngine } from './montecarlo.js';
+import { buildPayoffMatrix, findMixedNashEquilibria, buildPayoffTensor, enumerateProfiles, expectedPayoffs, fictitiousPlay } from './nash-equilibrium.js';
+
+/** Competitor list price before any commitment (same rule as runIteration) */
+function referencePrice(profile) {
+    return profile.cogsDistribution
+        ? profile.cogsDistribution.mean() * (1 + profile.constraints.minMargin + 0.3)
+        : 140;
+}
+
+/** Price levels around 1, symmetric and always including 1 itself. */
+function priceLevels(numOptions, priceRange) {
+    const levels = numOptions % 2 === 1 ? numOptions : numOptions + 1;
+    const mid = (levels - 1) / 2;
+    return Array.from({ length: levels }, (_, i) => (i === mid ? 1 : 1 + priceRange * (i - mid) / Math.max(1, mid)));
+}
+
+/** Probability-weighted prices of one player. */
+function priceDistribution(prices, mix) {
+    return prices.map((price, i) => ({ price, probability: mix[i] }));
+}
+
+/**
+ * Solve the pricing game with simulated payoffs. Each cell of the grid is one
+ * Monte Carlo run on common random numbers in which we hold a fixed price and
+ * each competitor in the game commits to a price multiple of its list price;
+ * price wars, in-run entry and repricing are switched off so the cell measures
+ * exactly that price profile. Our payoff is mean net profit, a competitor's is
+ * its mean profit. Competitors outside the game keep their normal behaviour.
+ *
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {object} [options]
+ * @param {number} [options.numOptions=5] – price levels per player (rounded up to odd so the current price is on the grid)
+ * @param {number} [options.priceRange=0.2] – levels span ±priceRange around each player's price
+ * @param {string[]} [options.competitorIds] – competitors in the game (default: the largest `maxCompetitors` by market share)
+ * @param {number} [options.maxCompetitors=2]
+ * @param {number} [options.iterations] – per cell (default: min(config iterations, 30))
+ * @param {number} [options.fictitiousPlayIterations=2000]
+ * @param {Function} [options.runner] – (config) => Promise<MC results|null>
+ * @param {Function} [options.onProgress] – ({ completed, total, label }) => void
+ * @returns {Promise<object>} our equilibrium price distribution, the rivals' mixes, and the profit gap of the current plan
+ */
+export async function estimatePricingEquilibrium(mcConfig, options = {}) {
+    const {
+        numOptions = 5,
+        priceRange = 0.2,
+        maxCompetitors = 2,
+        iterations = Math.min(mcConfig.iterations ?? 30, 30),
+        fictitiousPlayIterations = 2000,
+        runner = (config) => new MonteCarloEngine().run(config),
+        onProgress = () => { },
+    } = options;
+    const { ngc, offerConfig } = mcConfig;
+    const competitorIds = options.competitorIds ?? [...ngc.competitors.values()]
+        .sort((a, b) => (b.marketShare ?? 0) - (a.marketShare ?? 0))
+        .slice(0, maxCompetitors)
+        .map(c => c.id);
+    const profiles = competitorIds.map(id => ngc.getCompetitor(id)).filter(Boolean);
+    if (profiles.length === 0) throw new Error('No competitors in the pricing game');
+
+    const levels = priceLevels(numOptions, priceRange);
+    const currentIndex = (levels.length - 1) / 2;
+    const currentPrice = offerConfig.basePrice;
+    const players = [
+        { id: 'ours', name: 'Nuestra oferta', prices: levels.map(f => currentPrice * f) },
+        ...profiles.map(p => ({ id: p.id, name: p.name, prices: levels.map(f => referencePrice(p) * f) })),
+    ];
+
+    // Fixed iterations and seed: every cell runs on common random numbers
+    const base = {
+        ...mcConfig,
+        iterations,
+        precision: null,
+        seed: mcConfig.seed ?? 42,
+        competitorBehavior: { ...mcConfig.competitorBehavior, priceWarProbability: 0 },
+        competitorDynamics: null,
+    };
+    const grid = enumerateProfiles(players.map(p => p.prices.length));
+    const cells = new Map();
+    let completed = 0;
+    for (const profile of grid) {
+        const [own, ...theirs] = profile;
+        const results = await runner({
+            ...base,
+            offerConfig: { ...offerConfig, basePrice: players[0].prices[own], repricing: null },
+            competitorAgentConfig: {
+                ...mcConfig.competitorAgentConfig,
+                ...Object.fromEntries(profiles.map((p, k) => [p.id, { priceCommitment: levels[theirs[k]] }])),
+            },
+        });
+        if (!results) throw new Error('Pricing game stopped: a run returned no results');
+        cells.set(profile.join(','), [
+            results.netProfit.mean,
+            ...profiles.map(p => results.competitors?.[p.id]?.profit.mean ?? 0),
+        ]);
+        onProgress({
+            completed: ++completed,
+            total: grid.length,
+            label: players.map((p, k) => `${p.name} $${Math.round(p.prices[profile[k]])}`).join(' · '),
+        });
+    }
+    const game = buildPayoffTensor(players.map(p => p.prices), profile => cells.get(profile.join(',')));
+
+    // Two players: exact mixed equilibria, the one best for us; otherwise (or
+    // when degenerate payoffs defeat support enumeration) fictitious play
+    let method = 'fictitious_play';
+    let mixes;
+    let epsilon;
+    let equilibriaFound = 0;
+    if (players.length === 2) {
+        const [ours, theirs] = players.map(p => p.prices);
+        const matrix = buildPayoffMatrix(ours, theirs, (myPrice, opPrice) => {
+            const [my, op] = cells.get(`${ours.indexOf(myPrice)},${theirs.indexOf(opPrice)}`);
+            return { myPayoff: my, opPayoff: op };
+        });
+        const equilibria = findMixedNashEquilibria(matrix);
+        equilibriaFound = equilibria.length;
+        if (equilibria.length > 0) {
+            const best = equilibria.reduce((a, b) => (b.playerPayoff > a.playerPayoff ? b : a));
+            method = 'support_enumeration';
+            mixes = [best.playerMix, best.opponentMix];
+            epsilon = 0;
+        }
+    }
+    if (!mixes) {
+        const fp = fictitiousPlay(game, { iterations: fictitiousPlayIterations });
+        mixes = fp.mixes;
+        epsilon = fp.epsilon;
+    }
+
+    const { byStrategy, expected } = expectedPayoffs(game, mixes);
+    const ourDistribution = priceDistribution(players[0].prices, mixes[0]);
+    const currentPlan = { price: currentPrice, profit: byStrategy[0][currentIndex] };
+
+    return {
+        method,
+        players: players.map((p, k) => ({ ...p, mix: mixes[k], expectedProfit: expected[k] })),
+        ourPriceDistribution: ourDistribution,
+        expectedPrice: ourDistribution.reduce((s, d) => s + d.price * d.probability, 0),
+        competitorPriceDistributions: Object.fromEntries(players.slice(1).map((p, k) => [p.id, priceDistribution(p.prices, mixes[k + 1])])),
+        equilibriumProfit: expected[0],
+        currentPlan,
+        profitGap: expected[0] - currentPlan.profit,
+        epsilon,
+        equilibriaFound,
+        game,
+        settings: { iterations, numOptions: levels.length, priceRange, seed: base.seed, competitorIds: profiles.map(p => p.id) },
+    };
+}
@@ -0,0 +1,218 @@
+/**
+ * Prometheus Engine – Q-Network for the DQN Competitor (AI-002)
+ * Small pure-JS multilayer perceptron approximating Q(s, ·) over the
+ * continuous extractRLState vector, trained by minibatch SGD. CPU-only,
+ * no dependencies: runs the same in the browser, workers and Node tests.
+ */
+import { PRNG } from './distributions.js';
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Q-Network
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * One hidden ReLU layer, linear outputs (one Q-value per action).
+ * Weights are stored flat: w1[h * inputSize + i], w2[o * hiddenSize + h].
+ * With `hiddenSize: 0` it reduces to a linear approximator.
+ */
+export class QNetwork {
+    /**
+     * @param {object} config
+     * @param {number} config.inputSize – length of the state vector
+     * @param {number} config.outputSize – number of actions
+     * @param {number} [config.hiddenSize=16] – 0 for a linear model
+     * @param {number} [config.learningRate=0.01]
+     * @param {number} [config.huberDelta=1] – TD errors beyond this are clipped in the gradient
+     * @param {number} [config.seed=7] – weight initialisation seed
+     */
+    constructor({ inputSize, outputSize, hiddenSize = 16, learningRate = 0.01, huberDelta = 1, seed = 7 }) {
+        this.inputSize = inputSize;
+        this.outputSize = outputSize;
+        this.hiddenSize = hiddenSize;
+        this.learningRate = learningRate;
+        this.huberDelta = huberDelta;
+        this.steps = 0;
+
+        // He-uniform initialisation for the ReLU layer, Glorot for the output
+        const rng = new PRNG(seed);
+        const uniform = (limit) => (rng.next() * 2 - 1) * limit;
+        const outFanIn = hiddenSize > 0 ? hiddenSize : inputSize;
+        this.w1 = new Float64Array(hiddenSize * inputSize);
+        this.b1 = new Float64Array(hiddenSize);
+        this.w2 = new Float64Array(outputSize * outFanIn);
+        this.b2 = new Float64Array(outputSize);
+        const l1 = Math.sqrt(6 / inputSize);
+        for (let k = 0; k < this.w1.length; k++) this.w1[k] = uniform(l1);
+        const l2 = Math.sqrt(6 / (outFanIn + outputSize));
+        for (let k = 0; k < this.w2.length; k++) this.w2[k] = uniform(l2);
+    }
+
+    /** Hidden activations for an input (the input itself for a linear model). */
+    _hidden(input) {
+        if (this.hiddenSize === 0) return input;
+        const h = new Float64Array(this.hiddenSize);
+        for (let j = 0; j < this.hiddenSize; j++) {
+            let sum = this.b1[j];
+            const row = j * this.inputSize;
+            for (let i = 0; i < this.inputSize; i++) sum += this.w1[row + i] * input[i];
+            h[j] = sum > 0 ? sum : 0;
+        }
+        return h;
+    }
+
+    /** Q-values of every action from hidden activations. */
+    _output(h) {
+        const n = h.length;
+        const q = new Array(this.outputSize);
+        for (let o = 0; o < this.outputSize; o++) {
+            let sum = this.b2[o];
+            const row = o * n;
+            for (let j = 0; j < n; j++) sum += this.w2[row + j] * h[j];
+            q[o] = sum;
+        }
+        return q;
+    }
+
+    /**
+     * Q-values of every action for a state vector.
+     * @param {number[]} input
+     * @returns {number[]}
+     */
+    predict(input) {
+        return this._output(this._hidden(input));
+    }
+
+    /**
+     * One SGD step on a minibatch, moving Q(state, action) towards its target.
+     * Only the taken action's output receives gradient; the loss is Huber.
+     * @param {Array<{ input: number[], action: number, target: number }>} samples
+     * @returns {number[]} TD error (target − prediction before the step) per sample
+     */
+    train(samples) {
+        if (samples.length === 0) return [];
+        const n = this.hiddenSize > 0 ? this.hiddenSize : this.inputSize;
+        const gW1 = new Float64Array(this.w1.length);
+        const gB1 = new Float64Array(this.b1.length);
+        const gW2 = new Float64Array(this.w2.length);
+        const gB2 = new Float64Array(this.b2.length);
+        const errors = [];
+
+        for (const { input, action, target } of samples) {
+            const h = this._hidden(input);
+            const q = this._output(h);
+            const error = target - q[action];
+            errors.push(error);
+            // dLoss/dQ for the Huber loss: the error, clipped to ±δ
+            const g = Math.max(-this.huberDelta, Math.min(this.huberDelta, error));
+            const row = action * n;
+            gB2[action] += g;
+            for (let j = 0; j < n; j++) gW2[row + j] += g * h[j];
+            if (this.hiddenSize === 0) continue;
+            for (let j = 0; j < this.hiddenSize; j++) {
+                if (h[j] <= 0) continue;
+                const gh = g * this.w2[row + j];
+                gB1[j] += gh;
+                const hRow = j * this.inputSize;
+                for (let i = 0; i < this.inputSize; i++) gW1[hRow + i] += gh * input[i];
+            }
+        }
+
+        // Gradient ascent on −loss, averaged over the batch
+        const step = this.learningRate / samples.length;
+        for (let k = 0; k < this.w1.length; k++) this.w1[k] += step * gW1[k];
+        for (let k = 0; k < this.b1.length; k++) this.b1[k] += step * gB1[k];
+        for (let k = 0; k < this.w2.length; k++) this.w2[k] += step * gW2[k];
+        for (let k = 0; k < this.b2.length; k++) this.b2[k] += step * gB2[k];
+        this.steps++;
+        return errors;
+    }
+
+    /** Copy another network's weights into this one (target-network sync). */
+    copyFrom(other) {
+        this.w1.set(other.w1);
+        this.b1.set(other.b1);
+        this.w2.set(other.w2);
+        this.b2.set(other.b2);
+        return this;
+    }
+
+    /** Independent copy with the same shape and weights. */
+    clone() {
+        const copy = new QNetwork({
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            hiddenSize: this.hiddenSize,
+            learningRate: this.learningRate,
+            huberDelta: this.huberDelta,
+        });
+        copy.steps = this.steps;
+        return copy.copyFrom(this);
+    }
+
+    /** Number of trainable weights. */
+    get parameterCount() {
+        return this.w1.length + this.b1.length + this.w2.length + this.b2.length;
+    }
+
+    /** Plain-object form for storage (IndexedDB / JSON). */
+    toJSON() {
+        return {
+            inputSize: this.inputSize,
+            outputSize: this.outputSize,
+            hiddenSize: this.hiddenSize,
+            learningRate: this.learningRate,
+            huberDelta: this.huberDelta,
+            steps: this.steps,
+            w1: Array.from(this.w1),
+            b1: Array.from(this.b1),
+            w2: Array.from(this.w2),
+            b2: Array.from(this.b2),
+        };
+    }
+
+    /**
+     * Rebuild a network saved with toJSON().
+     * @param {object} json
+     * @returns {QNetwork}
+     */
+    static fromJSON(json) {
+        const net = new QNetwork(json);
+        net.steps = json.steps ?? 0;
+        net.w1.set(json.w1);
+        net.b1.set(json.b1);
+        net.w2.set(json.w2);
+        net.b2.set(json.b2);
+        return net;
+    }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Replay Learning
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * One Double-DQN step on a minibatch from the replay buffer: the online network
+ * picks the next action, the target network values it. Prioritized buffers get
+ * the TD errors back as priorities.
+ * @param {QNetwork} network – online network (trained)
+ * @param {QNetwork} targetNetwork – frozen copy, synced by the caller
+ * @param {import('./replay-buffer.js').ReplayBuffer} replay – transitions with extractRLState vectors and action indices
+ * @param {object} params – { batchSize, gamma, rng }
+ * @returns {number} mean absolute TD error of the batch
+ */
+export function learnQNetworkFromReplay(network, targetNetwork, replay, { batchSize = 32, gamma = 0.95, rng = null } = {}) {
+    const { batch, indices } = replay.sample(batchSize, rng);
+    if (batch.length === 0) return 0;
+    const samples = batch.map(t => {
+        let target = t.reward;
+        if (!t.done) {
+            const next = network.predict(t.nextState);
+            const best = next.indexOf(Math.max(...next));
+            target += gamma * targetNetwork.predict(t.nextState)[best];
+        }
+        return { input: t.state, action: t.action, target };
+    });
+    const tdErrors = network.train(samples);
+    replay.updatePriorities(indices, tdErrors);
+    return tdErrors.reduce((s, e) => s + Math.abs(e), 0) / tdErrors.length;
+}
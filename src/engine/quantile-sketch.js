@@ -0,0 +1,126 @@
+/**
+ * Prometheus Engine – Streaming Quantile Sketch (DS-010)
+ * Merging t-digest (Dunning & Ertl, 2019): quantiles of a stream in bounded
+ * memory, most accurate in the tails where fan-chart bands are read.
+ */
+
+/** Percentiles reported for weekly fan charts. */
+export const BAND_PERCENTILES = [5, 25, 50, 75, 95];
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  t-digest
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Streaming quantile estimator. Holds at most about `compression` centroids
+ * plus a buffer of unmerged points; while fewer than `compression` values
+ * have been added every value is its own centroid and quantiles are exact
+ * (interpolated between order statistics).
+ */
+export class QuantileSketch {
+    /** @param {number} [compression=100] – accuracy / size trade-off (δ) */
+    constructor(compression = 100) {
+        this.compression = compression;
+        this.means = [];
+        this.weights = [];
+        this.buffer = [];
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    /**
+     * Add one observation; non-finite values are ignored.
+     * @param {number} x
+     */
+    add(x) {
+        if (!Number.isFinite(x)) return;
+        this.buffer.push(x);
+        this.count++;
+        if (x < this.min) this.min = x;
+        if (x > this.max) this.max = x;
+        if (this.buffer.length >= this.compression * 5) this._compress();
+    }
+
+    /** Merge the buffer into the centroids, bounding each centroid's size with the k₁ scale. */
+    _compress() {
+        if (this.buffer.length === 0) return;
+        const points = this.buffer.map(x => [x, 1]);
+        for (let i = 0; i < this.means.length; i++) points.push([this.means[i], this.weights[i]]);
+        points.sort((a, b) => a[0] - b[0]);
+        this.buffer = [];
+
+        const total = this.count;
+        // k₁(q) = δ/2π · asin(2q − 1): centroids may span one unit of k
+        const k = (q) => this.compression / (2 * Math.PI) * Math.asin(2 * Math.min(1, Math.max(0, q)) - 1);
+        const means = [];
+        const weights = [];
+        let [mean, weight] = points[0];
+        let before = 0;
+        let kLeft = k(0);
+        for (let i = 1; i < points.length; i++) {
+            const [x, w] = points[i];
+            if (k((before + weight + w) / total) - kLeft <= 1) {
+                weight += w;
+                mean += (x - mean) * w / weight;
+            } else {
+                means.push(mean);
+                weights.push(weight);
+                before += weight;
+                kLeft = k(before / total);
+                mean = x;
+                weight = w;
+            }
+        }
+        means.push(mean);
+        weights.push(weight);
+        this.means = means;
+        this.weights = weights;
+    }
+
+    /**
+     * Estimated quantile, interpolating between centroid centres
+     * (and towards the exact min / max at the ends).
+     * @param {number} q – in [0, 1]
+     * @returns {number} NaN when empty
+     */
+    quantile(q) {
+        this._compress();
+        const n = this.means.length;
+        if (n === 0) return NaN;
+        if (n === 1) return this.means[0];
+        const target = Math.min(1, Math.max(0, q)) * this.count;
+
+        const firstCentre = this.weights[0] / 2;
+        if (target <= firstCentre) {
+            return this.min + (this.means[0] - this.min) * (firstCentre > 0 ? target / firstCentre : 0);
+        }
+        let cum = 0;
+        for (let i = 0; i < n - 1; i++) {
+            const centre = cum + this.weights[i] / 2;
+            const nextCentre = cum + this.weights[i] + this.weights[i + 1] / 2;
+            if (target <= nextCentre) {
+                return this.means[i] + (this.means[i + 1] - this.means[i]) * (target - centre) / (nextCentre - centre);
+            }
+            cum += this.weights[i];
+        }
+        const lastCentre = this.count - this.weights[n - 1] / 2;
+        const tail = this.count - lastCentre;
+        return this.means[n - 1] + (this.max - this.means[n - 1]) * (tail > 0 ? (target - lastCentre) / tail : 0);
+    }
+
+    /**
+     * Percentile band, keyed p5 … p95 by default.
+     * @param {number[]} [percentiles=BAND_PERCENTILES]
+     * @returns {Object<string, number>}
+     */
+    band(percentiles = BAND_PERCENTILES) {
+        return Object.fromEntries(percentiles.map(p => [`p${p}`, this.quantile(p / 100)]));
+    }
+
+    /** Number of stored centroids (after merging the buffer). */
+    get size() {
+        this._compress();
+        return this.means.length;
+    }
+}
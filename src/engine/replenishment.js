@@ -19,6 +19,8 @@ export const POLICIES = {
     JIT: 'jit',
     /** Economic Order Quantity */
     EOQ: 'eoq',
+    /** No replenishment: launch stock only */
+    NONE: 'none',
 };
 
 /**
@@ -194,3 +196,57 @@ export function simulateReplenishment(params) {
         weeklyLog,
     };
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  In-Simulation Replenishment (agent-based run)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Fill in defaults for a SimulationRun replenishment policy.
+ * Quantities default to fractions of the launch stock.
+ * @param {object|null} config
+ * @param {string} [config.policy='none'] - POLICIES.REORDER_POINT (s,Q) | POLICIES.PERIODIC_REVIEW | POLICIES.NONE
+ * @param {number} [config.reorderPoint] - s: reorder when inventory position ≤ s
+ * @param {number} [config.orderQuantity] - Q: units per order
+ * @param {number} [config.reviewPeriodWeeks=4] - periodic review interval
+ * @param {number} [config.orderUpTo] - S: periodic review target position
+ * @param {number} [config.orderCost=0] - fixed cost per purchase order
+ * @param {string} [config.leadTimeModel] - fallback LEAD_TIME_MODELS key
+ * @param {number[]} [config.leadTimeParams] - fallback model params (days)
+ * @param {number} initialInventory
+ * @returns {object} resolved policy
+ */
+export function resolveReplenishmentPolicy(config, initialInventory) {
+    const policy = config?.policy ?? POLICIES.NONE;
+    return {
+        ...config,
+        policy,
+        reorderPoint: config?.reorderPoint ?? Math.round(initialInventory * 0.25),
+        orderQuantity: config?.orderQuantity ?? Math.round(initialInventory * 0.5),
+        reviewPeriodWeeks: Math.max(1, config?.reviewPeriodWeeks ?? 4),
+        orderUpTo: config?.orderUpTo ?? initialInventory,
+        orderCost: config?.orderCost ?? 0,
+    };
+}
+
+/**
+ * Decide this week's purchase order.
+ * Works on inventory position (on hand + on order) so open orders are not re-ordered.
+ * @param {object} policy - resolved policy (see resolveReplenishmentPolicy)
+ * @param {object} state
+ * @param {number} state.week - 0-indexed simulation week
+ * @param {number} state.onHand
+ * @param {number} state.onOrder
+ * @returns {number} units to order (0 = no order)
+ */
+export function decideReorderQuantity(policy, { week, onHand, onOrder }) {
+    const position = onHand + onOrder;
+
+    if (policy.policy === POLICIES.REORDER_POINT) {
+        return position <= policy.reorderPoint ? policy.orderQuantity : 0;
+    }
+    if (policy.policy === POLICIES.PERIODIC_REVIEW && (week + 1) % policy.reviewPeriodWeeks === 0) {
+        return Math.max(0, Math.round(policy.orderUpTo - position));
+    }
+    return 0;
+}
@@ -43,8 +43,9 @@ export class RiskEngine {
         // Unprofitable inventory = units that would need to be sold below COGS
         // Approximate: if net profit per unit < 0, all remaining inventory is "at risk"
         const unprofitableLosses = results.map(r => {
-            const avgMargin = r.totalUnitsSold > 0
-                ? r.grossProfit / r.totalUnitsSold
+            const unitsKept = r.netUnitsSold ?? r.totalUnitsSold;
+            const avgMargin = unitsKept > 0
+                ? r.grossProfit / unitsKept
                 : 0;
             if (avgMargin < 0) return r.inventoryRemaining * offerCOGS;
             return r.inventoryRemaining * Math.max(0, offerCOGS - avgMargin * 0.3); // partial recovery
@@ -99,6 +100,8 @@ export class RiskEngine {
         const rois = results.map(r => r.roi);
         const netProfits = results.map(r => r.netProfit);
         const breakEvens = results.map(r => r.breakEvenWeek).filter(w => w >= 0);
+        const netRevenues = results.map(r => r.netRevenue ?? r.totalRevenue);
+        const returnCosts = results.map(r => (r.totalRefunds ?? 0) + (r.reverseLogisticsCost ?? 0));
 
         return {
             roiStats: computeStats(rois),
@@ -109,6 +112,12 @@ export class RiskEngine {
             probNoBreakEven: results.filter(r => r.breakEvenWeek < 0).length / results.length,
             probROIBelow0: results.filter(r => r.roi < 0).length / results.length,
             probROIAbove100: results.filter(r => r.roi > 100).length / results.length,
+
+            // Returns (ECO-001): revenue kept after refunds and the tail of return costs
+            netRevenueStats: computeStats(netRevenues),
+            netRevenueVaR95: RiskEngine.VaR(netRevenues.map(v => -v), 0.95) * -1,
+            returnCostVaR95: RiskEngine.VaR(returnCosts, 0.95),
+            returnRateStats: computeStats(results.map(r => r.returnRate ?? 0)),
         };
     }
 }
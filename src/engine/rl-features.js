@@ -104,6 +104,28 @@ export const RL_FEATURE_NAMES = [
     'Tendencia Demanda',
 ];
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Tabular State Keys
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Features that key a tabular Q-function: price position, market share,
+ * time, sales momentum and demand trend. The rest are constant for a
+ * competitor within a run or move with time anyway.
+ */
+export const RL_STATE_KEY_FEATURES = [0, 1, 2, 4, 11];
+
+/**
+ * Bucket a feature vector into a Q-table state key.
+ * @param {number[]} features - from extractRLState()
+ * @param {number} [bins=4] - buckets per feature
+ * @param {number[]} [indices=RL_STATE_KEY_FEATURES]
+ * @returns {string} e.g. "2|0|1|1|2"
+ */
+export function discretizeRLState(features, bins = 4, indices = RL_STATE_KEY_FEATURES) {
+    return indices.map(i => Math.min(bins - 1, Math.floor(clamp(features[i], 0, 1) * bins))).join('|');
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Helpers
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -0,0 +1,270 @@
+/**
+ * Prometheus Engine – RL Self-Play Training (AI-002)
+ * Offline training of the RL competitors: many simulated launches against our
+ * offer, learning from prioritized replay, exported as frozen policies that
+ * normal Monte Carlo runs load as battle-hardened adversaries. Tabular (`rl`)
+ * competitors export a Q-table, DQN (`dqn`) competitors their network weights.
+ */
+import { deriveIterationSeeds, runIteration } from './montecarlo.js';
+import { PRNG } from './distributions.js';
+import { RLCompetitor } from './agents-competitor.js';
+import { ReplayBuffer } from './replay-buffer.js';
+import { QNetwork, learnQNetworkFromReplay } from './q-network.js';
+import { discretizeRLState, RL_FEATURE_NAMES } from './rl-features.js';
+import { REWARD_PRESETS } from './reward.js';
+
+/** Version of the policy format; bump when the state or action encoding changes */
+export const RL_POLICY_FORMAT = 'prometheus-rl-policy-v1';
+
+/** Competitor type each policy kind drives */
+const POLICY_AGENT_TYPES = { q_table: 'rl', dqn: 'dqn' };
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Replay Learning
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * One Q-learning pass over a minibatch from the replay buffer. Prioritized
+ * buffers get the new TD errors back as priorities.
+ * @param {Map<string, number>} qTable – keys "state:actionId"
+ * @param {ReplayBuffer} replay – transitions with extractRLState vectors and action indices
+ * @param {Array<{ id: string }>} actions
+ * @param {object} params – { batchSize, alpha, gamma, bins, rng }
+ * @returns {number} mean absolute TD error of the batch
+ */
+export function learnFromReplay(qTable, replay, actions, { batchSize = 64, alpha = 0.1, gamma = 0.95, bins = 4, rng = null } = {}) {
+    const { batch, indices } = replay.sample(batchSize, rng);
+    const q = (state, actionId) => qTable.get(`${state}:${actionId}`) ?? 0;
+    const tdErrors = batch.map(t => {
+        const state = discretizeRLState(t.state, bins);
+        const actionId = actions[t.action].id;
+        const future = t.done ? 0 : Math.max(...actions.map(a => q(discretizeRLState(t.nextState, bins), a.id)));
+        const td = t.reward + gamma * future - q(state, actionId);
+        qTable.set(`${state}:${actionId}`, q(state, actionId) + alpha * td);
+        return td;
+    });
+    replay.updatePriorities(indices, tdErrors);
+    return tdErrors.length > 0 ? tdErrors.reduce((s, e) => s + Math.abs(e), 0) / tdErrors.length : 0;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Self-Play Training
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** Mean of a window of the learning curve, per competitor. */
+function windowProfit(curve, ids, from, to) {
+    const slice = curve.slice(from, to);
+    return Object.fromEntries(ids.map(id => [
+        id,
+        slice.length > 0 ? slice.reduce((s, e) => s + e.profit[id], 0) / slice.length : 0,
+    ]));
+}
+
+/**
+ * Train every RL competitor of a scenario by self-play: each episode is a full
+ * SimulationRun against our offer with a freshly sampled scenario, and all RL
+ * competitors learn at once, each against the others' current policies.
+ * Exploration decays linearly from `epsilonStart` to `epsilonEnd`. DQN
+ * competitors train their Q-network on the same replay minibatches, with the
+ * target network synced every `targetUpdateEvery` updates.
+ *
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {object} [options]
+ * @param {number} [options.episodes=200]
+ * @param {string} [options.rewardPreset='aggressive'] – key of REWARD_PRESETS
+ * @param {string[]} [options.competitorIds] – competitors to train (default: every `rl` and `dqn` competitor)
+ * @param {number} [options.epsilonStart=0.5]
+ * @param {number} [options.epsilonEnd=0.05]
+ * @param {number} [options.alpha=0.1] – Q-table learning rate
+ * @param {number} [options.learningRate=0.01] – Q-network SGD step
+ * @param {number} [options.hiddenSize=16] – Q-network hidden units (0 = linear)
+ * @param {number} [options.targetUpdateEvery=100] – Q-network updates between target syncs
+ * @param {number} [options.gamma=0.95]
+ * @param {number} [options.bins=4] – buckets per state feature
+ * @param {number} [options.batchSize=64]
+ * @param {number} [options.dqnBatchSize=32] – minibatch size for Q-networks
+ * @param {number} [options.updatesPerEpisode] – replay minibatches per episode (default: weeks in the horizon)
+ * @param {number} [options.replayCapacity=20000]
+ * @param {boolean} [options.prioritized=true]
+ * @param {Function} [options.onProgress] – ({ completed, total, epsilon }) => void
+ * @param {Function} [options.isCancelled] – () => boolean, checked between episodes
+ * @returns {Promise<{ policies: Object<string, object>, curve: object[], summary: object, settings: object }|null>} null when cancelled
+ */
+export async function trainCompetitorPolicies(mcConfig, options = {}) {
+    const {
+        episodes = 200,
+        rewardPreset = 'aggressive',
+        epsilonStart = 0.5,
+        epsilonEnd = 0.05,
+        alpha = 0.1,
+        learningRate = 0.01,
+        hiddenSize = 16,
+        targetUpdateEvery = 100,
+        gamma = 0.95,
+        bins = 4,
+        batchSize = 64,
+        dqnBatchSize = 32,
+        updatesPerEpisode = mcConfig.timeHorizonWeeks ?? 26,
+        replayCapacity = 20000,
+        prioritized = true,
+        onProgress = () => { },
+        isCancelled = () => false,
+    } = options;
+    const rewardWeights = REWARD_PRESETS[rewardPreset];
+    if (!rewardWeights) throw new Error(`Unknown reward preset: ${rewardPreset}`);
+
+    const profiles = [...mcConfig.ngc.competitors.values()];
+    const ids = options.competitorIds ?? profiles.filter(p => p.type === 'rl' || p.type === 'dqn').map(p => p.id);
+    if (ids.length === 0) throw new Error('No RL competitors to train');
+
+    const seed = mcConfig.seed ?? 42;
+    const { actions } = new RLCompetitor(mcConfig.ngc.getCompetitor(ids[0]));
+    const learners = Object.fromEntries(ids.map((id, i) => {
+        const kind = mcConfig.ngc.getCompetitor(id)?.type === 'dqn' ? 'dqn' : 'q_table';
+        const learner = { kind, replay: new ReplayBuffer(replayCapacity, prioritized), tdError: 0 };
+        if (kind === 'dqn') {
+            learner.network = new QNetwork({
+                inputSize: RL_FEATURE_NAMES.length,
+                outputSize: actions.length,
+                hiddenSize,
+                learningRate,
+                seed: seed + 101 + i,
+            });
+            learner.targetNetwork = learner.network.clone();
+            learner.updates = 0;
+        } else {
+            learner.qTable = new Map();
+        }
+        return [id, learner];
+    }));
+    const seeds = deriveIterationSeeds(seed, episodes);
+    const rng = new PRNG(seed + 1);
+
+    const curve = [];
+    for (let e = 0; e < episodes; e++) {
+        if (isCancelled()) return null;
+        const epsilon = epsilonStart + (epsilonEnd - epsilonStart) * (episodes > 1 ? e / (episodes - 1) : 1);
+        const competitorAgentConfig = Object.fromEntries(ids.map(id => {
+            const learner = learners[id];
+            return [id, learner.kind === 'dqn' ? {
+                rewardWeights,
+                epsilon,
+                network: learner.network,
+                targetNetwork: learner.targetNetwork,
+                replay: learner.replay,
+            } : {
+                stateMode: 'features',
+                stateBins: bins,
+                rewardWeights,
+                epsilon,
+                qTable: learner.qTable,
+                replay: learner.replay,
+            }];
+        }));
+
+        const result = runIteration({ ...mcConfig, competitorAgentConfig }, seeds[e], e);
+
+        for (const id of ids) {
+            const learner = learners[id];
+            if (learner.replay.size === 0) continue;
+            let td = 0;
+            for (let u = 0; u < updatesPerEpisode; u++) {
+                if (learner.kind === 'dqn') {
+                    td += learnQNetworkFromReplay(learner.network, learner.targetNetwork, learner.replay, { batchSize: dqnBatchSize, gamma, rng });
+                    if (++learner.updates % targetUpdateEvery === 0) learner.targetNetwork.copyFrom(learner.network);
+                } else {
+                    td += learnFromReplay(learner.qTable, learner.replay, actions, { batchSize, alpha, gamma, bins, rng });
+                }
+            }
+            learner.tdError = td / updatesPerEpisode;
+        }
+        curve.push({
+            episode: e + 1,
+            epsilon,
+            ourProfit: result.netProfit,
+            profit: Object.fromEntries(ids.map(id => [id, result.competitorResults[id]?.profit ?? 0])),
+            tdError: Object.fromEntries(ids.map(id => [id, learners[id].tdError])),
+        });
+
+        onProgress({ completed: e + 1, total: episodes, epsilon });
+        // Yield so the UI stays responsive and a cancel can land
+        await new Promise(r => setTimeout(r, 0));
+    }
+
+    // Early vs late episodes: did the competitors learn to take more from the market?
+    const w = Math.max(1, Math.floor(episodes / 10));
+    const early = windowProfit(curve, ids, 0, w);
+    const late = windowProfit(curve, ids, episodes - w, episodes);
+    const trainedAt = new Date().toISOString();
+
+    const policies = Object.fromEntries(ids.map(id => {
+        const profile = mcConfig.ngc.getCompetitor(id);
+        const learner = learners[id];
+        const common = {
+            format: RL_POLICY_FORMAT,
+            kind: learner.kind,
+            competitorId: id,
+            competitorName: profile?.name ?? id,
+            stateMode: 'features',
+            rewardPreset,
+            episodes,
+            trainedAt,
+        };
+        return [id, learner.kind === 'dqn' ? {
+            ...common,
+            parameters: learner.network.parameterCount,
+            network: learner.network.toJSON(),
+        } : {
+            ...common,
+            stateBins: bins,
+            states: new Set([...learner.qTable.keys()].map(k => k.slice(0, k.lastIndexOf(':')))).size,
+            qTable: [...learner.qTable],
+        }];
+    }));
+
+    return {
+        policies,
+        curve,
+        summary: {
+            competitors: ids.map(id => ({
+                id,
+                name: policies[id].competitorName,
+                kind: policies[id].kind,
+                states: policies[id].states ?? null,
+                parameters: policies[id].parameters ?? null,
+                earlyProfit: early[id],
+                lateProfit: late[id],
+                replaySize: learners[id].replay.size,
+            })),
+            ourEarlyProfit: curve.slice(0, w).reduce((s, c) => s + c.ourProfit, 0) / w,
+            ourLateProfit: curve.slice(episodes - w).reduce((s, c) => s + c.ourProfit, 0) / w,
+        },
+        settings: {
+            episodes, rewardPreset, epsilonStart, epsilonEnd, alpha, gamma, bins, batchSize, updatesPerEpisode, prioritized, seed,
+            learningRate, hiddenSize, targetUpdateEvery, dqnBatchSize,
+        },
+    };
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Loading Policies
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Agent config that makes Monte Carlo runs use trained policies
+ * (the `competitorAgentConfig` of MonteCarloEngine.run()).
+ * Policies whose competitor is no longer of the matching agent type are skipped
+ * (a Q-table drives an `rl` competitor, a network a `dqn` one).
+ * @param {Object<string, object>|null} policies – from trainCompetitorPolicies()
+ * @param {import('./ngc.js').NGC} ngc
+ * @returns {Object<string, { policy: object }>|null}
+ */
+export function policyAgentConfig(policies, ngc) {
+    if (!policies) return null;
+    const config = {};
+    for (const [id, policy] of Object.entries(policies)) {
+        if (policy.format !== RL_POLICY_FORMAT) continue;
+        if (ngc.getCompetitor(id)?.type === POLICY_AGENT_TYPES[policy.kind ?? 'q_table']) config[id] = { policy };
+    }
+    return Object.keys(config).length > 0 ? config : null;
+}
@@ -0,0 +1,257 @@
+/**
+ * Prometheus Engine – Scenario Discovery (DS-001)
+ * PRIM box search over the sampled NGC inputs of each iteration: which
+ * input regions concentrate an outcome such as a loss or excess stock.
+ */
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sampled Inputs
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Flatten the uncertain part of a sampled scenario into numeric inputs.
+ * Known (deterministic) NGC values are left out; events that do not fire count as 0.
+ * @param {import('./ngc.js').NGC} ngc
+ * @param {object} scenario - from NGC.sampleFullScenario
+ * @param {object[]|null} [shockEvents] - realized shock schedule, when one is configured
+ * @returns {Object<string, number>}
+ */
+export function extractScenarioInputs(ngc, scenario, shockEvents = null) {
+    const inputs = {};
+    for (const k of ngc.companyData.uncertain.keys()) inputs[`company.${k}`] = scenario.company[k];
+    for (const k of ngc.macroData.uncertain.keys()) inputs[`macro.${k}`] = scenario.macro[k];
+
+    for (const [id, cp] of Object.entries(scenario.competitors)) {
+        if (cp.sampledCOGS != null) inputs[`competitor.${id}.cogs`] = cp.sampledCOGS;
+        if (cp.sampledMarketingBudget != null) inputs[`competitor.${id}.marketingBudget`] = cp.sampledMarketingBudget;
+        for (const b of cp.sampledBeliefs ?? []) inputs[`competitor.${id}.belief.${b.id}`] = b.value;
+    }
+    for (const risk of scenario.riskResults) inputs[`risk.${risk.id}`] = risk.value;
+
+    if (shockEvents) {
+        inputs['shock.demandMultiplier'] = shockEvents.reduce((m, ev) => m * ev.peakDemandMultiplier, 1);
+    }
+    return inputs;
+}
+
+/**
+ * Human-readable labels for the keys produced by extractScenarioInputs.
+ * @param {import('./ngc.js').NGC} ngc
+ * @returns {Object<string, string>}
+ */
+export function describeScenarioInputs(ngc) {
+    const labels = { 'shock.demandMultiplier': 'Multiplicador de demanda (shocks)' };
+    for (const k of ngc.companyData.uncertain.keys()) labels[`company.${k}`] = k;
+    for (const k of ngc.macroData.uncertain.keys()) labels[`macro.${k}`] = k;
+    for (const [id, cp] of ngc.competitors) {
+        const name = cp.name ?? id;
+        labels[`competitor.${id}.cogs`] = `COGS ${name}`;
+        labels[`competitor.${id}.marketingBudget`] = `Presupuesto MKT ${name}`;
+        for (const b of cp.beliefs) labels[`competitor.${id}.belief.${b.id}`] = `${name}: ${b.description ?? b.id}`;
+    }
+    for (const ev of ngc.riskEvents) labels[`risk.${ev.id}`] = `Impacto ${ev.description ?? ev.id}`;
+    return labels;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Outcomes
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+const COMPARATORS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+};
+
+/** Outcomes of interest offered by default. */
+export const DISCOVERY_OUTCOMES = [
+    { kpi: 'netProfit', op: '<', value: 0, label: 'Pérdidas (beneficio neto < 0)', caseLabel: 'tasa de pérdida' },
+    { kpi: 'unsoldPct', op: '>', value: 25, label: 'Sobrestock (> 25% sin vender)', caseLabel: 'tasa de sobrestock' },
+];
+
+function outcomePredicate(outcome) {
+    if (typeof outcome === 'function') return outcome;
+    const cmp = COMPARATORS[outcome.op];
+    if (!cmp) throw new Error(`Unknown outcome operator: ${outcome.op}`);
+    return (r) => cmp(r[outcome.kpi], outcome.value);
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  PRIM
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function boxMean(rows, y) {
+    let cases = 0;
+    for (const i of rows) cases += y[i];
+    return rows.length > 0 ? cases / rows.length : 0;
+}
+
+function inBox(x, limits) {
+    for (const [d, { lower, upper }] of limits) {
+        if (lower != null && !(x[d] > lower)) return false;
+        if (upper != null && !(x[d] < upper)) return false;
+    }
+    return true;
+}
+
+/**
+ * Peel one box: repeatedly drop the `alpha` tail of one input that most
+ * raises the share of cases, until the box would hold fewer than `minSupport` rows.
+ * @returns {Array<{ limits: Map, rows: number[], density: number }>} peeling trajectory
+ */
+function peelTrajectory(X, y, rows, dims, alpha, minSupport) {
+    let limits = new Map();
+    let current = rows;
+    const trajectory = [{ limits, rows: current, density: boxMean(current, y) }];
+
+    while (current.length > minSupport) {
+        let best = null;
+        for (const d of dims) {
+            const values = current.map(i => X[i][d]).sort((a, b) => a - b);
+            const k = Math.max(1, Math.ceil(alpha * values.length)) - 1;
+            const prev = limits.get(d) ?? { lower: null, upper: null };
+            const candidates = [
+                { cut: values[k], side: 'lower', keep: (v, t) => v > t },
+                { cut: values[values.length - 1 - k], side: 'upper', keep: (v, t) => v < t },
+            ];
+            for (const c of candidates) {
+                const kept = current.filter(i => c.keep(X[i][d], c.cut));
+                if (kept.length === current.length || kept.length < minSupport) continue;
+                const density = boxMean(kept, y);
+                if (!best || density > best.density || (density === best.density && kept.length > best.rows.length)) {
+                    best = { d, rows: kept, density, bound: { ...prev, [c.side]: c.cut } };
+                }
+            }
+        }
+        if (!best) break;
+        limits = new Map(limits).set(best.d, best.bound);
+        current = best.rows;
+        trajectory.push({ limits, rows: current, density: best.density });
+    }
+    return trajectory;
+}
+
+/**
+ * Drop restrictions that barely matter, so rules stay short.
+ * A restriction is removed when the box without it keeps ≥ (1 − tolerance) of the density.
+ */
+function simplifyBox(X, y, rows, limits, tolerance) {
+    let kept = new Map(limits);
+    let density = boxMean(rows.filter(i => inBox(X[i], kept)), y);
+    let changed = true;
+    while (changed && kept.size > 0) {
+        changed = false;
+        for (const d of kept.keys()) {
+            const without = new Map(kept);
+            without.delete(d);
+            const withoutDensity = boxMean(rows.filter(i => inBox(X[i], without)), y);
+            if (withoutDensity >= density * (1 - tolerance)) {
+                kept = without;
+                density = withoutDensity;
+                changed = true;
+                break;
+            }
+        }
+    }
+    return kept;
+}
+
+function formatThreshold(v) {
+    return Number(v).toLocaleString('es-ES', { maximumSignificantDigits: 3 });
+}
+
+/**
+ * Find input regions where an outcome concentrates (PRIM, Friedman & Fisher 1999).
+ * Boxes are found one after another on the rows not yet covered.
+ *
+ * @param {object[]} rawResults - per-iteration results carrying `scenarioInputs`
+ * @param {object} [options]
+ * @param {object|Function} [options.outcome] - { kpi, op, value, caseLabel } or (result) => boolean
+ * @param {Object<string, string>} [options.labels] - input key → label (see describeScenarioInputs)
+ * @param {number} [options.alpha=0.05] - share of the box peeled per step
+ * @param {number} [options.minSupport=0.05] - smallest box, as a share of all iterations
+ * @param {number} [options.minCoverage=0.3] - a box must contain at least this share of the cases
+ * @param {number} [options.maxBoxes=3]
+ * @param {number} [options.tolerance=0.02] - relative density loss allowed when dropping a restriction
+ * @returns {{ outcome: object, iterations: number, cases: number, baseRate: number, boxes: object[] }}
+ */
+export function discoverScenarios(rawResults, options = {}) {
+    const {
+        outcome = DISCOVERY_OUTCOMES[0],
+        labels = {},
+        alpha = 0.05,
+        minSupport = 0.05,
+        minCoverage = 0.3,
+        maxBoxes = 3,
+        tolerance = 0.02,
+    } = options;
+
+    const results = (rawResults ?? []).filter(r => r.scenarioInputs);
+    const isCase = outcomePredicate(outcome);
+    const dims = [...new Set(results.flatMap(r => Object.keys(r.scenarioInputs)))];
+    const X = results.map(r => dims.map(d => r.scenarioInputs[d] ?? 0));
+    const y = results.map(r => (isCase(r) ? 1 : 0));
+    const n = results.length;
+    const totalCases = y.reduce((s, v) => s + v, 0);
+    const baseRate = n > 0 ? totalCases / n : 0;
+    const caseLabel = outcome.caseLabel ?? 'tasa del resultado';
+    const summary = {
+        outcome: typeof outcome === 'function' ? { label: caseLabel } : outcome,
+        iterations: n,
+        cases: totalCases,
+        baseRate,
+        boxes: [],
+    };
+    if (n === 0 || totalCases === 0 || totalCases === n) return summary;
+
+    // Inputs that never vary cannot separate anything
+    const dimIdx = dims.map((_, d) => d).filter(d => X.some(x => x[d] !== X[0][d]));
+    let remaining = results.map((_, i) => i);
+
+    for (let b = 0; b < maxBoxes && remaining.length > 0; b++) {
+        const remainingCases = remaining.reduce((s, i) => s + y[i], 0);
+        if (remainingCases === 0) break;
+
+        const trajectory = peelTrajectory(X, y, remaining, dimIdx, alpha, Math.max(1, Math.ceil(minSupport * n)));
+        // Densest box that still covers enough of the cases
+        const eligible = trajectory.filter(t => t.rows.reduce((s, i) => s + y[i], 0) >= minCoverage * remainingCases);
+        const chosen = eligible.reduce((best, t) => (t.density > best.density ? t : best), eligible[0]);
+        if (!chosen || chosen.limits.size === 0) break;
+
+        const limits = simplifyBox(X, y, remaining, chosen.limits, tolerance);
+        const rows = remaining.filter(i => inBox(X[i], limits));
+        const cases = rows.reduce((s, i) => s + y[i], 0);
+        const density = rows.length > 0 ? cases / rows.length : 0;
+        if (limits.size === 0 || density <= baseRate) break;
+
+        const restrictions = [...limits].map(([d, { lower, upper }]) => ({
+            input: dims[d],
+            label: labels[dims[d]] ?? dims[d],
+            lower,
+            upper,
+        }));
+        const conditions = restrictions.map(r => [
+            r.lower != null ? `${r.label} > ${formatThreshold(r.lower)}` : null,
+            r.upper != null ? `${r.label} < ${formatThreshold(r.upper)}` : null,
+        ].filter(Boolean).join(' Y ')).join(' Y ');
+
+        summary.boxes.push({
+            restrictions,
+            rows: rows.length,
+            cases,
+            // Share of all cases that fall in the box
+            coverage: cases / totalCases,
+            // Share of the box's iterations that are cases
+            density,
+            support: rows.length / n,
+            lift: density / baseRate,
+            rule: `${conditions} → ${Math.round(density * 100)}% ${caseLabel}`,
+        });
+
+        const covered = new Set(rows);
+        remaining = remaining.filter(i => !covered.has(i));
+    }
+
+    return summary;
+}
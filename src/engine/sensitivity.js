@@ -1,8 +1,10 @@
 /**
  * Prometheus Engine - Sensitivity Analysis Module (DS-001)
- * One-at-a-time (OAT) sensitivity analysis for simulation parameters.
+ * One-at-a-time (OAT) sensitivity analysis for simulation parameters, and
+ * global variance-based (Sobol) indices over NGC uncertainties and config paths.
  */
-import { MonteCarloEngine } from './montecarlo.js';
+import { MonteCarloEngine, deriveIterationSeeds } from './montecarlo.js';
+import { PRNG } from './distributions.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Configuration
@@ -17,8 +19,8 @@ export const SENSITIVITY_PARAMS = [
     { key: 'cogs', label: 'COGS', path: 'offerConfig.cogs', pctRange: 0.20, unit: '$' },
     { key: 'marketingBudget', label: 'Presupuesto MKT', path: 'offerConfig.marketingBudget', pctRange: 0.30, unit: '$' },
     { key: 'qualityIndex', label: 'Calidad Producto', path: 'offerConfig.qualityIndex', pctRange: 0.30, unit: '' },
-    { key: 'initialInventory', label: 'Inventario Inicial', path: 'initialInventory', pctRange: 0.30, unit: 'u' },
-    { key: 'totalCustomers', label: 'Tam. Mercado', path: 'populationConfig.totalCustomers', pctRange: 0.30, unit: '' },
+    { key: 'initialInventory', label: 'Inventario Inicial', path: 'initialInventory', pctRange: 0.30, unit: 'u', integer: true },
+    { key: 'totalCustomers', label: 'Tam. Mercado', path: 'populationConfig.totalCustomers', pctRange: 0.30, unit: '', integer: true },
 ];
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -41,6 +43,19 @@ function setNestedValue(obj, path, value) {
     ref[keys[keys.length - 1]] = value;
 }
 
+/**
+ * Copy of `obj` with a nested property set from a dot-path string. Only the
+ * objects along the path are copied; `obj` itself is left untouched.
+ * @param {object} obj
+ * @param {string} path - dot-separated path
+ * @param {*} value
+ * @returns {object}
+ */
+function withNestedValue(obj, path, value) {
+    const [key, ...rest] = path.split('.');
+    return { ...obj, [key]: rest.length > 0 ? withNestedValue(obj?.[key] ?? {}, rest.join('.'), value) : value };
+}
+
 /**
  * Get a nested property from a dot-path string.
  */
@@ -137,3 +152,245 @@ export async function runSensitivityAnalysis(baseConfig, options = {}) {
 
     return results;
 }
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Global Sensitivity (Sobol indices)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Input factors for a Sobol analysis: every uncertain NGC quantity plus the
+ * selected SENSITIVITY_PARAMS config paths (uniform over base ±pctRange).
+ * Each factor can draw a value and write it into a run's config (copying what
+ * it changes, never the shared base) or scenario overrides.
+ *
+ * @param {object} baseConfig - the full MC config
+ * @param {object} [options]
+ * @param {string[]} [options.params] - keys from SENSITIVITY_PARAMS to include (default: all)
+ * @param {boolean} [options.includeNGC=true] - include NGC distributions, competitor COGS/budget and risk events
+ * @returns {Array<{ key: string, label: string, unit: string, source: 'ngc'|'config', sample: Function, apply: Function }>}
+ */
+export function collectSobolFactors(baseConfig, options = {}) {
+    const { params = SENSITIVITY_PARAMS.map(p => p.key), includeNGC = true } = options;
+    const factors = [];
+    const ngc = baseConfig.ngc;
+
+    if (includeNGC && ngc) {
+        for (const [group, data] of [['company', ngc.companyData], ['macro', ngc.macroData]]) {
+            for (const [k, dist] of data.uncertain) {
+                factors.push({
+                    key: `${group}.${k}`, label: k, unit: '', source: 'ngc',
+                    sample: (rng) => dist.sample(rng),
+                    apply: (run, v) => { run.overrides[group][k] = v; },
+                });
+            }
+        }
+        for (const [id, cp] of ngc.competitors) {
+            const name = cp.name ?? id;
+            const competitorFields = [
+                ['cogs', 'COGS', cp.cogsDistribution, 'sampledCOGS'],
+                ['marketingBudget', 'Presupuesto MKT', cp.marketingBudgetDistribution, 'sampledMarketingBudget'],
+            ];
+            for (const [field, label, dist, target] of competitorFields) {
+                if (!dist) continue;
+                factors.push({
+                    key: `competitor.${id}.${field}`, label: `${label} ${name}`, unit: '$', source: 'ngc',
+                    sample: (rng) => dist.sample(rng),
+                    apply: (run, v) => {
+                        run.overrides.competitors[id] = { ...run.overrides.competitors[id], [target]: v };
+                    },
+                });
+            }
+        }
+        for (const ev of ngc.riskEvents) {
+            // Impact if the event fires, 0 otherwise
+            factors.push({
+                key: `risk.${ev.id}`, label: ev.description ?? ev.id, unit: '', source: 'ngc',
+                sample: (rng) => ev.sample(rng).value,
+                apply: (run, v) => { run.overrides.riskResults[ev.id] = { triggered: v !== 0, value: v }; },
+            });
+        }
+    }
+
+    for (const param of SENSITIVITY_PARAMS.filter(p => params.includes(p.key))) {
+        const baseValue = getNestedValue(baseConfig, param.path);
+        if (baseValue == null || baseValue === 0) continue;
+        factors.push({
+            key: param.key, label: param.label, unit: param.unit, source: 'config',
+            sample: (rng) => {
+                const v = baseValue * (1 + param.pctRange * (2 * rng.next() - 1));
+                return param.integer ? Math.round(v) : v;
+            },
+            apply: (run, v) => { run.config = withNestedValue(run.config, param.path, v); },
+        });
+    }
+
+    return factors;
+}
+
+/**
+ * Saltelli first-order and Jansen total-effect estimators over a set of rows.
+ * @param {number[]} fA - outputs for matrix A
+ * @param {number[]} fB - outputs for matrix B
+ * @param {number[]} fAB - outputs for A with factor i taken from B
+ * @param {number[]} rows - row indices to use (bootstrap resample)
+ * @returns {{ first: number, total: number }}
+ */
+function sobolEstimates(fA, fB, fAB, rows) {
+    const n = rows.length;
+    let mean = 0;
+    for (const j of rows) mean += fA[j] + fB[j];
+    mean /= 2 * n;
+    let variance = 0;
+    let firstSum = 0;
+    let totalSum = 0;
+    for (const j of rows) {
+        variance += (fA[j] - mean) ** 2 + (fB[j] - mean) ** 2;
+        // Centring f_B keeps the estimator stable when |mean| ≫ std (e.g. net profit)
+        firstSum += (fB[j] - mean) * (fAB[j] - fA[j]);
+        totalSum += (fA[j] - fAB[j]) ** 2;
+    }
+    variance /= 2 * n - 1;
+    if (!(variance > 0)) return { first: 0, total: 0 };
+    return {
+        first: firstSum / n / variance,
+        total: totalSum / (2 * n) / variance,
+    };
+}
+
+/**
+ * Run a Saltelli/Sobol global sensitivity analysis.
+ * Every row of the sample matrices A and B is a joint draw of all factors; the
+ * hybrid matrices AB_i swap in factor i from B. All variants of a row share the
+ * same iteration seed (common random numbers), so the agent-level noise that
+ * no factor explains stays out of the indices' differences. It costs
+ * samples × (factors + 2) single iterations, not a full MC per step, all
+ * handed to the runner at once so a worker pool can share them out.
+ *
+ * @param {object} baseConfig - the full MC config (ngc, offerConfig, populationConfig, etc.)
+ * @param {object} [options]
+ * @param {string[]} [options.params] - config paths to include (see collectSobolFactors)
+ * @param {boolean} [options.includeNGC=true]
+ * @param {string[]} [options.kpis] - result fields to analyse
+ * @param {number} [options.samples=64] - rows per sample matrix
+ * @param {number} [options.bootstrap=200] - bootstrap resamples for the confidence intervals
+ * @param {number} [options.confidence=0.95]
+ * @param {number} [options.seed] - defaults to baseConfig.seed
+ * @param {Function} [options.onProgress] - callback ({ completed, total })
+ * @param {Function} [options.runner] - (config, variants, onProgress) => Promise<results[]|null>
+ *        (default: MonteCarloEngine.runVariants on a fresh engine)
+ * @returns {Promise<SobolResult|null>} null when there are no factors or the runner was cancelled
+ */
+export async function runSobolAnalysis(baseConfig, options = {}) {
+    const {
+        kpis = ['netProfit', 'totalUnitsSold', 'roi'],
+        samples = 64,
+        bootstrap = 200,
+        confidence = 0.95,
+        seed = baseConfig.seed ?? 42,
+        onProgress,
+        runner = (config, variants, progress) => new MonteCarloEngine().runVariants(config, variants, progress),
+    } = options;
+
+    const factors = collectSobolFactors(baseConfig, options);
+    const k = factors.length;
+    if (k === 0) return null;
+
+    // Sample matrices A and B
+    const rng = new PRNG(seed);
+    const draw = () => Array.from({ length: samples }, () => factors.map(f => f.sample(rng)));
+    const A = draw();
+    const B = draw();
+    const rowSeeds = deriveIterationSeeds(seed + 1, samples);
+
+    // Every evaluation is one iteration of the base config with its own
+    // overrides; factors copy only the config objects they change
+    const base = { ...baseConfig, precision: null };
+    const variant = (row, j) => {
+        const run = {
+            config: base,
+            overrides: { company: {}, macro: {}, competitors: {}, riskResults: {} },
+        };
+        factors.forEach((f, i) => f.apply(run, row[i]));
+        const patch = Object.fromEntries(Object.keys(run.config)
+            .filter(key => run.config[key] !== base[key])
+            .map(key => [key, run.config[key]]));
+        return { seed: rowSeeds[j], patch: { ...patch, scenarioOverrides: run.overrides } };
+    };
+
+    // Row j runs A, B, then each hybrid AB_i, all on the row's seed
+    const variants = [];
+    for (let j = 0; j < samples; j++) {
+        variants.push(variant(A[j], j), variant(B[j], j));
+        for (let i = 0; i < k; i++) {
+            const hybrid = A[j].slice();
+            hybrid[i] = B[j][i];
+            variants.push(variant(hybrid, j));
+        }
+    }
+    const total = variants.length;
+    const results = await runner(base, variants, ({ iteration }) => onProgress?.({ completed: iteration, total }));
+    if (!results) return null;
+
+    const allRows = Array.from({ length: samples }, (_, j) => j);
+    const outputs = Object.fromEntries(kpis.map(kpi => {
+        const at = (j, offset) => results[j * (k + 2) + offset][kpi] ?? 0;
+        return [kpi, {
+            A: allRows.map(j => at(j, 0)),
+            B: allRows.map(j => at(j, 1)),
+            AB: factors.map((_, i) => allRows.map(j => at(j, 2 + i))),
+        }];
+    }));
+
+    // Bootstrap row resamples, shared by every KPI and factor
+    const bootRng = new PRNG(seed + 2);
+    const resamples = Array.from({ length: bootstrap }, () =>
+        allRows.map(() => Math.floor(bootRng.next() * samples)));
+    const alpha = (1 - confidence) / 2;
+    const interval = (values) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const at = (p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.floor(p * sorted.length)))];
+        return sorted.length > 0 ? [at(alpha), at(1 - alpha)] : [null, null];
+    };
+
+    const byKPI = {};
+    for (const kpi of kpis) {
+        const o = outputs[kpi];
+        const pooled = [...o.A, ...o.B];
+        const mean = pooled.reduce((sum, v) => sum + v, 0) / pooled.length;
+        const variance = pooled.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (pooled.length - 1);
+
+        const indices = factors.map((f, i) => {
+            const point = sobolEstimates(o.A, o.B, o.AB[i], allRows);
+            const boots = resamples.map(rows => sobolEstimates(o.A, o.B, o.AB[i], rows));
+            return {
+                key: f.key,
+                label: f.label,
+                unit: f.unit,
+                source: f.source,
+                first: point.first,
+                firstCI: interval(boots.map(b => b.first)),
+                total: point.total,
+                totalCI: interval(boots.map(b => b.total)),
+            };
+        });
+        // Most influential first — good for tornado chart
+        indices.sort((a, b) => b.total - a.total);
+
+        byKPI[kpi] = {
+            mean,
+            variance,
+            // Share of output variance explained by first-order effects alone
+            sumFirst: indices.reduce((sum, x) => sum + Math.max(0, x.first), 0),
+            indices,
+        };
+    }
+
+    return {
+        method: 'sobol',
+        factors: factors.map(({ key, label, unit, source }) => ({ key, label, unit, source })),
+        kpis: byKPI,
+        samples,
+        runs: total,
+        settings: { bootstrap, confidence, seed, params: options.params ?? SENSITIVITY_PARAMS.map(p => p.key) },
+    };
+}
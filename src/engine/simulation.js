@@ -4,6 +4,18 @@
  */
 import { createCompetitorAgent } from './agents-competitor.js';
 import { getSeasonalityMultiplier } from './seasonality.js';
+import { CHANNEL_FEES, calculateChannelMargin, resolveSaleChannel } from './channels.js';
+import { applyRepricingPolicy } from './dynamic-pricing.js';
+import { DefectionTracker } from './defection.js';
+import { getShockEffects } from './market-shocks.js';
+import { MarketingMixModel } from './marketing-funnel.js';
+import { calculateCACByChannel } from './cac-ltv.js';
+import { getReturnProfile, simulateReturns, calculateReturnImpact } from './return-rates.js';
+import { resolveReplenishmentPolicy, decideReorderQuantity, POLICIES } from './replenishment.js';
+import { CohortTracker, DEFAULT_RETENTION_MODEL, weeklyChurnHazard } from './customer-ltv.js';
+import { OWN_BRAND, competitorAlternative } from './choice-model.js';
+import { resolveCompetitorBehavior, MarketObserver, PriceWarRegime, perceivedMarketState, detectProvocation } from './competitor-behavior.js';
+import { resolveCompetitorDynamics, evaluateEntry, evaluateExit, generateCompetitor, entrantProfile, CompetitorDynamicsTracker } from './competitor-dynamics.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Product Lifecycle Engine
@@ -60,30 +72,127 @@ export class OfferState {
         this.channels = config.channels ?? ['online', 'marketplace'];
         this.isNew = true;
         this.allowRepeat = config.allowRepeat ?? false;
-        this.subscriptionPrice = config.subscriptionPrice ?? 0;
-        this.subscriptionCost = config.subscriptionCost ?? 0;
+        /** Mean weeks between purchases of a repeat customer (ECO-006) */
+        this.repeatCycleWeeks = config.repeatCycleWeeks ?? 8;
+        this.subscriptionPrice = config.subscriptionPrice ?? 0;  // monthly
+        this.subscriptionCost = config.subscriptionCost ?? 0;    // monthly
+        /** Subscription retention curve: { type: key of RETENTION_MODELS, params } */
+        this.retentionModel = config.retentionModel ?? DEFAULT_RETENTION_MODEL;
+        this.vertical = config.vertical;
+        this.launchMonth = config.launchMonth ?? 0;
+        /** Weekly repricing policy (see REPRICING_POLICIES), null = fixed price */
+        this.repricing = config.repricing ?? null;
+        /** Product returns (ECO-001); `returns: false` books gross sales only */
+        this.returnsEnabled = config.returns !== false;
+        /** Weeks between a sale and its return (null = vertical return window) */
+        this.returnLagWeeks = config.returnLagWeeks ?? null;
+        /** Marketing budget share per MARKETING_CHANNELS key (null = balanced mix) */
+        this.marketingMix = config.marketingMix ?? null;
     }
 }
 
+/** Units sold in the category in one week: ours plus every competitor's */
+function categoryUnits(metrics) {
+    return metrics.unitsSold + Object.values(metrics.competitorSales).reduce((s, n) => s + n, 0);
+}
+
+/** Zeroed per-channel accumulator. */
+function emptyChannelTotals() {
+    return { unitsSold: 0, revenue: 0, fees: 0, netProfit: 0 };
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Simulation Run
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 export class SimulationRun {
-    constructor({ offer, population, ngcScenario, competitorAgents, timeHorizonWeeks = 26 }) {
+    /**
+     * @param {object} params
+     * @param {object} [params.replenishment] – optional reorder policy (see resolveReplenishmentPolicy)
+     * @param {Function} [params.leadTimeSampler] – (rng) => lead time in weeks (see createLeadTimeSampler)
+     * @param {object[]} [params.shocks] – realized shock events for this run (see realizeShockSchedule)
+     * @param {object} [params.competitorBehavior] – overrides of the vertical's reaction lag, observation noise and price-war odds (see resolveCompetitorBehavior)
+     * @param {boolean|object} [params.competitorDynamics] – competitor entry and exit during the run (see resolveCompetitorDynamics)
+     */
+    constructor({ offer, population, ngcScenario, competitorAgents, timeHorizonWeeks = 26, replenishment = null, leadTimeSampler = null, shocks = [], competitorBehavior = null, competitorDynamics = null }) {
         this.offer = offer;
         this.population = population;
         this.scenario = ngcScenario;
-        this.competitorAgents = competitorAgents;
+        /** Competitors in the market at launch, in NGC order */
+        this.incumbentAgents = competitorAgents;
+        /** Competitors currently in the market (incumbents that stayed and entrants) */
+        this.competitorAgents = [...competitorAgents];
         this.timeHorizon = timeHorizonWeeks;
+        this.replenishmentConfig = replenishment;
+        this.leadTimeSampler = leadTimeSampler ?? (() => 2);
+        this.shocks = shocks;
+        this.competitorBehavior = resolveCompetitorBehavior(offer.vertical, competitorBehavior);
 
         // Accumulators
         this.weeklyMetrics = [];
         this.totalUnitsSold = 0;
         this.totalRevenue = 0;
         this.totalCost = 0;
+        this.totalChannelFees = 0;
         this.totalMarketingSpent = 0;
-        this.totalSubscribers = 0;
+        this.totalSubscribers = 0;   // subscription starts
         this.inventoryRemaining = 0;
+        /** @type {Object<string, { unitsSold: number, revenue: number, fees: number, netProfit: number }>} */
+        this.channelTotals = {};
+        /** @type {Array<{ week: number, from: number, to: number, reasoning: string[] }>} */
+        this.priceChanges = [];
+
+        // Replenishment & stockouts
+        /** @type {Array<{ orderWeek: number, arrivalWeek: number, quantity: number, leadTimeWeeks: number, received: boolean, delivered: number }>} */
+        this.purchaseOrders = [];
+        this.totalUnitsReceived = 0;
+        this.totalOrderCost = 0;
+        this.totalLostSales = 0;     // customers lost to competitors
+        this.stockoutWeeks = 0;
+        /** @type {DefectionTracker|null} stock-out defection state (SIM-003) */
+        this.defection = null;
+        /** @type {MarketingMixModel|null} per-channel awareness & attribution (MKT-001) */
+        this.marketing = null;
+
+        // Returns & refurbishment (ECO-001)
+        /** @type {Array<{ saleWeek: number, arrivalWeek: number, channel: string, units: number, refurbished: number, lost: number, salePrice: number, unitCOGS: number }>} */
+        this.returnBatches = [];
+        this.unitsReturned = 0;
+        this.unitsRefurbished = 0;
+        /** Refurbished units on the shelf and the COGS reversed for them */
+        this.refurbStock = 0;
+        this.refurbStockCost = 0;
+        this.refurbishedUnitsSold = 0;
+        this.refurbishedRevenue = 0;
+        this.returnsAccrued = 0;
+        this.unitsWrittenOff = 0;
+        this.totalRefunds = 0;
+        this.totalReverseLogistics = 0;
+        this.writeOffValue = 0;
+
+        // Repeat purchases & subscriptions (ECO-006)
+        this.repeatPurchases = 0;
+        this.subscriptionCancels = 0;
+        this.subscriptionRevenue = 0;
+        this.subscriptionCost = 0;
+        /** @type {Set<import('./agents-customer.js').CustomerAgent>} */
+        this.activeSubscribers = new Set();
+        /** @type {CohortTracker|null} realized value per acquisition cohort */
+        this.cohorts = null;
+
+        // Competitor intelligence & price wars (SIM-009)
+        /** @type {PriceWarRegime|null} */
+        this.priceWar = null;
+
+        // Competitor entry & exit (SIM-005)
+        this.competitorDynamics = resolveCompetitorDynamics(competitorDynamics);
+        /** @type {CompetitorDynamicsTracker|null} */
+        this.dynamicsTracker = null;
+        /** Competitors that left the market during the run */
+        this.exitedAgents = [];
+        /** @type {Array<{ type: 'entry'|'exit', week: number, id: string, name: string, reason: string }>} */
+        this.competitorEvents = [];
+        this.entrantCount = 0;
+        this.customersReleased = 0;
     }
 
     /**
@@ -94,8 +203,42 @@ export class SimulationRun {
      */
     execute(initialInventory, rng) {
         let inventory = initialInventory;
+        const replenishment = this.replenishmentConfig
+            ? resolveReplenishmentPolicy(this.replenishmentConfig, initialInventory)
+            : null;
         this.population.resetAll();
+        const defection = new DefectionTracker(this.offer.vertical, this.population.size);
+        this.defection = defection;
+        const marketing = new MarketingMixModel(this.offer.marketingMix, { qualityIndex: this.offer.qualityIndex });
+        this.marketing = marketing;
+        const cohorts = new CohortTracker();
+        this.cohorts = cohorts;
+        const weeklySubPrice = this.offer.subscriptionPrice / 4.33;
+        const weeklySubCost = this.offer.subscriptionCost / 4.33;
+        const returnProfile = getReturnProfile(this.offer.vertical);
+        const returnLag = Math.max(1, this.offer.returnLagWeeks ?? returnProfile.windowWeeks);
+        this.competitorAgents = [...this.incumbentAgents];
+        this.exitedAgents = [];
+        this.competitorEvents = [];
+        this.entrantCount = 0;
+        this.customersReleased = 0;
         for (const ca of this.competitorAgents) ca.reset();
+        if (this.competitorDynamics) {
+            this.dynamicsTracker = new CompetitorDynamicsTracker();
+            for (const ca of this.competitorAgents) {
+                this.dynamicsTracker.addCompetitor({
+                    id: ca.profile.id,
+                    name: ca.profile.name,
+                    marketShare: ca.profile.marketShare,
+                    financialHealth: ca.profile.financialHealth,
+                    active: true,
+                    entryWeek: 0,
+                }, { incumbent: true });
+            }
+        }
+        const observer = new MarketObserver(this.competitorBehavior);
+        const priceWar = new PriceWarRegime(this.competitorBehavior, this.timeHorizon);
+        this.priceWar = priceWar;
 
         const marketState = {
             week: 0,
@@ -107,6 +250,11 @@ export class SimulationRun {
             competitorAttractiveness: 0,
             competitorScenario: null,
             getAgent: (id) => this.population.getAgent(id),
+            totalWeeks: this.timeHorizon,
+            // Consumer confidence (0–1) as a −1…1 sentiment for RL competitors (AI-001)
+            macroSentiment: this.scenario.macro?.consumerConfidence != null
+                ? (this.scenario.macro.consumerConfidence - 0.5) * 2
+                : 0,
         };
 
         for (let week = 0; week < this.timeHorizon; week++) {
@@ -118,6 +266,34 @@ export class SimulationRun {
             marketState.noveltyFactor = lifecycle.noveltyFactor;
             this.offer.isNew = lifecycle.stage === 'launch';
 
+            // ── Market shocks (SIM-008) ──
+            const shock = getShockEffects(week, this.shocks);
+            marketState.demandMultiplier = shock.demandFactor;
+
+            // ── Receive purchase orders due this week ──
+            // A supply shock delivers only part of the order; the rest never arrives
+            let weekReceived = 0;
+            for (const po of this.purchaseOrders) {
+                if (!po.received && po.arrivalWeek === week) {
+                    po.received = true;
+                    po.delivered = Math.round(po.quantity * Math.min(1, shock.supplyFactor));
+                    weekReceived += po.delivered;
+                }
+            }
+            inventory += weekReceived;
+            this.totalUnitsReceived += weekReceived;
+
+            // ── Returns due this week (ECO-001) ──
+            const {
+                units: weekReturned,
+                refurbished: weekRefurbished,
+                writtenOff: weekWrittenOff,
+                refunds: weekRefunds,
+                reverseLogistics: weekReverseLogistics,
+                cogsRecovered: weekCOGSRecovered,
+            } = this._settleReturns(this.returnBatches.filter(b => b.arrivalWeek === week));
+            inventory += weekRefurbished;
+
             // ── Demand seasonality (SIM-002) ──
             const season = getSeasonalityMultiplier(week, {
                 startMonth: this.offer.launchMonth ?? 0,
@@ -126,55 +302,283 @@ export class SimulationRun {
             marketState.seasonalMultiplier = season.multiplier;
             marketState.currentHoliday = season.holiday;
 
+            // ── Repricing policy (ECO-007) ──
+            // Decided on last week's signals, before competitors react to the new price
+            let priceChange = null;
+            if (this.offer.repricing) {
+                const decision = applyRepricingPolicy(this.offer.repricing, {
+                    week,
+                    totalWeeks: this.timeHorizon,
+                    basePrice: this.offer.basePrice,
+                    currentPrice: this.offer.currentPrice,
+                    cogs: this.offer.cogs,
+                    inventory,
+                    initialInventory,
+                    lastWeekSales: this.weeklyMetrics[week - 1]?.unitsSold ?? 0,
+                    competitorPrices: this.competitorAgents.map(ca => ca.currentPrice),
+                    launchMonth: this.offer.launchMonth,
+                    vertical: this.offer.vertical,
+                });
+                if (Math.abs(decision.price - this.offer.currentPrice) > 1e-6) {
+                    priceChange = { week, from: this.offer.currentPrice, to: decision.price, reasoning: decision.reasoning };
+                    this.priceChanges.push(priceChange);
+                    this.offer.currentPrice = decision.price;
+                }
+            }
+
+            // ── Competitor entry & exit (SIM-005) ──
+            // Judged on the weeks played so far; a leaving brand releases its customers
+            const weekEvents = this.competitorDynamics ? this._updateCompetitorField(week, defection, rng) : [];
+
             // ── Competitor decisions ──
-            let totalCompAttract = 0;
-            for (let ci = 0; ci < this.competitorAgents.length; ci++) {
-                const ca = this.competitorAgents[ci];
-                const cpId = ca.profile.id;
-                marketState.competitorScenario = this.scenario.competitors[cpId] ?? null;
-                const action = ca.decide(marketState, rng);
+            // Each competitor sees the others' prices as they stood last week,
+            // and our price and sales with its reaction lag and observation noise
+            marketState.competitorPricesById = Object.fromEntries(this.competitorAgents.map(ca => [ca.profile.id, ca.currentPrice]));
+            observer.recordPrice(week, this.offer.currentPrice);
+            for (const ca of this.competitorAgents) {
+                marketState.competitorScenario = this.scenario.competitors[ca.profile.id] ?? null;
+                const running = ca.currentPromotion;
+                const action = ca.decide(perceivedMarketState(marketState, observer.observe(week, rng)), rng);
                 ca.currentPrice = action.price;
                 ca.currentMarketingSpend = action.marketingSpend;
-                ca.currentPromotion = action.promotion;
+                // A promotion runs for its duration unless a new one replaces it
+                ca.currentPromotion = ca.carryPromotion(action.promotion, running);
+            }
+
+            // ── Price-war regime ──
+            // Provoked markets may tip into a war: every competitor cuts below
+            // its base price, deeper each week, down to its margin floor
+            const warDepth = priceWar.step(week, detectProvocation(
+                this.offer.currentPrice,
+                this.competitorAgents.map(ca => ({ basePrice: ca.basePrice ?? ca.currentPrice, price: ca.currentPrice })),
+                this.competitorBehavior.priceWarTrigger,
+            ), rng);
+            if (warDepth > 0) {
+                for (const ca of this.competitorAgents) {
+                    const war = ca.applyConstraints({
+                        price: Math.min(ca.currentPrice, (ca.basePrice ?? ca.currentPrice) * (1 - warDepth)),
+                        marketingSpend: ca.currentMarketingSpend * (1 + warDepth),
+                        promotion: null,
+                    }, this.scenario.competitors[ca.profile.id] ?? null);
+                    ca.currentPrice = war.price;
+                    ca.currentMarketingSpend = war.marketingSpend;
+                }
+            }
 
+            let totalCompAttract = 0;
+            const switchTargets = [];
+            for (const ca of this.competitorAgents) {
                 // Competitor attractiveness based on price advantage and marketing
                 const priceAdv = Math.max(0, (this.offer.currentPrice - ca.currentPrice) / this.offer.currentPrice);
                 const marketingAdv = ca.currentMarketingSpend / Math.max(1, this.offer.weeklyMarketingSpend);
                 const promoBoost = ca.currentPromotion ? ca.currentPromotion.discount * 0.5 : 0;
-                totalCompAttract += (priceAdv * 0.5 + Math.min(1, marketingAdv * 0.3) + promoBoost) * ca.profile.marketShare;
+                const attract = (priceAdv * 0.5 + Math.min(1, marketingAdv * 0.3) + promoBoost) * ca.profile.marketShare;
+                totalCompAttract += attract;
+                switchTargets.push({ id: ca.profile.id, weight: attract });
             }
             marketState.competitorAttractiveness = Math.min(1, totalCompAttract);
+            // Competitor offers in every customer's choice set (SIM-009)
+            marketState.competitorOffers = this.competitorAgents.map(ca => competitorAlternative(ca, this.offer.weeklyMarketingSpend));
 
             // ── Apply risk events ──
+            // Risk events that drive a shock act through the shock schedule instead
             let cogsMultiplier = 1;
             for (const risk of (this.scenario.riskResults || [])) {
-                if (risk.triggered && risk.value) {
+                if (risk.triggered && risk.value && !this.shocks.some(sh => sh.riskEventId === risk.id)) {
                     cogsMultiplier += risk.value;
                 }
             }
-            const effectiveCOGS = this.offer.cogs * cogsMultiplier;
+            const effectiveCOGS = this.offer.cogs * cogsMultiplier * shock.costFactor;
+
+            // ── Channel unit economics (ECO-003) ──
+            // Marketing is booked from the campaign budget, so the fee model's
+            // revenue-based marketing allocation is excluded here.
+            const unitEconomics = {};
+            const weekChannels = {};
+            for (const ch of this.offer.channels) {
+                unitEconomics[ch] = calculateChannelMargin(this.offer.currentPrice, effectiveCOGS, ch, { marketingAllocationPct: 0 });
+                weekChannels[ch] = emptyChannelTotals();
+            }
+
+            // ── Marketing mix: awareness build-up/decay per channel (MKT-001/003) ──
+            const awareness = marketing.step(this.offer.weeklyMarketingSpend);
+            marketState.awarenessByChannel = awareness.byPreference;
+            marketState.funnelLiftByChannel = awareness.liftByPreference;
 
             // ── Customer purchase decisions ──
             let weekSales = 0;
+            let weekRevenue = 0;
             let weekConversions = 0;
+            let weekFees = 0;
+            let weekUnmet = 0;
+            let weekRecaptured = 0;
+            let weekRepeat = 0;
+            let weekSubStarts = 0;
+            const weekLostTo = {};
+            /** @type {Object<string, number>} units each competitor sold to our population this week */
+            const weekCompetitorSales = {};
+            const sellCompetitor = (competitorId) => {
+                weekCompetitorSales[competitorId] = (weekCompetitorSales[competitorId] ?? 0) + 1;
+            };
             const agents = this.population.agents;
+            const purchaseCycle = this.offer.allowRepeat
+                ? { week, repeatCycleWeeks: this.offer.repeatCycleWeeks }
+                : undefined;
+
+            // ── Subscription churn (ECO-006) ──
+            // Weekly hazard from the retention curve, scaled by satisfaction:
+            // happy subscribers cancel less often than the curve, unhappy ones more.
+            let weekSubCancels = 0;
+            for (const agent of this.activeSubscribers) {
+                const weeksActive = week - agent.subscribedSince - 1;
+                const hazard = weeklyChurnHazard(this.offer.retentionModel, weeksActive) * (1.5 - agent.satisfaction);
+                if (rng.next() < hazard) {
+                    agent.subscribed = false;
+                    this.activeSubscribers.delete(agent);
+                    cohorts.recordSubscriptionCancel(agent.id, week);
+                    weekSubCancels++;
+                }
+            }
+            this.subscriptionCancels += weekSubCancels;
+
+            const sell = (agent) => {
+                // Only a customer's first purchase from us is an acquisition;
+                // repeats and win-backs would understate per-channel CAC
+                if (agent.purchases === 1) marketing.attributeAcquisition(agent.channelPreference);
+                weekSales++;
+                inventory--;
+                this.totalUnitsSold++;
+                // Refurbished stock ships first, at the vertical's refurb discount
+                const refurbished = this.refurbStock > 0;
+                let saleRevenue = this.offer.currentPrice;
+                let unitCOGS = effectiveCOGS;
+                if (refurbished) {
+                    saleRevenue *= 1 - returnProfile.refurbDiscount;
+                    unitCOGS = this.refurbStockCost / this.refurbStock;
+                    this.refurbStock--;
+                    this.refurbStockCost -= unitCOGS;
+                    this.refurbishedUnitsSold++;
+                    this.refurbishedRevenue += saleRevenue;
+                }
+                weekRevenue += saleRevenue;
+                this.totalRevenue += saleRevenue;
+                this.totalCost += unitCOGS;
+
+                // Route the sale to the customer's channel and deduct its fees
+                const channel = resolveSaleChannel(agent.channelPreference, this.offer.channels);
+                const unit = refurbished
+                    ? calculateChannelMargin(saleRevenue, unitCOGS, channel, { marketingAllocationPct: 0 })
+                    : unitEconomics[channel] ?? (unitEconomics[channel] = calculateChannelMargin(saleRevenue, effectiveCOGS, channel, { marketingAllocationPct: 0 }));
+                const chWeek = weekChannels[channel] ?? (weekChannels[channel] = emptyChannelTotals());
+                chWeek.unitsSold++;
+                chWeek.revenue += saleRevenue;
+                chWeek.fees += unit.totalFees;
+                chWeek.netProfit += unit.netProfit;
+                weekFees += unit.totalFees;
+                this.totalChannelFees += unit.totalFees;
+                cohorts.recordPurchase(agent.id, week, saleRevenue, unit.netProfit);
+                if (agent.purchases > 1) weekRepeat++;
+
+                // Subscription: satisfied buyers are more likely to sign up
+                if (this.offer.subscriptionPrice > 0 && !agent.subscribed && rng.next() < agent.satisfaction) {
+                    agent.subscribed = true;
+                    agent.subscribedSince = week;
+                    this.activeSubscribers.add(agent);
+                    cohorts.recordSubscriptionStart(agent.id, week);
+                    this.totalSubscribers++;
+                    weekSubStarts++;
+                }
+            };
+
+            // Demand that found the shelf empty goes to the defection model (SIM-003)
+            const stockOut = (agent) => {
+                weekUnmet++;
+                const { outcome, competitorId } = defection.handleStockOut(agent, week, switchTargets, rng);
+                if (outcome === 'switched') {
+                    weekLostTo[competitorId] = (weekLostTo[competitorId] ?? 0) + 1;
+                    agent.lastBrand = competitorId;
+                    sellCompetitor(competitorId);
+                }
+            };
+
+            // Customers coming back after an earlier stock-out
+            for (const agent of defection.takeReturningCustomers(week, inventory > 0, rng)) {
+                if (inventory > 0) {
+                    agent.commitPurchase(rng, purchaseCycle);
+                    defection.recordRecapture();
+                    weekRecaptured++;
+                    sell(agent);
+                } else {
+                    stockOut(agent);
+                }
+            }
 
             for (let i = 0; i < agents.length; i++) {
-                if (inventory <= 0) break;
-                const result = agents[i].evaluatePurchase(this.offer, marketState, rng);
+                const agent = agents[i];
+                if (defection.isEngaged(agent.id)) continue;
+                const inStock = inventory > 0;
+                const result = agent.evaluatePurchase(this.offer, marketState, rng, { inStock });
                 weekConversions += result.probability;
-                if (result.willBuy) {
-                    weekSales++;
-                    inventory--;
-                    this.totalUnitsSold++;
-                    const saleRevenue = this.offer.currentPrice;
-                    this.totalRevenue += saleRevenue;
-                    this.totalCost += effectiveCOGS;
-
-                    // Subscription
-                    if (this.offer.subscriptionPrice > 0 && rng.next() < 0.6) {
-                        this.totalSubscribers++;
-                    }
+                if (result.willBuy && !inStock) {
+                    stockOut(agent);
+                } else if (result.willBuy) {
+                    sell(agent);
+                } else if (result.choice && result.choice !== OWN_BRAND) {
+                    sellCompetitor(result.choice);
+                }
+            }
+
+            // Bill active subscribers for the week
+            const weekSubRevenue = this.activeSubscribers.size * weeklySubPrice;
+            const weekSubCost = this.activeSubscribers.size * weeklySubCost;
+            for (const agent of this.activeSubscribers) {
+                cohorts.recordValue(agent.id, weeklySubPrice, weeklySubPrice - weeklySubCost);
+            }
+            this.subscriptionRevenue += weekSubRevenue;
+            this.subscriptionCost += weekSubCost;
+            this.repeatPurchases += weekRepeat;
+
+            // Schedule this week's returns per channel
+            if (this.offer.returnsEnabled) {
+                for (const [ch, m] of Object.entries(weekChannels)) {
+                    if (m.unitsSold === 0) continue;
+                    const ret = simulateReturns(m.unitsSold, this.offer.vertical, this.offer.qualityIndex, rng);
+                    if (ret.returns === 0) continue;
+                    this.returnBatches.push({
+                        saleWeek: week,
+                        arrivalWeek: week + returnLag,
+                        channel: ch,
+                        units: ret.returns,
+                        refurbished: ret.refurbished,
+                        lost: ret.lost,
+                        salePrice: m.revenue / m.unitsSold,
+                        unitCOGS: effectiveCOGS,
+                    });
+                }
+            }
+
+            const weekLostSales = Object.values(weekLostTo).reduce((s, n) => s + n, 0);
+            this.totalLostSales += weekLostSales;
+            if (weekUnmet > 0) this.stockoutWeeks++;
+
+            // ── Replenishment decision (end of week) ──
+            let weekOrdered = 0;
+            let weekOrderCost = 0;
+            if (replenishment && replenishment.policy !== POLICIES.NONE) {
+                const onOrder = this.purchaseOrders.reduce((s, po) => s + (po.received ? 0 : po.quantity), 0);
+                weekOrdered = decideReorderQuantity(replenishment, { week, onHand: inventory, onOrder });
+                if (weekOrdered > 0) {
+                    const leadTimeWeeks = this.leadTimeSampler(rng);
+                    this.purchaseOrders.push({
+                        orderWeek: week,
+                        arrivalWeek: week + leadTimeWeeks,
+                        quantity: weekOrdered,
+                        leadTimeWeeks,
+                        received: false,
+                        delivered: 0,
+                    });
+                    weekOrderCost = replenishment.orderCost;
+                    this.totalOrderCost += weekOrderCost;
                 }
             }
 
@@ -182,15 +586,28 @@ export class SimulationRun {
             marketState.ourConversionRate = avgConversion;
             marketState.ourTotalSales = this.totalUnitsSold;
             marketState.marketingSpend = this.offer.weeklyMarketingSpend;
+            observer.recordOutcome(week, this.totalUnitsSold, avgConversion);
             this.totalMarketingSpent += this.offer.weeklyMarketingSpend;
 
-            // Update competitor profit tracking
+            // Competitor outcomes come from the same customer decisions (SIM-009)
             for (const ca of this.competitorAgents) {
-                const cpSales = Math.floor(ca.profile.marketShare * this.population.size * 0.01 * rng.next());
+                const cpSales = weekCompetitorSales[ca.profile.id] ?? 0;
+                const cpPrice = ca.currentPrice * (1 - (ca.currentPromotion?.discount ?? 0));
+                const cpRevenue = cpSales * cpPrice;
+                const cpProfit = cpSales * (cpPrice - this._competitorCOGS(ca));
                 ca.unitsSold += cpSales;
-                ca.revenue += cpSales * ca.currentPrice;
-                ca.profit += cpSales * (ca.currentPrice - (this.scenario.competitors[ca.profile.id]?.sampledCOGS ?? 50));
-                ca.recordStep({ week, sales: cpSales });
+                ca.revenue += cpRevenue;
+                ca.profit += cpProfit;
+                ca.recordStep({ week, sales: cpSales, revenue: cpRevenue, profit: cpProfit, ourSales: weekSales });
+            }
+            const categorySales = weekSales + Object.values(weekCompetitorSales).reduce((s, n) => s + n, 0);
+
+            for (const [ch, m] of Object.entries(weekChannels)) {
+                const total = this.channelTotals[ch] ?? (this.channelTotals[ch] = emptyChannelTotals());
+                total.unitsSold += m.unitsSold;
+                total.revenue += m.revenue;
+                total.fees += m.fees;
+                total.netProfit += m.netProfit;
             }
 
             // Record weekly metrics
@@ -199,48 +616,265 @@ export class SimulationRun {
                 unitsSold: weekSales,
                 cumulativeSold: this.totalUnitsSold,
                 inventory,
-                revenue: weekSales * this.offer.currentPrice,
+                unitsReceived: weekReceived,
+                unitsOrdered: weekOrdered,
+                orderCost: weekOrderCost,
+                lostSales: weekLostSales,
+                unmetDemand: weekUnmet,
+                recaptured: weekRecaptured,
+                lostToCompetitors: weekLostTo,
+                unitsReturned: weekReturned,
+                unitsRefurbished: weekRefurbished,
+                unitsWrittenOff: weekWrittenOff,
+                refunds: weekRefunds,
+                reverseLogisticsCost: weekReverseLogistics,
+                returnCost: weekRefunds + weekReverseLogistics - weekCOGSRecovered,
+                revenue: weekRevenue,
+                netRevenue: weekRevenue - weekRefunds,
                 cumulativeRevenue: this.totalRevenue,
                 avgConversion: avgConversion,
                 ourPrice: this.offer.currentPrice,
-                competitorPrices: this.competitorAgents.map(ca => ca.currentPrice),
+                priceChange,
+                // Launch competitors in NGC order; null once one has left the market
+                competitorPrices: this.incumbentAgents.map(ca => (this.competitorAgents.includes(ca) ? ca.currentPrice : null)),
+                priceWarDepth: warDepth,
+                activeCompetitors: this.competitorAgents.length,
+                competitorEntries: weekEvents.filter(e => e.type === 'entry').length,
+                competitorExits: weekEvents.filter(e => e.type === 'exit').length,
+                customersReleased: weekEvents.reduce((s, e) => s + (e.customersReleased ?? 0), 0),
+                competitorEvents: weekEvents,
                 competitorAttractiveness: marketState.competitorAttractiveness,
+                competitorSales: weekCompetitorSales,
+                marketShare: categorySales > 0 ? weekSales / categorySales : 0,
                 effectiveCOGS,
-                subscribers: this.totalSubscribers,
+                awareness: awareness.byChannel,
+                reachByPreference: awareness.byPreference,
+                shock: {
+                    demandFactor: shock.demandFactor,
+                    supplyFactor: shock.supplyFactor,
+                    costFactor: shock.costFactor,
+                    activeShocks: shock.activeShocks,
+                },
+                channelFees: weekFees,
+                channels: weekChannels,
+                subscribers: this.activeSubscribers.size,
+                subscriptionStarts: weekSubStarts,
+                subscriptionCancels: weekSubCancels,
+                subscriptionRevenue: weekSubRevenue,
+                subscriptionCost: weekSubCost,
+                repeatPurchases: weekRepeat,
             });
         }
 
+        // Returns still in transit at the horizon are accrued now, so net
+        // units and revenue cover the sales of the last return-lag weeks too
+        const outstanding = this.returnBatches.filter(b => b.arrivalWeek >= this.timeHorizon);
+        this.returnsAccrued = outstanding.reduce((s, b) => s + b.units, 0);
+        inventory += this._settleReturns(outstanding).refurbished;
+
         this.inventoryRemaining = inventory;
+        for (const ca of this.competitorAgents) ca.endEpisode();
 
         return this.getResult(initialInventory);
     }
 
+    /** Unit cost of a competitor: sampled for incumbents, implied by price for entrants */
+    _competitorCOGS(ca) {
+        return this.scenario.competitors[ca.profile.id]?.sampledCOGS ?? ca.profile.constraints.baseCOGS ?? 50;
+    }
+
+    /**
+     * This week's competitor exits, then entries (SIM-005). A competitor's
+     * share is read over the last few weeks of category sales and its weekly
+     * profit against the average competitor's; entry odds follow market margins, the
+     * number of competitors and category growth. Entrants are numbered by
+     * arrival so their results line up across Monte Carlo runs.
+     * @param {number} week
+     * @param {DefectionTracker} defection
+     * @param {import('./distributions.js').PRNG} rng
+     * @returns {object[]} entry / exit events of the week
+     */
+    _updateCompetitorField(week, defection, rng) {
+        const dynamics = this.competitorDynamics;
+        const tracker = this.dynamicsTracker;
+        const events = [];
+        if (week === 0) return events;
+
+        if (dynamics.exit) {
+            const recent = this.weeklyMetrics.slice(-dynamics.shareWindowWeeks);
+            const recentCategory = recent.reduce((s, m) => s + categoryUnits(m), 0);
+            // Profit per week in the market, so late entrants compare fairly with incumbents
+            const weeklyProfit = (ca) => ca.profit / Math.max(1, week - tracker.competitors.get(ca.profile.id).entryWeek);
+            const peerProfit = this.competitorAgents.reduce((s, ca) => s + weeklyProfit(ca), 0) / Math.max(1, this.competitorAgents.length);
+            for (const ca of [...this.competitorAgents]) {
+                const id = ca.profile.id;
+                const record = tracker.competitors.get(id);
+                record.marketShare = recentCategory > 0
+                    ? recent.reduce((s, m) => s + (m.competitorSales[id] ?? 0), 0) / recentCategory
+                    : ca.profile.marketShare;
+                record.profit = ca.profit;
+                record.lossWeeks = ca.profit < 0 ? (record.lossWeeks ?? 0) + 1 : 0;
+                record.profitRatio = peerProfit > 0 ? weeklyProfit(ca) / peerProfit : null;
+                const { shouldExit, reason } = evaluateExit(record, {
+                    week,
+                    minShareThreshold: dynamics.minShareThreshold,
+                    maxLossWeeks: dynamics.maxLossWeeks,
+                    lossRatio: dynamics.lossRatio,
+                }, rng);
+                if (!shouldExit) continue;
+
+                this.competitorAgents.splice(this.competitorAgents.indexOf(ca), 1);
+                this.exitedAgents.push(ca);
+                ca.endEpisode();
+                tracker.removeCompetitor(id, week, reason);
+                const customersReleased = this._releaseCustomers(id, week, defection);
+                events.push({ type: 'exit', week, id, name: ca.profile.name, reason, customersReleased });
+            }
+        }
+
+        if (dynamics.entry && this.entrantCount < dynamics.maxEntrants) {
+            const players = [
+                { price: this.offer.currentPrice, cogs: this.offer.cogs, quality: this.offer.qualityIndex },
+                ...this.competitorAgents.map(ca => ({ price: ca.currentPrice, cogs: this._competitorCOGS(ca), quality: ca.profile.qualityIndex })),
+            ];
+            const mean = (f) => players.reduce((s, p) => s + f(p), 0) / players.length;
+            const last = this.weeklyMetrics[week - 1];
+            const before = this.weeklyMetrics[week - 2];
+            const { shouldEnter, reason } = evaluateEntry({
+                week,
+                avgMargin: mean(p => (p.price > 0 ? (p.price - p.cogs) / p.price : 0)) * 100,
+                activeCompetitors: this.competitorAgents.length,
+                marketGrowthRate: before && categoryUnits(before) > 0 ? categoryUnits(last) / categoryUnits(before) - 1 : 0,
+            }, rng);
+            if (shouldEnter) {
+                const n = ++this.entrantCount;
+                const entrant = generateCompetitor(rng, {
+                    avgPrice: mean(p => p.price),
+                    avgQuality: mean(p => p.quality) * 100,
+                    week,
+                    reason,
+                });
+                const profile = entrantProfile(entrant, { ...dynamics, id: `entrant-${n}`, name: `Entrante ${n}` });
+                const baseMarketing = this.incumbentAgents.length > 0
+                    ? this.incumbentAgents.reduce((s, ca) => s + (ca.baseMarketing ?? ca.currentMarketingSpend), 0) / this.incumbentAgents.length
+                    : this.offer.weeklyMarketingSpend;
+                this.competitorAgents.push(createCompetitorAgent(profile, { basePrice: entrant.price, baseMarketing }));
+                tracker.addCompetitor({ ...entrant, id: profile.id, name: profile.name, financialHealth: profile.financialHealth });
+                events.push({ type: 'entry', week, id: profile.id, name: profile.name, reason, agentType: profile.type, price: entrant.price });
+            }
+        }
+
+        this.competitorEvents.push(...events);
+        return events;
+    }
+
+    /**
+     * Customers of a competitor that left: those who switched to it after a
+     * stock-out come back to our market, and its buyers lose their loyalty to
+     * it and return to the category now instead of at their next purchase cycle.
+     * @returns {number} customers released
+     */
+    _releaseCustomers(competitorId, week, defection) {
+        defection.releaseCompetitor(competitorId);
+        let released = 0;
+        for (const agent of this.population.agents) {
+            if (agent.lastBrand !== competitorId) continue;
+            agent.lastBrand = null;
+            agent.outOfMarketUntil = Math.min(agent.outOfMarketUntil, week);
+            released++;
+        }
+        this.customersReleased += released;
+        return released;
+    }
+
+    /**
+     * Book a set of return batches (ECO-001): refunded at the original sale
+     * price, refurbished units back on the shelf as refurbished stock (their
+     * COGS is reversed), lost units written off.
+     * @returns {{ units: number, refurbished: number, writtenOff: number, refunds: number, reverseLogistics: number, cogsRecovered: number }}
+     */
+    _settleReturns(batches) {
+        const settled = { units: 0, refurbished: 0, writtenOff: 0, refunds: 0, reverseLogistics: 0, cogsRecovered: 0 };
+        for (const batch of batches) {
+            const impact = calculateReturnImpact(batch.units, batch.refurbished, batch.lost, batch.salePrice, batch.unitCOGS, this.offer.vertical);
+            const channelFee = (CHANNEL_FEES[batch.channel] ?? CHANNEL_FEES.online).returnProcessingFee ?? 0;
+            settled.units += batch.units;
+            settled.refurbished += batch.refurbished;
+            settled.writtenOff += batch.lost;
+            settled.refunds += impact.refundCost;
+            settled.reverseLogistics += impact.processingCost + batch.units * channelFee;
+            settled.cogsRecovered += batch.refurbished * batch.unitCOGS;
+            this.writeOffValue += impact.lostGoodsCost;
+        }
+        this.refurbStock += settled.refurbished;
+        this.refurbStockCost += settled.cogsRecovered;
+        this.unitsReturned += settled.units;
+        this.unitsRefurbished += settled.refurbished;
+        this.unitsWrittenOff += settled.writtenOff;
+        this.totalRefunds += settled.refunds;
+        this.totalReverseLogistics += settled.reverseLogistics;
+        this.totalCost -= settled.cogsRecovered;
+        return settled;
+    }
+
     getResult(initialInventory) {
-        const grossProfit = this.totalRevenue - this.totalCost;
-        const netProfit = grossProfit - this.totalMarketingSpent;
+        // Gross profit is the contribution after COGS, per-sale channel fees and returns
+        const netRevenue = this.totalRevenue - this.totalRefunds;
+        const grossProfit = netRevenue - this.totalCost - this.totalChannelFees - this.totalReverseLogistics;
+        const netProfit = grossProfit - this.totalMarketingSpent - this.totalOrderCost;
         const roi = this.totalMarketingSpent > 0
-            ? (netProfit / (this.totalCost + this.totalMarketingSpent)) * 100
+            ? (netProfit / (this.totalCost + this.totalChannelFees + this.totalReverseLogistics + this.totalMarketingSpent + this.totalOrderCost)) * 100
             : 0;
-        const marginPct = this.totalRevenue > 0 ? (grossProfit / this.totalRevenue) * 100 : 0;
+        const marginPct = netRevenue > 0 ? (grossProfit / netRevenue) * 100 : 0;
         const inventoryValue = this.inventoryRemaining * this.offer.cogs;
-        const unsoldPct = initialInventory > 0 ? (this.inventoryRemaining / initialInventory) * 100 : 0;
+        const unitsAvailable = initialInventory + this.totalUnitsReceived + this.unitsRefurbished;
+        const unsoldPct = unitsAvailable > 0 ? (this.inventoryRemaining / unitsAvailable) * 100 : 0;
+        const netUnitsSold = this.totalUnitsSold - this.unitsReturned;
 
-        // Subscription revenue over the horizon
-        const subRevenue = this.totalSubscribers * this.offer.subscriptionPrice * (this.timeHorizon / 4.33);
-        const subCost = this.totalSubscribers * this.offer.subscriptionCost * (this.timeHorizon / 4.33);
+        // Customers still waiting for stock at the horizon are lost sales too
+        const pendingDemand = this.defection?.pending.size ?? 0;
+        const lostSales = this.totalLostSales + pendingDemand;
+        const demand = this.totalUnitsSold + lostSales;
+
+        // Subscription fees billed while subscribers were active
+        const subRevenue = this.subscriptionRevenue;
+        const subCost = this.subscriptionCost;
 
         // Break-even week
         let breakEvenWeek = -1;
         let cumProfit = 0;
         for (const m of this.weeklyMetrics) {
-            cumProfit += m.revenue - (m.unitsSold * m.effectiveCOGS) - this.offer.weeklyMarketingSpend;
+            cumProfit += m.revenue - (m.unitsSold * m.effectiveCOGS) - m.channelFees - m.orderCost - m.returnCost
+                + m.subscriptionRevenue - m.subscriptionCost - this.offer.weeklyMarketingSpend;
             if (cumProfit > 0 && breakEvenWeek === -1) breakEvenWeek = m.week;
         }
 
+        // Units, revenue and profit each competitor earned from our population (SIM-009),
+        // including competitors that entered or left during the run (SIM-005)
+        const competitorResults = {};
+        let competitorUnits = 0;
+        for (const ca of [...this.competitorAgents, ...this.exitedAgents]) {
+            competitorResults[ca.profile.id] = { unitsSold: ca.unitsSold, revenue: ca.revenue, profit: ca.profit };
+            competitorUnits += ca.unitsSold;
+        }
+        const categoryUnits = this.totalUnitsSold + competitorUnits;
+
+        const channelBreakdown = {};
+        for (const [ch, t] of Object.entries(this.channelTotals)) {
+            channelBreakdown[ch] = {
+                ...t,
+                netMarginPct: t.revenue > 0 ? (t.netProfit / t.revenue) * 100 : 0,
+            };
+        }
+
         return {
             totalUnitsSold: this.totalUnitsSold,
+            netUnitsSold,
             totalRevenue: this.totalRevenue + subRevenue,
+            netRevenue: netRevenue + subRevenue,
             totalCost: this.totalCost + subCost,
+            totalChannelFees: this.totalChannelFees,
+            channelBreakdown,
             grossProfit: grossProfit + (subRevenue - subCost),
             netProfit: netProfit + (subRevenue - subCost),
             roi,
@@ -251,8 +885,70 @@ export class SimulationRun {
             breakEvenWeek,
             totalSubscribers: this.totalSubscribers,
             subscriptionRevenue: subRevenue,
+            // Repeat purchases, subscription churn & realized LTV (ECO-006)
+            repeatPurchases: this.repeatPurchases,
+            subscriptionCancels: this.subscriptionCancels,
+            activeSubscribers: this.activeSubscribers.size,
+            subscriptionRetention: this.cohorts?.getRetentionCurve(this.timeHorizon) ?? [],
+            cohortLTV: this.cohorts?.getCohorts() ?? [],
+            customersAcquired: this.cohorts?.customers.size ?? 0,
+            realizedLTV: this.cohorts?.getRealizedLTV() ?? 0,
             weeklyMetrics: this.weeklyMetrics,
             totalMarketingSpent: this.totalMarketingSpent,
+            avgSellingPrice: this.totalUnitsSold > 0 ? this.totalRevenue / this.totalUnitsSold : this.offer.currentPrice,
+            finalPrice: this.offer.currentPrice,
+            priceChanges: this.priceChanges,
+            // Replenishment & stockouts
+            ordersPlaced: this.purchaseOrders.length,
+            purchaseOrders: this.purchaseOrders,
+            totalUnitsReceived: this.totalUnitsReceived,
+            unitsOnOrder: this.purchaseOrders.reduce((s, po) => s + (po.received ? 0 : po.quantity), 0),
+            totalOrderCost: this.totalOrderCost,
+            lostSales,
+            lostRevenue: lostSales * this.offer.basePrice,
+            stockoutWeeks: this.stockoutWeeks,
+            // Stock-out defection (SIM-003)
+            unmetDemand: this.defection?.unmetDemand ?? 0,
+            recapturedDemand: this.defection?.recaptured ?? 0,
+            pendingDemand,
+            lostToCompetitors: { ...(this.defection?.lostToCompetitors ?? {}) },
+            // Competitor sales from the shared choice model (SIM-009)
+            competitorResults,
+            marketShare: categoryUnits > 0 ? this.totalUnitsSold / categoryUnits : 0,
+            // Marketing mix: CAC per marketing channel (MKT-001)
+            marketingByChannel: this.marketing ? calculateCACByChannel(this.marketing.getFunnelResults()) : {},
+            // Market shocks (SIM-008)
+            shockTimeline: this.shocks
+                .filter(sh => sh.startWeek < this.timeHorizon)
+                .map(({ type, name, startWeek, endWeek, recoveryEnd, severity, riskEventId }) =>
+                    ({ type, name, startWeek, endWeek, recoveryEnd, severity, riskEventId })),
+            shockOccurred: this.shocks.some(sh => sh.startWeek < this.timeHorizon),
+            // Price-war episodes among competitors (SIM-009)
+            priceWars: this.priceWar?.getEpisodes() ?? [],
+            priceWarWeeks: this.weeklyMetrics.filter(m => m.priceWarDepth > 0).length,
+            // Competitor entry & exit (SIM-005)
+            competitorEvents: this.competitorEvents,
+            competitorTurnover: this.dynamicsTracker ? {
+                entries: this.competitorEvents.filter(e => e.type === 'entry').length,
+                exits: this.competitorEvents.filter(e => e.type === 'exit').length,
+                activeAtEnd: this.competitorAgents.length,
+                customersReleased: this.customersReleased,
+                avgLifespan: this.dynamicsTracker.getSummary().avgLifespan,
+            } : null,
+            supplyShortfall: this.purchaseOrders.reduce((s, po) => s + (po.received ? po.quantity - po.delivered : 0), 0),
+            // Returns & refurbishment (ECO-001)
+            unitsReturned: this.unitsReturned,
+            unitsRefurbished: this.unitsRefurbished,
+            refurbishedUnitsSold: this.refurbishedUnitsSold,
+            refurbishedRevenue: this.refurbishedRevenue,
+            unitsWrittenOff: this.unitsWrittenOff,
+            // Units due back after the horizon, already included in the totals above
+            pendingReturns: this.returnsAccrued,
+            returnRate: this.totalUnitsSold > 0 ? this.unitsReturned / this.totalUnitsSold : 0,
+            totalRefunds: this.totalRefunds,
+            reverseLogisticsCost: this.totalReverseLogistics,
+            writeOffValue: this.writeOffValue,
+            fillRate: demand > 0 ? this.totalUnitsSold / demand : 1,
         };
     }
 }
@@ -0,0 +1,319 @@
+/**
+ * Prometheus Engine – Stress Testing (SIM-008)
+ * Named adverse scenarios (market shocks, competitor price wars, COGS spikes,
+ * demand collapse) applied to the current scenario, KPI deltas against the
+ * baseline, and a reverse stress test for the severity that breaks P50 profit.
+ */
+import { MonteCarloEngine } from './montecarlo.js';
+import { SHOCK_TYPES } from './market-shocks.js';
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Stress Library
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Adverse scenarios at severity 1. Every lever scales linearly with severity:
+ * - shocks: SHOCK_TYPES events (severity multiplies their intensity)
+ * - competitorPriceCut: share cut from competitors' cost basis, which lowers their prices and price floors
+ * - competitorMarketingBoost: extra share of competitors' marketing budgets
+ * - cogsIncrease: share added to our unit COGS
+ */
+export const STRESS_SCENARIOS = [
+    {
+        id: 'pandemic',
+        name: 'Pandemia',
+        icon: SHOCK_TYPES.PANDEMIC.icon,
+        description: 'Demanda −60% y suministro −50% durante 12 semanas, costes +30%',
+        shocks: [{ type: 'PANDEMIC', startWeek: 2 }],
+    },
+    {
+        id: 'economic_crisis',
+        name: 'Crisis económica',
+        icon: SHOCK_TYPES.ECONOMIC_CRISIS.icon,
+        description: 'Demanda −40% durante 24 semanas con recuperación lenta',
+        shocks: [{ type: 'ECONOMIC_CRISIS', startWeek: 0 }],
+    },
+    {
+        id: 'supply_disruption',
+        name: 'Rotura de suministro',
+        icon: SHOCK_TYPES.SUPPLY_DISRUPTION.icon,
+        description: 'Suministro −70% durante 8 semanas, costes +40%',
+        shocks: [{ type: 'SUPPLY_DISRUPTION', startWeek: 4 }],
+    },
+    {
+        id: 'demand_collapse',
+        name: 'Colapso de demanda',
+        icon: SHOCK_TYPES.DEMAND_COLLAPSE.icon,
+        description: 'Demanda −50% desde el lanzamiento durante 16 semanas',
+        shocks: [{ type: 'DEMAND_COLLAPSE', startWeek: 0 }],
+    },
+    {
+        id: 'price_war',
+        name: 'Guerra de precios',
+        icon: '⚔️',
+        description: 'Competidores bajan precios un 25% y suben su marketing un 50%',
+        competitorPriceCut: 0.25,
+        competitorMarketingBoost: 0.5,
+    },
+    {
+        id: 'cogs_spike',
+        name: 'Subida de COGS',
+        icon: '🏭',
+        description: 'Coste unitario +35% durante todo el horizonte',
+        cogsIncrease: 0.35,
+    },
+    {
+        id: 'regulation',
+        name: 'Regulación',
+        icon: SHOCK_TYPES.REGULATION.icon,
+        description: 'Demanda −15% y costes +15% durante 8 semanas',
+        shocks: [{ type: 'REGULATION', startWeek: 4 }],
+    },
+    {
+        id: 'perfect_storm',
+        name: 'Tormenta perfecta',
+        icon: '🌪️',
+        description: 'Crisis económica, guerra de precios moderada y COGS +15% a la vez',
+        shocks: [{ type: 'ECONOMIC_CRISIS', startWeek: 0 }],
+        competitorPriceCut: 0.15,
+        competitorMarketingBoost: 0.25,
+        cogsIncrease: 0.15,
+    },
+];
+
+/** Combined shock scaled by the reverse stress test: every lever at once. */
+export const COMBINED_STRESS = {
+    id: 'combined',
+    name: 'Shock combinado',
+    icon: '🧨',
+    description: 'Colapso de demanda, guerra de precios y subida de COGS escalados juntos',
+    shocks: [{ type: 'DEMAND_COLLAPSE', startWeek: 0 }],
+    competitorPriceCut: 0.2,
+    competitorMarketingBoost: 0.3,
+    cogsIncrease: 0.2,
+};
+
+/**
+ * Apply a stress scenario to a Monte Carlo config (the config is not modified).
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {object} stress – entry of STRESS_SCENARIOS (or same shape)
+ * @param {number} [severity=1] – 0 = baseline, 1 = as defined, 2 = twice as hard
+ * @returns {object} stressed config
+ */
+export function applyStress(mcConfig, stress, severity = 1) {
+    const horizon = mcConfig.timeHorizonWeeks ?? 26;
+    const shocks = [
+        ...(mcConfig.shocks ?? []),
+        ...(severity > 0 ? (stress.shocks ?? []) : []).map(s => ({
+            ...s,
+            startWeek: Math.min(s.startWeek ?? 0, horizon - 1),
+            severity: (s.severity ?? 1) * severity,
+        })),
+    ];
+
+    const overrides = mcConfig.scenarioOverrides ?? {};
+    const multipliers = { ...overrides.competitorMultipliers };
+    if (stress.competitorPriceCut) {
+        multipliers.sampledCOGS = (multipliers.sampledCOGS ?? 1) * Math.max(0.05, 1 - stress.competitorPriceCut * severity);
+    }
+    if (stress.competitorMarketingBoost) {
+        multipliers.sampledMarketingBudget = (multipliers.sampledMarketingBudget ?? 1) * (1 + stress.competitorMarketingBoost * severity);
+    }
+
+    return {
+        ...mcConfig,
+        offerConfig: {
+            ...mcConfig.offerConfig,
+            cogs: mcConfig.offerConfig.cogs * (1 + (stress.cogsIncrease ?? 0) * severity),
+        },
+        shocks,
+        scenarioOverrides: Object.keys(multipliers).length > 0
+            ? { ...overrides, competitorMultipliers: multipliers }
+            : mcConfig.scenarioOverrides,
+    };
+}
+
+/**
+ * Plain-language description of the levers of a stress at a given severity.
+ * @param {object} stress
+ * @param {number} [severity=1]
+ * @returns {string[]}
+ */
+export function describeStressLevers(stress, severity = 1) {
+    const pct = (v) => `${Math.round(v * 100)}%`;
+    const levers = (stress.shocks ?? []).map(s => {
+        const t = SHOCK_TYPES[s.type];
+        const demand = Math.max(0.1, 1 - (1 - t.demandMultiplier) * (s.severity ?? 1) * severity);
+        return demand < 1 ? `${t.name}: demanda −${pct(1 - demand)}` : `${t.name} (severidad ${severity.toFixed(2)})`;
+    });
+    if (stress.competitorPriceCut) levers.push(`precios de la competencia −${pct(Math.min(0.95, stress.competitorPriceCut * severity))}`);
+    if (stress.competitorMarketingBoost) levers.push(`marketing de la competencia +${pct(stress.competitorMarketingBoost * severity)}`);
+    if (stress.cogsIncrease) levers.push(`COGS +${pct(stress.cogsIncrease * severity)}`);
+    return levers;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  KPIs
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** KPIs compared between baseline and stressed runs. */
+function stressKPIs(mc) {
+    const profits = mc.rawResults.map(r => r.netProfit);
+    return {
+        netProfitP50: mc.netProfit.p50,
+        netProfitMean: mc.netProfit.mean,
+        netProfitP5: mc.netProfit.p5,
+        revenueMean: mc.revenue.mean,
+        salesMean: mc.sales.mean,
+        roiMean: mc.roi.mean,
+        unsoldPct: mc.unsoldPct.mean,
+        probLoss: profits.filter(p => p < 0).length / profits.length,
+    };
+}
+
+function kpiDeltas(kpis, baseline) {
+    const deltas = {};
+    for (const [k, v] of Object.entries(kpis)) {
+        const base = baseline[k];
+        deltas[k] = {
+            abs: v - base,
+            pct: base !== 0 ? (v - base) / Math.abs(base) * 100 : null,
+        };
+    }
+    return deltas;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Runners
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function resolveRun(mcConfig, options) {
+    const {
+        iterations = Math.min(mcConfig.iterations ?? 100, 100),
+        runner = (config) => new MonteCarloEngine().run(config),
+    } = options;
+    // Fixed iterations and seed: every stress runs on common random numbers
+    const base = { ...mcConfig, iterations, precision: null };
+    const simulate = async (config) => {
+        const results = await runner(config);
+        if (!results) throw new Error('Stress test stopped: a run returned no results');
+        return results;
+    };
+    return { base, iterations, simulate };
+}
+
+/**
+ * Reverse stress test: bisect the severity of a combined shock for the
+ * smallest one that pushes P50 net profit below zero.
+ * @param {object} mcConfig
+ * @param {object} [options]
+ * @param {object} [options.stress=COMBINED_STRESS]
+ * @param {number} [options.maxSeverity=3]
+ * @param {number} [options.tolerance=0.05] – severity precision
+ * @param {number} [options.iterations=min(config, 100)]
+ * @param {Function} [options.runner]
+ * @param {object} [options.baselineKPIs] – reuse a severity-0 run
+ * @param {Function} [options.onStep] – ({ severity, netProfitP50 }) => void
+ * @returns {Promise<{ stress: object, found: boolean, severity: number|null, alreadyNegative: boolean, kpis: object|null, levers: string[], steps: object[], maxSeverity: number }>}
+ */
+export async function reverseStressTest(mcConfig, options = {}) {
+    const { stress = COMBINED_STRESS, maxSeverity = 3, tolerance = 0.05, onStep = () => { } } = options;
+    const { base, simulate } = resolveRun(mcConfig, options);
+    const steps = [];
+    const evaluate = async (severity) => {
+        const kpis = stressKPIs(await simulate(applyStress(base, stress, severity)));
+        steps.push({ severity, netProfitP50: kpis.netProfitP50 });
+        onStep({ severity, netProfitP50: kpis.netProfitP50 });
+        return kpis;
+    };
+
+    const summary = { id: stress.id, name: stress.name, icon: stress.icon, description: stress.description };
+    const baseline = options.baselineKPIs ?? await evaluate(0);
+    if (baseline.netProfitP50 < 0) {
+        return { stress: summary, found: true, severity: 0, alreadyNegative: true, kpis: baseline, levers: [], steps, maxSeverity };
+    }
+    const atMax = await evaluate(maxSeverity);
+    if (atMax.netProfitP50 >= 0) {
+        return { stress: summary, found: false, severity: null, alreadyNegative: false, kpis: atMax, levers: describeStressLevers(stress, maxSeverity), steps, maxSeverity };
+    }
+
+    // P50 profit ≥ 0 at lo, < 0 at hi
+    let lo = 0;
+    let hi = maxSeverity;
+    let breaking = atMax;
+    while (hi - lo > tolerance) {
+        const mid = (lo + hi) / 2;
+        const kpis = await evaluate(mid);
+        if (kpis.netProfitP50 < 0) {
+            hi = mid;
+            breaking = kpis;
+        } else {
+            lo = mid;
+        }
+    }
+    return { stress: summary, found: true, severity: hi, alreadyNegative: false, kpis: breaking, levers: describeStressLevers(stress, hi), steps, maxSeverity };
+}
+
+/**
+ * Run the stress library against the current scenario and rank the results
+ * by how far each one drags P50 net profit below the baseline.
+ * @param {object} mcConfig – same shape as MonteCarloEngine.run()
+ * @param {object} [options]
+ * @param {object[]} [options.scenarios=STRESS_SCENARIOS]
+ * @param {number} [options.severity=1]
+ * @param {number} [options.iterations=min(config, 100)]
+ * @param {boolean|object} [options.reverse=true] – run the reverse stress test (true or its options)
+ * @param {Function} [options.runner] – (config) => Promise<MC results|null>
+ * @param {Function} [options.onProgress] – ({ completed, total, label }) => void
+ * @returns {Promise<object>} ranked stress report
+ */
+export async function runStressTests(mcConfig, options = {}) {
+    const { scenarios = STRESS_SCENARIOS, severity = 1, reverse = true, onProgress = () => { } } = options;
+    const { base, iterations, simulate } = resolveRun(mcConfig, options);
+    // Reverse search steps are not known up front; count a typical bisection
+    const reverseSteps = reverse ? 8 : 0;
+    const total = 1 + scenarios.length + reverseSteps;
+    let completed = 0;
+    const step = (label) => onProgress({ completed: ++completed, total: Math.max(total, completed), label });
+
+    const baseline = stressKPIs(await simulate(base));
+    step('Base');
+
+    const results = [];
+    for (const stress of scenarios) {
+        const kpis = stressKPIs(await simulate(applyStress(base, stress, severity)));
+        results.push({
+            id: stress.id,
+            name: stress.name,
+            icon: stress.icon,
+            description: stress.description,
+            levers: describeStressLevers(stress, severity),
+            kpis,
+            deltas: kpiDeltas(kpis, baseline),
+            // P50 outcome turns into a loss
+            breaksProfit: kpis.netProfitP50 < 0,
+        });
+        step(stress.name);
+    }
+    results.sort((a, b) => a.deltas.netProfitP50.abs - b.deltas.netProfitP50.abs);
+    results.forEach((r, i) => { r.rank = i + 1; });
+
+    const reverseResult = reverse
+        ? await reverseStressTest(mcConfig, {
+            ...(typeof reverse === 'object' ? reverse : {}),
+            iterations,
+            runner: options.runner,
+            baselineKPIs: baseline,
+            onStep: ({ severity: s }) => step(`Estrés inverso (severidad ${s.toFixed(2)})`),
+        })
+        : null;
+
+    return {
+        baseline,
+        results,
+        worst: results[0] ?? null,
+        breaking: results.filter(r => r.breaksProfit).map(r => r.id),
+        reverse: reverseResult,
+        settings: { iterations, severity, seed: base.seed },
+    };
+}
@@ -7,29 +7,33 @@
 //  Lead Time Models
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
+const defaultRng = { next: () => Math.random() };
+
 /**
  * Lead time distribution models.
+ * Each factory returns a sampler `(rng?) => days`; pass a seeded PRNG for
+ * reproducible draws (defaults to Math.random).
  */
 export const LEAD_TIME_MODELS = {
     /** Fixed deterministic lead time */
     fixed: (mean) => () => mean,
 
     /** Uniform distribution lead time */
-    uniform: (min, max) => () => min + Math.random() * (max - min),
+    uniform: (min, max) => (rng = defaultRng) => min + rng.next() * (max - min),
 
     /** Triangular distribution lead time */
-    triangular: (min, mode, max) => () => {
-        const u = Math.random();
+    triangular: (min, mode, max) => (rng = defaultRng) => {
+        const u = rng.next();
         const fc = (mode - min) / (max - min);
         if (u < fc) return min + Math.sqrt(u * (max - min) * (mode - min));
         return max - Math.sqrt((1 - u) * (max - min) * (max - mode));
     },
 
     /** Log-normal distribution (realistic for supply chains) */
-    lognormal: (meanDays, stdDays) => () => {
+    lognormal: (meanDays, stdDays) => (rng = defaultRng) => {
         const mu = Math.log(meanDays * meanDays / Math.sqrt(stdDays * stdDays + meanDays * meanDays));
         const sigma = Math.sqrt(Math.log(1 + (stdDays * stdDays) / (meanDays * meanDays)));
-        const z = boxMullerZ();
+        const z = boxMullerZ(rng);
         return Math.max(1, Math.round(Math.exp(mu + sigma * z)));
     },
 };
@@ -37,12 +41,41 @@ export const LEAD_TIME_MODELS = {
 /**
  * Box-Muller transform for standard normal variate.
  */
-function boxMullerZ() {
-    const u1 = Math.random();
-    const u2 = Math.random();
+function boxMullerZ(rng = defaultRng) {
+    const u1 = rng.next();
+    const u2 = rng.next();
     return Math.sqrt(-2 * Math.log(u1 || 1e-10)) * Math.cos(2 * Math.PI * u2);
 }
 
+/**
+ * Build a per-order lead time sampler (in weeks) from NGC supply chain data.
+ * Priority: uncertain `leadTimeDays` distribution → known `leadTimeDays`
+ * (log-normal around it when `leadTimeStdDays` is known) → fallback model.
+ * @param {import('./ngc.js').MarketData} [supplyChain] - NGC supply chain data
+ * @param {object} [fallback]
+ * @param {string} [fallback.leadTimeModel='lognormal'] - LEAD_TIME_MODELS key
+ * @param {number[]} [fallback.leadTimeParams=[14, 5]] - model params (days)
+ * @returns {(rng: object) => number} sampler returning whole weeks (≥ 1)
+ */
+export function createLeadTimeSampler(supplyChain, { leadTimeModel = 'lognormal', leadTimeParams = [14, 5] } = {}) {
+    let sampleDays;
+    const dist = supplyChain?.getDistribution('leadTimeDays');
+    const knownDays = supplyChain?.get('leadTimeDays');
+
+    if (dist) {
+        sampleDays = (rng) => dist.sample(rng);
+    } else if (knownDays != null) {
+        const std = supplyChain.get('leadTimeStdDays');
+        sampleDays = std ? LEAD_TIME_MODELS.lognormal(knownDays, std) : LEAD_TIME_MODELS.fixed(knownDays);
+    } else {
+        sampleDays = LEAD_TIME_MODELS[leadTimeModel]
+            ? LEAD_TIME_MODELS[leadTimeModel](...leadTimeParams)
+            : LEAD_TIME_MODELS.fixed(leadTimeParams[0] || 14);
+    }
+
+    return (rng) => Math.max(1, Math.round(sampleDays(rng) / 7));
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Supply Chain Simulator
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -9,11 +9,14 @@
 
 /**
  * Format sensitivity analysis results into tornado chart data.
- * @param {Array} sensitivityResults - result from runSensitivityAnalysis
+ * Accepts either OAT results or a Sobol result, whose bars rank factors by
+ * total-effect index instead of OAT swing.
+ * @param {Array|import('./types.js').SobolResult} sensitivityResults - result from runSensitivityAnalysis or runSobolAnalysis
  * @param {string} [targetKPI='netProfit']
  * @returns {{ bars: Array, baseline: number }}
  */
 export function generateTornadoData(sensitivityResults, targetKPI = 'netProfit') {
+    if (sensitivityResults?.method === 'sobol') return sobolTornadoData(sensitivityResults, targetKPI);
     if (!sensitivityResults || sensitivityResults.length === 0) return { bars: [], baseline: 0 };
 
     const baseline = sensitivityResults[0]?.variations?.find(v => v.pctChange === 0)?.kpiValue || 0;
@@ -43,6 +46,35 @@ export function generateTornadoData(sensitivityResults, targetKPI = 'netProfit')
     return { bars, baseline, targetKPI };
 }
 
+/**
+ * Tornado bars from Sobol indices: first-order effect plus the share of
+ * variance that only appears through interactions (total − first).
+ */
+function sobolTornadoData(sobol, targetKPI) {
+    const kpi = sobol.kpis[targetKPI];
+    if (!kpi) return { bars: [], baseline: 0, targetKPI, method: 'sobol' };
+
+    const bars = kpi.indices.map(ix => {
+        const first = Math.max(0, ix.first);
+        const total = Math.max(first, ix.total);
+        return {
+            param: ix.label,
+            key: ix.key,
+            unit: ix.unit,
+            source: ix.source,
+            first,
+            total,
+            interaction: total - first,
+            firstCI: ix.firstCI,
+            totalCI: ix.totalCI,
+            swing: total,
+        };
+    });
+
+    // Already sorted by total effect from the Sobol analysis
+    return { bars, baseline: kpi.mean, variance: kpi.variance, targetKPI, method: 'sobol' };
+}
+
 /**
  * Render a simple ASCII tornado chart for debugging/reporting.
  * @param {object} tornadoData - from generateTornadoData
@@ -50,6 +82,15 @@ export function generateTornadoData(sensitivityResults, targetKPI = 'netProfit')
  */
 export function renderASCIITornado(tornadoData) {
     const { bars, baseline } = tornadoData;
+    if (tornadoData.method === 'sobol') {
+        const lines = [`Sobol Indices (${tornadoData.targetKPI}, mean: ${baseline.toLocaleString()})`, ''];
+        for (const bar of bars) {
+            const firstLen = Math.round(bar.first * 30);
+            const interactionLen = Math.round(bar.interaction * 30);
+            lines.push(`${bar.param.padEnd(20)} |${'█'.repeat(firstLen)}${'░'.repeat(interactionLen)}  (S=${bar.first.toFixed(2)}, ST=${bar.total.toFixed(2)})`);
+        }
+        return lines.join('\n');
+    }
     const maxSwing = Math.max(...bars.map(b => Math.max(Math.abs(b.lowDelta), Math.abs(b.highDelta))));
     const width = 30; // chars per side
 
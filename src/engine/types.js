@@ -54,6 +54,11 @@
  * @property {number} breakEvenWeek
  * @property {number} totalMarketingSpent
  * @property {WeeklyMetric[]} weeklyMetrics
+ * @property {Object<string, number>} [scenarioInputs] - sampled NGC inputs of the iteration (scenario discovery)
+ * @property {Array<{ startWeek: number, endWeek: number, weeks: number, trigger: string, maxDepth: number }>} priceWars - price-war episodes among competitors
+ * @property {number} priceWarWeeks - weeks with a price war under way
+ * @property {Array<{ type: 'entry'|'exit', week: number, id: string, name: string, reason: string }>} competitorEvents - competitors entering and leaving the market
+ * @property {{ entries: number, exits: number, activeAtEnd: number, customersReleased: number, avgLifespan: number }|null} competitorTurnover - null when entry and exit are not simulated
  */
 
 /**
@@ -65,6 +70,14 @@
  * @property {number} revenue
  * @property {number} avgConversion
  * @property {number} competitorAttractiveness
+ * @property {Object<string, number>} competitorSales - units each competitor sold this week
+ * @property {number} marketShare - our share of category units this week
+ * @property {number} priceWarDepth - competitors' price cut below base price from a price war (0 = none)
+ * @property {number} activeCompetitors - competitors in the market this week
+ * @property {number} competitorEntries
+ * @property {number} competitorExits
+ * @property {number} customersReleased - customers of competitors that left this week
+ * @property {object[]} competitorEvents - this week's entries and exits
  */
 
 /**
@@ -80,6 +93,22 @@
  * @property {StatSummary} unsoldPct
  * @property {SimulationResult[]} rawResults
  * @property {WeeklyMetric[]} weeklyAvg
+ * @property {WeeklyBand[]} weeklyBands - per-week percentile bands of every weekly metric
+ */
+
+/**
+ * @typedef {object} PercentileBand
+ * @property {number} p5
+ * @property {number} p25
+ * @property {number} p50
+ * @property {number} p75
+ * @property {number} p95
+ */
+
+/**
+ * One week of MCResults.weeklyBands: the WeeklyMetric fields, each numeric
+ * value replaced by its PercentileBand across runs (nested fields keep their shape).
+ * @typedef {{ week: number } & Object<string, PercentileBand|PercentileBand[]|object>} WeeklyBand
  */
 
 /**
@@ -124,6 +153,30 @@
  * @property {number} probROIAbove100
  */
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sensitivity Types
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * @typedef {object} SobolIndex
+ * @property {string} key
+ * @property {string} label
+ * @property {'ngc'|'config'} source
+ * @property {number} first - first-order index S_i
+ * @property {[number, number]} firstCI - bootstrap confidence interval
+ * @property {number} total - total-effect index ST_i (includes interactions)
+ * @property {[number, number]} totalCI
+ */
+
+/**
+ * @typedef {object} SobolResult
+ * @property {'sobol'} method
+ * @property {Array<{ key: string, label: string, unit: string, source: string }>} factors
+ * @property {Object<string, { mean: number, variance: number, sumFirst: number, indices: SobolIndex[] }>} kpis
+ * @property {number} samples - rows per sample matrix
+ * @property {number} runs - simulation iterations executed
+ */
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Plugin Types
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -0,0 +1,274 @@
+/**
+ * Prometheus Engine – Variance Reduction (DS-002)
+ * Antithetic variates, Latin Hypercube and scrambled Sobol sampling of the
+ * NGC scenario draws, effective sample size, and common-random-number pairing.
+ */
+import { PRNG } from './distributions.js';
+import { normalCriticalValue } from './convergence.js';
+
+export const SAMPLING_METHODS = ['random', 'antithetic', 'lhs', 'sobol'];
+
+/** LHS columns beyond this fall back to the iteration PRNG */
+const MAX_LHS_DIMENSIONS = 64;
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sobol Sequence
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Joe–Kuo direction numbers for dimensions 2…21: [degree s, polynomial a, m_1…m_s].
+ * Dimension 1 is the van der Corput sequence.
+ */
+const SOBOL_DIRECTIONS = [
+    [1, 0, 1],
+    [2, 1, 1, 3],
+    [3, 1, 1, 3, 1],
+    [3, 2, 1, 1, 1],
+    [4, 1, 1, 1, 3, 3],
+    [4, 4, 1, 3, 5, 13],
+    [5, 2, 1, 1, 5, 5, 17],
+    [5, 4, 1, 1, 5, 5, 5],
+    [5, 7, 1, 1, 7, 11, 19],
+    [5, 11, 1, 1, 5, 1, 1],
+    [5, 13, 1, 1, 1, 3, 11],
+    [5, 14, 1, 3, 5, 5, 31],
+    [6, 1, 1, 3, 3, 9, 7, 49],
+    [6, 13, 1, 1, 1, 15, 21, 21],
+    [6, 16, 1, 3, 1, 13, 27, 49],
+    [6, 19, 1, 1, 1, 15, 7, 5],
+    [6, 22, 1, 3, 1, 15, 13, 25],
+    [6, 25, 1, 1, 5, 5, 19, 61],
+    [7, 1, 1, 3, 7, 11, 23, 15, 103],
+    [7, 4, 1, 3, 7, 13, 13, 15, 69],
+];
+
+/** Number of Sobol dimensions available; later scenario draws are pseudo-random. */
+export const SOBOL_MAX_DIMENSIONS = SOBOL_DIRECTIONS.length + 1;
+
+const BITS = 32;
+const directionCache = new Map();
+
+function sobolDirections(dim) {
+    if (directionCache.has(dim)) return directionCache.get(dim);
+    const v = new Array(BITS + 1).fill(0);
+    if (dim === 0) {
+        for (let k = 1; k <= BITS; k++) v[k] = (1 << (BITS - k)) >>> 0;
+    } else {
+        const [s, a, ...m] = SOBOL_DIRECTIONS[dim - 1];
+        for (let k = 1; k <= Math.min(s, BITS); k++) v[k] = (m[k - 1] << (BITS - k)) >>> 0;
+        for (let k = s + 1; k <= BITS; k++) {
+            let x = (v[k - s] ^ (v[k - s] >>> s)) >>> 0;
+            for (let j = 1; j < s; j++) {
+                if ((a >>> (s - 1 - j)) & 1) x = (x ^ v[k - j]) >>> 0;
+            }
+            v[k] = x;
+        }
+    }
+    directionCache.set(dim, v);
+    return v;
+}
+
+/**
+ * Coordinate `dim` of the `index`-th Sobol point (natural order, unscrambled).
+ * @param {number} index – 0-based point index
+ * @param {number} dim – 0-based dimension (< SOBOL_MAX_DIMENSIONS)
+ * @returns {number} in [0, 1)
+ */
+export function sobolPoint(index, dim) {
+    const v = sobolDirections(dim);
+    let x = 0;
+    for (let k = 1, i = index; i > 0; k++, i >>>= 1) {
+        if (i & 1) x = (x ^ v[k]) >>> 0;
+    }
+    return x / 4294967296;
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sampling Plan
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Normalize a sampling option into a plain spec that can be posted to workers.
+ * LHS and Sobol designs are split into independent randomized replicates so
+ * the variance of the estimator can be measured from a single run.
+ * @param {string|object|null} sampling – method name or { method, replicates }
+ * @param {number} seed – master seed
+ * @param {number} iterations – planned (maximum) iterations
+ * @returns {{ method: string, seed: number, iterations: number, replicates: number, blockSize: number }|null}
+ *          null for plain pseudo-random sampling
+ */
+export function resolveSampling(sampling, seed, iterations) {
+    const spec = typeof sampling === 'string' ? { method: sampling } : (sampling ?? {});
+    const method = spec.method ?? 'random';
+    if (!SAMPLING_METHODS.includes(method)) throw new Error(`Unknown sampling method: ${method}`);
+    if (method === 'random') return null;
+
+    const replicates = method === 'antithetic' ? 1 : Math.max(1, Math.min(spec.replicates ?? 10, iterations));
+    return {
+        method,
+        seed,
+        iterations,
+        replicates,
+        blockSize: Math.ceil(iterations / replicates),
+    };
+}
+
+/**
+ * Per-iteration random streams for a resolved sampling spec. Deterministic in
+ * (spec, iteration index), so workers rebuild it from the spec alone.
+ */
+export class SamplingPlan {
+    /** @param {ReturnType<typeof resolveSampling>} spec */
+    constructor(spec) {
+        this.spec = spec;
+        this.method = spec.method;
+        this.blockSize = spec.blockSize;
+        this.dimensions = this.method === 'sobol' ? SOBOL_MAX_DIMENSIONS
+            : this.method === 'lhs' ? MAX_LHS_DIMENSIONS
+                : 0;
+        /** @type {Map<string, Float64Array|number>} LHS columns / Sobol shifts per (block, dim) */
+        this._cache = new Map();
+    }
+
+    /**
+     * Antithetic pairs share the seed of their even member.
+     * @param {number[]} seeds – from deriveIterationSeeds
+     * @returns {number[]}
+     */
+    pairSeeds(seeds) {
+        if (this.method !== 'antithetic') return seeds;
+        return seeds.map((s, i) => (i % 2 === 1 ? seeds[i - 1] : s));
+    }
+
+    /**
+     * Random stream for the whole iteration: mirrored (1 − u) for the odd
+     * member of an antithetic pair, otherwise the PRNG itself.
+     */
+    iterationRng(index, rng) {
+        if (this.method !== 'antithetic' || index % 2 === 0) return rng;
+        return { next: () => Math.min(1 - rng.next(), 1 - 2 ** -32) };
+    }
+
+    /**
+     * Random stream for NGC.sampleFullScenario: the n-th draw of the scenario
+     * takes coordinate n of this iteration's design point.
+     */
+    scenarioRng(index, rng) {
+        if (this.dimensions === 0) return rng;
+        let dim = 0;
+        return {
+            next: () => (dim < this.dimensions ? this.uniform(index, dim++) : rng.next()),
+        };
+    }
+
+    /**
+     * Design coordinate `dim` of iteration `index`.
+     * @returns {number} in [0, 1)
+     */
+    uniform(index, dim) {
+        const block = Math.floor(index / this.blockSize);
+        const j = index % this.blockSize;
+        const key = `${block}:${dim}`;
+        const rng = () => new PRNG(this.spec.seed ^ Math.imul(block + 1, 0x9e3779b1) ^ Math.imul(dim + 1, 0x85ebca77));
+
+        if (this.method === 'sobol') {
+            // Cranley–Patterson rotation: one random shift per replicate and dimension
+            if (!this._cache.has(key)) this._cache.set(key, rng().next());
+            const u = sobolPoint(j, dim) + this._cache.get(key);
+            return u >= 1 ? u - 1 : u;
+        }
+
+        // LHS: one random permutation of strata (plus jitter) per replicate and dimension
+        if (!this._cache.has(key)) {
+            const r = rng();
+            const n = this.blockSize;
+            const perm = Array.from({ length: n }, (_, i) => i);
+            for (let i = n - 1; i > 0; i--) {
+                const k = Math.floor(r.next() * (i + 1));
+                [perm[i], perm[k]] = [perm[k], perm[i]];
+            }
+            const column = new Float64Array(n);
+            for (let i = 0; i < n; i++) column[i] = (perm[i] + r.next()) / n;
+            this._cache.set(key, column);
+        }
+        return this._cache.get(key)[j];
+    }
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Estimator Diagnostics
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+function sampleVariance(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    const mean = values.reduce((s, v) => s + v, 0) / n;
+    return values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1);
+}
+
+/**
+ * Variance of the mean estimator under a sampling spec, against the naive
+ * s²/n of independent draws. Antithetic runs use pair means; LHS and Sobol
+ * use the spread of their independent replicate means.
+ * @param {number[]} values – one KPI per iteration, in iteration order
+ * @param {object|null} spec – from resolveSampling (null = pseudo-random)
+ * @returns {{ estimatorVariance: number, naiveVariance: number, varianceReduction: number, effectiveSampleSize: number }}
+ */
+export function estimatorVariance(values, spec) {
+    const n = values.length;
+    const naiveVariance = n > 0 ? sampleVariance(values) / n : 0;
+    let groups = null;
+
+    if (spec?.method === 'antithetic') {
+        groups = [];
+        for (let i = 0; i + 1 < n; i += 2) groups.push((values[i] + values[i + 1]) / 2);
+    } else if (spec && spec.replicates > 1) {
+        groups = [];
+        for (let start = 0; start + spec.blockSize <= n; start += spec.blockSize) {
+            const block = values.slice(start, start + spec.blockSize);
+            groups.push(block.reduce((s, v) => s + v, 0) / block.length);
+        }
+    }
+
+    // Too few pairs / replicates to measure: report the naive estimator
+    const variance = groups && groups.length >= 2 ? sampleVariance(groups) / groups.length : naiveVariance;
+    const varianceReduction = variance > 0 ? naiveVariance / variance : (naiveVariance > 0 ? Infinity : 1);
+    return {
+        estimatorVariance: variance,
+        naiveVariance,
+        varianceReduction,
+        effectiveSampleSize: n * varianceReduction,
+    };
+}
+
+/**
+ * Paired comparison of one KPI between two runs on common random numbers.
+ * @param {number[]} a – KPI per iteration, config A
+ * @param {number[]} b – KPI per iteration, config B (same seeds, same order)
+ * @param {number} [confidence=0.95]
+ * @returns {{ meanA: number, meanB: number, meanDifference: number, stdError: number, ci: [number, number], correlation: number, independentStdError: number, varianceReduction: number }}
+ */
+export function pairedDifference(a, b, confidence = 0.95) {
+    const n = Math.min(a.length, b.length);
+    const diffs = Array.from({ length: n }, (_, i) => b[i] - a[i]);
+    const meanA = a.slice(0, n).reduce((s, v) => s + v, 0) / n;
+    const meanB = b.slice(0, n).reduce((s, v) => s + v, 0) / n;
+    const meanDifference = meanB - meanA;
+    const varA = sampleVariance(a.slice(0, n));
+    const varB = sampleVariance(b.slice(0, n));
+    const varDiff = sampleVariance(diffs);
+    const covariance = (varA + varB - varDiff) / 2;
+    const stdError = Math.sqrt(varDiff / n);
+    const independentStdError = Math.sqrt((varA + varB) / n);
+    const z = normalCriticalValue(confidence);
+    return {
+        meanA,
+        meanB,
+        meanDifference,
+        stdError,
+        ci: [meanDifference - z * stdError, meanDifference + z * stdError],
+        correlation: varA > 0 && varB > 0 ? covariance / Math.sqrt(varA * varB) : 0,
+        independentStdError,
+        varianceReduction: varDiff > 0 ? (varA + varB) / varDiff : 1,
+    };
+}
@@ -21,6 +21,7 @@ export const VERTICALS = {
             aggressivenessMult: 1.3,         // tech competitors are aggressive
             priceWarProbability: 0.25,       // price wars common in electronics
             reactionSpeed: 1,                // weeks to react
+            observationNoise: 0.03,          // prices tracked closely online
         },
         demandModel: {
             seasonalityAmplitude: 0.3,       // Q4 holiday spike
@@ -59,6 +60,7 @@ export const VERTICALS = {
             aggressivenessMult: 1.1,
             priceWarProbability: 0.15,
             reactionSpeed: 1,
+            observationNoise: 0.08,
         },
         demandModel: {
             seasonalityAmplitude: 0.5,
@@ -97,6 +99,7 @@ export const VERTICALS = {
             aggressivenessMult: 1.0,
             priceWarProbability: 0.30,
             reactionSpeed: 1,
+            observationNoise: 0.05,
         },
         demandModel: {
             seasonalityAmplitude: 0.2,
@@ -1,49 +1,19 @@
 /**
  * Prometheus Engine – Web Worker Pool for Monte Carlo (PERF-001)
- * Provides a lightweight worker pool abstraction for parallelizing MC iterations.
- * Falls back to main-thread execution when Web Workers aren't available.
+ * Distributes batches of real SimulationRun iterations across module workers
+ * (see mc-worker.js). Iterations keep their per-iteration seeds, so a parallel
+ * run reproduces the sequential run exactly.
+ * MonteCarloEngine.runParallel falls back to main-thread execution when Web
+ * Workers aren't available.
  */
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Worker Pool
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
-/**
- * Inline worker code generator for MC batch processing.
- * Creates a self-contained worker that can run simulation batches.
- */
-function createWorkerBlob() {
-    const code = `
-        self.onmessage = function(e) {
-            const { batchId, iterations, seed, config } = e.data;
-            const results = [];
-            
-            // Simple PRNG (same as distributions.js)
-            function prng(s) {
-                let state = s;
-                return () => {
-                    state = (state * 1664525 + 1013904223) & 0xFFFFFFFF;
-                    return (state >>> 0) / 4294967296;
-                };
-            }
-            
-            const rng = prng(seed);
-            
-            for (let i = 0; i < iterations; i++) {
-                // Generate random variations for the batch
-                results.push({
-                    priceVariation: (rng() - 0.5) * 0.2,
-                    demandVariation: (rng() - 0.5) * 0.3,
-                    costVariation: (rng() - 0.5) * 0.1,
-                    qualityVariation: (rng() - 0.5) * 0.15,
-                    seed: (rng() * 2147483647) | 0,
-                });
-            }
-            
-            self.postMessage({ batchId, results });
-        };
-    `;
-    return new Blob([code], { type: 'application/javascript' });
+/** Default factory: Vite bundles mc-worker.js as an ES module worker. */
+function createModuleWorker() {
+    return new Worker(new URL('./mc-worker.js', import.meta.url), { type: 'module' });
 }
 
 /**
@@ -52,101 +22,143 @@ function createWorkerBlob() {
 export class WorkerPool {
     /**
      * @param {number} [numWorkers] - number of workers (defaults to navigator.hardwareConcurrency - 1)
+     * @param {object} [options]
+     * @param {Function} [options.createWorker] - worker factory (defaults to the mc-worker.js module worker)
+     * @param {number} [options.batchSize] - iterations per dispatched batch
      */
-    constructor(numWorkers) {
-        this.maxWorkers = numWorkers || Math.max(1, (navigator?.hardwareConcurrency || 4) - 1);
+    constructor(numWorkers, { createWorker, batchSize = 25 } = {}) {
+        const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+        this.maxWorkers = numWorkers || Math.max(1, (cores || 4) - 1);
+        this.createWorker = createWorker ?? createModuleWorker;
+        this.batchSize = batchSize;
         this.workers = [];
-        this.taskQueue = [];
-        this.activeWorkers = 0;
-        this.isSupported = typeof Worker !== 'undefined' && typeof Blob !== 'undefined';
+        this.isSupported = Boolean(createWorker) || typeof Worker !== 'undefined';
+        /** Active job state, null when idle */
+        this._job = null;
     }
 
     /**
      * Initialize the worker pool.
      */
     init() {
-        if (!this.isSupported) return;
-
-        const blob = createWorkerBlob();
-        const url = URL.createObjectURL(blob);
+        if (!this.isSupported || this.workers.length > 0) return;
 
         for (let i = 0; i < this.maxWorkers; i++) {
             try {
-                const worker = new Worker(url);
-                this.workers.push({ worker, busy: false });
+                this.workers.push({ worker: this.createWorker(), busy: false });
             } catch (e) {
                 console.warn('WorkerPool: Failed to create worker', e);
-                this.isSupported = false;
                 break;
             }
         }
-
-        URL.revokeObjectURL(url);
+        if (this.workers.length === 0) this.isSupported = false;
     }
 
     /**
-     * Distribute iterations across workers.
-     * @param {number} totalIterations
-     * @param {number} seed
-     * @param {object} config
-     * @returns {Promise<Array>}
+     * Run one Monte Carlo iteration per seed across the pool.
+     * Batches are handed out on demand so faster workers take more of them.
+     * @param {object} job
+     * @param {object} job.ngcJSON - serialized NGC (`ngc.toJSON()`)
+     * @param {object} job.config - { offerConfig, populationConfig, initialInventory, timeHorizonWeeks }
+     * @param {number[]} job.seeds - per-iteration seeds, in iteration order
+     * @param {number} [job.firstIndex=0] - iteration index of `seeds[0]` within the whole run
+     * @param {Array<object|null>} [job.patches] - per-seed config fields replacing the shared ones (see MonteCarloEngine.runVariants)
+     * @param {Function} [onProgress] - merged progress ({ iteration, total, pct })
+     * @param {Function} [onResult] - (result, index) for each result in iteration order, once every earlier one has arrived
+     * @returns {Promise<Array>} results in iteration order (partial if cancelled)
      */
-    async distribute(totalIterations, seed, config) {
-        if (!this.isSupported || this.workers.length === 0) {
-            return this._fallbackSequential(totalIterations, seed);
-        }
-
-        const batchSize = Math.ceil(totalIterations / this.workers.length);
-        const promises = [];
-
-        for (let i = 0; i < this.workers.length; i++) {
-            const batchIterations = Math.min(batchSize, totalIterations - i * batchSize);
-            if (batchIterations <= 0) break;
-
-            promises.push(this._runBatch(i, {
-                batchId: i,
-                iterations: batchIterations,
-                seed: seed + i * 1000,
-                config,
-            }));
+    runIterations({ ngcJSON, config, seeds, firstIndex = 0, patches = null }, onProgress = () => { }, onResult = () => { }) {
+        if (this._job) return Promise.reject(new Error('WorkerPool: a job is already running'));
+
+        const total = seeds.length;
+        const results = new Array(total);
+        if (total === 0) return Promise.resolve([]);
+
+        const queue = [];
+        for (let start = 0; start < total; start += this.batchSize) {
+            queue.push({
+                batchId: queue.length,
+                startIndex: start,
+                iterationIndex: firstIndex + start,
+                seeds: seeds.slice(start, start + this.batchSize),
+                patches: patches?.slice(start, start + this.batchSize) ?? null,
+            });
         }
 
-        const batchResults = await Promise.all(promises);
-        return batchResults.flat();
-    }
-
-    /**
-     * Run a batch on a specific worker.
-     * @private
-     */
-    _runBatch(workerIdx, data) {
         return new Promise((resolve, reject) => {
-            const { worker } = this.workers[workerIdx];
-            worker.onmessage = (e) => resolve(e.data.results);
-            worker.onerror = (e) => reject(e);
-            worker.postMessage(data);
+            const job = { cancelled: false, failed: false, completed: 0, delivered: 0, batchProgress: new Map() };
+            this._job = job;
+
+            const report = () => {
+                onProgress({ iteration: job.completed, total, pct: (job.completed / total) * 100 });
+            };
+
+            const advance = (batchId, completed) => {
+                job.completed += completed - (job.batchProgress.get(batchId) ?? 0);
+                job.batchProgress.set(batchId, completed);
+                report();
+            };
+
+            const settle = () => {
+                if (this.workers.some(w => w.busy)) return;
+                this._job = null;
+                resolve(results.filter(r => r !== undefined));
+            };
+
+            const fail = (message) => {
+                if (job.failed) return;
+                job.failed = true;
+                this.cancel();
+                this._job = null;
+                for (const w of this.workers) w.busy = false;
+                reject(new Error(`WorkerPool: ${message}`));
+            };
+
+            const dispatch = (slot) => {
+                if (job.cancelled || queue.length === 0) {
+                    slot.busy = false;
+                    settle();
+                    return;
+                }
+                slot.busy = true;
+                slot.worker.postMessage({ type: 'batch', ...queue.shift() });
+            };
+
+            for (const slot of this.workers) {
+                slot.worker.onmessage = (e) => {
+                    if (job.failed) return;
+                    const msg = e.data;
+                    if (msg.type === 'progress') {
+                        advance(msg.batchId, msg.completed);
+                    } else if (msg.type === 'done') {
+                        msg.results.forEach((r, i) => { results[msg.startIndex + i] = r; });
+                        while (job.delivered < total && results[job.delivered] !== undefined) {
+                            onResult(results[job.delivered], job.delivered);
+                            job.delivered++;
+                        }
+                        advance(msg.batchId, msg.results.length);
+                        dispatch(slot);
+                    } else if (msg.type === 'error') {
+                        fail(msg.message);
+                    }
+                };
+                slot.worker.onerror = (e) => fail(e.message ?? 'worker error');
+                slot.worker.postMessage({ type: 'init', ngcJSON, config });
+            }
+            for (const slot of this.workers) dispatch(slot);
         });
     }
 
     /**
-     * Fallback for when workers aren't available.
-     * @private
+     * Cancel the running job. Workers stop after their current chunk and the
+     * pending promise resolves with the iterations completed so far.
      */
-    _fallbackSequential(totalIterations, seed) {
-        const results = [];
-        let state = seed;
-        for (let i = 0; i < totalIterations; i++) {
-            state = (state * 1664525 + 1013904223) & 0xFFFFFFFF;
-            const rng = (state >>> 0) / 4294967296;
-            results.push({
-                priceVariation: (rng - 0.5) * 0.2,
-                demandVariation: (rng - 0.5) * 0.3,
-                costVariation: (rng - 0.5) * 0.1,
-                qualityVariation: (rng - 0.5) * 0.15,
-                seed: (rng * 2147483647) | 0,
-            });
+    cancel() {
+        if (!this._job) return;
+        this._job.cancelled = true;
+        for (const { worker, busy } of this.workers) {
+            if (busy) worker.postMessage({ type: 'cancel' });
         }
-        return Promise.resolve(results);
     }
 
     /**
@@ -157,7 +169,8 @@ export class WorkerPool {
             supported: this.isSupported,
             maxWorkers: this.maxWorkers,
             activeWorkers: this.workers.length,
-            hardwareConcurrency: navigator?.hardwareConcurrency || 'unknown',
+            busyWorkers: this.workers.filter(w => w.busy).length,
+            hardwareConcurrency: typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 'unknown',
         };
     }
 
@@ -169,5 +182,6 @@ export class WorkerPool {
             worker.terminate();
         }
         this.workers = [];
+        this._job = null;
     }
 }
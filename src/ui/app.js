@@ -9,14 +9,22 @@ import { SimulationView } from './views/simulation.js';
 import { ResultsView } from './views/results.js';
 import { VerticalPacksView } from './views/vertical-packs.js';
 import { ScenariosView } from './views/scenarios.js';
-import { saveRun } from '../data/storage.js';
+import { saveRun, saveBacktest, saveRLPolicies } from '../data/storage.js';
 import { NGC, CompetitorProfile, ExpertBelief } from '../engine/ngc.js';
 import { MonteCarloEngine } from '../engine/montecarlo.js';
 import { RiskEngine } from '../engine/risk.js';
 import { Optimizer } from '../engine/optimizer.js';
 import { applyVerticalPack } from '../engine/verticals.js';
-import { TriangularDistribution, UniformDistribution, NormalDistribution, TruncatedNormalDistribution, BetaDistribution } from '../engine/distributions.js';
+import { runSobolAnalysis, SENSITIVITY_PARAMS } from '../engine/sensitivity.js';
+import { discoverScenarios, describeScenarioInputs, DISCOVERY_OUTCOMES } from '../engine/scenario-discovery.js';
+import { parseActuals, calibrateFromActuals } from '../engine/calibration.js';
+import { runBacktest } from '../engine/backtest.js';
+import { runStressTests } from '../engine/stress-test.js';
+import { estimatePricingEquilibrium } from '../engine/pricing-game.js';
+import { trainCompetitorPolicies, policyAgentConfig } from '../engine/rl-training.js';
+import { TriangularDistribution, UniformDistribution, NormalDistribution, TruncatedNormalDistribution, BetaDistribution, distributionFromJSON } from '../engine/distributions.js';
 import { ECOSENSE_SCENARIO } from '../data/ecosense-scenario.js';
+import { createConvergenceStream } from './convergence-animation.js';
 import { toastSuccess, toastError, toastInfo } from './toast.js';
 
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -32,15 +40,23 @@ function createDefaultState() {
             qualityIndex: 0.7,
             channels: ['online', 'marketplace'],
             allowRepeat: false,
+            repeatCycleWeeks: 8,
             subscriptionPrice: 0,
             subscriptionCost: 0,
             vertical: 'electronics',
+            repricing: null,
+            marketingMix: null,
         },
         simulation: {
             initialInventory: 45000,
             iterations: 500,
             timeHorizonWeeks: 26,
             seed: 42,
+            replenishment: null,
+            shocks: [],
+            precision: null,
+            sampling: 'random',
+            competitorDynamics: null,
         },
         population: {
             totalCustomers: 5000,
@@ -48,7 +64,13 @@ function createDefaultState() {
         competitors: [],
         riskEvents: [],
         macroAssumptions: {},
+        /** Uncertain company parameters (JSON distributions), e.g. calibrated posteriors */
+        companyAssumptions: {},
         simulationResults: null,
+        /** Last calibration against actual weekly sales (DS-007) */
+        calibration: null,
+        /** Active set of self-play trained RL policies (AI-002): { id, name, policies } */
+        rlPolicies: null,
 
         loadEcoSense() {
             const eco = ECOSENSE_SCENARIO;
@@ -63,6 +85,7 @@ function createDefaultState() {
                 })),
             }));
             this.riskEvents = eco.riskEvents;
+            this.companyAssumptions = {};
             this.macroAssumptions = {};
             // Convert distributions to JSON for macro
             for (const [key, dist] of Object.entries(eco.macroAssumptions)) {
@@ -85,13 +108,24 @@ export class App {
         this.sidebar = new Sidebar((view) => this.navigate(view));
         this.views = {
             'offer-config': new OfferConfigView(this.state),
-            'market-config': new MarketConfigView(this.state),
+            'market-config': new MarketConfigView(this.state, (csvText) => this.runCalibration(csvText),
+                (options) => this.trainRLCompetitors(options)),
             'simulation': new SimulationView(this.state, () => this.runSimulation()),
-            'results': new ResultsView(this.state),
+            'results': new ResultsView(this.state, {
+                onOptimizeInventory: () => this.optimizeInventory(),
+                onOptimizeLaunchPlan: () => this.optimizeLaunchPlan(),
+                onApplyLaunchPlan: (plan) => this.applyLaunchPlan(plan),
+                onRunStressTests: () => this.runStressTests(),
+                onRunSensitivity: (params) => this.runSensitivity(params),
+                onRunPricingEquilibrium: () => this.runPricingEquilibrium(),
+            }),
             'vertical-packs': new VerticalPacksView(this.state),
-            'scenarios': new ScenariosView(this.state, (scenario) => this.loadScenarioFromDB(scenario)),
+            'scenarios': new ScenariosView(this.state, (scenario) => this.loadScenarioFromDB(scenario),
+                (scenario, csvText, options) => this.runBacktest(scenario, csvText, options)),
         };
         this.activeScenarioId = null;  // SCOUT-004: track current scenario
+        /** Config of the last completed run, reused by the launch plan search */
+        this.lastMcConfig = null;
 
         // DOM refs
         this.sidebarEl = document.getElementById('sidebar');
@@ -146,19 +180,29 @@ export class App {
     }
 
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    //  Run Monte Carlo Simulation
+    //  Monte Carlo Config from State
     // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-    async runSimulation() {
-        // Build NGC from state
+    buildMcConfig(source = this.state) {
+        // Build NGC from state (or a saved scenario config of the same shape)
         const ngc = new NGC();
+        // Distribution objects, or their JSON (calibrated posteriors are truncated normals)
+        const toDistribution = (d) => (d.sample ? d : distributionFromJSON({ type: d.type, params: d.params || d }));
 
         // Company data
-        ngc.setCompanyParam('basePrice', this.state.offer.basePrice);
-        ngc.setCompanyParam('cogs', this.state.offer.cogs);
-        ngc.setCompanyParam('marketingBudget', this.state.offer.marketingBudget);
+        ngc.setCompanyParam('basePrice', source.offer.basePrice);
+        ngc.setCompanyParam('cogs', source.offer.cogs);
+        ngc.setCompanyParam('marketingBudget', source.offer.marketingBudget);
+        for (const [key, dist] of Object.entries(source.companyAssumptions ?? {})) {
+            ngc.setCompanyUncertain(key, toDistribution(dist));
+        }
+
+        // Macro assumptions
+        for (const [key, dist] of Object.entries(source.macroAssumptions ?? {})) {
+            ngc.setMacroUncertain(key, toDistribution(dist));
+        }
 
         // Add competitors
-        for (const c of this.state.competitors) {
+        for (const c of source.competitors) {
             const profile = new CompetitorProfile({
                 id: c.id,
                 name: c.name,
@@ -166,6 +210,7 @@ export class App {
                 aggressiveness: c.aggressiveness,
                 financialHealth: c.financialHealth,
                 marketShare: c.marketShare,
+                qualityIndex: c.qualityIndex ?? 0.6,
                 beliefs: (c.beliefs || []).map(b => {
                     let dist;
                     if (b.distribution && b.distribution.type) {
@@ -194,32 +239,18 @@ export class App {
                 constraints: c.constraints || {},
             });
 
-            if (c.cogsDistribution) {
-                if (c.cogsDistribution.sample) {
-                    profile.cogsDistribution = c.cogsDistribution;
-                } else if (c.cogsDistribution.type) {
-                    const p = c.cogsDistribution.params || c.cogsDistribution;
-                    if (c.cogsDistribution.type === 'triangular') {
-                        profile.cogsDistribution = new TriangularDistribution(p.lo, p.mode, p.hi);
-                    } else if (c.cogsDistribution.type === 'uniform') {
-                        profile.cogsDistribution = new UniformDistribution(p.lo, p.hi);
-                    }
-                }
+            if (c.cogsDistribution?.sample || c.cogsDistribution?.type) {
+                profile.cogsDistribution = toDistribution(c.cogsDistribution);
             }
-            if (c.marketingBudgetDistribution) {
-                if (c.marketingBudgetDistribution.sample) {
-                    profile.marketingBudgetDistribution = c.marketingBudgetDistribution;
-                } else if (c.marketingBudgetDistribution.type) {
-                    const p = c.marketingBudgetDistribution.params || c.marketingBudgetDistribution;
-                    profile.marketingBudgetDistribution = new UniformDistribution(p.lo, p.hi);
-                }
+            if (c.marketingBudgetDistribution?.sample || c.marketingBudgetDistribution?.type) {
+                profile.marketingBudgetDistribution = toDistribution(c.marketingBudgetDistribution);
             }
 
             ngc.addCompetitor(profile);
         }
 
         // Risk events
-        for (const re of (this.state.riskEvents || [])) {
+        for (const re of (source.riskEvents || [])) {
             ngc.addRiskEvent({
                 id: re.id,
                 description: re.description,
@@ -230,26 +261,57 @@ export class App {
         }
 
         // Population config with vertical adjustments
-        const popConfig = applyVerticalPack(this.state.offer.vertical, {
-            totalCustomers: this.state.population?.totalCustomers ?? 5000,
+        const popConfig = applyVerticalPack(source.offer.vertical, {
+            totalCustomers: source.population?.totalCustomers ?? 5000,
         });
+        // Segments calibrated against actual sales replace the vertical's
+        if (source.population?.segments) popConfig.segments = source.population.segments;
+
+        return {
+            ngc,
+            offerConfig: source.offer,
+            populationConfig: popConfig,
+            initialInventory: source.simulation.initialInventory ?? 45000,
+            iterations: source.simulation.iterations ?? 500,
+            timeHorizonWeeks: source.simulation.timeHorizonWeeks ?? 26,
+            seed: source.simulation.seed ?? 42,
+            replenishment: source.simulation.replenishment ?? null,
+            shocks: source.simulation.shocks ?? [],
+            precision: source.simulation.precision ?? null,
+            sampling: source.simulation.sampling ?? 'random',
+            competitorDynamics: source.simulation.competitorDynamics ?? null,
+            // Trained RL competitors play their frozen policies (AI-002)
+            competitorAgentConfig: policyAgentConfig(source.rlPolicies?.policies ?? null, ngc),
+        };
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Run Monte Carlo Simulation
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async runSimulation() {
+        const mcConfig = this.buildMcConfig();
+        const { ngc } = mcConfig;
 
         // Show simulation overlay
         this.showSimOverlay();
         const startTime = Date.now();
 
         try {
-            const mcResults = await this.mcEngine.run({
-                ngc,
-                offerConfig: this.state.offer,
-                populationConfig: popConfig,
-                initialInventory: this.state.simulation.initialInventory ?? 45000,
-                iterations: this.state.simulation.iterations ?? 500,
-                timeHorizonWeeks: this.state.simulation.timeHorizonWeeks ?? 26,
-                seed: this.state.simulation.seed ?? 42,
-            }, (progress) => {
+            // Adaptive stopping streams convergence snapshots to the overlay
+            const convergenceEl = document.getElementById('sim-convergence');
+            if (convergenceEl) convergenceEl.innerHTML = '';
+            const convergenceStream = mcConfig.precision
+                ? createConvergenceStream(convergenceEl, {
+                    kpi: 'netProfit',
+                    maxIterations: mcConfig.precision.maxIterations ?? mcConfig.iterations,
+                    label: 'Convergencia del beneficio neto',
+                    height: 160,
+                })
+                : null;
+            const mcResults = await this.mcEngine.runParallel(mcConfig, (progress) => {
                 this.updateSimProgress(progress, startTime);
-            });
+            }, convergenceStream?.push);
+            convergenceStream?.stop();
 
             if (!mcResults) {
                 this.hideSimOverlay();
@@ -267,7 +329,13 @@ export class App {
                 mcResults, this.state.offer.cogs, this.state.simulation.initialInventory ?? 45000
             );
 
+            // Scenario discovery: input regions that lead to losses or excess stock
+            const inputLabels = describeScenarioInputs(ngc);
+            const scenarioDiscovery = DISCOVERY_OUTCOMES.map(outcome =>
+                discoverScenarios(mcResults.rawResults, { outcome, labels: inputLabels }));
+
             // Store results
+            this.lastMcConfig = mcConfig;
             this.state.simulationResults = {
                 monteCarlo: mcResults,
                 inventoryRisk,
@@ -275,6 +343,7 @@ export class App {
                 safeStock,
                 contingencyPlans,
                 inventoryKPIs,
+                scenarioDiscovery,
                 config: { ...this.state.simulation },
                 timestamp: new Date().toISOString(),
             };
@@ -305,6 +374,335 @@ export class App {
         }
     }
 
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Simulation-Based Stock Search
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async optimizeInventory() {
+        if (!this.lastMcConfig || !this.state.simulationResults) return;
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        try {
+            // Common random numbers across stock levels; the last run is the demand pilot
+            const inventoryOptimization = await Optimizer.optimizeInventory(this.lastMcConfig, {
+                pilotResults: this.state.simulationResults.monteCarlo,
+                iterations: Math.min(50, this.lastMcConfig.iterations),
+                gridSize: 8,
+                // Cancelling stops the current stock level and ends the search
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config)),
+                onProgress: ({ evaluated, total, stock }) => {
+                    this.updateSimProgress({ pct: Math.min(100, evaluated / total * 100), iteration: evaluated }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Optimizando stock: ${stock.toLocaleString('es-ES')} uds`;
+                },
+            });
+            this.state.simulationResults.inventoryOptimization = inventoryOptimization;
+            if (inventoryOptimization) {
+                toastSuccess(`Stock de máximo beneficio: ${inventoryOptimization.profitMaximizing.stock.toLocaleString('es-ES')} uds`);
+            }
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                toastInfo('Optimización de stock cancelada');
+            } else {
+                console.error('Inventory optimization error:', err);
+                toastError(`Error en la optimización de stock: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Multi-Objective Launch Plan (AI-007)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async optimizeLaunchPlan() {
+        if (!this.lastMcConfig || !this.state.simulationResults) return;
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        const generations = 6;
+        this.mcEngine.cancelled = false;
+        try {
+            const launchPlan = await Optimizer.optimizeLaunchPlan(this.lastMcConfig, {
+                iterations: Math.min(50, this.lastMcConfig.iterations),
+                generations,
+                // Cancelling stops the current candidate and ends the search
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config)),
+                onProgress: ({ evaluated, total, generation }) => {
+                    this.updateSimProgress({ pct: Math.min(100, evaluated / total * 100), iteration: evaluated }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Optimizando plan de lanzamiento: generación ${generation}/${generations} · ${evaluated} planes evaluados`;
+                },
+            });
+            this.state.simulationResults.launchPlan = launchPlan;
+            toastSuccess(`Frente de Pareto: ${launchPlan.front.length} planes no dominados de ${launchPlan.evaluated} evaluados`);
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                toastInfo('Optimización del plan de lanzamiento cancelada');
+            } else {
+                console.error('Launch plan optimization error:', err);
+                toastError(`Error en la optimización: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Stress Tests (SIM-008)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async runStressTests() {
+        if (!this.lastMcConfig || !this.state.simulationResults) return;
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        try {
+            const stressReport = await runStressTests(this.lastMcConfig, {
+                iterations: Math.min(100, this.lastMcConfig.iterations),
+                // Cancelling stops the current run and ends the stress test
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config)),
+                onProgress: ({ completed, total, label }) => {
+                    this.updateSimProgress({ pct: Math.min(100, completed / total * 100), iteration: completed }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Pruebas de estrés: ${label}`;
+                },
+            });
+            this.state.simulationResults.stressReport = stressReport;
+            const reverse = stressReport.reverse;
+            toastSuccess(reverse?.found && !reverse.alreadyNegative
+                ? `Estrés: el beneficio P50 cae a pérdidas con severidad combinada ${reverse.severity.toFixed(2)}`
+                : `Estrés completado: peor escenario ${stressReport.worst.name}`);
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                toastInfo('Pruebas de estrés canceladas');
+            } else {
+                console.error('Stress test error:', err);
+                toastError(`Error en las pruebas de estrés: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Global Sensitivity (Sobol indices)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    /**
+     * @param {string[]} [params] - SENSITIVITY_PARAMS keys to vary alongside the NGC uncertainties (default: all)
+     */
+    async runSensitivity(params = SENSITIVITY_PARAMS.map(p => p.key)) {
+        if (!this.lastMcConfig || !this.state.simulationResults) return;
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        const statusEl = document.getElementById('sim-status-text');
+        if (statusEl) statusEl.textContent = 'Calculando índices de sensibilidad (Sobol)...';
+        try {
+            // Which uncertainties drive the outcome; evaluations are shared out across the workers
+            const sensitivity = await runSobolAnalysis(this.lastMcConfig, {
+                params,
+                samples: 32,
+                runner: (config, variants, onProgress) => (this.mcEngine.cancelled ? null : this.mcEngine.runVariants(config, variants, onProgress)),
+                onProgress: ({ completed, total }) => {
+                    this.updateSimProgress({ pct: Math.min(100, completed / total * 100), iteration: completed }, startTime);
+                },
+            });
+            if (sensitivity) {
+                this.state.simulationResults.sensitivity = sensitivity;
+                toastSuccess(`Sensibilidad: ${sensitivity.factors.length} factores analizados en ${sensitivity.runs} iteraciones`);
+            } else if (this.mcEngine.cancelled) {
+                toastInfo('Análisis de sensibilidad cancelado');
+            }
+        } catch (err) {
+            console.error('Sensitivity analysis error:', err);
+            toastError(`Error en el análisis de sensibilidad: ${err.message}`);
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Pricing Equilibrium (AI-005)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async runPricingEquilibrium() {
+        if (!this.lastMcConfig || !this.state.simulationResults) return;
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        try {
+            const pricingEquilibrium = await estimatePricingEquilibrium(this.lastMcConfig, {
+                // Cancelling stops the current run and ends the search
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config)),
+                onProgress: ({ completed, total, label }) => {
+                    this.updateSimProgress({ pct: Math.min(100, completed / total * 100), iteration: completed }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Equilibrio de precios: ${label}`;
+                },
+            });
+            this.state.simulationResults.pricingEquilibrium = pricingEquilibrium;
+            toastSuccess(`Equilibrio: precio esperado €${Math.round(pricingEquilibrium.expectedPrice)}, brecha frente al plan €${Math.round(pricingEquilibrium.profitGap)}`);
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                toastInfo('Cálculo de equilibrio cancelado');
+            } else {
+                console.error('Pricing equilibrium error:', err);
+                toastError(`Error en el equilibrio de precios: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    /** Copy a plan from the Pareto front into the offer and simulation settings. */
+    applyLaunchPlan(plan) {
+        this.state.offer.basePrice = plan.basePrice;
+        this.state.offer.marketingBudget = plan.marketingBudget;
+        this.state.offer.marketingMix = { ...plan.marketingMix };
+        this.state.offer.channels = [...plan.channels];
+        this.state.simulation.initialInventory = plan.initialInventory;
+        toastInfo(`Plan aplicado: €${plan.basePrice} · ${plan.initialInventory.toLocaleString('es-ES')} uds. Vuelve a simular para ver su detalle.`);
+
+        this.sidebar.activeView = 'offer-config';
+        this.sidebar.render(this.sidebarEl);
+        this.navigate('offer-config');
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Calibration from Actuals (DS-007)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async runCalibration(csvText) {
+        let actuals;
+        try {
+            actuals = parseActuals(csvText);
+        } catch (err) {
+            toastError(`CSV de ventas no válido: ${err.message}`);
+            return;
+        }
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        try {
+            const calibration = await calibrateFromActuals(this.buildMcConfig(), actuals, {
+                particles: 60,
+                rounds: 3,
+                // Cancelling stops the current particle and ends the calibration
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config)),
+                onProgress: ({ round, rounds, evaluated, total }) => {
+                    this.updateSimProgress({ pct: Math.min(100, evaluated / total * 100), iteration: evaluated }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Calibrando con ventas reales (ABC): ronda ${round}/${rounds} · ${evaluated} simulaciones`;
+                },
+            });
+
+            // Write the posteriors back into the scenario
+            for (const p of calibration.parameters) {
+                if (!p.distribution) continue;
+                const [head, ...rest] = p.key.split('.');
+                if (head === 'company') {
+                    this.state.companyAssumptions = { ...this.state.companyAssumptions, [rest.join('.')]: p.distribution };
+                } else if (head === 'macro') {
+                    this.state.macroAssumptions = { ...this.state.macroAssumptions, [rest.join('.')]: p.distribution };
+                } else if (head === 'competitor') {
+                    const comp = this.state.competitors.find(c => c.id === rest.slice(0, -1).join('.'));
+                    if (comp) comp[rest[rest.length - 1] === 'cogs' ? 'cogsDistribution' : 'marketingBudgetDistribution'] = p.distribution;
+                }
+            }
+            this.state.population = { ...this.state.population, segments: calibration.segments };
+            this.state.calibration = calibration;
+            toastSuccess(`Calibración completada: error de ajuste ${(calibration.fit.priorDistance * 100).toFixed(0)}% → ${(calibration.fit.posteriorDistance * 100).toFixed(0)}%`);
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                toastInfo('Calibración cancelada');
+            } else {
+                console.error('Calibration error:', err);
+                toastError(`Error en la calibración: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  RL Self-Play Training (AI-002)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async trainRLCompetitors({ episodes = 200, rewardPreset = 'aggressive', name } = {}) {
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        try {
+            const training = await trainCompetitorPolicies(this.buildMcConfig(), {
+                episodes,
+                rewardPreset,
+                isCancelled: () => this.mcEngine.cancelled,
+                onProgress: ({ completed, total, epsilon }) => {
+                    this.updateSimProgress({ pct: completed / total * 100, iteration: completed }, startTime);
+                    const statusEl = document.getElementById('sim-status-text');
+                    if (statusEl) statusEl.textContent = `Entrenamiento por auto-juego: episodio ${completed}/${total} · exploración ${(epsilon * 100).toFixed(0)}%`;
+                },
+            });
+            if (!training) {
+                toastInfo('Entrenamiento cancelado');
+            } else {
+                const setName = name || `Auto-juego ${new Date().toLocaleString('es-ES')}`;
+                const id = await saveRLPolicies(setName, training);
+                this.state.rlPolicies = { id, name: setName, policies: training.policies };
+                toastSuccess(`${Object.keys(training.policies).length} política(s) RL entrenadas en ${episodes} episodios y activadas`);
+            }
+        } catch (err) {
+            console.error('RL training error:', err);
+            toastError(`Error en el entrenamiento RL: ${err.message}`);
+        }
+        this.hideSimOverlay();
+        this.renderView();
+    }
+
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    //  Backtest a Saved Scenario (DS-007)
+    // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+    async runBacktest(scenario, csvText, options = {}) {
+        let actuals;
+        try {
+            actuals = parseActuals(csvText);
+        } catch (err) {
+            toastError(`CSV de ventas no válido: ${err.message}`);
+            return null;
+        }
+
+        this.showSimOverlay();
+        const startTime = Date.now();
+        this.mcEngine.cancelled = false;
+        const statusEl = document.getElementById('sim-status-text');
+        if (statusEl) statusEl.textContent = `Backtest de "${scenario.name}" contra ${actuals.weeks.length} semanas reales`;
+        let backtest = null;
+        try {
+            backtest = await runBacktest(this.buildMcConfig(scenario.config), actuals, {
+                replayPrices: options.replayPrices ?? true,
+                runner: (config) => (this.mcEngine.cancelled ? null : this.mcEngine.runParallel(config, (progress) => this.updateSimProgress(progress, startTime))),
+            });
+            // A run cancelled midway resolves with partial results: neither saved nor reported
+            if (this.mcEngine.cancelled) throw new Error('Backtest cancelled');
+            await saveBacktest(scenario.id, backtest, { scenarioName: scenario.name, actuals });
+            const sales = backtest.series.unitsSold;
+            const widest = sales.coverage[sales.coverage.length - 1];
+            toastSuccess(`Backtest guardado: cobertura ${Math.round(widest.level * 100)}% = ${(widest.rate * 100).toFixed(0)}%, MAPE ${sales.mape?.toFixed(1) ?? '—'}%`);
+        } catch (err) {
+            if (this.mcEngine.cancelled) {
+                backtest = null;
+                toastInfo('Backtest cancelado');
+            } else {
+                console.error('Backtest error:', err);
+                toastError(`Error en el backtest: ${err.message}`);
+            }
+        }
+        this.hideSimOverlay();
+        return backtest;
+    }
+
     showSimOverlay() {
         this.simOverlay?.classList.remove('hidden');
     }
@@ -322,15 +720,26 @@ export class App {
         this.state.population = { ...cfg.population };
         this.state.competitors = cfg.competitors || [];
         this.state.riskEvents = cfg.riskEvents || [];
+        this.state.companyAssumptions = cfg.companyAssumptions || {};
         this.state.macroAssumptions = cfg.macroAssumptions || {};
         this.state.simulationResults = null;
+        this.state.calibration = null;
+        this.lastMcConfig = null;
         this.activeScenarioId = scenario.id;
 
         // Re-create views with updated state
         this.views['offer-config'] = new OfferConfigView(this.state);
-        this.views['market-config'] = new MarketConfigView(this.state);
+        this.views['market-config'] = new MarketConfigView(this.state, (csvText) => this.runCalibration(csvText),
+            (options) => this.trainRLCompetitors(options));
         this.views['simulation'] = new SimulationView(this.state, () => this.runSimulation());
-        this.views['results'] = new ResultsView(this.state);
+        this.views['results'] = new ResultsView(this.state, {
+            onOptimizeInventory: () => this.optimizeInventory(),
+            onOptimizeLaunchPlan: () => this.optimizeLaunchPlan(),
+            onApplyLaunchPlan: (plan) => this.applyLaunchPlan(plan),
+            onRunStressTests: () => this.runStressTests(),
+            onRunSensitivity: (params) => this.runSensitivity(params),
+            onRunPricingEquilibrium: () => this.runPricingEquilibrium(),
+        });
         this.sidebar.setHasResults(false);
 
         // Navigate to offer config
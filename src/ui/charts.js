@@ -124,6 +124,87 @@ export function renderSalesProjection(canvasId, weeklyAvg, mcResults) {
     });
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Fan Charts (weekly P5–P95 bands)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/** rgba() of a #rrggbb colour */
+function withAlpha(hex, alpha) {
+    const n = parseInt(hex.slice(1), 16);
+    return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+}
+
+/**
+ * Fan chart of one weekly metric: P5–P95 and P25–P75 bands around the median.
+ * @param {string} canvasId
+ * @param {object[]} weeklyBands - MC results `weeklyBands`
+ * @param {string} metric - weekly metric key, e.g. 'unitsSold'
+ * @param {{ title?: string, color?: string }} [options]
+ */
+export function renderFanChart(canvasId, weeklyBands, metric, { title = metric, color = COLORS.cyan } = {}) {
+    const weeks = weeklyBands.filter(w => w[metric]);
+    const series = (p) => weeks.map(w => w[metric][p]);
+    const band = (label, data, alpha) => ({
+        label,
+        data,
+        borderColor: 'transparent',
+        backgroundColor: withAlpha(color, alpha),
+        fill: '+1',
+        pointRadius: 0,
+    });
+
+    return createChart(canvasId, {
+        type: 'line',
+        data: {
+            labels: weeks.map(w => `S${w.week + 1}`),
+            datasets: [
+                band('P95', series('p95'), 0.12),
+                band('P75', series('p75'), 0.3),
+                band('P25', series('p25'), 0.12),
+                { label: 'P5', data: series('p5'), borderColor: 'transparent', pointRadius: 0 },
+                {
+                    label: 'P50 (mediana)',
+                    data: series('p50'),
+                    borderColor: color,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: false,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: false },
+                tooltip: { mode: 'index', intersect: false },
+            },
+            scales: {
+                y: {
+                    title: { display: true, text: title, color: '#5c6070' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: {
+                    title: { display: true, text: 'Semana', color: '#5c6070' },
+                    grid: { display: false },
+                },
+            },
+        },
+    });
+}
+
+export function renderSalesFan(canvasId, weeklyBands) {
+    return renderFanChart(canvasId, weeklyBands, 'unitsSold', { title: 'Unidades / semana', color: COLORS.cyan });
+}
+
+export function renderInventoryFan(canvasId, weeklyBands) {
+    return renderFanChart(canvasId, weeklyBands, 'inventory', { title: 'Inventario (uds.)', color: COLORS.violet });
+}
+
+export function renderRevenueFan(canvasId, weeklyBands) {
+    return renderFanChart(canvasId, weeklyBands, 'revenue', { title: 'Ingresos / semana (€)', color: COLORS.emerald });
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Distribution Histogram
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -285,6 +366,63 @@ export function renderCompetitorPrices(canvasId, weeklyAvg, competitorNames) {
     });
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Competitor Entry & Exit Timeline
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderCompetitorDynamics(canvasId, weeklyAvg) {
+    const labels = weeklyAvg.map(w => `S${w.week + 1}`);
+
+    return createChart(canvasId, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                {
+                    label: 'Entradas por simulación',
+                    data: weeklyAvg.map(w => w.competitorEntries ?? 0),
+                    backgroundColor: COLORS.emerald + '99',
+                    borderRadius: 4,
+                },
+                {
+                    label: 'Salidas por simulación',
+                    data: weeklyAvg.map(w => w.competitorExits ?? 0),
+                    backgroundColor: COLORS.rose + '99',
+                    borderRadius: 4,
+                },
+                {
+                    type: 'line',
+                    label: 'Competidores activos (media)',
+                    data: weeklyAvg.map(w => w.activeCompetitors ?? 0),
+                    borderColor: COLORS.violet,
+                    borderWidth: 2,
+                    yAxisID: 'y1',
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Eventos / Semana' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                y1: {
+                    position: 'right',
+                    beginAtZero: true,
+                    title: { display: true, text: 'Competidores' },
+                    grid: { display: false },
+                },
+                x: { grid: { display: false } },
+            },
+        },
+    });
+}
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 //  Risk Scatter (Margin vs Inventory)
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -419,6 +557,415 @@ export function renderStockScenarios(canvasId, scenarios) {
     });
 }
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Sobol Sensitivity Indices (tornado)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderSobolTornado(canvasId, tornado) {
+    const { bars } = tornado;
+
+    return createChart(canvasId, {
+        type: 'bar',
+        data: {
+            labels: bars.map(b => b.param),
+            datasets: [
+                {
+                    label: 'Efecto principal (S)',
+                    data: bars.map(b => b.first),
+                    backgroundColor: COLORS.cyan + 'cc',
+                    borderRadius: 4,
+                },
+                {
+                    label: 'Interacciones (ST − S)',
+                    data: bars.map(b => b.interaction),
+                    backgroundColor: COLORS.violet + '99',
+                    borderRadius: 4,
+                },
+            ],
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+                tooltip: {
+                    callbacks: {
+                        afterBody: (items) => {
+                            const b = bars[items[0].dataIndex];
+                            const ci = (c) => c?.[0] != null ? `[${c[0].toFixed(2)}, ${c[1].toFixed(2)}]` : '';
+                            return [`S = ${b.first.toFixed(2)} ${ci(b.firstCI)}`, `ST = ${b.total.toFixed(2)} ${ci(b.totalCI)}`];
+                        },
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    min: 0,
+                    title: { display: true, text: 'Fracción de la varianza' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                y: { stacked: true, grid: { display: false } },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Expected Profit vs Initial Stock
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderProfitCurve(canvasId, optimization) {
+    const { curve, profitMaximizing, cvarConstrained } = optimization;
+    const marker = (stock) => curve.map(p => p.stock === stock ? p.expectedProfit : null);
+
+    return createChart(canvasId, {
+        type: 'line',
+        data: {
+            labels: curve.map(p => formatNumber(p.stock)),
+            datasets: [
+                {
+                    label: 'Beneficio Esperado',
+                    data: curve.map(p => p.expectedProfit),
+                    borderColor: COLORS.cyan,
+                    borderWidth: 2,
+                    pointRadius: 2,
+                },
+                {
+                    label: 'CVaR Beneficio',
+                    data: curve.map(p => p.cvar),
+                    borderColor: COLORS.rose,
+                    borderDash: [4, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Máximo Beneficio',
+                    data: marker(profitMaximizing.stock),
+                    borderColor: COLORS.emerald,
+                    backgroundColor: COLORS.emerald,
+                    pointRadius: 6,
+                    showLine: false,
+                },
+                {
+                    label: 'Restricción CVaR',
+                    data: marker(cvarConstrained.stock),
+                    borderColor: COLORS.amber,
+                    backgroundColor: COLORS.amber,
+                    pointRadius: 6,
+                    pointStyle: 'rectRot',
+                    showLine: false,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+            },
+            scales: {
+                y: {
+                    title: { display: true, text: 'Beneficio (€)' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: {
+                    title: { display: true, text: 'Stock inicial (uds)' },
+                    grid: { display: false },
+                },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Launch Plan Pareto Front
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderParetoFront(canvasId, launchPlan, onSelect = () => { }) {
+    const { front, current } = launchPlan;
+    const unsold = front.map(p => p.unsoldPct);
+    const lo = Math.min(...unsold);
+    const hi = Math.max(...unsold);
+    // Emerald (little unsold stock) → rose (much unsold stock)
+    const colorFor = (pct) => {
+        const t = hi > lo ? (pct - lo) / (hi - lo) : 0;
+        const mix = (a, b) => Math.round(a + (b - a) * t);
+        return `rgb(${mix(105, 255)}, ${mix(240, 83)}, ${mix(174, 112)})`;
+    };
+
+    return createChart(canvasId, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'Frente de Pareto',
+                    data: front.map(p => ({ x: p.cvarLoss, y: p.expectedProfit })),
+                    backgroundColor: front.map(p => colorFor(p.unsoldPct)),
+                    pointRadius: 6,
+                    pointHoverRadius: 9,
+                },
+                {
+                    label: 'Plan actual',
+                    data: [{ x: current.cvarLoss, y: current.expectedProfit }],
+                    backgroundColor: COLORS.amber,
+                    pointRadius: 8,
+                    pointStyle: 'rectRot',
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            onClick: (_, elements) => {
+                const hit = elements.find(el => el.datasetIndex === 0);
+                if (hit) onSelect(hit.index);
+            },
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+                tooltip: {
+                    callbacks: {
+                        label: (ctx) => {
+                            const p = ctx.datasetIndex === 0 ? front[ctx.dataIndex] : current;
+                            return [
+                                `Beneficio: €${formatNumber(p.expectedProfit)} | CVaR pérdida: €${formatNumber(p.cvarLoss)}`,
+                                `Sin vender: ${p.unsoldPct.toFixed(1)}% | Precio €${p.basePrice} · Stock ${formatNumber(p.initialInventory)}`,
+                            ];
+                        },
+                    },
+                },
+            },
+            scales: {
+                x: {
+                    title: { display: true, text: 'CVaR de la pérdida (€, menor es mejor)' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                y: {
+                    title: { display: true, text: 'Beneficio neto esperado (€)' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Calibration Fit (actual vs prior / posterior predictive)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderCalibrationFit(canvasId, fit) {
+    return createChart(canvasId, {
+        type: 'line',
+        data: {
+            labels: fit.weeks.map(w => `S${w}`),
+            datasets: [
+                {
+                    label: 'Posterior P90',
+                    data: fit.posterior.p90,
+                    borderColor: 'transparent',
+                    backgroundColor: COLORS.cyanDim,
+                    fill: '+1',
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Posterior P10',
+                    data: fit.posterior.p10,
+                    borderColor: 'transparent',
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Simulado antes (media)',
+                    data: fit.prior.mean,
+                    borderColor: COLORS.violet,
+                    borderDash: [4, 4],
+                    borderWidth: 1.5,
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Simulado después (media)',
+                    data: fit.posterior.mean,
+                    borderColor: COLORS.cyan,
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Ventas reales',
+                    data: fit.actual,
+                    borderColor: COLORS.amber,
+                    backgroundColor: COLORS.amber,
+                    pointRadius: 3,
+                    showLine: false,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { boxWidth: 12, filter: (item) => !item.text.startsWith('Posterior') },
+                },
+            },
+            scales: {
+                y: {
+                    title: { display: true, text: 'Unidades / semana' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: { grid: { display: false } },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Backtest (actuals vs forecast interval)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderBacktest(canvasId, series, yLabel = 'Unidades / semana') {
+    // Widest reported interval as the band
+    const li = series.perWeek[0].intervals.length - 1;
+    const level = series.perWeek[0].intervals[li].level;
+    return createChart(canvasId, {
+        type: 'line',
+        data: {
+            labels: series.perWeek.map(w => `S${w.week}`),
+            datasets: [
+                {
+                    label: 'Intervalo hi',
+                    data: series.perWeek.map(w => w.intervals[li].hi),
+                    borderColor: 'transparent',
+                    backgroundColor: COLORS.violetDim,
+                    fill: '+1',
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Intervalo lo',
+                    data: series.perWeek.map(w => w.intervals[li].lo),
+                    borderColor: 'transparent',
+                    pointRadius: 0,
+                },
+                {
+                    label: `Previsión (media, intervalo ${Math.round(level * 100)}%)`,
+                    data: series.perWeek.map(w => w.mean),
+                    borderColor: COLORS.violet,
+                    pointRadius: 0,
+                },
+                {
+                    label: 'Real',
+                    data: series.perWeek.map(w => w.actual),
+                    borderColor: COLORS.amber,
+                    // Actuals outside the band in rose
+                    pointBackgroundColor: series.perWeek.map(w => (w.intervals[li].hit ? COLORS.amber : COLORS.rose)),
+                    pointBorderColor: series.perWeek.map(w => (w.intervals[li].hit ? COLORS.amber : COLORS.rose)),
+                    pointRadius: 3,
+                    showLine: false,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: { boxWidth: 12, filter: (item) => !item.text.startsWith('Intervalo') },
+                },
+            },
+            scales: {
+                y: {
+                    title: { display: true, text: yLabel },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: { grid: { display: false } },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Channel Breakdown (Revenue vs Net Profit)
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderChannelBreakdown(canvasId, channels, labels = {}) {
+    const keys = Object.keys(channels);
+
+    return createChart(canvasId, {
+        type: 'bar',
+        data: {
+            labels: keys.map(k => labels[k] ?? k),
+            datasets: [
+                {
+                    label: 'Ingreso (media)',
+                    data: keys.map(k => channels[k].revenue.mean),
+                    backgroundColor: COLORS.cyan + '99',
+                    borderRadius: 4,
+                },
+                {
+                    label: 'Comisiones y Fees (media)',
+                    data: keys.map(k => channels[k].fees.mean),
+                    backgroundColor: COLORS.amber + '99',
+                    borderRadius: 4,
+                },
+                {
+                    label: 'Beneficio Neto (media)',
+                    data: keys.map(k => channels[k].netProfit.mean),
+                    backgroundColor: COLORS.emerald + '99',
+                    borderRadius: 4,
+                },
+            ],
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: '€' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: { grid: { display: false } },
+            },
+        },
+    });
+}
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+//  Brand Awareness by Marketing Channel
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+export function renderAwarenessCurves(canvasId, weeklyAvg, labels = {}) {
+    const keys = Object.keys(weeklyAvg[0]?.awareness ?? {});
+    const palette = [COLORS.cyan, COLORS.violet, COLORS.amber, COLORS.rose, COLORS.emerald];
+
+    return createChart(canvasId, {
+        type: 'line',
+        data: {
+            labels: weeklyAvg.map(w => `S${w.week + 1}`),
+            datasets: keys.map((k, i) => ({
+                label: labels[k] ?? k,
+                data: weeklyAvg.map(w => (w.awareness?.[k] ?? 0) * 100),
+                borderColor: palette[i % palette.length],
+                borderWidth: 2,
+                pointRadius: 0,
+            })),
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { display: true, position: 'top', labels: { boxWidth: 12 } },
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    title: { display: true, text: 'Awareness (%)' },
+                    grid: { color: 'rgba(255,255,255,0.04)' },
+                },
+                x: { grid: { display: false } },
+            },
+        },
+    });
+}
+
 // ---- Utility ----
 function formatNumber(n) {
     if (Math.abs(n) >= 1000000) return (n / 1000000).toFixed(1) + 'M';
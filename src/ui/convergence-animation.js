@@ -120,6 +120,106 @@ export function renderConvergenceAnimation(container, values, options = {}) {
     };
 }
 
+/**
+ * Live convergence chart fed with ConvergenceTracker snapshots while an
+ * adaptive Monte Carlo run is in progress (DS-002).
+ * @param {HTMLElement} container
+ * @param {object} [options]
+ * @param {string} [options.kpi='netProfit'] - KPI of the snapshots to plot
+ * @param {number} [options.maxIterations] - x-axis extent (defaults to the latest snapshot)
+ * @returns {{ push: (snapshot: object) => void, stop: () => void }}
+ */
+export function createConvergenceStream(container, options = {}) {
+    const noop = { push: () => { }, stop: () => { } };
+    if (!container) return noop;
+
+    const { width = 600, height = 200, kpi = 'netProfit', maxIterations = null, label = 'Convergencia MC' } = options;
+
+    container.innerHTML = '';
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.style.cssText = 'max-width:100%; border-radius:8px; background:#0a0a1a;';
+    container.appendChild(canvas);
+
+    const ctx = canvas.getContext('2d');
+    const margin = { top: 30, right: 20, bottom: 30, left: 60 };
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+
+    const data = [];
+    let animId = null;
+
+    function draw() {
+        animId = null;
+        if (data.length === 0) return;
+        const last = data[data.length - 1];
+        const xMax = Math.max(maxIterations ?? 0, last.n);
+        const yMin = Math.min(...data.map(d => d.lower));
+        const yMax = Math.max(...data.map(d => d.upper));
+        const yRange = yMax - yMin || 1;
+        const px = (n) => margin.left + (n / xMax) * plotW;
+        const py = (v) => margin.top + (1 - (v - yMin) / yRange) * plotH;
+
+        ctx.fillStyle = '#0a0a1a';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = '#e0e0ff';
+        ctx.font = '13px Inter, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, margin.left, 18);
+
+        // Precision reached vs target
+        ctx.textAlign = 'right';
+        ctx.fillStyle = last.converged ? '#10b981' : '#06b6d4';
+        const precisionText = Number.isFinite(last.relativePrecision)
+            ? `±${(last.relativePrecision * 100).toFixed(1)}%` : '±∞';
+        const targetText = last.target != null ? ` / objetivo ±${(last.target * 100).toFixed(1)}%` : '';
+        ctx.fillText(`n = ${last.n}  ${precisionText}${targetText}`, width - margin.right, 18);
+
+        drawGrid(ctx, margin, plotW, plotH, yMin, yMax);
+
+        // CI band
+        ctx.beginPath();
+        ctx.fillStyle = 'rgba(6, 182, 212, 0.1)';
+        data.forEach((d, i) => (i === 0 ? ctx.moveTo(px(d.n), py(d.upper)) : ctx.lineTo(px(d.n), py(d.upper))));
+        for (let i = data.length - 1; i >= 0; i--) ctx.lineTo(px(data[i].n), py(data[i].lower));
+        ctx.closePath();
+        ctx.fill();
+
+        // Mean line
+        ctx.beginPath();
+        ctx.strokeStyle = '#06b6d4';
+        ctx.lineWidth = 2;
+        data.forEach((d, i) => (i === 0 ? ctx.moveTo(px(d.n), py(d.mean)) : ctx.lineTo(px(d.n), py(d.mean))));
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(px(last.n), py(last.mean), 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#10b981';
+        ctx.fill();
+    }
+
+    return {
+        push(snapshot) {
+            const s = snapshot?.kpis?.[kpi];
+            if (!s) return;
+            data.push({
+                n: snapshot.iteration,
+                mean: s.mean,
+                upper: s.mean + s.halfWidth,
+                lower: s.mean - s.halfWidth,
+                relativePrecision: s.relativePrecision,
+                target: s.target,
+                converged: s.converged,
+            });
+            // Coalesce bursts of snapshots into one redraw per frame
+            if (animId == null) animId = requestAnimationFrame(draw);
+        },
+        stop: () => { if (animId) cancelAnimationFrame(animId); animId = null; },
+    };
+}
+
 function precomputeConvergence(values) {
     const data = [];
     let sum = 0;
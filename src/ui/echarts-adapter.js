@@ -69,6 +69,78 @@ export async function renderLineChart(container, data) {
     return chart;
 }
 
+/**
+ * Render a fan chart of one weekly metric: P5–P95 and P25–P75 bands stacked
+ * as areas under a P50 line.
+ * @param {HTMLElement} container
+ * @param {object[]} weeklyBands - MC results `weeklyBands`
+ * @param {string} metric - weekly metric key, e.g. 'unitsSold'
+ * @param {object} [options] - { name, color }
+ */
+export async function renderFanChart(container, weeklyBands, metric, options = {}) {
+    const { name = metric, color = '#06b6d4' } = options;
+    const chart = await createChart(container);
+    const weeks = weeklyBands.filter(w => w[metric]);
+    const pick = (p) => weeks.map(w => w[metric][p]);
+    const p5 = pick('p5');
+    // Stacked areas carry band widths on top of the P5 baseline
+    const widths = (upper, lower) => upper.map((v, i) => v - lower[i]);
+    const band = (label, data, opacity) => ({
+        name: label,
+        type: 'line',
+        stack: 'fan',
+        data,
+        symbol: 'none',
+        lineStyle: { opacity: 0 },
+        areaStyle: { color, opacity },
+    });
+
+    chart.setOption({
+        tooltip: {
+            trigger: 'axis',
+            formatter: (params) => {
+                const i = params[0].dataIndex;
+                const b = weeks[i][metric];
+                return `S${weeks[i].week + 1}<br/>P95 ${b.p95.toFixed(1)}<br/>P75 ${b.p75.toFixed(1)}<br/>`
+                    + `<b>P50 ${b.p50.toFixed(1)}</b><br/>P25 ${b.p25.toFixed(1)}<br/>P5 ${b.p5.toFixed(1)}`;
+            },
+        },
+        grid: { left: 60, right: 20, bottom: 30, top: 30 },
+        xAxis: { type: 'category', data: weeks.map(w => `S${w.week + 1}`), axisLine: { lineStyle: { color: '#2a2a4a' } } },
+        yAxis: { type: 'value', name, splitLine: { lineStyle: { color: '#1a1a2e' } } },
+        series: [
+            { ...band('P5', p5, 0), areaStyle: { opacity: 0 } },
+            band('P5–P25', widths(pick('p25'), p5), 0.15),
+            band('P25–P75', widths(pick('p75'), pick('p25')), 0.35),
+            band('P75–P95', widths(pick('p95'), pick('p75')), 0.15),
+            {
+                name: 'P50',
+                type: 'line',
+                data: pick('p50'),
+                symbol: 'none',
+                lineStyle: { color, width: 2 },
+            },
+        ],
+    });
+
+    return chart;
+}
+
+/** Fan chart of weekly units sold. */
+export async function renderSalesFan(container, weeklyBands) {
+    return renderFanChart(container, weeklyBands, 'unitsSold', { name: 'Unidades / semana', color: '#06b6d4' });
+}
+
+/** Fan chart of end-of-week inventory. */
+export async function renderInventoryFan(container, weeklyBands) {
+    return renderFanChart(container, weeklyBands, 'inventory', { name: 'Inventario', color: '#8b5cf6' });
+}
+
+/** Fan chart of weekly revenue. */
+export async function renderRevenueFan(container, weeklyBands) {
+    return renderFanChart(container, weeklyBands, 'revenue', { name: 'Ingresos (€)', color: '#10b981' });
+}
+
 /**
  * Render a radar chart for strategic positioning.
  * @param {HTMLElement} container
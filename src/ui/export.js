@@ -15,13 +15,15 @@
 export function exportWeeklyCSV(weeklyAvg, filename = 'prometheus_weekly.csv') {
     if (!weeklyAvg || weeklyAvg.length === 0) return;
 
-    const headers = ['Semana', 'Unidades Vendidas', 'Acumulado', 'Inventario', 'Ingresos', 'Conversión', 'Atractividad Comp.'];
+    const headers = ['Semana', 'Unidades Vendidas', 'Devoluciones', 'Acumulado', 'Inventario', 'Ingresos', 'Ingresos Netos', 'Conversión', 'Atractividad Comp.'];
     const rows = weeklyAvg.map(w => [
         w.week + 1,
         w.unitsSold.toFixed(0),
+        (w.unitsReturned ?? 0).toFixed(0),
         w.cumulativeSold.toFixed(0),
         w.inventory.toFixed(0),
         w.revenue.toFixed(2),
+        (w.netRevenue ?? w.revenue).toFixed(2),
         (w.avgConversion * 100).toFixed(2),
         w.competitorAttractiveness.toFixed(3),
     ]);
@@ -38,7 +40,7 @@ export function exportWeeklyCSV(weeklyAvg, filename = 'prometheus_weekly.csv') {
 export function exportKPIsCSV(mcResults, filename = 'prometheus_kpis.csv') {
     if (!mcResults) return;
 
-    const kpis = ['sales', 'revenue', 'grossProfit', 'netProfit', 'roi', 'margin',
+    const kpis = ['sales', 'netSales', 'revenue', 'netRevenue', 'grossProfit', 'netProfit', 'roi', 'margin',
         'inventoryRemaining', 'inventoryValue', 'unsoldPct'];
     const headers = ['KPI', 'Media', 'Mediana', 'P5', 'P95', 'StdDev', 'Min', 'Max'];
     const rows = kpis.map(k => {
@@ -1,13 +1,27 @@
 /**
  * Prometheus UI – Market Configuration / NGC Expert Interface
  */
+import { renderCalibrationFit } from '../charts.js';
+import { escapeHTML } from '../../utils/sanitize.js';
+import { listRLPolicies, loadRLPolicies, deleteRLPolicies } from '../../data/storage.js';
+import { REWARD_PRESETS } from '../../engine/reward.js';
+
 export class MarketConfigView {
-    constructor(state) {
+    /**
+     * @param {object} state
+     * @param {Function} [onCalibrate] – (csvText) => calibrate the scenario against actual weekly sales
+     * @param {Function} [onTrainRL] – ({ episodes, rewardPreset }) => train the RL competitors by self-play
+     */
+    constructor(state, onCalibrate = null, onTrainRL = null) {
         this.state = state;
+        this.onCalibrate = onCalibrate;
+        this.onTrainRL = onTrainRL;
     }
 
-    render(container) {
+    async render(container) {
         const competitors = this.state.competitors || [];
+        const calibration = this.state.calibration;
+        const policySets = this.onTrainRL ? await listRLPolicies() : [];
         container.innerHTML = `
       <div class="anim-fade-in-up">
         <div class="section-header">
@@ -81,15 +95,128 @@ export class MarketConfigView {
             </div>
           </div>
         </div>
+
+        <!-- Calibration from Actuals -->
+        ${this.onCalibrate ? `
+          <div class="glass-card glass-card--static" style="margin-top: var(--space-6);">
+            <h3 style="font-size: var(--text-base); font-weight: var(--weight-semibold); margin-bottom: var(--space-3); color: var(--accent-cyan);">
+              📈 Calibración con Ventas Reales
+            </h3>
+            <p style="font-size: var(--text-sm); color: var(--text-secondary); margin-bottom: var(--space-4);">
+              Sube un CSV con columnas <code>week</code> y <code>unitsSold</code> (o <code>semana</code> y <code>ventas</code>). Se ajustan por ABC las distribuciones de COGS y presupuesto de los competidores y la probabilidad de compra de los segmentos.
+            </p>
+            <div class="flex gap-4" style="align-items:center;">
+              <input id="calibration-file" type="file" accept=".csv,text/csv" style="font-size: var(--text-sm); color: var(--text-secondary);" />
+              <button id="btn-calibrate" class="btn btn--secondary btn--sm">Calibrar</button>
+            </div>
+            ${calibration ? this._renderCalibration(calibration) : ''}
+          </div>
+        ` : ''}
+
+        <!-- RL Self-Play Training -->
+        ${this.onTrainRL ? this._renderRLTraining(competitors, policySets) : ''}
       </div>
     `;
 
         this._bindEvents(container);
+        if (calibration) {
+            requestAnimationFrame(() => renderCalibrationFit('chart-calibration-fit', calibration.fit));
+        }
+    }
+
+    _renderCalibration(calibration) {
+        const fmt = (v) => Math.abs(v) >= 100 ? Math.round(v).toLocaleString('es-ES') : v.toFixed(3);
+        return `
+      <div class="grid grid--2" style="margin-top: var(--space-5);">
+        <div class="chart-container">
+          <div class="chart-container__header">
+            <div>
+              <div class="chart-container__title">Ventas Semanales: Real vs Simulado</div>
+              <div class="chart-container__subtitle">Error de ajuste ${(calibration.fit.priorDistance * 100).toFixed(0)}% antes → ${(calibration.fit.posteriorDistance * 100).toFixed(0)}% después (RMSE / media real)</div>
+            </div>
+          </div>
+          <div class="chart-canvas-wrap"><canvas id="chart-calibration-fit"></canvas></div>
+        </div>
+        <div class="table-wrap">
+          <table class="table">
+            <thead><tr><th>Parámetro</th><th>A priori (media)</th><th>A posteriori (P5 – P95)</th></tr></thead>
+            <tbody>
+              ${calibration.parameters.map(p => `
+                <tr>
+                  <td>${escapeHTML(p.label)}</td>
+                  <td style="font-family:var(--font-mono);">${fmt(p.prior.mean)}</td>
+                  <td style="font-family:var(--font-mono); color:var(--accent-cyan);">${fmt(p.posterior.mean)} <span style="color:var(--text-muted);">(${fmt(p.posterior.p5)} – ${fmt(p.posterior.p95)})</span></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <div style="font-size: var(--text-xs); color: var(--text-muted); margin-top: var(--space-3);">
+            ABC-PMC: ${calibration.settings.rounds} rondas × ${calibration.settings.particles} partículas · tolerancia final ${(calibration.rounds[calibration.rounds.length - 1].epsilon * 100).toFixed(0)}% · posteriores guardados en el escenario
+          </div>
+        </div>
+      </div>
+    `;
+    }
+
+    _renderRLTraining(competitors, policySets) {
+        const rlCount = competitors.filter(c => c.type === 'rl' || c.type === 'dqn').length;
+        const active = this.state.rlPolicies;
+        const fmt = (v) => Math.round(v).toLocaleString('es-ES');
+        return `
+      <div class="glass-card glass-card--static" style="margin-top: var(--space-6);">
+        <h3 style="font-size: var(--text-base); font-weight: var(--weight-semibold); margin-bottom: var(--space-3); color: var(--accent-rose);">
+          🤖 Entrenamiento RL por Auto-juego
+        </h3>
+        <p style="font-size: var(--text-sm); color: var(--text-secondary); margin-bottom: var(--space-4);">
+          Los competidores RL y DQN juegan muchos lanzamientos simulados contra tu oferta y aprenden de su experiencia (replay priorizado). Las políticas entrenadas se guardan y, activadas, compiten congeladas en la simulación Monte Carlo.
+        </p>
+        ${rlCount === 0 ? `
+          <div class="kpi-card__sub">Añade al menos un competidor de tipo RL Adversarial o DQN para entrenarlo.</div>
+        ` : `
+          <div class="flex gap-4" style="align-items:flex-end; flex-wrap:wrap;">
+            <div class="input-group">
+              <label class="input-group__label">Episodios</label>
+              <input id="rl-episodes" class="input" type="number" min="10" max="5000" step="10" value="200" />
+            </div>
+            <div class="input-group">
+              <label class="input-group__label">Recompensa</label>
+              <select id="rl-reward" class="select">
+                ${Object.keys(REWARD_PRESETS).map(k => `<option value="${k}" ${k === 'aggressive' ? 'selected' : ''}>${k}</option>`).join('')}
+              </select>
+            </div>
+            <button id="btn-train-rl" class="btn btn--secondary btn--sm">Entrenar ${rlCount} competidor(es) RL</button>
+          </div>
+        `}
+        ${policySets.length > 0 ? `
+          <div class="table-wrap" style="margin-top: var(--space-5);">
+            <table class="table">
+              <thead><tr><th>Políticas</th><th>Competidores</th><th>Episodios</th><th>Beneficio competidor (inicio → final)</th><th></th></tr></thead>
+              <tbody>
+                ${policySets.map(set => `
+                  <tr>
+                    <td>${active?.id === set.id ? '<span class="badge badge--emerald">Activa</span> ' : ''}${escapeHTML(set.name)}</td>
+                    <td>${(set.summary?.competitors ?? []).map(c => escapeHTML(c.name)).join(', ')}</td>
+                    <td style="font-family:var(--font-mono);">${set.settings?.episodes ?? '—'}</td>
+                    <td style="font-family:var(--font-mono);">${(set.summary?.competitors ?? []).map(c => `${fmt(c.earlyProfit)} → ${fmt(c.lateProfit)}`).join(' · ')}</td>
+                    <td style="white-space:nowrap;">
+                      ${active?.id === set.id
+                        ? '<button class="btn btn--ghost btn--sm btn-deactivate-rl">Desactivar</button>'
+                        : `<button class="btn btn--ghost btn--sm btn-activate-rl" data-id="${set.id}">Activar</button>`}
+                      <button class="btn btn--ghost btn--sm btn-delete-rl" data-id="${set.id}">✕</button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+      </div>
+    `;
     }
 
     _renderCompetitor(c, idx) {
-        const typeLabels = { rule_based: 'Basado en Reglas', ml: 'ML Predictivo', rl: 'RL Adversarial' };
-        const typeColors = { rule_based: 'amber', ml: 'violet', rl: 'rose' };
+        const typeLabels = { rule_based: 'Basado en Reglas', ml: 'ML Predictivo', rl: 'RL Adversarial', dqn: 'DQN (Red Neuronal)' };
+        const typeColors = { rule_based: 'amber', ml: 'violet', rl: 'rose', dqn: 'cyan' };
 
         return `
       <div class="glass-card glass-card--static competitor-card" data-idx="${idx}">
@@ -99,6 +226,7 @@ export class MarketConfigView {
             <div>
               <h4 style="font-size: var(--text-base); font-weight: var(--weight-bold); color: var(--text-primary);">${c.name}</h4>
               <span class="badge badge--${typeColors[c.type]}">${typeLabels[c.type]}</span>
+              ${(c.type === 'rl' || c.type === 'dqn') && this.state.rlPolicies?.policies?.[c.id] ? '<span class="badge badge--emerald">Entrenado</span>' : ''}
             </div>
           </div>
           <button class="btn btn--ghost btn--sm btn-remove-comp" data-idx="${idx}">✕ Eliminar</button>
@@ -115,6 +243,7 @@ export class MarketConfigView {
               <option value="rule_based" ${c.type === 'rule_based' ? 'selected' : ''}>Basado en Reglas</option>
               <option value="ml" ${c.type === 'ml' ? 'selected' : ''}>ML Predictivo</option>
               <option value="rl" ${c.type === 'rl' ? 'selected' : ''}>RL Adversarial</option>
+              <option value="dqn" ${c.type === 'dqn' ? 'selected' : ''}>DQN (Red Neuronal)</option>
             </select>
           </div>
           <div class="input-group">
@@ -131,6 +260,13 @@ export class MarketConfigView {
               <span style="font-family:var(--font-mono); font-size: var(--text-sm); color: var(--accent-cyan); min-width:36px;">${(c.marketShare * 100).toFixed(0)}%</span>
             </div>
           </div>
+          <div class="input-group">
+            <label class="input-group__label">Calidad Percibida</label>
+            <div style="display:flex; align-items:center; gap:var(--space-3);">
+              <input class="range-slider comp-quality" type="range" min="0" max="1" step="0.05" value="${c.qualityIndex ?? 0.6}" data-idx="${idx}" />
+              <span style="font-family:var(--font-mono); font-size: var(--text-sm); color: var(--accent-cyan); min-width:36px;">${c.qualityIndex ?? 0.6}</span>
+            </div>
+          </div>
           <div class="input-group">
             <label class="input-group__label">Salud Financiera</label>
             <div style="display:flex; align-items:center; gap:var(--space-3);">
@@ -163,6 +299,38 @@ export class MarketConfigView {
     }
 
     _bindEvents(container) {
+        // Calibrate against uploaded weekly actuals
+        container.querySelector('#btn-calibrate')?.addEventListener('click', async () => {
+            const file = container.querySelector('#calibration-file')?.files?.[0];
+            if (!file) return;
+            this.onCalibrate(await file.text());
+        });
+
+        // Self-play training and trained policy sets
+        container.querySelector('#btn-train-rl')?.addEventListener('click', () => {
+            const episodes = Math.max(10, parseInt(container.querySelector('#rl-episodes')?.value) || 200);
+            this.onTrainRL({ episodes, rewardPreset: container.querySelector('#rl-reward')?.value ?? 'aggressive' });
+        });
+        container.querySelectorAll('.btn-activate-rl').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const set = await loadRLPolicies(parseInt(btn.dataset.id));
+                if (set) this.state.rlPolicies = { id: set.id, name: set.name, policies: set.policies };
+                this.render(container);
+            });
+        });
+        container.querySelector('.btn-deactivate-rl')?.addEventListener('click', () => {
+            this.state.rlPolicies = null;
+            this.render(container);
+        });
+        container.querySelectorAll('.btn-delete-rl').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const id = parseInt(btn.dataset.id);
+                await deleteRLPolicies(id);
+                if (this.state.rlPolicies?.id === id) this.state.rlPolicies = null;
+                this.render(container);
+            });
+        });
+
         // Add competitor
         container.querySelector('#btn-add-competitor')?.addEventListener('click', () => {
             this.state.competitors.push({
@@ -172,6 +340,7 @@ export class MarketConfigView {
                 aggressiveness: 0.5,
                 financialHealth: 0.5,
                 marketShare: 0.1,
+                qualityIndex: 0.6,
                 constraints: { minMargin: 0.15, maxMarketingBudget: 200000, maxPriceReduction: 0.25, riskAversion: 0.5 },
                 beliefs: [],
             });
@@ -208,6 +377,7 @@ export class MarketConfigView {
 
         sliderBind('.comp-aggr', 'aggressiveness');
         sliderBind('.comp-share', 'marketShare', v => `${(v * 100).toFixed(0)}%`);
+        sliderBind('.comp-quality', 'qualityIndex');
         sliderBind('.comp-health', 'financialHealth');
         sliderBind('.comp-risk', 'constraints.riskAversion');
 
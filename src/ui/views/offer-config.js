@@ -2,6 +2,8 @@
  * Prometheus UI – Offer Configuration View
  */
 import { escapeHTML } from '../../utils/sanitize.js';
+import { SHOCK_TYPES } from '../../engine/market-shocks.js';
+import { recommendAllocation } from '../../engine/marketing-funnel.js';
 export class OfferConfigView {
   constructor(state) {
     this.state = state;
@@ -10,6 +12,13 @@ export class OfferConfigView {
   render(container) {
     const o = this.state.offer;
     const safeName = escapeHTML(o.name);
+    const shock = this.state.simulation?.shocks?.[0];
+    const precisionTarget = this.state.simulation?.precision?.targets?.netProfit ?? null;
+    const sampling = this.state.simulation?.sampling ?? 'random';
+    // A mix that matches no preset came from the launch plan optimizer
+    const mixStrategy = o.marketingMix == null
+      ? 'balanced'
+      : ['balanced', 'awareness', 'conversion'].find(k => JSON.stringify(o.marketingMix) === JSON.stringify(recommendAllocation(k))) ?? 'custom';
     container.innerHTML = `
       <div class="anim-fade-in-up">
         <div class="section-header">
@@ -77,6 +86,32 @@ export class OfferConfigView {
                   <span class="input-unit__suffix">€/m</span>
                 </div>
               </div>
+              <div class="input-group">
+                <label class="input-group__label">Ciclo de Recompra</label>
+                <div class="input-unit">
+                  <input id="offer-repeat-cycle" class="input" type="number" value="${o.allowRepeat ? (o.repeatCycleWeeks ?? 8) : 0}" min="0" step="1" />
+                  <span class="input-unit__suffix">sem</span>
+                </div>
+                <span class="input-group__hint">0 = compra única por cliente</span>
+              </div>
+              <div class="input-group" style="grid-column: 1 / -1;">
+                <label class="input-group__label">Política de Precio Semanal</label>
+                <select id="offer-repricing" class="select">
+                  <option value="fixed" ${!o.repricing || o.repricing.type === 'fixed' ? 'selected' : ''}>Precio fijo</option>
+                  <option value="rule_based" ${o.repricing?.type === 'rule_based' ? 'selected' : ''}>Dinámico por reglas (demanda, competencia, stock)</option>
+                  <option value="markdown" ${o.repricing?.type === 'markdown' ? 'selected' : ''}>Calendario de markdown del vertical</option>
+                  <option value="clearance" ${o.repricing?.type === 'clearance' ? 'selected' : ''}>Liquidación por exceso de inventario</option>
+                </select>
+                <span class="input-group__hint">Se aplica cada semana dentro de la simulación</span>
+              </div>
+              <div class="input-group">
+                <label class="input-group__label">Plazo de Devolución</label>
+                <div class="input-unit">
+                  <input id="offer-return-lag" class="input" type="number" value="${o.returnLagWeeks ?? ''}" min="1" max="12" step="1" placeholder="Según vertical" />
+                  <span class="input-unit__suffix">sem</span>
+                </div>
+                <span class="input-group__hint">Semanas entre la venta y la devolución; las unidades reacondicionadas vuelven al inventario</span>
+              </div>
             </div>
           </div>
 
@@ -93,6 +128,16 @@ export class OfferConfigView {
                 </div>
                 <span class="input-group__hint">Para el primer trimestre de lanzamiento</span>
               </div>
+              <div class="input-group">
+                <label class="input-group__label">Mix de Marketing</label>
+                <select id="offer-marketing-mix" class="select">
+                  <option value="balanced" ${mixStrategy === 'balanced' ? 'selected' : ''}>Equilibrado</option>
+                  <option value="awareness" ${mixStrategy === 'awareness' ? 'selected' : ''}>Awareness (redes e influencers)</option>
+                  <option value="conversion" ${mixStrategy === 'conversion' ? 'selected' : ''}>Conversión (SEM, retail, email)</option>
+                  ${mixStrategy === 'custom' ? '<option value="custom" selected>Optimizado (plan de lanzamiento)</option>' : ''}
+                </select>
+                <span class="input-group__hint">Reparto semanal del presupuesto entre canales de marketing</span>
+              </div>
               <div class="input-group">
                 <label class="input-group__label">Índice de Calidad (0-1)</label>
                 <div style="display:flex; align-items:center; gap:var(--space-3);">
@@ -135,6 +180,26 @@ export class OfferConfigView {
               </div>
               <span class="input-group__hint">Más iteraciones = mayor precisión (recomendado: 500-1000)</span>
             </div>
+            <div class="input-group">
+              <label class="input-group__label">Criterio de Parada</label>
+              <select id="offer-precision" class="select">
+                <option value="0" ${!precisionTarget ? 'selected' : ''}>Iteraciones fijas</option>
+                <option value="0.01" ${precisionTarget === 0.01 ? 'selected' : ''}>Beneficio neto ±1% (95% confianza)</option>
+                <option value="0.02" ${precisionTarget === 0.02 ? 'selected' : ''}>Beneficio neto ±2% (95% confianza)</option>
+                <option value="0.05" ${precisionTarget === 0.05 ? 'selected' : ''}>Beneficio neto ±5% (95% confianza)</option>
+              </select>
+              <span class="input-group__hint">Con precisión objetivo, las iteraciones anteriores actúan como máximo</span>
+            </div>
+            <div class="input-group">
+              <label class="input-group__label">Muestreo de Escenarios</label>
+              <select id="offer-sampling" class="select">
+                <option value="random" ${sampling === 'random' ? 'selected' : ''}>Pseudoaleatorio</option>
+                <option value="antithetic" ${sampling === 'antithetic' ? 'selected' : ''}>Variables antitéticas</option>
+                <option value="lhs" ${sampling === 'lhs' ? 'selected' : ''}>Hipercubo latino (LHS)</option>
+                <option value="sobol" ${sampling === 'sobol' ? 'selected' : ''}>Secuencia de Sobol (cuasi-aleatoria)</option>
+              </select>
+              <span class="input-group__hint">Reduce la varianza: menos iteraciones para la misma precisión</span>
+            </div>
             <div class="input-group">
               <label class="input-group__label">Horizonte Temporal (semanas)</label>
               <div class="input-unit">
@@ -149,6 +214,40 @@ export class OfferConfigView {
                 <span class="input-unit__suffix">agentes</span>
               </div>
             </div>
+            <div class="input-group" style="grid-column: 1 / -1;">
+              <label class="input-group__label">Reposición durante el Horizonte</label>
+              <select id="offer-replenishment" class="select">
+                <option value="none" ${!this.state.simulation?.replenishment ? 'selected' : ''}>Sin reposición (solo stock de lanzamiento)</option>
+                <option value="reorder_point" ${this.state.simulation?.replenishment?.policy === 'reorder_point' ? 'selected' : ''}>Punto de pedido (s, Q)</option>
+                <option value="periodic_review" ${this.state.simulation?.replenishment?.policy === 'periodic_review' ? 'selected' : ''}>Revisión periódica (cada 4 semanas)</option>
+              </select>
+              <span class="input-group__hint">Los pedidos llegan tras un lead time muestreado de la cadena de suministro</span>
+            </div>
+            <div class="input-group">
+              <label class="input-group__label">Shock de Mercado</label>
+              <select id="offer-shock" class="select">
+                <option value="none" ${!shock ? 'selected' : ''}>Sin shock</option>
+                ${Object.entries(SHOCK_TYPES).map(([key, t]) => `
+                  <option value="${key}" ${shock?.type === key ? 'selected' : ''}>${t.icon} ${t.name}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="input-group">
+              <label class="input-group__label">Semana de Inicio del Shock</label>
+              <div class="input-unit">
+                <input id="offer-shock-week" class="input" type="number" value="${(shock?.startWeek ?? 7) + 1}" min="1" max="104" step="1" />
+                <span class="input-unit__suffix">sem</span>
+              </div>
+              <span class="input-group__hint">Afecta a la demanda, la llegada de stock y el COGS</span>
+            </div>
+            <div class="input-group" style="grid-column: 1 / -1;">
+              <label class="input-group__label">Entrada y Salida de Competidores</label>
+              <select id="offer-competitor-dynamics" class="select">
+                <option value="off" ${!this.state.simulation?.competitorDynamics ? 'selected' : ''}>Mercado fijo (solo los competidores configurados)</option>
+                <option value="on" ${this.state.simulation?.competitorDynamics ? 'selected' : ''}>Nuevos entrantes y salidas durante el horizonte</option>
+              </select>
+              <span class="input-group__hint">Los márgenes atraen entrantes; los competidores con baja cuota o pérdidas salen y liberan a sus clientes</span>
+            </div>
           </div>
         </div>
       </div>
@@ -177,6 +276,16 @@ export class OfferConfigView {
     bind('offer-sub-price', 'subscriptionPrice');
     bind('offer-sub-cost', 'subscriptionCost');
     bind('offer-marketing', 'marketingBudget');
+    bind('offer-return-lag', 'returnLagWeeks', v => parseInt(v));
+
+    // Repeat purchase cycle (0 = single purchase)
+    const repeatInput = container.querySelector('#offer-repeat-cycle');
+    if (repeatInput) repeatInput.addEventListener('input', () => {
+      const weeks = parseInt(repeatInput.value);
+      if (isNaN(weeks)) return;
+      this.state.offer.allowRepeat = weeks > 0;
+      if (weeks > 0) this.state.offer.repeatCycleWeeks = weeks;
+    });
 
     // Quality slider
     const slider = container.querySelector('#offer-quality');
@@ -192,6 +301,19 @@ export class OfferConfigView {
       this.state.offer.vertical = verticalSel.value;
     });
 
+    // Marketing mix
+    const mixSel = container.querySelector('#offer-marketing-mix');
+    if (mixSel) mixSel.addEventListener('change', () => {
+      if (mixSel.value === 'custom') return;
+      this.state.offer.marketingMix = recommendAllocation(mixSel.value);
+    });
+
+    // Repricing policy
+    const repricingSel = container.querySelector('#offer-repricing');
+    if (repricingSel) repricingSel.addEventListener('change', () => {
+      this.state.offer.repricing = repricingSel.value === 'fixed' ? null : { type: repricingSel.value };
+    });
+
     // Channels
     container.querySelectorAll('.channel-check').forEach(ch => {
       ch.addEventListener('change', () => {
@@ -212,6 +334,43 @@ export class OfferConfigView {
     simBind('offer-iterations', 'iterations');
     simBind('offer-horizon', 'timeHorizonWeeks');
     simBind('offer-customers', 'totalCustomers');
+
+    // Market shock (fixed start week)
+    const shockSel = container.querySelector('#offer-shock');
+    const shockWeek = container.querySelector('#offer-shock-week');
+    const updateShock = () => {
+      const startWeek = Math.max(0, (parseInt(shockWeek?.value) || 1) - 1);
+      this.state.simulation.shocks = shockSel.value === 'none' ? [] : [{ type: shockSel.value, startWeek }];
+    };
+    if (shockSel) shockSel.addEventListener('change', updateShock);
+    if (shockWeek) shockWeek.addEventListener('input', () => { if (shockSel?.value !== 'none') updateShock(); });
+
+    // Adaptive stopping: target precision on mean net profit
+    const precisionSel = container.querySelector('#offer-precision');
+    if (precisionSel) precisionSel.addEventListener('change', () => {
+      const target = parseFloat(precisionSel.value);
+      this.state.simulation.precision = target > 0
+        ? { targets: { netProfit: target }, confidence: 0.95, minIterations: 100 }
+        : null;
+    });
+
+    // Variance reduction for the scenario draws
+    const samplingSel = container.querySelector('#offer-sampling');
+    if (samplingSel) samplingSel.addEventListener('change', () => {
+      this.state.simulation.sampling = samplingSel.value;
+    });
+
+    // Replenishment policy
+    const replenishmentSel = container.querySelector('#offer-replenishment');
+    if (replenishmentSel) replenishmentSel.addEventListener('change', () => {
+      this.state.simulation.replenishment = replenishmentSel.value === 'none' ? null : { policy: replenishmentSel.value };
+    });
+
+    // Competitor entry & exit during the run
+    const dynamicsSel = container.querySelector('#offer-competitor-dynamics');
+    if (dynamicsSel) dynamicsSel.addEventListener('change', () => {
+      this.state.simulation.competitorDynamics = dynamicsSel.value === 'on' ? true : null;
+    });
     if (container.querySelector('#offer-customers')) {
       container.querySelector('#offer-customers').addEventListener('input', (e) => {
         this.state.population.totalCustomers = parseInt(e.target.value) || 5000;
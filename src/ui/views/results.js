@@ -7,12 +7,37 @@ import {
     renderInventoryTimeline,
     renderRiskScatter,
     renderStockScenarios,
+    renderChannelBreakdown,
+    renderCompetitorPrices,
+    renderCompetitorDynamics,
+    renderAwarenessCurves,
+    renderProfitCurve,
+    renderSobolTornado,
+    renderParetoFront,
+    renderSalesFan,
+    renderInventoryFan,
+    renderRevenueFan,
     destroyAllCharts,
 } from '../charts.js';
+import { CHANNEL_FEES } from '../../engine/channels.js';
+import { MARKETING_CHANNELS } from '../../engine/marketing-funnel.js';
+import { generateTornadoData } from '../../engine/tornado.js';
+import { SENSITIVITY_PARAMS } from '../../engine/sensitivity.js';
+import { escapeHTML } from '../../utils/sanitize.js';
 
 export class ResultsView {
-    constructor(state) {
+    /**
+     * @param {object} state
+     * @param {{ onOptimizeInventory?: Function, onOptimizeLaunchPlan?: Function, onApplyLaunchPlan?: Function, onRunStressTests?: Function, onRunSensitivity?: Function, onRunPricingEquilibrium?: Function }} [actions]
+     */
+    constructor(state, actions = {}) {
         this.state = state;
+        this.onOptimizeInventory = actions.onOptimizeInventory ?? null;
+        this.onOptimizeLaunchPlan = actions.onOptimizeLaunchPlan ?? null;
+        this.onApplyLaunchPlan = actions.onApplyLaunchPlan ?? null;
+        this.onRunStressTests = actions.onRunStressTests ?? null;
+        this.onRunSensitivity = actions.onRunSensitivity ?? null;
+        this.onRunPricingEquilibrium = actions.onRunPricingEquilibrium ?? null;
     }
 
     render(container) {
@@ -36,11 +61,59 @@ export class ResultsView {
         const safeStock = r.safeStock;
         const kpis = r.inventoryKPIs;
         const contingency = r.contingencyPlans;
+        const stockOpt = r.inventoryOptimization;
+        const sobolTornado = r.sensitivity ? generateTornadoData(r.sensitivity, 'netProfit') : null;
+        const discoveries = (r.scenarioDiscovery ?? []).filter(d => d.cases > 0);
+        const launchPlan = r.launchPlan;
+        const stressReport = r.stressReport;
+        const pricingGame = r.pricingEquilibrium;
+        const gameMethodLabels = { support_enumeration: 'enumeración de soportes (equilibrio exacto)', fictitious_play: 'juego ficticio (equilibrio aproximado)' };
 
         const fmt = (n, d = 0) => n != null ? Number(n).toLocaleString('es-ES', { minimumFractionDigits: d, maximumFractionDigits: d }) : '—';
         const fmtPct = (n) => n != null ? `${n.toFixed(1)}%` : '—';
         const fmtCur = (n) => n != null ? `€${fmt(n)}` : '—';
 
+        // Adaptive stopping: iterations used and precision reached on net profit
+        const conv = mc.convergence;
+        const convProfit = conv?.precision?.netProfit;
+        const convergenceNote = conv
+            ? ` | Parada adaptativa: ${conv.converged ? 'convergió' : 'sin converger'} en ${fmt(conv.iterations)}/${fmt(conv.maxIterations)} iteraciones`
+              + (convProfit && Number.isFinite(convProfit.relativePrecision)
+                  ? `, beneficio neto ±${fmtPct(convProfit.relativePrecision * 100)} (${fmt(conv.confidence * 100)}% confianza)`
+                  : '')
+            : '';
+        // Variance reduction: effective sample size of the net profit mean
+        const samplingProfit = mc.sampling?.method !== 'random' ? mc.sampling?.kpis?.netProfit : null;
+        const samplingLabels = { antithetic: 'antitético', lhs: 'LHS', sobol: 'Sobol' };
+        const samplingNote = samplingProfit
+            ? ` | Muestreo ${samplingLabels[mc.sampling.method]}: tamaño efectivo ${fmt(samplingProfit.effectiveSampleSize)} (×${fmt(samplingProfit.varianceReduction, 2)} vs. aleatorio)`
+            : '';
+
+        const channels = mc.channels ?? {};
+        const channelKeys = Object.keys(channels);
+        const channelLabels = Object.fromEntries(channelKeys.map(k => [k, CHANNEL_FEES[k]?.label ?? k]));
+        const marketing = mc.marketing ?? {};
+        const marketingKeys = Object.keys(marketing);
+        const marketingLabels = Object.fromEntries(marketingKeys.map(k => [k, marketing[k].label]));
+        const describeMix = (mix) => Object.entries(mix)
+            .sort((a, b) => b[1] - a[1])
+            .map(([k, share]) => `${MARKETING_CHANNELS[k]?.label ?? k} ${fmtPct(share * 100)}`)
+            .join(' · ');
+        const competitorStats = mc.competitors ?? {};
+        const competitorIds = Object.keys(competitorStats);
+        const competitorNames = {
+            ...mc.competitorTurnover?.names,
+            ...Object.fromEntries((this.state.competitors ?? []).map(c => [c.id, c.name])),
+        };
+        const dynamics = mc.competitorTurnover;
+        const exitReasonLabels = {
+            participación_baja: 'Cuota baja',
+            desgaste_prolongado: 'Desgaste prolongado',
+            pérdidas_acumuladas: 'Pérdidas acumuladas',
+            decisión_estratégica: 'Decisión estratégica',
+        };
+        const entrantTypeLabels = { rule_based: 'Basado en Reglas', ml: 'ML Predictivo' };
+
         destroyAllCharts();
 
         container.innerHTML = `
@@ -48,7 +121,7 @@ export class ResultsView {
         <div class="section-header" style="margin-bottom: var(--space-6);">
           <div>
             <h1 class="section-header__title">📊 Dashboard de Resultados – Inventario Cero</h1>
-            <p class="section-header__subtitle">${fmt(mc.iterations)} simulaciones Monte Carlo ejecutadas | Horizonte: ${r.config?.timeHorizonWeeks ?? 26} semanas</p>
+            <p class="section-header__subtitle">${fmt(mc.iterations)} simulaciones Monte Carlo ejecutadas | Horizonte: ${r.config?.timeHorizonWeeks ?? 26} semanas${convergenceNote}${samplingNote}</p>
           </div>
           <div class="flex gap-3">
             <span class="badge badge--emerald">✓ Completado</span>
@@ -61,11 +134,13 @@ export class ResultsView {
             <div class="kpi-card__label">Ventas Proyectadas (P50)</div>
             <div class="kpi-card__value">${fmt(mc.sales.p50)}</div>
             <div class="kpi-card__sub">P10: ${fmt(mc.sales.p10)} · P90: ${fmt(mc.sales.p90)} uds</div>
+            <div class="kpi-card__sub">Netas de devoluciones (P50): ${fmt(mc.netSales?.p50)} uds</div>
           </div>
           <div class="kpi-card anim-fade-in-up">
             <div class="kpi-card__label">Ingreso Total (P50)</div>
             <div class="kpi-card__value">${fmtCur(mc.revenue.p50)}</div>
             <div class="kpi-card__sub">P10: ${fmtCur(mc.revenue.p10)} · P90: ${fmtCur(mc.revenue.p90)}</div>
+            <div class="kpi-card__sub">Neto de reembolsos (P50): ${fmtCur(mc.netRevenue?.p50)}</div>
           </div>
           <div class="kpi-card anim-fade-in-up">
             <div class="kpi-card__label">ROI Medio</div>
@@ -128,6 +203,26 @@ export class ResultsView {
           </div>
         </div>
 
+        ${mc.weeklyBands?.length ? `
+        <!-- ═══ FAN CHARTS (weekly percentile bands) ═══ -->
+        <div class="grid grid--3" style="margin-bottom: var(--space-8);">
+          ${[
+            ['chart-fan-sales', 'Ventas Semanales'],
+            ['chart-fan-inventory', 'Inventario'],
+            ['chart-fan-revenue', 'Ingresos Semanales'],
+        ].map(([id, title]) => `
+          <div class="chart-container">
+            <div class="chart-container__header">
+              <div>
+                <div class="chart-container__title">${title}</div>
+                <div class="chart-container__subtitle">Mediana con bandas P25–P75 y P5–P95</div>
+              </div>
+            </div>
+            <div class="chart-canvas-wrap"><canvas id="${id}"></canvas></div>
+          </div>`).join('')}
+        </div>
+        ` : ''}
+
         <!-- ═══ CHARTS ROW 2 ═══ -->
         <div class="grid grid--2" style="margin-bottom: var(--space-8);">
           <div class="chart-container">
@@ -150,6 +245,342 @@ export class ResultsView {
           </div>
         </div>
 
+        <!-- ═══ REPRICING ═══ -->
+        ${mc.pricing?.priceChanges.mean > 0 ? `
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Evolución del Precio</div>
+                  <div class="chart-container__subtitle">Precio medio semanal bajo la política de repricing</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-price-path"></canvas></div>
+            </div>
+            <div class="grid grid--1" style="gap: var(--space-4);">
+              <div class="kpi-card">
+                <div class="kpi-card__label">Precio Medio de Venta</div>
+                <div class="kpi-card__value">${fmtCur(mc.pricing.avgSellingPrice.mean)}</div>
+                <div class="kpi-card__sub">Precio final P50: ${fmtCur(mc.pricing.finalPrice.p50)}</div>
+              </div>
+              <div class="kpi-card">
+                <div class="kpi-card__label">Cambios de Precio (media)</div>
+                <div class="kpi-card__value">${fmt(mc.pricing.priceChanges.mean, 1)}</div>
+                <div class="kpi-card__sub">Máx: ${fmt(mc.pricing.priceChanges.max)} por simulación</div>
+              </div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ MARKET SHOCKS ═══ -->
+        ${mc.shocks?.probability > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">⚡ Impacto de Shocks de Mercado</h2>
+            <span class="badge badge--amber">P(shock): ${fmtPct(mc.shocks.probability * 100)}</span>
+          </div>
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="table-wrap">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th>Escenario</th>
+                    <th>Simulaciones</th>
+                    <th>Ventas (media)</th>
+                    <th>Beneficio Neto (P50)</th>
+                    <th>ROI (media)</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${[['Con shock', mc.shocks.withShock], ['Sin shock', mc.shocks.withoutShock]].filter(([, g]) => g).map(([label, g]) => `
+                    <tr>
+                      <td>${label}</td>
+                      <td>${fmt(g.iterations)}</td>
+                      <td>${fmt(g.sales.mean)}</td>
+                      <td>${fmtCur(g.netProfit.p50)}</td>
+                      <td>${fmtPct(g.roi.mean)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ PRICE WARS ═══ -->
+        ${mc.priceWars?.probability > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">🔥 Guerras de Precios entre Competidores</h2>
+            <span class="badge badge--rose">P(guerra): ${fmtPct(mc.priceWars.probability * 100)}</span>
+          </div>
+          <div class="grid grid--4" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card">
+              <div class="kpi-card__label">Semanas en Guerra</div>
+              <div class="kpi-card__value">${fmt(mc.priceWars.weeks.mean, 1)}</div>
+              <div class="kpi-card__sub">${fmt(mc.priceWars.episodes.mean, 2)} episodios por simulación (media)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Recorte Máximo</div>
+              <div class="kpi-card__value">${fmtPct((mc.priceWars.maxDepth?.p50 ?? 0) * 100)}</div>
+              <div class="kpi-card__sub">Bajo el precio base (P50 por episodio)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Beneficio con Guerra</div>
+              <div class="kpi-card__value">${mc.priceWars.netProfitWithWar ? fmtCur(mc.priceWars.netProfitWithWar.p50) : '—'}</div>
+              <div class="kpi-card__sub">Beneficio neto P50</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Beneficio sin Guerra</div>
+              <div class="kpi-card__value">${mc.priceWars.netProfitWithoutWar ? fmtCur(mc.priceWars.netProfitWithoutWar.p50) : '—'}</div>
+              <div class="kpi-card__sub">Beneficio neto P50</div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ COMPETITOR ENTRY & EXIT ═══ -->
+        ${dynamics ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">🏁 Entradas y Salidas de Competidores</h2>
+            <div class="flex gap-3">
+              <span class="badge badge--emerald">P(entrada): ${fmtPct(dynamics.entryProbability * 100)}</span>
+              <span class="badge badge--rose">P(salida): ${fmtPct(dynamics.exitProbability * 100)}</span>
+            </div>
+          </div>
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Dinámica Competitiva Semanal</div>
+                  <div class="chart-container__subtitle">Entradas y salidas medias por semana · competidores activos</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-competitor-dynamics"></canvas></div>
+            </div>
+            <div class="grid grid--1" style="gap: var(--space-4);">
+              <div class="kpi-card">
+                <div class="kpi-card__label">Nuevos Entrantes</div>
+                <div class="kpi-card__value">${fmt(dynamics.entries.mean, 2)}</div>
+                <div class="kpi-card__sub">Por simulación (media) · ${Object.entries(dynamics.entrantTypes).map(([t, n]) => `${entrantTypeLabels[t] ?? escapeHTML(t)}: ${fmt(n)}`).join(' · ') || 'ninguno'}</div>
+              </div>
+              <div class="kpi-card">
+                <div class="kpi-card__label">Salidas del Mercado</div>
+                <div class="kpi-card__value">${fmt(dynamics.exits.mean, 2)}</div>
+                <div class="kpi-card__sub">${Object.entries(dynamics.exitReasons).map(([r, n]) => `${exitReasonLabels[r] ?? escapeHTML(r)}: ${fmt(n)}`).join(' · ') || 'Ninguna salida'}</div>
+              </div>
+              <div class="kpi-card">
+                <div class="kpi-card__label">Clientes Liberados</div>
+                <div class="kpi-card__value">${fmt(dynamics.customersReleased.mean)}</div>
+                <div class="kpi-card__sub">Vuelven al mercado al salir su marca · activos al cierre (P50): ${fmt(dynamics.activeAtEnd.p50)}</div>
+              </div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ RETURNS ═══ -->
+        ${mc.returns?.unitsReturned.mean > 0 ? `
+          <div class="grid grid--4" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card">
+              <div class="kpi-card__label">Tasa de Devolución</div>
+              <div class="kpi-card__value">${fmtPct(mc.returns.returnRate.mean * 100)}</div>
+              <div class="kpi-card__sub">${fmt(mc.returns.unitsReturned.mean)} uds devueltas (media)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Reacondicionadas</div>
+              <div class="kpi-card__value">${fmt(mc.returns.unitsRefurbished.mean)}</div>
+              <div class="kpi-card__sub">Revendidas con descuento: ${fmtCur(mc.returns.refurbishedRevenue.mean)}</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Pérdidas por Devolución</div>
+              <div class="kpi-card__value">${fmtCur(mc.returns.writeOffValue.mean)}</div>
+              <div class="kpi-card__sub">${fmt(mc.returns.unitsWrittenOff.mean)} uds dadas de baja</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Logística Inversa</div>
+              <div class="kpi-card__value">${fmtCur(mc.returns.reverseLogisticsCost.mean)}</div>
+              <div class="kpi-card__sub">VaR 95% coste devoluciones: ${fmtCur(profitRisk?.returnCostVaR95)}</div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ REPLENISHMENT & STOCKOUTS ═══ -->
+        ${mc.replenishment && (mc.replenishment.ordersPlaced.mean > 0 || mc.replenishment.lostSales.mean > 0) ? `
+          <div class="grid grid--4" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card">
+              <div class="kpi-card__label">Pedidos de Reposición</div>
+              <div class="kpi-card__value">${fmt(mc.replenishment.ordersPlaced.mean, 1)}</div>
+              <div class="kpi-card__sub">${fmt(mc.replenishment.unitsReceived.mean)} uds recibidas (media)</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Fill Rate</div>
+              <div class="kpi-card__value">${fmt(mc.replenishment.fillRate.mean * 100, 1)}%</div>
+              <div class="kpi-card__sub">P5: ${fmt(mc.replenishment.fillRate.p5 * 100, 1)}%</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Ventas Perdidas</div>
+              <div class="kpi-card__value">${fmt(mc.replenishment.lostSales.mean)}</div>
+              <div class="kpi-card__sub">${fmtCur(mc.replenishment.lostRevenue.mean)} en ingresos · ${fmt(mc.defection?.recaptured.mean ?? 0)} recuperadas</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Semanas con Rotura</div>
+              <div class="kpi-card__value">${fmt(mc.replenishment.stockoutWeeks.mean, 1)}</div>
+              <div class="kpi-card__sub">P95: ${fmt(mc.replenishment.stockoutWeeks.p95)} semanas</div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ CUSTOMER VALUE (REPEAT & SUBSCRIPTIONS) ═══ -->
+        ${mc.ltv && (mc.ltv.repeatPurchases.mean > 0 || mc.ltv.subscriptionStarts.mean > 0) ? `
+          <div class="grid grid--4" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card">
+              <div class="kpi-card__label">LTV Realizado por Cliente</div>
+              <div class="kpi-card__value">${fmtCur(mc.ltv.realizedLTV.mean)}</div>
+              <div class="kpi-card__sub">${fmt(mc.ltv.customersAcquired.mean)} clientes · P10: ${fmtCur(mc.ltv.realizedLTV.p10)}</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Recompras</div>
+              <div class="kpi-card__value">${fmt(mc.ltv.repeatPurchases.mean)}</div>
+              <div class="kpi-card__sub">Unidades vendidas a clientes recurrentes</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Suscriptores Activos</div>
+              <div class="kpi-card__value">${fmt(mc.ltv.activeSubscribers.mean)}</div>
+              <div class="kpi-card__sub">${fmt(mc.ltv.subscriptionStarts.mean)} altas · ${fmt(mc.ltv.subscriptionCancels.mean)} bajas</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Ingresos por Suscripción</div>
+              <div class="kpi-card__value">${fmtCur(mc.ltv.subscriptionRevenue.mean)}</div>
+              <div class="kpi-card__sub">Retención a 12 semanas: ${mc.ltv.retentionCurve.length > 12 ? fmtPct(mc.ltv.retentionCurve[12] * 100) : '—'}</div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ CHANNEL BREAKDOWN ═══ -->
+        ${channelKeys.length > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">🛒 Rendimiento por Canal</h2>
+            <span class="badge badge--cyan">Fees medios: ${fmtCur(mc.channelFees?.mean)}</span>
+          </div>
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="glass-card glass-card--static">
+              <div class="table-wrap">
+                <table class="table">
+                  <thead>
+                    <tr>
+                      <th>Canal</th>
+                      <th>Unidades (media)</th>
+                      <th>Ingreso (media)</th>
+                      <th>Fees (media)</th>
+                      <th>Margen Neto</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${channelKeys.map(k => `
+                      <tr>
+                        <td>${channelLabels[k]}</td>
+                        <td style="font-family:var(--font-mono);">${fmt(channels[k].unitsSold.mean)}</td>
+                        <td style="font-family:var(--font-mono);">${fmtCur(channels[k].revenue.mean)}</td>
+                        <td style="font-family:var(--font-mono); color:var(--accent-amber);">${fmtCur(channels[k].fees.mean)}</td>
+                        <td style="font-family:var(--font-mono); color:${channels[k].netMarginPct > 0 ? 'var(--accent-emerald)' : 'var(--accent-rose)'};">${fmtPct(channels[k].netMarginPct)}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Ingreso, Fees y Beneficio por Canal</div>
+                  <div class="chart-container__subtitle">Comisiones, pago y envío descontados por venta</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-channel-breakdown"></canvas></div>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ MARKET SHARE ═══ -->
+        ${competitorIds.length > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">🥊 Cuota de Mercado Simulada</h2>
+            <span class="badge badge--cyan">Nuestra cuota: ${fmtPct((mc.marketShare?.mean ?? 0) * 100)}</span>
+          </div>
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="table-wrap">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th>Marca</th>
+                    <th>Unidades (media)</th>
+                    <th>Ingreso (media)</th>
+                    <th>Beneficio (media)</th>
+                    <th>Cuota</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Nuestra oferta</td>
+                    <td style="font-family:var(--font-mono);">${fmt(mc.sales.mean)}</td>
+                    <td style="font-family:var(--font-mono);">${fmtCur(mc.revenue.mean)}</td>
+                    <td style="font-family:var(--font-mono);">${fmtCur(mc.grossProfit.mean)}</td>
+                    <td style="font-family:var(--font-mono);">${fmtPct((mc.marketShare?.mean ?? 0) * 100)}</td>
+                  </tr>
+                  ${competitorIds.map(id => `
+                    <tr>
+                      <td>${competitorNames[id] ?? id}</td>
+                      <td style="font-family:var(--font-mono);">${fmt(competitorStats[id].unitsSold.mean)}</td>
+                      <td style="font-family:var(--font-mono);">${fmtCur(competitorStats[id].revenue.mean)}</td>
+                      <td style="font-family:var(--font-mono);">${fmtCur(competitorStats[id].profit.mean)}</td>
+                      <td style="font-family:var(--font-mono);">${fmtPct(competitorStats[id].marketShare * 100)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ` : ''}
+
+        <!-- ═══ MARKETING MIX ═══ -->
+        ${marketingKeys.length > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">📣 Awareness y CAC por Canal de Marketing</h2>
+          </div>
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="glass-card glass-card--static">
+              <div class="table-wrap">
+                <table class="table">
+                  <thead>
+                    <tr>
+                      <th>Canal</th>
+                      <th>Inversión (media)</th>
+                      <th>Adquisiciones (media)</th>
+                      <th>CAC</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    ${marketingKeys.map(k => `
+                      <tr>
+                        <td>${marketingLabels[k]}</td>
+                        <td style="font-family:var(--font-mono);">${fmtCur(marketing[k].spend.mean)}</td>
+                        <td style="font-family:var(--font-mono);">${fmt(marketing[k].acquisitions.mean, 1)}</td>
+                        <td style="font-family:var(--font-mono);">${Number.isFinite(marketing[k].cac) ? fmtCur(marketing[k].cac) : '—'}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Curvas de Awareness</div>
+                  <div class="chart-container__subtitle">Construcción y decaimiento semanal por canal</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-awareness"></canvas></div>
+            </div>
+          </div>
+        ` : ''}
+
         <!-- ═══ SAFE STOCK RECOMMENDATION ═══ -->
         <div class="section-header" style="margin-bottom: var(--space-4);">
           <h2 class="section-header__title" style="font-size: var(--text-lg);">📦 Recomendación de Stock Seguro</h2>
@@ -181,6 +612,303 @@ export class ResultsView {
           </div>
         ` : ''}
 
+        <!-- ═══ SIMULATION-BASED STOCK OPTIMIZATION ═══ -->
+        <div class="section-header" style="margin-bottom: var(--space-4);">
+          <h2 class="section-header__title" style="font-size: var(--text-lg);">📦 Stock Óptimo por Simulación</h2>
+          ${this.onOptimizeInventory ? `
+            <button id="btn-optimize-inventory" class="btn btn--secondary btn--sm">${stockOpt ? 'Volver a optimizar' : 'Optimizar stock'}</button>
+          ` : ''}
+        </div>
+        ${stockOpt ? `
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="glass-card glass-card--static">
+              <div class="grid grid--2">
+                <div>
+                  <div class="kpi-card__label">Stock de Máximo Beneficio</div>
+                  <div class="kpi-card__value" style="color:var(--accent-emerald);">${fmt(stockOpt.profitMaximizing.stock)}</div>
+                  <div class="kpi-card__sub">Beneficio esperado: ${fmtCur(stockOpt.profitMaximizing.expectedProfit)}</div>
+                  <div class="kpi-card__sub">Fill rate: ${fmtPct(stockOpt.profitMaximizing.fillRate * 100)}</div>
+                </div>
+                <div>
+                  <div class="kpi-card__label">Stock con Restricción CVaR</div>
+                  <div class="kpi-card__value" style="color:var(--accent-amber);">${fmt(stockOpt.cvarConstrained.stock)}</div>
+                  <div class="kpi-card__sub">CVaR ${fmtPct(stockOpt.settings.cvarConfidence * 100)}: ${fmtCur(stockOpt.cvarConstrained.cvar)}</div>
+                  <div class="kpi-card__sub">${stockOpt.cvarFeasible ? `Cola ≥ ${fmtCur(stockOpt.settings.minCVaR)}` : 'Ningún nivel cumple el límite: se muestra el de menor riesgo'}</div>
+                </div>
+              </div>
+              <div class="kpi-card__sub" style="margin-top:var(--space-4);">
+                Demanda sin censurar (P5–P99): ${fmt(stockOpt.demand.p5)} – ${fmt(stockOpt.demand.p99)} uds · ${fmt(stockOpt.settings.iterations)} iteraciones por nivel con números aleatorios comunes · Salvamento ${fmtPct(stockOpt.settings.salvageRate * 100)} del COGS
+              </div>
+            </div>
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Beneficio Esperado vs Stock Inicial</div>
+                  <div class="chart-container__subtitle">Incluye coste de compra, almacenamiento y valor de salvamento</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-profit-curve"></canvas></div>
+            </div>
+          </div>
+        ` : `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card__sub">
+              Recorre niveles de stock inicial con la simulación Monte Carlo completa y las mismas semillas, y elige el de máximo beneficio esperado y el que respeta el límite de CVaR, con coste de almacenamiento y valor de salvamento.
+            </div>
+          </div>
+        `}
+
+        <!-- ═══ MULTI-OBJECTIVE LAUNCH PLAN ═══ -->
+        <div class="section-header" style="margin-bottom: var(--space-4);">
+          <h2 class="section-header__title" style="font-size: var(--text-lg);">🧭 Plan de Lanzamiento: Frente de Pareto</h2>
+          ${this.onOptimizeLaunchPlan ? `
+            <button id="btn-optimize-launch" class="btn btn--secondary btn--sm">${launchPlan ? 'Volver a optimizar' : 'Optimizar plan'}</button>
+          ` : ''}
+        </div>
+        ${launchPlan ? `
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">Beneficio Esperado vs CVaR de Pérdida</div>
+                  <div class="chart-container__subtitle">Color: % de inventario sin vender · Rombo: plan actual · Haz clic en un punto para ver el plan</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-pareto-front"></canvas></div>
+            </div>
+            <div class="glass-card glass-card--static">
+              <div class="table-wrap" style="max-height:360px; overflow-y:auto;">
+                <table class="table">
+                  <thead><tr><th>Precio</th><th>Stock</th><th>Marketing</th><th>Canales</th><th>Beneficio</th><th>CVaR Pérdida</th><th>Sin Vender</th><th></th></tr></thead>
+                  <tbody>
+                    ${launchPlan.front.map((p, i) => `
+                      <tr id="launch-plan-${i}" title="${escapeHTML(describeMix(p.marketingMix))}">
+                        <td style="font-family:var(--font-mono);">${fmtCur(p.basePrice)}</td>
+                        <td style="font-family:var(--font-mono);">${fmt(p.initialInventory)}</td>
+                        <td style="font-family:var(--font-mono);">${fmtCur(p.marketingBudget)}</td>
+                        <td>${p.channels.map(ch => escapeHTML(CHANNEL_FEES[ch]?.label ?? ch)).join(', ')}</td>
+                        <td style="font-family:var(--font-mono); color:${p.expectedProfit > 0 ? 'var(--accent-emerald)' : 'var(--accent-rose)'};">${fmtCur(p.expectedProfit)}</td>
+                        <td style="font-family:var(--font-mono); color:var(--accent-amber);">${fmtCur(p.cvarLoss)}</td>
+                        <td style="font-family:var(--font-mono);">${fmtPct(p.unsoldPct)}</td>
+                        <td>${this.onApplyLaunchPlan ? `<button class="btn btn--ghost btn--sm btn-apply-plan" data-plan="${i}">Aplicar</button>` : ''}</td>
+                      </tr>
+                    `).join('')}
+                  </tbody>
+                </table>
+              </div>
+              <div class="kpi-card__sub" style="margin-top:var(--space-4);">
+                Plan actual: ${fmtCur(launchPlan.current.expectedProfit)} beneficio · ${fmtCur(launchPlan.current.cvarLoss)} CVaR ${fmtPct(launchPlan.settings.cvarConfidence * 100)} · ${fmtPct(launchPlan.current.unsoldPct)} sin vender
+              </div>
+              <div class="kpi-card__sub">
+                NSGA-II: ${fmt(launchPlan.evaluated)} planes evaluados en ${fmt(launchPlan.settings.generations)} generaciones · ${fmt(launchPlan.settings.iterations)} iteraciones por plan con números aleatorios comunes
+              </div>
+            </div>
+          </div>
+        ` : `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card__sub">
+              Busca combinaciones de precio, stock inicial, presupuesto y mix de canales que equilibren beneficio esperado, CVaR de pérdida e inventario sin vender. Cada plan se evalúa con una simulación Monte Carlo reducida sobre las mismas semillas.
+            </div>
+          </div>
+        `}
+
+        <!-- ═══ STRESS TESTS ═══ -->
+        <div class="section-header" style="margin-bottom: var(--space-4);">
+          <h2 class="section-header__title" style="font-size: var(--text-lg);">🧨 Pruebas de Estrés</h2>
+          ${this.onRunStressTests ? `
+            <button id="btn-stress-test" class="btn btn--secondary btn--sm">${stressReport ? 'Repetir pruebas' : 'Ejecutar pruebas de estrés'}</button>
+          ` : ''}
+        </div>
+        ${stressReport ? `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="table-wrap">
+              <table class="table">
+                <thead><tr><th>#</th><th>Escenario</th><th>Beneficio P50</th><th>Δ P50</th><th>P(Pérdida)</th><th>Ventas</th><th>Sin Vender</th></tr></thead>
+                <tbody>
+                  <tr>
+                    <td></td>
+                    <td><b>Base</b></td>
+                    <td style="font-family:var(--font-mono);">${fmtCur(stressReport.baseline.netProfitP50)}</td>
+                    <td></td>
+                    <td style="font-family:var(--font-mono);">${fmtPct(stressReport.baseline.probLoss * 100)}</td>
+                    <td style="font-family:var(--font-mono);">${fmt(stressReport.baseline.salesMean)}</td>
+                    <td style="font-family:var(--font-mono);">${fmtPct(stressReport.baseline.unsoldPct)}</td>
+                  </tr>
+                  ${stressReport.results.map(s => `
+                    <tr title="${escapeHTML(s.levers.join(' · '))}">
+                      <td>${s.rank}</td>
+                      <td>${s.icon} ${escapeHTML(s.name)}<div class="kpi-card__sub">${escapeHTML(s.description)}</div></td>
+                      <td style="font-family:var(--font-mono); color:${s.breaksProfit ? 'var(--accent-rose)' : 'var(--accent-emerald)'};">${fmtCur(s.kpis.netProfitP50)}</td>
+                      <td style="font-family:var(--font-mono); color:var(--accent-amber);">${fmtCur(s.deltas.netProfitP50.abs)}${s.deltas.netProfitP50.pct != null ? ` (${fmtPct(s.deltas.netProfitP50.pct)})` : ''}</td>
+                      <td style="font-family:var(--font-mono);">${fmtPct(s.kpis.probLoss * 100)}</td>
+                      <td style="font-family:var(--font-mono);">${fmt(s.kpis.salesMean)}</td>
+                      <td style="font-family:var(--font-mono);">${fmtPct(s.kpis.unsoldPct)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+            ${stressReport.reverse ? `
+              <div class="kpi-card__sub" style="margin-top:var(--space-4);">
+                <b>Estrés inverso:</b>
+                ${stressReport.reverse.alreadyNegative
+                    ? 'el beneficio neto P50 ya es negativo sin ningún shock.'
+                    : stressReport.reverse.found
+                        ? `el beneficio neto P50 pasa a pérdidas con un shock combinado de severidad ${fmt(stressReport.reverse.severity, 2)}: ${escapeHTML(stressReport.reverse.levers.join(', '))}.`
+                        : `ni con severidad ${fmt(stressReport.reverse.maxSeverity)} el beneficio neto P50 llega a pérdidas.`}
+              </div>
+            ` : ''}
+            <div class="kpi-card__sub">
+              ${fmt(stressReport.settings.iterations)} iteraciones por escenario con números aleatorios comunes · Ordenado por impacto en el beneficio neto P50
+            </div>
+          </div>
+        ` : `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card__sub">
+              Aplica una biblioteca de shocks adversos (pandemia, crisis, guerra de precios, subida de COGS, colapso de demanda…) al escenario actual y busca la severidad mínima de un shock combinado que lleva el beneficio neto P50 a pérdidas.
+            </div>
+          </div>
+        `}
+
+        <!-- ═══ PRICING EQUILIBRIUM ═══ -->
+        <div class="section-header" style="margin-bottom: var(--space-4);">
+          <h2 class="section-header__title" style="font-size: var(--text-lg);">🎯 Equilibrio de Precios</h2>
+          ${this.onRunPricingEquilibrium ? `
+            <button id="btn-pricing-equilibrium" class="btn btn--secondary btn--sm">${pricingGame ? 'Recalcular equilibrio' : 'Calcular equilibrio'}</button>
+          ` : ''}
+        </div>
+        ${pricingGame ? `
+          <div class="grid grid--4" style="margin-bottom: var(--space-4);">
+            <div class="kpi-card">
+              <div class="kpi-card__label">Precio Esperado</div>
+              <div class="kpi-card__value">${fmtCur(pricingGame.expectedPrice)}</div>
+              <div class="kpi-card__sub">Plan actual ${fmtCur(pricingGame.currentPlan.price)}</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Beneficio en Equilibrio</div>
+              <div class="kpi-card__value">${fmtCur(pricingGame.equilibriumProfit)}</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Beneficio Plan Actual</div>
+              <div class="kpi-card__value">${fmtCur(pricingGame.currentPlan.profit)}</div>
+              <div class="kpi-card__sub">Frente a la estrategia de equilibrio rival</div>
+            </div>
+            <div class="kpi-card">
+              <div class="kpi-card__label">Brecha de Beneficio</div>
+              <div class="kpi-card__value" style="color:${pricingGame.profitGap > 0 ? 'var(--accent-amber)' : 'var(--accent-emerald)'};">${fmtCur(pricingGame.profitGap)}</div>
+            </div>
+          </div>
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="table-wrap">
+              <table class="table">
+                <thead><tr><th>Jugador</th>${pricingGame.players[0].prices.map((_, i) => `<th>Nivel ${i + 1}</th>`).join('')}</tr></thead>
+                <tbody>
+                  ${pricingGame.players.map(p => `
+                    <tr>
+                      <td>${escapeHTML(p.name)}</td>
+                      ${p.prices.map((price, i) => `
+                        <td style="font-family:var(--font-mono); ${p.mix[i] > 0.005 ? 'color:var(--accent-emerald);' : ''}">${fmtCur(price)} · ${fmtPct(p.mix[i] * 100)}</td>
+                      `).join('')}
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            </div>
+            <div class="kpi-card__sub">
+              Resuelto por ${gameMethodLabels[pricingGame.method] ?? pricingGame.method}${pricingGame.epsilon > 0 ? ` · ganancia máxima por desviarse ${fmtCur(pricingGame.epsilon)}` : ''} · ${fmt(pricingGame.settings.iterations)} iteraciones por celda con números aleatorios comunes
+            </div>
+          </div>
+        ` : `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card__sub">
+              Estima con simulaciones Monte Carlo reducidas el beneficio de cada combinación de nuestro precio y el de los principales competidores, y resuelve el equilibrio de Nash en estrategias mixtas: con qué probabilidad conviene cada precio y cuánto beneficio se deja el plan actual.
+            </div>
+          </div>
+        `}
+
+        <!-- ═══ GLOBAL SENSITIVITY (SOBOL) ═══ -->
+        <div class="section-header" style="margin-bottom: var(--space-4);">
+          <h2 class="section-header__title" style="font-size: var(--text-lg);">🎛️ Sensibilidad Global (Sobol)</h2>
+          ${this.onRunSensitivity ? `
+            <button id="btn-sobol" class="btn btn--secondary btn--sm">${r.sensitivity ? 'Recalcular sensibilidad' : 'Calcular sensibilidad'}</button>
+          ` : ''}
+        </div>
+        ${this.onRunSensitivity ? `
+          <div style="display: flex; gap: var(--space-3); align-items: center; flex-wrap: wrap; margin-bottom: var(--space-4);">
+            <span class="kpi-card__sub">Factores de la oferta a variar junto a las incertidumbres del NGC:</span>
+            ${SENSITIVITY_PARAMS.map(p => `
+              <label style="font-size: var(--text-xs); color: var(--text-secondary); display: flex; gap: var(--space-1); align-items: center;">
+                <input type="checkbox" class="sobol-param" value="${p.key}" ${r.sensitivity?.settings.params?.includes(p.key) ?? true ? 'checked' : ''} /> ${escapeHTML(p.label)}
+              </label>
+            `).join('')}
+          </div>
+        ` : ''}
+        ${sobolTornado?.bars.length ? `
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            <div class="chart-container">
+              <div class="chart-container__header">
+                <div>
+                  <div class="chart-container__title">¿Qué Incertidumbres Mueven el Beneficio Neto?</div>
+                  <div class="chart-container__subtitle">Índices de Sobol: efecto principal e interacciones sobre la varianza</div>
+                </div>
+              </div>
+              <div class="chart-canvas-wrap"><canvas id="chart-sobol"></canvas></div>
+            </div>
+            <div class="glass-card glass-card--static">
+              <table class="table">
+                <thead><tr><th>Factor</th><th>S (IC ${fmt(r.sensitivity.settings.confidence * 100)}%)</th><th>ST (IC ${fmt(r.sensitivity.settings.confidence * 100)}%)</th></tr></thead>
+                <tbody>
+                  ${sobolTornado.bars.map(b => `
+                    <tr>
+                      <td>${escapeHTML(b.param)}</td>
+                      <td>${b.first.toFixed(2)} <span style="color:var(--text-muted);">[${b.firstCI[0].toFixed(2)}, ${b.firstCI[1].toFixed(2)}]</span></td>
+                      <td>${b.total.toFixed(2)} <span style="color:var(--text-muted);">[${b.totalCI[0].toFixed(2)}, ${b.totalCI[1].toFixed(2)}]</span></td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+              <div class="kpi-card__sub" style="margin-top:var(--space-4);">
+                ${fmt(r.sensitivity.runs)} iteraciones (${fmt(r.sensitivity.samples)} muestras Saltelli) · Efectos principales explican ${fmtPct(r.sensitivity.kpis.netProfit.sumFirst * 100)} de la varianza
+              </div>
+            </div>
+          </div>
+        ` : `
+          <div class="glass-card glass-card--static" style="margin-bottom: var(--space-8);">
+            <div class="kpi-card__sub">
+              Descompone la varianza del beneficio neto entre las incertidumbres del escenario (COGS y presupuesto de competidores, riesgos) y los factores de la oferta elegidos (precio, COGS, presupuesto MKT, calidad, inventario, tamaño de mercado) con índices de Sobol e intervalos bootstrap.
+            </div>
+          </div>
+        `}
+
+        <!-- ═══ SCENARIO DISCOVERY ═══ -->
+        ${discoveries.length > 0 ? `
+          <div class="section-header" style="margin-bottom: var(--space-4);">
+            <h2 class="section-header__title" style="font-size: var(--text-lg);">🔎 ¿En Qué Condiciones Fallamos?</h2>
+          </div>
+          <div class="grid grid--2" style="margin-bottom: var(--space-8);">
+            ${discoveries.map(d => `
+              <div class="glass-card glass-card--static">
+                <div class="kpi-card__label">${escapeHTML(d.outcome.label)}</div>
+                <div class="kpi-card__sub">${fmt(d.cases)} de ${fmt(d.iterations)} iteraciones (${fmtPct(d.baseRate * 100)})</div>
+                ${d.boxes.length > 0 ? `
+                  <table class="table" style="margin-top:var(--space-3);">
+                    <thead><tr><th>Regla</th><th>Cobertura</th><th>Densidad</th></tr></thead>
+                    <tbody>
+                      ${d.boxes.map(b => `
+                        <tr>
+                          <td>${escapeHTML(b.rule)}</td>
+                          <td>${fmtPct(b.coverage * 100)}</td>
+                          <td>${fmtPct(b.density * 100)}</td>
+                        </tr>
+                      `).join('')}
+                    </tbody>
+                  </table>
+                ` : '<div class="kpi-card__sub" style="margin-top:var(--space-3);">Ninguna región de las entradas concentra este resultado</div>'}
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+
         <!-- ═══ INVENTORY HEALTH KPIs ═══ -->
         ${kpis ? `
           <div class="section-header" style="margin-bottom: var(--space-4);">
@@ -272,15 +1000,60 @@ export class ResultsView {
                 renderSalesProjection('chart-sales-projection', mc.weeklyAvg, mc);
                 renderInventoryTimeline('chart-inventory-timeline', mc.weeklyAvg);
             }
+            if (mc.weeklyBands?.length) {
+                renderSalesFan('chart-fan-sales', mc.weeklyBands);
+                renderInventoryFan('chart-fan-inventory', mc.weeklyBands);
+                renderRevenueFan('chart-fan-revenue', mc.weeklyBands);
+            }
             if (mc.distributions?.unitsSold) {
                 renderHistogram('chart-sales-hist', mc.distributions.unitsSold, { title: 'Unidades Vendidas', color: '#00e5ff' });
             }
             if (mc.rawResults) {
                 renderRiskScatter('chart-risk-scatter', mc);
             }
+            if (mc.pricing?.priceChanges.mean > 0) {
+                renderCompetitorPrices('chart-price-path', mc.weeklyAvg);
+            }
+            if (dynamics && mc.weeklyAvg) {
+                renderCompetitorDynamics('chart-competitor-dynamics', mc.weeklyAvg);
+            }
+            if (channelKeys.length > 0) {
+                renderChannelBreakdown('chart-channel-breakdown', channels, channelLabels);
+            }
+            if (marketingKeys.length > 0 && mc.weeklyAvg) {
+                renderAwarenessCurves('chart-awareness', mc.weeklyAvg, marketingLabels);
+            }
             if (safeStock?.scenarios) {
                 renderStockScenarios('chart-stock-scenarios', safeStock.scenarios);
             }
+            if (stockOpt?.curve?.length) {
+                renderProfitCurve('chart-profit-curve', stockOpt);
+            }
+            if (sobolTornado?.bars.length) {
+                renderSobolTornado('chart-sobol', sobolTornado);
+            }
+            if (launchPlan?.front.length) {
+                renderParetoFront('chart-pareto-front', launchPlan, (i) => {
+                    const row = container.querySelector(`#launch-plan-${i}`);
+                    container.querySelectorAll('[id^="launch-plan-"]').forEach(el => { el.style.background = ''; });
+                    if (row) {
+                        row.style.background = 'var(--accent-cyan-dim)';
+                        row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                    }
+                });
+            }
+        });
+
+        container.querySelector('#btn-optimize-inventory')?.addEventListener('click', () => this.onOptimizeInventory());
+        container.querySelector('#btn-optimize-launch')?.addEventListener('click', () => this.onOptimizeLaunchPlan());
+        container.querySelector('#btn-stress-test')?.addEventListener('click', () => this.onRunStressTests());
+        container.querySelector('#btn-sobol')?.addEventListener('click', () => {
+            const params = [...container.querySelectorAll('.sobol-param:checked')].map(el => el.value);
+            this.onRunSensitivity(params);
+        });
+        container.querySelector('#btn-pricing-equilibrium')?.addEventListener('click', () => this.onRunPricingEquilibrium());
+        container.querySelectorAll('.btn-apply-plan').forEach(btn => {
+            btn.addEventListener('click', () => this.onApplyLaunchPlan(launchPlan.front[Number(btn.dataset.plan)]));
         });
     }
 }
@@ -1,6 +1,7 @@
 /**
  * Prometheus UI - Scenarios Manager View (SCOUT-004)
- * Save, load, compare, export, and import simulation scenarios.
+ * Save, load, compare, export, and import simulation scenarios,
+ * and backtest saved launches against their actual weekly sales (DS-007).
  */
 import { escapeHTML } from '../../utils/sanitize.js';
 import {
@@ -11,16 +12,24 @@ import {
     exportScenario,
     importScenario,
     listRuns,
+    listBacktests,
+    deleteBacktest,
 } from '../../data/storage.js';
+import { summarizeBacktestHistory } from '../../engine/backtest.js';
+import { renderBacktest } from '../charts.js';
 
 export class ScenariosView {
-    constructor(state, onLoadScenario) {
+    constructor(state, onLoadScenario, onBacktest = null) {
         this.state = state;
         this.onLoadScenario = onLoadScenario;
+        this.onBacktest = onBacktest;
+        /** Last backtest run from this view, shown in full */
+        this.lastBacktest = null;
     }
 
     async render(container) {
         const scenarios = await listScenarios();
+        const backtests = await listBacktests();
 
         const verticalEmojis = {
             electronics: '📱', fashion: '👗', food: '🍕', default: '📦',
@@ -63,6 +72,9 @@ export class ScenariosView {
           <div id="import-feedback" style="margin-top: var(--space-2); font-size: var(--text-xs); display: none;"></div>
         </div>
 
+        <!-- ═══ BACKTEST PANEL ═══ -->
+        ${this._renderBacktestPanel(scenarios, backtests)}
+
         <!-- ═══ SCENARIOS LIST ═══ -->
         <div class="section-header" style="margin-bottom: var(--space-4);">
           <h2 class="section-header__title" style="font-size: var(--text-lg);">📋 Escenarios Guardados</h2>
@@ -121,6 +133,109 @@ export class ScenariosView {
     `;
 
         this._bindEvents(container);
+
+        const sales = this.lastBacktest?.backtest.series.unitsSold;
+        if (sales) requestAnimationFrame(() => renderBacktest('chart-backtest', sales));
+    }
+
+    _renderBacktestPanel(scenarios, backtests) {
+        const pct = (v, digits = 0) => (v == null ? '—' : `${(v * 100).toFixed(digits)}%`);
+        const history = summarizeBacktestHistory(backtests);
+        const last = this.lastBacktest;
+        const sales = last?.backtest.series.unitsSold;
+        const directionLabels = { over: 'Sobreestima', under: 'Subestima', neutral: 'Sin sesgo relevante' };
+
+        return `
+        <div class="glass-card glass-card--static" style="margin-bottom: var(--space-6);">
+          <h3 style="font-size: var(--text-base); font-weight: var(--weight-semibold); margin-bottom: var(--space-2); color: var(--accent-amber);">
+            🎯 Backtesting de Lanzamientos
+          </h3>
+          <p style="font-size: var(--text-xs); color: var(--text-muted); margin-bottom: var(--space-4);">
+            Reproduce un escenario guardado y compara su previsión con las ventas reales (CSV con columnas
+            <b>semana</b>, <b>ventas</b> y, opcionalmente, <b>inventario</b> y <b>precio</b>).
+          </p>
+          ${scenarios.length === 0 ? `
+            <div style="font-size: var(--text-xs); color: var(--text-muted);">Guarda primero el escenario del lanzamiento.</div>
+          ` : `
+            <div style="display: flex; gap: var(--space-3); align-items: center; flex-wrap: wrap;">
+              <select id="backtest-scenario" class="input" style="min-width: 220px;">
+                ${scenarios.map(s => `<option value="${s.id}">${escapeHTML(s.name)}</option>`).join('')}
+              </select>
+              <input id="backtest-file" type="file" accept=".csv,text/csv" style="font-size: var(--text-sm); color: var(--text-secondary);" />
+              <label style="font-size: var(--text-xs); color: var(--text-secondary); display: flex; gap: var(--space-1); align-items: center;">
+                <input id="backtest-replay-prices" type="checkbox" checked /> Reproducir precios reales
+              </label>
+              <button id="btn-backtest" class="btn btn--secondary" ${this.onBacktest ? '' : 'disabled'}>🎯 Ejecutar backtest</button>
+            </div>
+          `}
+
+          ${sales ? `
+            <div style="margin-top: var(--space-5); padding-top: var(--space-4); border-top: 1px solid var(--border-subtle);">
+              <div style="font-size: var(--text-sm); font-weight: var(--weight-semibold); margin-bottom: var(--space-3);">
+                ${escapeHTML(last.scenarioName)} · ${last.backtest.weeks.length} semanas · ${last.backtest.iterations} iteraciones
+                ${last.backtest.pricesReplayed ? '<span class="badge badge--cyan" style="font-size: 10px;">precios reales</span>' : ''}
+              </div>
+              <div class="chart-canvas-wrap" style="margin-bottom: var(--space-4);"><canvas id="chart-backtest"></canvas></div>
+              <div class="table-wrap">
+              <table class="table">
+                <thead>
+                  <tr>
+                    <th style="text-align: left;">Serie</th>
+                    ${last.backtest.levels.map(l => `<th style="text-align: right;">Cobertura ${Math.round(l * 100)}%</th>`).join('')}
+                    <th style="text-align: right;">CRPS</th>
+                    <th style="text-align: right;">MAPE media</th>
+                    <th style="text-align: right;">Sesgo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${Object.values(last.backtest.series).map(ser => `
+                    <tr>
+                      <td>${ser.label}</td>
+                      ${ser.coverage.map(c => `<td style="text-align: right; color: ${Math.abs(c.gap) <= 0.1 ? 'var(--accent-emerald)' : 'var(--accent-rose)'};">${pct(c.rate)}</td>`).join('')}
+                      <td style="text-align: right;">${ser.crps.toLocaleString('es-ES', { maximumFractionDigits: 2 })}</td>
+                      <td style="text-align: right;">${ser.mape == null ? '—' : `${ser.mape.toFixed(1)}%`}</td>
+                      <td style="text-align: right;">${ser.bias.relativeBias == null ? '—' : `${ser.bias.relativeBias > 0 ? '+' : ''}${ser.bias.relativeBias.toFixed(1)}%`}
+                        · ${directionLabels[ser.bias.direction]}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+              </div>
+              <div style="font-size: var(--text-xs); color: var(--text-muted); margin-top: var(--space-2);">
+                Ventas: previsión total ${Math.round(sales.bias.forecastTotal).toLocaleString('es-ES')} vs real ${Math.round(sales.bias.actualTotal).toLocaleString('es-ES')} ·
+                sobreestimada en ${pct(sales.bias.overForecastShare)} de las semanas · PIT medio ${sales.bias.meanPIT.toFixed(2)} (0,50 = sin sesgo)
+              </div>
+            </div>
+          ` : ''}
+
+          ${backtests.length > 0 ? `
+            <div style="margin-top: var(--space-5); padding-top: var(--space-4); border-top: 1px solid var(--border-subtle);">
+              <div style="font-size: var(--text-xs); font-weight: var(--weight-semibold); color: var(--accent-cyan); margin-bottom: var(--space-3);">
+                📚 Calibración histórica: ${history.launches} backtests ·
+                ${history.coverage.map(c => `cobertura ${Math.round(c.level * 100)}% → ${pct(c.rate)}`).join(' · ')} ·
+                MAPE medio ${history.meanMAPE == null ? '—' : `${history.meanMAPE.toFixed(1)}%`} ·
+                ${history.overForecastLaunches} sobreestimados / ${history.underForecastLaunches} subestimados
+              </div>
+              <div style="display: flex; flex-direction: column; gap: var(--space-2);">
+                ${backtests.map(b => `
+                  <div style="display: flex; justify-content: space-between; align-items: center; padding: var(--space-2) var(--space-3); background: var(--bg-card); border-radius: var(--radius-sm); font-size: var(--text-xs);">
+                    <div style="display: flex; gap: var(--space-4); align-items: center;">
+                      <span style="color: var(--text-muted);">${new Date(b.timestamp).toLocaleDateString('es-ES')}</span>
+                      <span style="color: var(--text-secondary);">${escapeHTML(b.scenarioName ?? `#${b.scenarioId}`)}</span>
+                      <span>${b.summary.weeks} semanas</span>
+                    </div>
+                    <div style="display: flex; gap: var(--space-3); align-items: center;">
+                      ${Object.entries(b.summary.coverage).map(([l, r]) => `<span>${Math.round(l * 100)}%: <b>${pct(r)}</b></span>`).join('')}
+                      <span>MAPE: <b>${b.summary.mape == null ? '—' : `${b.summary.mape.toFixed(1)}%`}</b></span>
+                      <span>Sesgo: <b style="color: ${b.summary.direction === 'neutral' ? 'var(--accent-emerald)' : 'var(--accent-amber)'};">${b.summary.relativeBias == null ? '—' : `${b.summary.relativeBias.toFixed(1)}%`}</b></span>
+                      <button class="btn btn--secondary btn--sm btn-delete-backtest" data-id="${b.id}" title="Eliminar backtest" style="color: var(--accent-rose);">🗑️</button>
+                    </div>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          ` : ''}
+        </div>`;
     }
 
     _bindEvents(container) {
@@ -185,6 +300,29 @@ export class ScenariosView {
             }
         });
 
+        // Backtest a saved scenario against actual weekly sales
+        container.querySelector('#btn-backtest')?.addEventListener('click', async () => {
+            const file = container.querySelector('#backtest-file')?.files?.[0];
+            if (!file || !this.onBacktest) return;
+            const id = parseInt(container.querySelector('#backtest-scenario').value);
+            const scenario = await loadScenario(id);
+            if (!scenario?.config) return;
+            const backtest = await this.onBacktest(scenario, await file.text(), {
+                replayPrices: container.querySelector('#backtest-replay-prices')?.checked ?? true,
+            });
+            if (backtest) {
+                this.lastBacktest = { scenarioName: scenario.name, backtest };
+                this.render(container);
+            }
+        });
+
+        container.querySelectorAll('.btn-delete-backtest').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await deleteBacktest(parseInt(btn.dataset.id));
+                this.render(container);
+            });
+        });
+
         // Load scenario
         container.querySelectorAll('.btn-load').forEach(btn => {
             btn.addEventListener('click', async () => {